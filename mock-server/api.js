@@ -0,0 +1,683 @@
+// The mock backend: sample data plus the route logic, with no HTTP in it.
+// mock-server/server.js serves it over HTTP for local development and
+// src/mocks/handlers.js serves it through MSW in tests, so both answer alike.
+const crypto = require("crypto");
+const seed = require("./seed");
+const { renderProgressCard } = require("./progressCard");
+
+const TOKEN_LIFETIME = 15 * 60;
+const RESET_TOKEN_LIFETIME = 60 * 60 * 1000;
+const COMPLETED_STATUSES = ["solved", "solved_with_hints", "needs_revision"];
+const DIFFICULTIES = ["Easy", "Medium", "Hard"];
+// Same rules as src/utils/publicProfile.js
+const HANDLE_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,28}[a-z0-9])$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// A non-JSON response body, such as an image
+class RawResponse {
+  constructor(contentType, body) {
+    this.contentType = contentType;
+    this.body = body;
+  }
+}
+
+// Unsigned JWT-shaped token, so the app can read its expiry
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+const createToken = (user) =>
+  [
+    encode({ alg: "none", typ: "JWT" }),
+    encode({ sub: user._id, exp: Math.floor(Date.now() / 1000) + TOKEN_LIFETIME }),
+    "mock",
+  ].join(".");
+
+const readToken = (token) => JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString());
+
+const createResetToken = () => crypto.randomBytes(24).toString("hex");
+
+const createInviteCode = () => crypto.randomBytes(4).toString("hex").toUpperCase();
+
+const publicUser = ({ password, ...user }) => user;
+
+// Same rules as src/utils/passwordRules.js
+const validatePassword = (password) => {
+  if (typeof password !== "string" || password.length < 8 || !/[a-z]/.test(password) || !/[A-Z]/.test(password) || !/\d/.test(password)) {
+    throw new HttpError(400, "Passwords need at least 8 characters, upper and lower case letters and a number");
+  }
+};
+
+const checkPassword = (user, password) => {
+  if (user.password !== password) {
+    throw new HttpError(400, "Your password is incorrect");
+  }
+};
+
+const copySeed = () => ({
+  users: seed.users.map((user) => ({ ...user })),
+  topics: seed.topics.map((topic) => ({ ...topic, problems: [...topic.problems] })),
+  problems: seed.problems.map((problem) => ({ ...problem })),
+  progress: seed.progress.map((record) => ({ ...record, attempts: [...record.attempts] })),
+  reviews: [],
+  lists: [],
+  interviews: [],
+  resetTokens: [],
+  groups: seed.groups.map((group) => ({ ...group, members: group.members.map((member) => ({ ...member })) })),
+});
+
+// Options replace how tokens are issued and read, and what happens to a
+// password reset link, since there is no mail server:
+//   createToken(user), readToken(token) -> { sub, exp } in seconds
+//   createResetToken(user), onPasswordReset(user, resetToken)
+const createApi = (options = {}) => {
+  const tokens = {
+    create: options.createToken || createToken,
+    read: options.readToken || readToken,
+  };
+  const newResetToken = options.createResetToken || createResetToken;
+  const onPasswordReset = options.onPasswordReset || (() => {});
+
+  // `db` stays the same object across resets so callers can hold on to it
+  const db = {};
+  const reset = () => Object.assign(db, copySeed());
+  reset();
+
+  let nextId = 1;
+  const createId = (prefix) => `${prefix}${Date.now().toString(36)}${(nextId++).toString(36)}`;
+
+  const authenticate = (authorization, { allowExpired = false } = {}) => {
+    const [, token] = (authorization || "").split(" ");
+    let payload = null;
+    try {
+      payload = tokens.read(token);
+    } catch (error) {
+      // Unreadable tokens are treated like missing ones
+    }
+    const user = payload && db.users.find((u) => u._id === payload.sub);
+    if (!user || (!allowExpired && payload.exp * 1000 < Date.now())) {
+      throw new HttpError(401, "Not authorized");
+    }
+    return user;
+  };
+
+  const requireAdmin = (authorization) => {
+    const user = authenticate(authorization);
+    if (user.role !== "admin") {
+      throw new HttpError(403, "Admin access required");
+    }
+    return user;
+  };
+
+  const findTopic = (id) => {
+    const topic = db.topics.find((t) => t._id === id);
+    if (!topic) {
+      throw new HttpError(404, "Topic not found");
+    }
+    return topic;
+  };
+
+  const findProblem = (id) => {
+    const problem = db.problems.find((p) => p._id === id);
+    if (!problem) {
+      throw new HttpError(404, "Problem not found");
+    }
+    return problem;
+  };
+
+  const populateTopic = (topic) => ({
+    ...topic,
+    problems: topic.problems.map((id) => db.problems.find((p) => p._id === id)).filter(Boolean),
+  });
+
+  const pickProblem = (body) => {
+    if (!body.title || !["Easy", "Medium", "Hard"].includes(body.difficulty)) {
+      throw new HttpError(400, "Problems need a title and a difficulty of Easy, Medium or Hard");
+    }
+    return {
+      title: body.title,
+      description: body.description || "",
+      difficulty: body.difficulty,
+      tags: body.tags || [],
+      links: body.links || {},
+    };
+  };
+
+  const addTopic = (body) => {
+    if (!body.title) {
+      throw new HttpError(400, "Topics need a title");
+    }
+    const topic = { _id: createId("t"), title: body.title, description: body.description || "", problems: [] };
+    (body.problems || []).forEach((data) => {
+      const problem = { _id: createId("p"), ...pickProblem(data) };
+      db.problems.push(problem);
+      topic.problems.push(problem._id);
+    });
+    db.topics.push(topic);
+    return topic;
+  };
+
+  const removeProblems = (ids) => {
+    db.problems = db.problems.filter((p) => !ids.includes(p._id));
+    db.progress = db.progress.filter((record) => !ids.includes(record.problemId));
+    db.reviews = db.reviews.filter((review) => !ids.includes(review.problemId));
+    db.lists.forEach((list) => {
+      list.problemIds = list.problemIds.filter((id) => !ids.includes(id));
+    });
+  };
+
+  const findProgress = (user, problemId) => {
+    let record = db.progress.find((r) => r.userId === user._id && r.problemId === problemId);
+    if (!record) {
+      findProblem(problemId);
+      record = { _id: createId("g"), userId: user._id, problemId, completed: false, status: "not_started", confidence: null, notes: "", attempts: [] };
+      db.progress.push(record);
+    }
+    return record;
+  };
+
+  const populateProgress = ({ userId, ...record }) => {
+    const problem = db.problems.find((p) => p._id === record.problemId);
+    return { ...record, problemId: problem ? { _id: problem._id, title: problem.title, difficulty: problem.difficulty } : null };
+  };
+
+  const findList = (user, id) => {
+    const list = db.lists.find((l) => l._id === id && l.userId === user._id);
+    if (!list) {
+      throw new HttpError(404, "List not found");
+    }
+    return list;
+  };
+
+  const publicList = ({ userId, ...list }) => list;
+
+  // Everything a public profile shows. Only aggregate counts leave the server:
+  // no email, notes, timings or per-problem history.
+  const publicProfile = (handle) => {
+    const user = db.users.find((u) => u.publicProfile && u.handle === handle);
+    if (!user) {
+      throw new HttpError(404, "Profile not found");
+    }
+    const solved = new Set(
+      db.progress.filter((r) => r.userId === user._id && r.completed).map((r) => r.problemId)
+    );
+    const count = (problemIds) => ({
+      completed: problemIds.filter((id) => solved.has(id)).length,
+      total: problemIds.length,
+    });
+    const problemIds = db.topics.flatMap((t) => t.problems);
+    return {
+      handle: user.handle,
+      name: user.name,
+      ...count(problemIds),
+      topics: db.topics.map((t) => ({ _id: t._id, title: t.title, ...count(t.problems) })),
+      difficulties: DIFFICULTIES.map((difficulty) => ({
+        difficulty,
+        ...count(problemIds.filter((id) => db.problems.some((p) => p._id === id && p.difficulty === difficulty))),
+      })),
+    };
+  };
+
+  const findGroup = (user, id) => {
+    const group = db.groups.find((g) => g._id === id && g.members.some((m) => m.userId === user._id));
+    if (!group) {
+      throw new HttpError(404, "Group not found");
+    }
+    return group;
+  };
+
+  const groupSummary = (group, user) => ({
+    _id: group._id,
+    name: group.name,
+    description: group.description,
+    memberCount: group.members.length,
+    isOwner: group.ownerId === user._id,
+  });
+
+  // Members who hide their progress are listed by name only; everyone still
+  // sees their own completions
+  const groupDetail = (group, user) => ({
+    ...groupSummary(group, user),
+    inviteCode: group.inviteCode,
+    members: group.members.map((member) => {
+      const account = db.users.find((u) => u._id === member.userId);
+      const visible = member.shareProgress || member.userId === user._id;
+      return {
+        _id: member.userId,
+        name: account ? account.name : "Former member",
+        isOwner: group.ownerId === member.userId,
+        joinedAt: member.joinedAt,
+        shareProgress: member.shareProgress,
+        onLeaderboard: member.shareProgress && member.onLeaderboard,
+        completions: visible
+          ? db.progress
+            .filter((r) => r.userId === member.userId && r.completed)
+            .map((r) => ({ problemId: r.problemId, completedAt: r.completedAt || r.updatedAt || null }))
+          : null,
+      };
+    }),
+  });
+
+  const addMember = (group, user) => {
+    group.members.push({ userId: user._id, joinedAt: new Date().toISOString(), shareProgress: true, onLeaderboard: false });
+  };
+
+  // The longest-standing member takes over a group its owner leaves; the last
+  // member out deletes it
+  const removeMember = (group, userId) => {
+    group.members = group.members.filter((m) => m.userId !== userId);
+    if (group.members.length === 0) {
+      db.groups = db.groups.filter((g) => g !== group);
+    } else if (group.ownerId === userId) {
+      group.ownerId = group.members[0].userId;
+    }
+  };
+
+  const routes = [
+    ["POST", "/auth/login", ({ body }) => {
+      const user = db.users.find((u) => u.email === body.email && u.password === body.password);
+      if (!user) {
+        throw new HttpError(401, "Invalid email or password");
+      }
+      return { token: tokens.create(user), user: publicUser(user) };
+    }],
+    ["POST", "/auth/register", ({ body }) => {
+      if (!body.name || !body.email || !body.password) {
+        throw new HttpError(400, "Name, email and password are required");
+      }
+      validatePassword(body.password);
+      if (db.users.some((u) => u.email === body.email)) {
+        throw new HttpError(400, "An account with this email already exists");
+      }
+      const user = { _id: createId("u"), name: body.name, email: body.email, password: body.password, role: "user" };
+      db.users.push(user);
+      return [201, { token: tokens.create(user), user: publicUser(user) }];
+    }],
+    ["POST", "/auth/refresh", ({ authorization }) => ({ token: tokens.create(authenticate(authorization, { allowExpired: true })) })],
+    ["GET", "/auth/me", ({ authorization }) => ({ user: publicUser(authenticate(authorization)) })],
+    ["PUT", "/auth/me", ({ authorization, body }) => {
+      const user = authenticate(authorization);
+      const name = (body.name ?? user.name).trim();
+      const email = (body.email ?? user.email).trim();
+      if (!name || !email) {
+        throw new HttpError(400, "Name and email are required");
+      }
+      if (db.users.some((u) => u._id !== user._id && u.email === email)) {
+        throw new HttpError(400, "An account with this email already exists");
+      }
+      const handle = (body.handle ?? user.handle ?? "").trim().toLowerCase();
+      const isPublic = Boolean(body.publicProfile ?? user.publicProfile);
+      if (handle && !HANDLE_PATTERN.test(handle)) {
+        throw new HttpError(400, "Handles are 3 to 30 lowercase letters, numbers or hyphens, starting and ending with a letter or number");
+      }
+      if (handle && db.users.some((u) => u._id !== user._id && u.handle === handle)) {
+        throw new HttpError(400, "That handle is taken");
+      }
+      if (isPublic && !handle) {
+        throw new HttpError(400, "Choose a handle before making your profile public");
+      }
+      Object.assign(user, { name, email, handle: handle || null, publicProfile: isPublic });
+      return { user: publicUser(user) };
+    }],
+    ["DELETE", "/auth/me", ({ authorization, body }) => {
+      const user = authenticate(authorization);
+      checkPassword(user, body.password);
+      const ownedByOthers = (record) => record.userId !== user._id;
+      db.users = db.users.filter((u) => u._id !== user._id);
+      db.progress = db.progress.filter(ownedByOthers);
+      db.reviews = db.reviews.filter(ownedByOthers);
+      db.lists = db.lists.filter(ownedByOthers);
+      db.interviews = db.interviews.filter(ownedByOthers);
+      db.resetTokens = db.resetTokens.filter(ownedByOthers);
+      db.groups
+        .filter((g) => g.members.some((m) => m.userId === user._id))
+        .forEach((group) => removeMember(group, user._id));
+      return { message: "Account deleted" };
+    }],
+    ["PUT", "/auth/password", ({ authorization, body }) => {
+      const user = authenticate(authorization);
+      checkPassword(user, body.currentPassword);
+      validatePassword(body.newPassword);
+      user.password = body.newPassword;
+      return { message: "Password changed" };
+    }],
+    // The response is the same whether or not the email has an account
+    ["POST", "/auth/forgot-password", ({ body }) => {
+      const user = db.users.find((u) => u.email === body.email);
+      if (user) {
+        const token = newResetToken(user);
+        db.resetTokens = db.resetTokens.filter((t) => t.userId !== user._id);
+        db.resetTokens.push({ token, userId: user._id, expiresAt: Date.now() + RESET_TOKEN_LIFETIME });
+        onPasswordReset(user, token);
+      }
+      return { message: "If an account exists for this email, a reset link has been sent" };
+    }],
+    ["POST", "/auth/reset-password", ({ body }) => {
+      const entry = db.resetTokens.find((t) => t.token === body.token);
+      const user = entry && entry.expiresAt > Date.now() && db.users.find((u) => u._id === entry.userId);
+      if (!user) {
+        throw new HttpError(400, "This reset link is invalid or has expired");
+      }
+      validatePassword(body.password);
+      user.password = body.password;
+      db.resetTokens = db.resetTokens.filter((t) => t !== entry);
+      return { message: "Password reset" };
+    }],
+
+    ["GET", "/topics", ({ authorization }) => {
+      authenticate(authorization);
+      return db.topics.map(populateTopic);
+    }],
+    ["POST", "/topics/bulk", ({ authorization, body }) => {
+      requireAdmin(authorization);
+      if (!Array.isArray(body.topics)) {
+        throw new HttpError(400, "Expected a list of topics");
+      }
+      return [201, { topics: body.topics.map(addTopic).map(populateTopic) }];
+    }],
+    ["POST", "/topics", ({ authorization, body }) => {
+      requireAdmin(authorization);
+      return [201, populateTopic(addTopic({ ...body, problems: [] }))];
+    }],
+    ["GET", "/topics/:id", ({ authorization, params }) => {
+      authenticate(authorization);
+      return populateTopic(findTopic(params.id));
+    }],
+    ["PUT", "/topics/:id", ({ authorization, params, body }) => {
+      requireAdmin(authorization);
+      const topic = findTopic(params.id);
+      if (body.title !== undefined && !body.title) {
+        throw new HttpError(400, "Topics need a title");
+      }
+      topic.title = body.title !== undefined ? body.title : topic.title;
+      topic.description = body.description !== undefined ? body.description : topic.description;
+      return populateTopic(topic);
+    }],
+    ["DELETE", "/topics/:id", ({ authorization, params }) => {
+      requireAdmin(authorization);
+      const topic = findTopic(params.id);
+      removeProblems(topic.problems);
+      db.topics = db.topics.filter((t) => t !== topic);
+      return { message: "Topic deleted" };
+    }],
+    ["PUT", "/topics/:id/problems/order", ({ authorization, params, body }) => {
+      requireAdmin(authorization);
+      const topic = findTopic(params.id);
+      const ids = body.problemIds || [];
+      if (ids.length !== topic.problems.length || !ids.every((id) => topic.problems.includes(id))) {
+        throw new HttpError(400, "The new order must list every problem in the topic once");
+      }
+      topic.problems = [...ids];
+      return populateTopic(topic);
+    }],
+    ["POST", "/topics/:id/problems", ({ authorization, params, body }) => {
+      requireAdmin(authorization);
+      const topic = findTopic(params.id);
+      const problem = { _id: createId("p"), ...pickProblem(body) };
+      db.problems.push(problem);
+      topic.problems.push(problem._id);
+      return [201, problem];
+    }],
+    ["PUT", "/problems/:id", ({ authorization, params, body }) => {
+      requireAdmin(authorization);
+      const problem = findProblem(params.id);
+      Object.assign(problem, pickProblem({ ...problem, ...body }));
+      return problem;
+    }],
+    ["DELETE", "/problems/:id", ({ authorization, params }) => {
+      requireAdmin(authorization);
+      findProblem(params.id);
+      removeProblems([params.id]);
+      db.topics.forEach((topic) => {
+        topic.problems = topic.problems.filter((id) => id !== params.id);
+      });
+      return { message: "Problem deleted" };
+    }],
+
+    ["GET", "/progress", ({ authorization }) => {
+      const user = authenticate(authorization);
+      return db.progress.filter((r) => r.userId === user._id).map(populateProgress).filter((r) => r.problemId);
+    }],
+    ["GET", "/progress/stats", ({ authorization }) => {
+      const user = authenticate(authorization);
+      const total = db.problems.length;
+      const completed = db.progress.filter((r) => r.userId === user._id && r.completed).length;
+      return { total, completed, remaining: total - completed, percentage: total ? Math.round((completed / total) * 100) : 0 };
+    }],
+    ["POST", "/progress/:problemId", ({ authorization, params, body }) => {
+      const record = findProgress(authenticate(authorization), params.problemId);
+      const now = new Date().toISOString();
+      const wasCompleted = record.completed;
+      // Only the fields that changed are sent; a bare completed flag implies a status
+      if ("status" in body) {
+        record.status = body.status;
+        record.completed = COMPLETED_STATUSES.includes(body.status);
+      } else if ("completed" in body) {
+        record.completed = Boolean(body.completed);
+        record.status = record.completed ? "solved" : "not_started";
+      }
+      if ("confidence" in body) {
+        record.confidence = body.confidence;
+      }
+      // Imports send the date a problem was originally completed
+      if (record.completed !== wasCompleted) {
+        const completedAt = Date.parse(body.completedAt) ? new Date(body.completedAt).toISOString() : now;
+        record.completedAt = record.completed ? completedAt : null;
+      }
+      record.updatedAt = now;
+      return populateProgress(record);
+    }],
+    ["PUT", "/progress/:problemId/notes", ({ authorization, params, body }) => {
+      const record = findProgress(authenticate(authorization), params.problemId);
+      record.notes = body.notes || "";
+      record.updatedAt = new Date().toISOString();
+      return populateProgress(record);
+    }],
+
+    ["POST", "/progress/:problemId/attempts", ({ authorization, params, body }) => {
+      const record = findProgress(authenticate(authorization), params.problemId);
+      if (typeof body.duration !== "number" || body.duration < 0) {
+        throw new HttpError(400, "Attempts need a duration in seconds");
+      }
+      record.attempts.push({
+        startedAt: body.startedAt,
+        endedAt: body.endedAt || new Date().toISOString(),
+        duration: body.duration,
+        completed: Boolean(body.completed),
+      });
+      return [201, populateProgress(record)];
+    }],
+
+    ["GET", "/lists", ({ authorization }) => {
+      const user = authenticate(authorization);
+      return db.lists.filter((l) => l.userId === user._id).map(publicList);
+    }],
+    ["POST", "/lists", ({ authorization, body }) => {
+      const user = authenticate(authorization);
+      if (!body.name) {
+        throw new HttpError(400, "Lists need a name");
+      }
+      const list = {
+        _id: createId("l"),
+        userId: user._id,
+        name: body.name,
+        description: body.description || "",
+        problemIds: body.problemIds || [],
+        shareId: null,
+      };
+      db.lists.push(list);
+      return [201, publicList(list)];
+    }],
+    // Public profiles need no token
+    ["GET", "/profiles/:handle", ({ params }) => publicProfile(params.handle)],
+    ["GET", "/profiles/:handle/card.svg", ({ params }) =>
+      new RawResponse("image/svg+xml", renderProgressCard(publicProfile(params.handle)))],
+    ["GET", "/lists/shared/:shareId", ({ params }) => {
+      const list = db.lists.find((l) => l.shareId && l.shareId === params.shareId);
+      if (!list) {
+        throw new HttpError(404, "List not found");
+      }
+      const owner = db.users.find((u) => u._id === list.userId);
+      const problems = list.problemIds
+        .map((id) => {
+          const problem = db.problems.find((p) => p._id === id);
+          const topic = db.topics.find((t) => t.problems.includes(id));
+          return problem && { ...problem, topicId: topic && topic._id, topicTitle: topic && topic.title };
+        })
+        .filter(Boolean);
+      return { name: list.name, description: list.description, ownerName: owner && owner.name, problems };
+    }],
+    ["PUT", "/lists/:id", ({ authorization, params, body }) => {
+      const list = findList(authenticate(authorization), params.id);
+      if (body.name !== undefined && !body.name) {
+        throw new HttpError(400, "Lists need a name");
+      }
+      list.name = body.name !== undefined ? body.name : list.name;
+      list.description = body.description !== undefined ? body.description : list.description;
+      list.problemIds = Array.isArray(body.problemIds) ? [...new Set(body.problemIds)] : list.problemIds;
+      if (body.shared !== undefined) {
+        list.shareId = body.shared ? list.shareId || createId("s") : null;
+      }
+      return publicList(list);
+    }],
+    ["DELETE", "/lists/:id", ({ authorization, params }) => {
+      const user = authenticate(authorization);
+      findList(user, params.id);
+      db.lists = db.lists.filter((l) => l._id !== params.id);
+      return { message: "List deleted" };
+    }],
+
+    ["GET", "/groups", ({ authorization }) => {
+      const user = authenticate(authorization);
+      return db.groups
+        .filter((g) => g.members.some((m) => m.userId === user._id))
+        .map((group) => groupSummary(group, user));
+    }],
+    ["POST", "/groups", ({ authorization, body }) => {
+      const user = authenticate(authorization);
+      if (!body.name || !body.name.trim()) {
+        throw new HttpError(400, "Groups need a name");
+      }
+      const group = {
+        _id: createId("sg"),
+        name: body.name.trim(),
+        description: (body.description || "").trim(),
+        ownerId: user._id,
+        inviteCode: createInviteCode(),
+        members: [],
+      };
+      addMember(group, user);
+      db.groups.push(group);
+      return [201, groupDetail(group, user)];
+    }],
+    ["POST", "/groups/join", ({ authorization, body }) => {
+      const user = authenticate(authorization);
+      const code = (body.code || "").trim().toUpperCase();
+      const group = code && db.groups.find((g) => g.inviteCode === code);
+      if (!group) {
+        throw new HttpError(404, "No group uses that invite code");
+      }
+      if (group.members.some((m) => m.userId === user._id)) {
+        throw new HttpError(400, "You are already in this group");
+      }
+      addMember(group, user);
+      return groupDetail(group, user);
+    }],
+    ["GET", "/groups/:id", ({ authorization, params }) => {
+      const user = authenticate(authorization);
+      return groupDetail(findGroup(user, params.id), user);
+    }],
+    ["PUT", "/groups/:id/membership", ({ authorization, params, body }) => {
+      const user = authenticate(authorization);
+      const group = findGroup(user, params.id);
+      const member = group.members.find((m) => m.userId === user._id);
+      if (body.shareProgress !== undefined) {
+        member.shareProgress = Boolean(body.shareProgress);
+      }
+      if (body.onLeaderboard !== undefined) {
+        member.onLeaderboard = Boolean(body.onLeaderboard);
+      }
+      return groupDetail(group, user);
+    }],
+    ["DELETE", "/groups/:id/membership", ({ authorization, params }) => {
+      const user = authenticate(authorization);
+      removeMember(findGroup(user, params.id), user._id);
+      return { message: "Left the group" };
+    }],
+    // Replacing the code stops the old one from working
+    ["POST", "/groups/:id/invite-code", ({ authorization, params }) => {
+      const user = authenticate(authorization);
+      const group = findGroup(user, params.id);
+      if (group.ownerId !== user._id) {
+        throw new HttpError(403, "Only the group owner can change the invite code");
+      }
+      group.inviteCode = createInviteCode();
+      return groupDetail(group, user);
+    }],
+
+    ["GET", "/interviews", ({ authorization }) => {
+      const user = authenticate(authorization);
+      return db.interviews.filter((i) => i.userId === user._id).map(({ userId, ...interview }) => interview);
+    }],
+    ["POST", "/interviews", ({ authorization, body }) => {
+      const user = authenticate(authorization);
+      if (!Array.isArray(body.problems)) {
+        throw new HttpError(400, "Expected a list of problems");
+      }
+      const interview = { _id: createId("i"), userId: user._id, ...body };
+      // Newest first
+      db.interviews.unshift(interview);
+      const { userId, ...saved } = interview;
+      return [201, saved];
+    }],
+
+    ["GET", "/reviews", ({ authorization }) => {
+      const user = authenticate(authorization);
+      return db.reviews.filter((r) => r.userId === user._id).map(({ userId, ...review }) => review);
+    }],
+    ["PUT", "/reviews/:problemId", ({ authorization, params, body }) => {
+      const user = authenticate(authorization);
+      findProblem(params.problemId);
+      db.reviews = db.reviews.filter((r) => !(r.userId === user._id && r.problemId === params.problemId));
+      const review = { ...body, userId: user._id, problemId: params.problemId };
+      db.reviews.push(review);
+      return { ...body, problemId: params.problemId };
+    }],
+  ].map(([method, path, handler]) => ({
+    method,
+    path,
+    handler,
+    pattern: new RegExp(`^${path.replace(/:(\w+)/g, "(?<$1>[^/]+)")}$`),
+  }));
+
+  return { db, reset, routes };
+};
+
+const parseBody = (text) => {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch (error) {
+    throw new HttpError(400, "Request body must be JSON");
+  }
+};
+
+// Runs a route for a request and returns the status and data to send back.
+// `data` is a RawResponse for non-JSON bodies. Errors other than HttpError
+// are bugs, so they are rethrown for the caller to report.
+const respond = (route, { authorization, body, params }) => {
+  try {
+    const result = route.handler({ authorization, body: parseBody(body), params });
+    const [status, data] = Array.isArray(result) && typeof result[0] === "number" ? result : [200, result];
+    return { status, data };
+  } catch (error) {
+    if (!(error instanceof HttpError)) {
+      throw error;
+    }
+    return { status: error.status, data: { message: error.message } };
+  }
+};
+
+module.exports = { createApi, respond, RawResponse };
@@ -0,0 +1,59 @@
+// SVG progress card for public profiles, sized to sit in a README
+const WIDTH = 420;
+const HEIGHT = 180;
+
+const COLORS = {
+  background: "#ffffff",
+  border: "#e5e7eb",
+  title: "#111827",
+  text: "#4b5563",
+  track: "#e5e7eb",
+  overall: "#2563eb",
+  Easy: "#16a34a",
+  Medium: "#d97706",
+  Hard: "#dc2626",
+};
+
+const escapeXml = (value) =>
+  String(value).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+
+const percent = (completed, total) => (total > 0 ? Math.round((completed / total) * 100) : 0);
+
+const bar = (x, y, width, ratio, color) => [
+  `<rect x="${x}" y="${y}" width="${width}" height="8" rx="4" fill="${COLORS.track}"/>`,
+  ratio > 0 ? `<rect x="${x}" y="${y}" width="${Math.max(8, Math.round(width * ratio))}" height="8" rx="4" fill="${color}"/>` : "",
+].join("");
+
+// `profile` is the public profile payload: name, handle, completed, total and
+// difficulties. Nothing else about the user is drawn.
+const renderProgressCard = (profile) => {
+  const title = `${profile.name} · DSA Sheet`;
+  const rows = profile.difficulties.map(({ difficulty, completed, total }, index) => {
+    const y = 104 + index * 24;
+    return [
+      `<text x="24" y="${y + 8}" class="label">${escapeXml(difficulty)}</text>`,
+      bar(96, y, 220, total > 0 ? completed / total : 0, COLORS[difficulty] || COLORS.overall),
+      `<text x="396" y="${y + 8}" class="label" text-anchor="end">${completed}/${total}</text>`,
+    ].join("");
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-labelledby="card-title">`,
+    `<title id="card-title">${escapeXml(`${title}: ${profile.completed} of ${profile.total} problems solved`)}</title>`,
+    "<style>text{font-family:-apple-system,'Segoe UI',Helvetica,Arial,sans-serif}",
+    `.title{font-size:16px;font-weight:600;fill:${COLORS.title}}`,
+    `.handle{font-size:12px;fill:${COLORS.text}}`,
+    `.label{font-size:12px;fill:${COLORS.text}}`,
+    `.big{font-size:22px;font-weight:700;fill:${COLORS.title}}</style>`,
+    `<rect x="0.5" y="0.5" width="${WIDTH - 1}" height="${HEIGHT - 1}" rx="8" fill="${COLORS.background}" stroke="${COLORS.border}"/>`,
+    `<text x="24" y="32" class="title">${escapeXml(title)}</text>`,
+    `<text x="24" y="50" class="handle">@${escapeXml(profile.handle)}</text>`,
+    `<text x="24" y="84" class="big">${profile.completed}/${profile.total}</text>`,
+    `<text x="96" y="84" class="label">solved · ${percent(profile.completed, profile.total)}%</text>`,
+    bar(200, 76, 196, profile.total > 0 ? profile.completed / profile.total : 0, COLORS.overall),
+    ...rows,
+    "</svg>",
+  ].join("");
+};
+
+module.exports = { renderProgressCard };
@@ -0,0 +1,108 @@
+// Sample sheet, accounts and activity for the mock API. The local mock server
+// and the test suite both start from this data.
+
+const users = [
+  { _id: "u1", name: "Admin", email: "admin@example.com", password: "admin123", role: "admin", handle: "admin", publicProfile: false },
+  { _id: "u2", name: "Learner", email: "learner@example.com", password: "learner123", role: "user", handle: "learner", publicProfile: true },
+];
+
+const topics = [
+  {
+    _id: "t1",
+    title: "Arrays",
+    description: "Traversal, prefix sums and two pointers",
+    problems: ["p1", "p2", "p3"],
+  },
+  {
+    _id: "t2",
+    title: "Linked Lists",
+    description: "Pointer manipulation on singly linked lists",
+    problems: ["p4"],
+  },
+];
+
+const problems = [
+  {
+    _id: "p1",
+    title: "Two Sum",
+    description: "Find two numbers that add up to a target.",
+    difficulty: "Easy",
+    tags: ["array", "hash-map"],
+    links: {
+      leetcode: "https://leetcode.com/problems/two-sum/",
+      youtube: "https://www.youtube.com/watch?v=KLlXCFG5TnA",
+    },
+  },
+  {
+    _id: "p2",
+    title: "Container With Most Water",
+    description: "Pick two lines that hold the most water.",
+    difficulty: "Medium",
+    tags: ["array", "two-pointers"],
+    links: { leetcode: "https://leetcode.com/problems/container-with-most-water/" },
+  },
+  {
+    _id: "p3",
+    title: "Trapping Rain Water",
+    description: "Compute how much rain water is trapped between bars.",
+    difficulty: "Hard",
+    tags: ["array", "two-pointers", "stack"],
+    links: { leetcode: "https://leetcode.com/problems/trapping-rain-water/" },
+  },
+  {
+    _id: "p4",
+    title: "Reverse Linked List",
+    description: "Reverse a singly linked list in place.",
+    difficulty: "Easy",
+    tags: ["linked-list"],
+    links: { leetcode: "https://leetcode.com/problems/reverse-linked-list/" },
+  },
+];
+
+const solved = (_id, userId, problemId, completedAt) => ({
+  _id,
+  userId,
+  problemId,
+  completed: true,
+  status: "solved",
+  confidence: null,
+  notes: "",
+  attempts: [],
+  completedAt,
+  updatedAt: completedAt,
+});
+
+// The learner has solved Two Sum; the admin has solved Two Sum and Reverse Linked List
+const progress = [
+  solved("g1", "u2", "p1", "2024-01-01T10:00:00.000Z"),
+  solved("g2", "u1", "p1", "2024-01-02T10:00:00.000Z"),
+  solved("g3", "u1", "p4", "2024-01-03T10:00:00.000Z"),
+];
+
+// Both users share their progress in sg1, but only the admin is on its
+// leaderboard. The learner is not in sg2 and can join it with its code.
+const groups = [
+  {
+    _id: "sg1",
+    name: "Morning cohort",
+    description: "Arrays first",
+    ownerId: "u1",
+    inviteCode: "MORNING1",
+    members: [
+      { userId: "u1", joinedAt: "2024-01-01T09:00:00.000Z", shareProgress: true, onLeaderboard: true },
+      { userId: "u2", joinedAt: "2024-01-01T09:30:00.000Z", shareProgress: true, onLeaderboard: false },
+    ],
+  },
+  {
+    _id: "sg2",
+    name: "Evening cohort",
+    description: "",
+    ownerId: "u1",
+    inviteCode: "EVENING2",
+    members: [
+      { userId: "u1", joinedAt: "2024-01-01T18:00:00.000Z", shareProgress: true, onLeaderboard: false },
+    ],
+  },
+];
+
+module.exports = { users, topics, problems, progress, groups };
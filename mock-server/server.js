@@ -0,0 +1,77 @@
+// In-memory stand-in for the backend API, for local development and testing.
+// Data lives only as long as the process. The routes are in ./api.js.
+//
+//   npm run mock-server
+//   REACT_APP_API_URL=http://localhost:5001 npm start
+const http = require("http");
+const { createApi, respond, RawResponse } = require("./api");
+
+const PORT = Number(process.env.MOCK_API_PORT) || 5001;
+const APP_URL = process.env.MOCK_APP_URL || "http://localhost:3000";
+
+// There is no mail server, so reset links are printed to the console
+const { routes } = createApi({
+  onPasswordReset: (user, token) => {
+    console.log(`Password reset link for ${user.email}: ${APP_URL}/reset-password?token=${token}`);
+  },
+});
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => {
+      data += chunk;
+    });
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+
+const send = (req, res, status, data) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": req.headers.origin || "*",
+    "Access-Control-Allow-Credentials": "true",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  });
+  res.end(data === undefined ? "" : JSON.stringify(data));
+};
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") {
+    send(req, res, 204);
+    return;
+  }
+
+  const { pathname } = new URL(req.url, "http://localhost");
+  const route = routes.find((r) => r.method === req.method && r.pattern.test(pathname));
+  if (!route) {
+    send(req, res, 404, { message: "Not found" });
+    return;
+  }
+
+  try {
+    const { status, data } = respond(route, {
+      authorization: req.headers.authorization,
+      body: await readBody(req),
+      params: pathname.match(route.pattern).groups || {},
+    });
+    if (data instanceof RawResponse) {
+      res.writeHead(status, {
+        "Content-Type": data.contentType,
+        "Cache-Control": "public, max-age=300",
+        "Access-Control-Allow-Origin": "*",
+      });
+      res.end(data.body);
+      return;
+    }
+    send(req, res, status, data);
+  } catch (error) {
+    console.error(error);
+    send(req, res, 500, { message: "Server error" });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock API listening on http://localhost:${PORT}`);
+});
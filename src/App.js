@@ -1,78 +1,181 @@
-import React from 'react';
+import React, { useRef } from 'react';
 import { Routes, Route, Navigate } from 'react-router-dom';
-import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { AuthProvider } from './contexts/AuthContext';
+import { SyncProvider } from './contexts/SyncContext';
+import { ThemeProvider } from './contexts/ThemeContext';
+import { I18nProvider } from './contexts/I18nContext';
+import { AnnouncerProvider } from './contexts/AnnouncerContext';
 import Navbar from './components/Navbar';
+import KeyboardShortcuts from './components/KeyboardShortcuts';
+import SkipLink from './components/SkipLink';
+import UpdatePrompt from './components/UpdatePrompt';
+import SyncErrorNotice from './components/SyncErrorNotice';
+import { ProtectedRoute, AdminRoute, PublicRoute } from './components/RouteGuards';
+import useRouteFocus from './hooks/useRouteFocus';
 import Login from './pages/Login';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import Settings from './pages/Settings';
 import Dashboard from './pages/Dashboard';
 import TopicDetail from './pages/TopicDetail';
+import Revise from './pages/Revise';
+import Analytics from './pages/Analytics';
+import DataTransfer from './pages/DataTransfer';
+import Admin from './pages/Admin';
+import StudyLists from './pages/StudyLists';
+import StudyList from './pages/StudyList';
+import SharedStudyList from './pages/SharedStudyList';
+import StudyGroups from './pages/StudyGroups';
+import StudyGroup from './pages/StudyGroup';
+import PublicProfile from './pages/PublicProfile';
+import MockInterview from './pages/MockInterview';
 import './App.css';
 
-// Protected Route Component
-const ProtectedRoute = ({ children }) => {
-  const { user, loading } = useAuth();
-  
-  if (loading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
-      </div>
-    );
-  }
-  
-  return user ? children : <Navigate to="/login" />;
-};
-
-// Public Route Component (redirect to dashboard if logged in)
-const PublicRoute = ({ children }) => {
-  const { user, loading } = useAuth();
-  
-  if (loading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
-      </div>
-    );
-  }
-  
-  return user ? <Navigate to="/dashboard" /> : children;
-};
-
 function App() {
+  const mainRef = useRef(null);
+  useRouteFocus(mainRef);
+
   return (
-    <AuthProvider>
-      <div className="min-h-screen bg-gray-50">
-        <Navbar />
-        <main>
-          <Routes>
-            <Route path="/" element={<Navigate to="/dashboard" />} />
-            <Route 
-              path="/login" 
-              element={
-                <PublicRoute>
-                  <Login />
-                </PublicRoute>
-              } 
-            />
-            <Route 
-              path="/dashboard" 
-              element={
-                <ProtectedRoute>
-                  <Dashboard />
-                </ProtectedRoute>
-              } 
-            />
-            <Route 
-              path="/topic/:id" 
-              element={
-                <ProtectedRoute>
-                  <TopicDetail />
-                </ProtectedRoute>
-              } 
-            />
-          </Routes>
-        </main>
-      </div>
-    </AuthProvider>
+    <ThemeProvider>
+      <I18nProvider>
+        <AuthProvider>
+          <SyncProvider>
+            <AnnouncerProvider>
+              <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+                <SkipLink targetId="main-content" />
+                <Navbar />
+                <KeyboardShortcuts />
+                <main id="main-content" ref={mainRef} tabIndex={-1}>
+                  <Routes>
+                    <Route path="/" element={<Navigate to="/dashboard" />} />
+                    <Route 
+                      path="/login" 
+                      element={
+                        <PublicRoute>
+                          <Login />
+                        </PublicRoute>
+                      } 
+                    />
+                    <Route 
+                      path="/forgot-password" 
+                      element={
+                        <PublicRoute>
+                          <ForgotPassword />
+                        </PublicRoute>
+                      } 
+                    />
+                    {/* Reset links open from email, possibly in a signed-in browser */}
+                    <Route path="/reset-password" element={<ResetPassword />} />
+                    <Route 
+                      path="/dashboard" 
+                      element={
+                        <ProtectedRoute>
+                          <Dashboard />
+                        </ProtectedRoute>
+                      } 
+                    />
+                    <Route 
+                      path="/topic/:id" 
+                      element={
+                        <ProtectedRoute>
+                          <TopicDetail />
+                        </ProtectedRoute>
+                      } 
+                    />
+                    <Route 
+                      path="/revise" 
+                      element={
+                        <ProtectedRoute>
+                          <Revise />
+                        </ProtectedRoute>
+                      } 
+                    />
+                    <Route 
+                      path="/analytics" 
+                      element={
+                        <ProtectedRoute>
+                          <Analytics />
+                        </ProtectedRoute>
+                      } 
+                    />
+                    <Route 
+                      path="/import-export" 
+                      element={
+                        <ProtectedRoute>
+                          <DataTransfer />
+                        </ProtectedRoute>
+                      } 
+                    />
+                    <Route 
+                      path="/lists" 
+                      element={
+                        <ProtectedRoute>
+                          <StudyLists />
+                        </ProtectedRoute>
+                      } 
+                    />
+                    <Route 
+                      path="/lists/:id" 
+                      element={
+                        <ProtectedRoute>
+                          <StudyList />
+                        </ProtectedRoute>
+                      } 
+                    />
+                    <Route 
+                      path="/groups" 
+                      element={
+                        <ProtectedRoute>
+                          <StudyGroups />
+                        </ProtectedRoute>
+                      } 
+                    />
+                    <Route 
+                      path="/groups/:id" 
+                      element={
+                        <ProtectedRoute>
+                          <StudyGroup />
+                        </ProtectedRoute>
+                      } 
+                    />
+                    <Route 
+                      path="/mock-interview" 
+                      element={
+                        <ProtectedRoute>
+                          <MockInterview />
+                        </ProtectedRoute>
+                      } 
+                    />
+                    <Route 
+                      path="/settings" 
+                      element={
+                        <ProtectedRoute>
+                          <Settings />
+                        </ProtectedRoute>
+                      } 
+                    />
+                    {/* Shared lists are readable without signing in */}
+                    <Route path="/lists/shared/:shareId" element={<SharedStudyList />} />
+                    {/* Public profiles are opt-in and need no account to view */}
+                    <Route path="/u/:handle" element={<PublicProfile />} />
+                    <Route 
+                      path="/admin" 
+                      element={
+                        <AdminRoute>
+                          <Admin />
+                        </AdminRoute>
+                      } 
+                    />
+                  </Routes>
+                </main>
+                <UpdatePrompt />
+                <SyncErrorNotice />
+              </div>
+            </AnnouncerProvider>
+          </SyncProvider>
+        </AuthProvider>
+      </I18nProvider>
+    </ThemeProvider>
   );
 }
 
@@ -0,0 +1,95 @@
+import api from "./axios";
+import { setQueryData, invalidateQuery } from "./queryCache";
+import { topicsQuery, topicQuery, progressStatsQuery } from "./queries";
+
+// Sheet management for admins. Each mutation updates the cached topics so
+// every page sees the change without refetching the whole sheet.
+
+const replaceTopic = (topic) => {
+  setQueryData(topicsQuery.key, (topics = []) =>
+    topics.some((t) => t._id === topic._id)
+      ? topics.map((t) => (t._id === topic._id ? topic : t))
+      : [...topics, topic]
+  );
+  setQueryData(topicQuery(topic._id).key, topic);
+};
+
+const updateTopicProblems = (topicId, updater) => {
+  const update = (topic) =>
+    topic && { ...topic, problems: updater(topic.problems || []) };
+
+  setQueryData(topicsQuery.key, (topics = []) =>
+    topics.map((topic) => (topic._id === topicId ? update(topic) : topic))
+  );
+  setQueryData(topicQuery(topicId).key, update);
+  // Problem counts feed the dashboard totals
+  invalidateQuery(progressStatsQuery.key);
+};
+
+export const createTopic = async (topic) => {
+  const response = await api.post("/topics", topic);
+  replaceTopic({ problems: [], ...response.data });
+  return response.data;
+};
+
+export const updateTopic = async (topicId, changes) => {
+  const response = await api.put(`/topics/${topicId}`, changes);
+  replaceTopic(response.data);
+  return response.data;
+};
+
+export const deleteTopic = async (topicId) => {
+  await api.delete(`/topics/${topicId}`);
+  setQueryData(topicsQuery.key, (topics = []) =>
+    topics.filter((topic) => topic._id !== topicId)
+  );
+  setQueryData(topicQuery(topicId).key, undefined);
+  invalidateQuery(progressStatsQuery.key);
+};
+
+export const createProblem = async (topicId, problem) => {
+  const response = await api.post(`/topics/${topicId}/problems`, problem);
+  updateTopicProblems(topicId, (problems) => [...problems, response.data]);
+  return response.data;
+};
+
+export const updateProblem = async (topicId, problemId, changes) => {
+  const response = await api.put(`/problems/${problemId}`, changes);
+  updateTopicProblems(topicId, (problems) =>
+    problems.map((problem) => (problem._id === problemId ? response.data : problem))
+  );
+  return response.data;
+};
+
+export const deleteProblem = async (topicId, problemId) => {
+  await api.delete(`/problems/${problemId}`);
+  updateTopicProblems(topicId, (problems) =>
+    problems.filter((problem) => problem._id !== problemId)
+  );
+};
+
+// Save a new problem order. The cache is updated first so the list does not
+// jump back while the request is in flight, and restored if it fails.
+export const reorderProblems = async (topicId, problemIds) => {
+  let previous = [];
+  updateTopicProblems(topicId, (problems) => {
+    previous = problems;
+    const byId = new Map(problems.map((problem) => [problem._id, problem]));
+    return problemIds.map((id) => byId.get(id)).filter(Boolean);
+  });
+
+  try {
+    await api.put(`/topics/${topicId}/problems/order`, { problemIds });
+  } catch (error) {
+    updateTopicProblems(topicId, () => previous);
+    throw error;
+  }
+};
+
+// Create several topics, with their problems, in one request
+export const bulkCreateTopics = async (topics) => {
+  const response = await api.post("/topics/bulk", { topics });
+  invalidateQuery(topicsQuery.key);
+  invalidateQuery(progressStatsQuery.key);
+  return response.data;
+};
@@ -1,14 +1,85 @@
 import axios from "axios";
 
+const TOKEN_KEY = "token";
+
+// Requests that must never trigger a token refresh
+const AUTH_ENDPOINTS = ["/auth/login", "/auth/register", "/auth/refresh"];
+
 const api = axios.create({
   baseURL: process.env.REACT_APP_API_URL,
   withCredentials: true,
 });
 
+// Separate client so refresh calls bypass the interceptors below
+const refreshClient = axios.create({
+  baseURL: process.env.REACT_APP_API_URL,
+  withCredentials: true,
+});
+
+const tokenListeners = new Set();
+let refreshPromise = null;
+let sessionExpiredHandler = null;
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+  tokenListeners.forEach((listener) => listener(token));
+};
+
+export const onTokenChange = (listener) => {
+  tokenListeners.add(listener);
+  return () => tokenListeners.delete(listener);
+};
+
+// Called when the session cannot be refreshed and the user must sign in again
+export const setSessionExpiredHandler = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+// Exchange the refresh cookie for a new access token. Concurrent callers
+// share a single request.
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    const token = getToken();
+    refreshPromise = refreshClient
+      .post("/auth/refresh", null, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      })
+      .then((response) => {
+        setToken(response.data.token);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// The request never got a response, e.g. because the device is offline
+export const isNetworkError = (error) =>
+  Boolean(error && error.isAxiosError && !error.response);
+
+const isSessionRejected = (error) =>
+  [401, 403].includes(error?.response?.status);
+
+const isAuthEndpoint = (config) =>
+  AUTH_ENDPOINTS.some((endpoint) => (config.url || "").startsWith(endpoint));
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem("token");
+  async (config) => {
+    // Hold new requests while a refresh is in flight
+    if (refreshPromise && !isAuthEndpoint(config)) {
+      await refreshPromise.catch(() => null);
+    }
+
+    const token = getToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -19,15 +90,44 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle auth errors
+// Response interceptor to refresh the session on auth errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem("token");
-      window.location.href = "/login";
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (
+      error.response?.status !== 401 ||
+      !originalRequest ||
+      originalRequest._retry ||
+      isAuthEndpoint(originalRequest)
+    ) {
+      return Promise.reject(error);
+    }
+
+    originalRequest._retry = true;
+
+    try {
+      // Another request may already have refreshed the token
+      const currentToken = getToken();
+      const token =
+        currentToken &&
+        originalRequest.headers.Authorization !== `Bearer ${currentToken}`
+          ? currentToken
+          : await refreshSession();
+      originalRequest.headers.Authorization = `Bearer ${token}`;
+      return api(originalRequest);
+    } catch (refreshError) {
+      // Only a rejected refresh ends the session. A network error or server
+      // error during the refresh keeps the token for the next attempt.
+      if (isSessionRejected(refreshError)) {
+        setToken(null);
+        if (sessionExpiredHandler) {
+          sessionExpiredHandler();
+        }
+      }
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
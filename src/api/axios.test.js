@@ -0,0 +1,66 @@
+import { rest } from 'msw';
+import { server } from '../mocks/server';
+import { apiUrl } from '../mocks/handlers';
+import api, { getToken, setToken, setSessionExpiredHandler } from './axios';
+
+const onSessionExpired = jest.fn();
+
+// The first call answers 401 as if the access token had expired
+const expireTokenOnce = () => {
+  let calls = 0;
+  server.use(rest.get(apiUrl('/topics'), (req, res, ctx) => {
+    calls += 1;
+    return calls === 1 ? res(ctx.status(401)) : res(ctx.json({ authorization: req.headers.get('Authorization') }));
+  }));
+};
+
+const mockRefresh = (response) =>
+  server.use(rest.post(apiUrl('/auth/refresh'), (req, res, ctx) => response(res, ctx)));
+
+beforeEach(() => {
+  setToken('old-token');
+  setSessionExpiredHandler(onSessionExpired);
+});
+
+afterEach(() => {
+  setSessionExpiredHandler(null);
+  onSessionExpired.mockClear();
+});
+
+test('retries a request with the refreshed token', async () => {
+  expireTokenOnce();
+  mockRefresh((res, ctx) => res(ctx.json({ token: 'new-token' })));
+
+  const response = await api.get('/topics');
+
+  expect(response.data.authorization).toBe('Bearer new-token');
+  expect(getToken()).toBe('new-token');
+  expect(onSessionExpired).not.toHaveBeenCalled();
+});
+
+test('ends the session when the refresh is rejected', async () => {
+  expireTokenOnce();
+  mockRefresh((res, ctx) => res(ctx.status(401)));
+
+  await expect(api.get('/topics')).rejects.toMatchObject({ response: { status: 401 } });
+  expect(getToken()).toBeNull();
+  expect(onSessionExpired).toHaveBeenCalledTimes(1);
+});
+
+test('keeps the session when the refresh fails for another reason', async () => {
+  expireTokenOnce();
+  mockRefresh((res, ctx) => res(ctx.status(503)));
+
+  await expect(api.get('/topics')).rejects.toMatchObject({ response: { status: 401 } });
+  expect(getToken()).toBe('old-token');
+  expect(onSessionExpired).not.toHaveBeenCalled();
+});
+
+test('keeps the session when the refresh cannot reach the API', async () => {
+  expireTokenOnce();
+  server.use(rest.post(apiUrl('/auth/refresh'), (req, res) => res.networkError('Failed to connect')));
+
+  await expect(api.get('/topics')).rejects.toMatchObject({ response: { status: 401 } });
+  expect(getToken()).toBe('old-token');
+  expect(onSessionExpired).not.toHaveBeenCalled();
+});
@@ -0,0 +1,54 @@
+import api from "./axios";
+import { setQueryData } from "./queryCache";
+import { groupsQuery, groupQuery } from "./queries";
+
+// Study groups: members join with an invite code and can see each other's
+// progress, unless they choose to keep it to themselves
+
+const summarize = ({ _id, name, description, members, isOwner }) => ({
+  _id,
+  name,
+  description,
+  memberCount: members.length,
+  isOwner,
+});
+
+// Keep the group page and the list of groups in step with the latest detail
+const storeGroup = (group) => {
+  setQueryData(groupQuery(group._id).key, group);
+  setQueryData(groupsQuery.key, (groups = []) =>
+    groups.some((g) => g._id === group._id)
+      ? groups.map((g) => (g._id === group._id ? summarize(group) : g))
+      : [...groups, summarize(group)]
+  );
+  return group;
+};
+
+export const createGroup = async (group) => {
+  const response = await api.post("/groups", group);
+  return storeGroup(response.data);
+};
+
+export const joinGroup = async (code) => {
+  const response = await api.post("/groups/join", { code });
+  return storeGroup(response.data);
+};
+
+// Privacy settings for the signed-in member: { shareProgress, onLeaderboard }
+export const updateMembership = async (groupId, changes) => {
+  const response = await api.put(`/groups/${groupId}/membership`, changes);
+  return storeGroup(response.data);
+};
+
+export const leaveGroup = async (groupId) => {
+  await api.delete(`/groups/${groupId}/membership`);
+  setQueryData(groupQuery(groupId).key, undefined);
+  setQueryData(groupsQuery.key, (groups = []) =>
+    groups.filter((group) => group._id !== groupId)
+  );
+};
+
+export const regenerateInviteCode = async (groupId) => {
+  const response = await api.post(`/groups/${groupId}/invite-code`);
+  return storeGroup(response.data);
+};
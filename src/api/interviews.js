@@ -0,0 +1,10 @@
+import api from "./axios";
+import { setQueryData } from "./queryCache";
+import { interviewsQuery } from "./queries";
+
+// Save a finished mock interview so it shows up in the session history
+export const saveInterview = async (session) => {
+  const response = await api.post("/interviews", session);
+  setQueryData(interviewsQuery.key, (sessions = []) => [response.data, ...sessions]);
+  return response.data;
+};
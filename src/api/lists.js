@@ -0,0 +1,46 @@
+import api from "./axios";
+import { getQueryData, setQueryData } from "./queryCache";
+import { listsQuery } from "./queries";
+
+// Study lists: named, ordered sets of problems picked from any topic
+
+const replaceList = (list) => {
+  setQueryData(listsQuery.key, (lists = []) =>
+    lists.map((l) => (l._id === list._id ? list : l))
+  );
+};
+
+export const createList = async (list) => {
+  const response = await api.post("/lists", { problemIds: [], ...list });
+  setQueryData(listsQuery.key, (lists = []) => [...lists, response.data]);
+  return response.data;
+};
+
+// Changes show up straight away and are rolled back if the request fails
+export const updateList = async (listId, changes) => {
+  const previous = (getQueryData(listsQuery.key) || []).find((list) => list._id === listId);
+  if (previous) {
+    replaceList({ ...previous, ...changes });
+  }
+
+  try {
+    const response = await api.put(`/lists/${listId}`, changes);
+    replaceList(response.data);
+    return response.data;
+  } catch (error) {
+    if (previous) {
+      replaceList(previous);
+    }
+    throw error;
+  }
+};
+
+export const deleteList = async (listId) => {
+  await api.delete(`/lists/${listId}`);
+  setQueryData(listsQuery.key, (lists = []) =>
+    lists.filter((list) => list._id !== listId)
+  );
+};
+
+// Sharing gives the list a public read-only link; turning it off revokes the link
+export const setListShared = (listId, shared) => updateList(listId, { shared });
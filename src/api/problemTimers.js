@@ -0,0 +1,108 @@
+import api from "./axios";
+import { updateProgressRecord } from "./queries";
+
+// Per-problem attempt timers. Running timers are kept in localStorage as a
+// start timestamp plus time already banked, so they keep counting across
+// reloads and tab switches without anything ticking in the background.
+const STORAGE_KEY = "problemTimers";
+
+const listeners = new Set();
+
+const readTimers = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writeTimers = (timers) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(timers));
+  listeners.forEach((listener) => listener());
+};
+
+const isTimerFor = (timer, userId, problemId) =>
+  timer.userId === userId && timer.problemId === problemId;
+
+const updateTimer = (userId, problemId, update) => {
+  writeTimers(
+    readTimers().flatMap((timer) => {
+      if (!isTimerFor(timer, userId, problemId)) {
+        return [timer];
+      }
+      const next = update(timer);
+      return next ? [next] : [];
+    })
+  );
+};
+
+export const getTimers = (userId) =>
+  readTimers().filter((timer) => timer.userId === userId);
+
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Milliseconds on the clock, including the current run if the timer is going
+export const getElapsed = (timer, now = Date.now()) =>
+  timer.elapsed + (timer.runningSince ? now - timer.runningSince : 0);
+
+export const startTimer = (userId, problemId) => {
+  const now = Date.now();
+  const existing = readTimers().find((timer) => isTimerFor(timer, userId, problemId));
+
+  if (existing) {
+    updateTimer(userId, problemId, (timer) => ({
+      ...timer,
+      runningSince: timer.runningSince || now,
+    }));
+    return;
+  }
+
+  writeTimers([
+    ...readTimers(),
+    {
+      userId,
+      problemId,
+      startedAt: new Date(now).toISOString(),
+      runningSince: now,
+      elapsed: 0,
+    },
+  ]);
+};
+
+export const pauseTimer = (userId, problemId) => {
+  updateTimer(userId, problemId, (timer) => ({
+    ...timer,
+    elapsed: getElapsed(timer),
+    runningSince: null,
+  }));
+};
+
+export const discardTimer = (userId, problemId) => {
+  updateTimer(userId, problemId, () => null);
+};
+
+// Stop the timer and record the attempt against the problem's progress. If
+// the request fails the timer is left paused so the attempt is not lost.
+export const stopTimer = async (userId, problemId, { completed = false } = {}) => {
+  const timer = readTimers().find((t) => isTimerFor(t, userId, problemId));
+  if (!timer) {
+    return null;
+  }
+
+  pauseTimer(userId, problemId);
+  const attempt = {
+    startedAt: timer.startedAt,
+    endedAt: new Date().toISOString(),
+    duration: Math.round(getElapsed(timer) / 1000),
+    completed,
+  };
+
+  const response = await api.post(`/progress/${problemId}/attempts`, attempt);
+  updateProgressRecord(problemId, { attempts: response.data.attempts });
+  discardTimer(userId, problemId);
+  return attempt;
+};
@@ -0,0 +1,222 @@
+import api from "./axios";
+import { updateProgressRecord } from "./queries";
+
+// Persistent outbox for progress changes (status, confidence, completed).
+// Entries survive reloads and are replayed in order once the browser is back
+// online.
+const STORAGE_KEY = "progressQueue";
+
+// Delay before retrying after a server error, doubling on each failure
+const RETRY_BASE_DELAY = 2000;
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+const listeners = new Set();
+const rejectionListeners = new Set();
+let flushing = null;
+let retryTimer = null;
+let retryAttempt = 0;
+
+// Entries queued before statuses existed hold a bare completed flag
+const normalizeEntry = (entry) =>
+  typeof entry.previous === "boolean"
+    ? {
+        ...entry,
+        changes: { completed: entry.completed },
+        previous: { completed: entry.previous },
+      }
+    : entry;
+
+const readQueue = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored).map(normalizeEntry) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writeQueue = (queue) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+  listeners.forEach((listener) => listener());
+};
+
+export const getQueue = (userId) =>
+  readQueue().filter((entry) => entry.userId === userId);
+
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Called with { problemId, message } when the API rejects a queued change and
+// it is dropped, so the app can tell the user their change was undone
+export const subscribeRejections = (listener) => {
+  rejectionListeners.add(listener);
+  return () => rejectionListeners.delete(listener);
+};
+
+// Drop fields that are back to their last synced value. Returns null when
+// nothing is left to send.
+const withoutUnchanged = (entry) => {
+  const changes = Object.fromEntries(
+    Object.entries(entry.changes).filter(
+      ([key, value]) => value !== entry.previous[key]
+    )
+  );
+  return Object.keys(changes).length > 0 ? { ...entry, changes } : null;
+};
+
+// Repeated changes to the same problem collapse into one entry holding the
+// latest values; changing everything back to the last synced state drops it.
+// `current` holds the values shown before this change, used as the synced
+// state when nothing is queued yet.
+export const enqueueChange = (userId, problemId, changes, current) => {
+  const queue = readQueue();
+  const existing = queue.find(
+    (entry) => entry.userId === userId && entry.problemId === problemId
+  );
+  const rest = queue.filter((entry) => entry !== existing);
+
+  const previous = { ...(existing ? existing.previous : {}) };
+  Object.keys(changes).forEach((key) => {
+    if (!(key in previous)) {
+      previous[key] = current[key];
+    }
+  });
+
+  // A completion date only belongs with the completed flag it was sent with
+  const merged = { ...(existing ? existing.changes : {}), ...changes };
+  if ("completed" in changes && !("completedAt" in changes)) {
+    delete merged.completedAt;
+  }
+
+  const entry = withoutUnchanged({
+    userId,
+    problemId,
+    changes: merged,
+    previous,
+    queuedAt: new Date().toISOString(),
+  });
+
+  writeQueue(entry ? [...rest, entry] : rest);
+};
+
+// Remove a replayed entry. If the problem was changed again while the request
+// was in flight, keep the newer entry but rebase it on the server state.
+const settleEntry = (settled, serverState) => {
+  const queue = readQueue().flatMap((entry) => {
+    if (entry.userId !== settled.userId || entry.problemId !== settled.problemId) {
+      return [entry];
+    }
+    if (entry.queuedAt === settled.queuedAt) {
+      return [];
+    }
+    const rebased = withoutUnchanged({
+      ...entry,
+      previous: { ...entry.previous, ...serverState },
+    });
+    return rebased ? [rebased] : [];
+  });
+  writeQueue(queue);
+};
+
+// Network failures and server errors are worth retrying; anything else means
+// the backend rejected the change and it should be dropped.
+const isRetryable = (error) =>
+  !error.response ||
+  error.response.status >= 500 ||
+  [401, 408, 429].includes(error.response.status);
+
+// Record fields for a change, stamping completion time when it flips.
+// Imported completions carry their original date.
+const recordChanges = (changes, changedAt) =>
+  "completed" in changes
+    ? {
+        ...changes,
+        completedAt: changes.completed ? changes.completedAt || changedAt : null,
+      }
+    : changes;
+
+// Replay queued entries in order. Returns true when a retryable error stopped
+// the replay with entries still queued.
+const replay = async (userId) => {
+  while (navigator.onLine) {
+    const [entry] = getQueue(userId);
+    if (!entry) break;
+
+    try {
+      await api.post(`/progress/${entry.problemId}`, entry.changes);
+      updateProgressRecord(entry.problemId, {
+        ...recordChanges(entry.changes, entry.queuedAt),
+        updatedAt: new Date().toISOString(),
+      });
+      settleEntry(entry, entry.changes);
+      retryAttempt = 0;
+    } catch (error) {
+      if (isRetryable(error)) return true;
+      settleEntry(entry, entry.previous);
+      const rejection = { problemId: entry.problemId, message: error.response?.data?.message || null };
+      rejectionListeners.forEach((listener) => listener(rejection));
+    }
+  }
+  return false;
+};
+
+export const cancelRetry = () => {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+};
+
+// While the browser stays online there is no `online` event to wait for, so
+// failed replays are retried on a timer
+const scheduleRetry = (userId) => {
+  const delay = Math.min(RETRY_BASE_DELAY * 2 ** retryAttempt, RETRY_MAX_DELAY);
+  retryAttempt += 1;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flushQueue(userId);
+  }, delay);
+};
+
+export const flushQueue = (userId) => {
+  if (!flushing) {
+    cancelRetry();
+    flushing = replay(userId)
+      .then((shouldRetry) => {
+        if (shouldRetry) {
+          scheduleRetry(userId);
+        } else {
+          retryAttempt = 0;
+        }
+      })
+      .finally(() => {
+        flushing = null;
+      });
+  }
+  return flushing;
+};
+
+// Overlay queued-but-unsynced changes on progress records from the API,
+// stamping them with the time they were made
+export const applyPendingChanges = (progress, pending) =>
+  pending.reduce((records, entry) => {
+    const existing = records.find((p) => p.problemId._id === entry.problemId);
+    const changes = {
+      ...recordChanges(entry.changes, entry.queuedAt),
+      updatedAt: entry.queuedAt,
+    };
+
+    if (existing) {
+      return records.map((p) => (p === existing ? { ...p, ...changes } : p));
+    }
+
+    return [
+      ...records,
+      {
+        problemId: { _id: entry.problemId },
+        completed: false,
+        ...changes,
+        _id: `pending-${entry.problemId}`,
+      },
+    ];
+  }, progress);
@@ -0,0 +1,96 @@
+import api from "./axios";
+import { setQueryData, invalidateQuery } from "./queryCache";
+import { reviewProblemId } from "../utils/revision";
+
+// Query definitions shared by every page that needs the same data
+export const topicsQuery = {
+  key: "topics",
+  fetcher: () => api.get("/topics").then((response) => response.data),
+};
+
+export const topicQuery = (id) => ({
+  key: `topics/${id}`,
+  fetcher: () => api.get(`/topics/${id}`).then((response) => response.data),
+});
+
+export const progressQuery = {
+  key: "progress",
+  fetcher: () => api.get("/progress").then((response) => response.data),
+};
+
+export const progressStatsQuery = {
+  key: "progress/stats",
+  fetcher: () => api.get("/progress/stats").then((response) => response.data),
+};
+
+export const reviewsQuery = {
+  key: "reviews",
+  fetcher: () => api.get("/reviews").then((response) => response.data),
+};
+
+export const listsQuery = {
+  key: "lists",
+  fetcher: () => api.get("/lists").then((response) => response.data),
+};
+
+export const sharedListQuery = (shareId) => ({
+  key: `lists/shared/${shareId}`,
+  fetcher: () => api.get(`/lists/shared/${shareId}`).then((response) => response.data),
+});
+
+// Public, so it works without a token
+export const publicProfileQuery = (handle) => ({
+  key: `profiles/${handle}`,
+  fetcher: () => api.get(`/profiles/${encodeURIComponent(handle)}`).then((response) => response.data),
+});
+
+export const groupsQuery = {
+  key: "groups",
+  fetcher: () => api.get("/groups").then((response) => response.data),
+};
+
+export const groupQuery = (id) => ({
+  key: `groups/${id}`,
+  fetcher: () => api.get(`/groups/${id}`).then((response) => response.data),
+});
+
+export const interviewsQuery = {
+  key: "interviews",
+  fetcher: () => api.get("/interviews").then((response) => response.data),
+};
+
+const upsertByProblem = (records = [], problemId, getId, changes, create) => {
+  if (records.some((record) => getId(record) === problemId)) {
+    return records.map((record) =>
+      getId(record) === problemId ? { ...record, ...changes } : record
+    );
+  }
+  return [...records, create()];
+};
+
+const progressProblemId = (record) => record.problemId && record.problemId._id;
+
+// Targeted cache updates after a mutation, instead of refetching everything
+export const updateProgressRecord = (problemId, changes) => {
+  setQueryData(progressQuery.key, (records) =>
+    upsertByProblem(records, problemId, progressProblemId, changes, () => ({
+      _id: `local-${problemId}`,
+      problemId: { _id: problemId },
+      completed: false,
+      ...changes,
+    }))
+  );
+
+  if ("completed" in changes) {
+    invalidateQuery(progressStatsQuery.key);
+  }
+};
+
+export const updateReview = (problemId, review) => {
+  setQueryData(reviewsQuery.key, (records) =>
+    upsertByProblem(records, problemId, reviewProblemId, review, () => ({
+      problemId,
+      ...review,
+    }))
+  );
+};
@@ -0,0 +1,137 @@
+// Shared cache for API data with stale-while-revalidate semantics. Cached
+// data is served immediately and refetched in the background once stale;
+// concurrent requests for the same key share one network call.
+export const DEFAULT_STALE_TIME = 60 * 1000;
+
+const entries = new Map();
+
+const createSnapshot = (entry) => ({
+  data: entry.data,
+  error: entry.error,
+  updatedAt: entry.updatedAt,
+  isFetching: Boolean(entry.promise),
+});
+
+const getEntry = (key) => {
+  if (!entries.has(key)) {
+    const entry = {
+      data: undefined,
+      error: null,
+      updatedAt: 0,
+      promise: null,
+      fetcher: null,
+      mutatedDuringFetch: false,
+      generation: 0,
+      listeners: new Set(),
+    };
+    entry.snapshot = createSnapshot(entry);
+    entries.set(key, entry);
+  }
+  return entries.get(key);
+};
+
+const notify = (entry) => {
+  entry.snapshot = createSnapshot(entry);
+  entry.listeners.forEach((listener) => listener());
+};
+
+export const getQuerySnapshot = (key) => getEntry(key).snapshot;
+
+export const getQueryData = (key) => getEntry(key).data;
+
+export const subscribeQuery = (key, listener) => {
+  const entry = getEntry(key);
+  entry.listeners.add(listener);
+  return () => entry.listeners.delete(listener);
+};
+
+export const fetchQuery = (key, fetcher, { force = false, staleTime = DEFAULT_STALE_TIME } = {}) => {
+  const entry = getEntry(key);
+  entry.fetcher = fetcher;
+
+  if (entry.promise) {
+    return entry.promise;
+  }
+
+  const isFresh = entry.data !== undefined && Date.now() - entry.updatedAt < staleTime;
+  if (!force && isFresh) {
+    return Promise.resolve(entry.data);
+  }
+
+  entry.mutatedDuringFetch = false;
+  const { generation } = entry;
+  const promise = fetcher()
+    .then((data) => {
+      // The cache was cleared while this request was in flight
+      if (generation !== entry.generation) {
+        return data;
+      }
+      // A targeted update landed while this request was in flight, so the
+      // response may already be out of date. Keep the local data and let the
+      // next access revalidate.
+      if (entry.mutatedDuringFetch) {
+        entry.updatedAt = 0;
+        return entry.data;
+      }
+      entry.data = data;
+      entry.error = null;
+      entry.updatedAt = Date.now();
+      return data;
+    })
+    .catch((error) => {
+      if (generation === entry.generation) {
+        entry.error = error;
+      }
+      throw error;
+    })
+    .finally(() => {
+      if (generation === entry.generation) {
+        entry.promise = null;
+        notify(entry);
+      }
+    });
+
+  entry.promise = promise;
+  notify(entry);
+  return promise;
+};
+
+// Update cached data in place, e.g. after a successful mutation
+export const setQueryData = (key, updater) => {
+  const entry = getEntry(key);
+  entry.data = typeof updater === "function" ? updater(entry.data) : updater;
+  if (entry.promise) {
+    entry.mutatedDuringFetch = true;
+  }
+  notify(entry);
+};
+
+// Mark data as stale and refetch it if anything is currently using it
+export const invalidateQuery = (key) => {
+  const entry = getEntry(key);
+  entry.updatedAt = 0;
+
+  if (entry.listeners.size > 0 && entry.fetcher) {
+    fetchQuery(key, entry.fetcher).catch(() => null);
+  }
+};
+
+export const refetchActiveQueries = () =>
+  Promise.all(
+    [...entries.entries()]
+      .filter(([, entry]) => entry.listeners.size > 0 && entry.fetcher)
+      .map(([key, entry]) => fetchQuery(key, entry.fetcher, { force: true }).catch(() => null))
+  );
+
+// Drop everything, e.g. when a different user signs in
+export const clearQueries = () => {
+  entries.forEach((entry) => {
+    entry.data = undefined;
+    entry.error = null;
+    entry.updatedAt = 0;
+    // Responses still in flight belong to the previous user, so orphan them
+    entry.promise = null;
+    entry.generation += 1;
+    notify(entry);
+  });
+};
@@ -0,0 +1,82 @@
+import React from 'react';
+import { useI18n } from '../contexts/I18nContext';
+
+const CELL = 11;
+const GAP = 3;
+const LEFT = 28;
+const TOP = 16;
+
+const LEVELS = ['fill-gray-200 dark:fill-gray-700', 'fill-success-200', 'fill-success-400', 'fill-success-600', 'fill-success-800'];
+const DAY_LABELS = [[1, 'mon'], [3, 'wed'], [5, 'fri']];
+
+const getLevel = (count) => {
+  if (count === 0) return 0;
+  if (count === 1) return 1;
+  if (count <= 3) return 2;
+  if (count <= 5) return 3;
+  return 4;
+};
+
+// GitHub-style grid of daily completions; expects columns from buildHeatmap
+const ActivityHeatmap = ({ weeks }) => {
+  const { t, formatDate } = useI18n();
+  const width = LEFT + weeks.length * (CELL + GAP);
+  const height = TOP + 7 * (CELL + GAP);
+
+  // Label each column where a new month starts
+  const monthLabels = weeks.reduce((labels, days, index) => {
+    const first = days.find(Boolean);
+    if (first && (index === 0 || first.date.getDate() <= 7)) {
+      labels.push({ index, label: formatDate(first.date, { month: 'short' }) });
+    }
+    return labels;
+  }, []);
+
+  return (
+    <div className="overflow-x-auto custom-scrollbar">
+      <svg width={width} height={height} role="img" aria-label={t('analytics.heatmap.label')}>
+        {monthLabels.map(({ index, label }) => (
+          <text key={index} x={LEFT + index * (CELL + GAP)} y={10} className="fill-gray-500 dark:fill-gray-400 text-[10px]">
+            {label}
+          </text>
+        ))}
+        {DAY_LABELS.map(([day, label]) => (
+          <text key={label} x={0} y={TOP + day * (CELL + GAP) + CELL - 2} className="fill-gray-500 dark:fill-gray-400 text-[10px]">
+            {t(`analytics.heatmap.days.${label}`)}
+          </text>
+        ))}
+        {weeks.map((days, week) =>
+          days.map((day, index) => day && (
+            <rect
+              key={`${week}-${index}`}
+              x={LEFT + week * (CELL + GAP)}
+              y={TOP + index * (CELL + GAP)}
+              width={CELL}
+              height={CELL}
+              rx={2}
+              className={LEVELS[getLevel(day.count)]}
+            >
+              <title>
+                {t('analytics.heatmap.day', {
+                  count: day.count,
+                  date: formatDate(day.date, { month: 'short', day: 'numeric', year: 'numeric' })
+                })}
+              </title>
+            </rect>
+          ))
+        )}
+      </svg>
+      <div className="flex items-center justify-end space-x-1 mt-2 text-xs text-gray-500 dark:text-gray-400">
+        <span>{t('analytics.heatmap.less')}</span>
+        <svg width={LEVELS.length * (CELL + GAP)} height={CELL} aria-hidden="true">
+          {LEVELS.map((level, index) => (
+            <rect key={level} x={index * (CELL + GAP)} width={CELL} height={CELL} rx={2} className={level} />
+          ))}
+        </svg>
+        <span>{t('analytics.heatmap.more')}</span>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityHeatmap;
@@ -0,0 +1,120 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { useI18n } from '../contexts/I18nContext';
+import useQuery from '../hooks/useQuery';
+import { listsQuery } from '../api/queries';
+import { createList, updateList } from '../api/lists';
+import { listHasProblem, toggleListProblem } from '../utils/studyLists';
+
+// Popover on a problem card for adding it to, or removing it from, study lists
+const AddToListMenu = ({ problemId }) => {
+  const [open, setOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [error, setError] = useState('');
+  const { data: lists = [] } = useQuery(listsQuery);
+  const menuRef = useRef(null);
+  const { t } = useI18n();
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const handleToggle = async (list) => {
+    setError('');
+    try {
+      await updateList(list._id, { problemIds: toggleListProblem(list, problemId) });
+    } catch (error) {
+      console.error('Error updating list:', error);
+      setError(t('addToList.updateError'));
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) {
+      return;
+    }
+    setError('');
+    try {
+      await createList({ name: newName.trim(), problemIds: [problemId] });
+      setNewName('');
+    } catch (error) {
+      console.error('Error creating list:', error);
+      setError(t('addToList.createError'));
+    }
+  };
+
+  const inListCount = lists.filter(list => listHasProblem(list, problemId)).length;
+
+  return (
+    <div className="relative" ref={menuRef} onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="flex items-center space-x-1 text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 link-icon"
+        aria-expanded={open}
+        aria-haspopup="true"
+      >
+        <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+          <path d="M5 4a2 2 0 012-2h6a2 2 0 012 2v14l-5-2.5L5 18V4z" />
+        </svg>
+        <span className="text-sm">{inListCount > 0 ? t('addToList.inLists', { count: inListCount }) : t('addToList.button')}</span>
+      </button>
+
+      {open && (
+        <div className="absolute z-20 mt-2 w-64 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg p-3">
+          {lists.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">{t('addToList.empty')}</p>
+          ) : (
+            <ul className="max-h-48 overflow-y-auto custom-scrollbar mb-2">
+              {lists.map(list => (
+                <li key={list._id}>
+                  <label className="flex items-center space-x-2 py-1 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={listHasProblem(list, problemId)}
+                      onChange={() => handleToggle(list)}
+                    />
+                    <span className="truncate">{list.name}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={handleCreate} className="flex space-x-2">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              className="input text-sm py-1"
+              placeholder={t('addToList.newName')}
+              aria-label={t('addToList.newName')}
+            />
+            <button type="submit" className="btn btn-primary text-sm py-1">{t('addToList.create')}</button>
+          </form>
+
+          {error && <p className="mt-2 text-xs text-danger-700 dark:text-danger-400">{error}</p>}
+
+          <Link to="/lists" className="block mt-2 text-xs text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300">
+            {t('addToList.manage')}
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AddToListMenu;
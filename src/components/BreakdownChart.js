@@ -0,0 +1,44 @@
+import React from 'react';
+import { useI18n } from '../contexts/I18nContext';
+
+const ROW_HEIGHT = 28;
+const LABEL_WIDTH = 120;
+const BAR_WIDTH = 240;
+const VALUE_WIDTH = 64;
+
+// Horizontal solved vs. total bars; expects rows from breakdownBy
+const BreakdownChart = ({ rows, label }) => {
+  const { t, formatNumber } = useI18n();
+  const height = rows.length * ROW_HEIGHT;
+
+  if (rows.length === 0) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">{t('analytics.breakdown.empty')}</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto custom-scrollbar">
+      <svg width={LABEL_WIDTH + BAR_WIDTH + VALUE_WIDTH} height={height} role="img" aria-label={label}>
+        {rows.map((row, index) => {
+          const y = index * ROW_HEIGHT;
+          const solvedWidth = row.total > 0 ? Math.round((row.solved / row.total) * BAR_WIDTH) : 0;
+
+          return (
+            <g key={row.label}>
+              <text x={0} y={y + 17} className="fill-gray-700 dark:fill-gray-300 text-xs">
+                {row.label.length > 16 ? `${row.label.slice(0, 15)}…` : row.label}
+              </text>
+              <rect x={LABEL_WIDTH} y={y + 6} width={BAR_WIDTH} height={14} rx={7} className="fill-gray-200 dark:fill-gray-700" />
+              <rect x={LABEL_WIDTH} y={y + 6} width={solvedWidth} height={14} rx={7} className="fill-success-500" />
+              <text x={LABEL_WIDTH + BAR_WIDTH + 8} y={y + 17} className="fill-gray-600 dark:fill-gray-400 text-xs">
+                {formatNumber(row.solved)}/{formatNumber(row.total)}
+              </text>
+              <title>{t('analytics.breakdown.row', { label: row.label, solved: row.solved, total: row.total })}</title>
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+};
+
+export default BreakdownChart;
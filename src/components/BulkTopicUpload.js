@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { useI18n } from '../contexts/I18nContext';
+import { bulkCreateTopics } from '../api/admin';
+import { parseBulkTopics, translateError } from '../utils/sheetValidation';
+
+const BulkTopicUpload = () => {
+  const { t } = useI18n();
+  const [upload, setUpload] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [result, setResult] = useState('');
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setUpload(null);
+    setErrors([]);
+    setResult('');
+
+    if (!file) {
+      return;
+    }
+
+    const { topics, errors } = parseBulkTopics(await file.text());
+    setErrors(errors.map(error => translateError(t, error)));
+    if (errors.length === 0) {
+      setUpload({ fileName: file.name, topics });
+    }
+    e.target.value = '';
+  };
+
+  const handleUpload = async () => {
+    setUploading(true);
+    try {
+      await bulkCreateTopics(upload.topics);
+      setResult(t('admin.bulk.uploaded', { count: upload.topics.length }));
+      setUpload(null);
+    } catch (error) {
+      console.error('Error uploading topics:', error);
+      setErrors([error.response?.data?.message || t('admin.bulk.failed')]);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const problemCount = upload ? upload.topics.reduce((total, topic) => total + topic.problems.length, 0) : 0;
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        {t('admin.bulk.description')}
+      </p>
+      <label htmlFor="bulk-upload-file" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+        {t('admin.bulk.fileLabel')}
+      </label>
+      <input
+        id="bulk-upload-file"
+        type="file"
+        accept=".json,application/json"
+        onChange={handleFileChange}
+        disabled={uploading}
+        className="block text-sm text-gray-700 dark:text-gray-300"
+      />
+
+      {errors.length > 0 && (
+        <div className="bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg mt-4">
+          <ul className="list-disc pl-5 text-sm max-h-48 overflow-y-auto custom-scrollbar">
+            {errors.map((message, index) => (
+              <li key={index}>{message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {result && (
+        <div className="bg-success-50 dark:bg-success-900/30 border border-success-200 dark:border-success-800 text-success-800 dark:text-success-200 px-4 py-3 rounded-lg mt-4">
+          {result}
+        </div>
+      )}
+
+      {upload && (
+        <div className="flex justify-between items-center mt-4">
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            <span className="font-medium">{upload.fileName}</span>:{' '}
+            {t('admin.bulk.summary', {
+              topics: t('admin.bulk.topics', { count: upload.topics.length }),
+              problems: t('admin.bulk.problems', { count: problemCount })
+            })}
+          </p>
+          <div className="flex space-x-2">
+            <button onClick={() => setUpload(null)} disabled={uploading} className="btn btn-secondary text-sm">
+              {t('admin.form.cancel')}
+            </button>
+            <button onClick={handleUpload} disabled={uploading} className="btn btn-primary text-sm disabled:opacity-50">
+              {uploading ? <span className="loading-dots">{t('admin.bulk.uploading')}</span> : t('admin.bulk.upload')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkTopicUpload;
@@ -0,0 +1,57 @@
+import React, { useRef } from 'react';
+
+const INDENT = '  ';
+
+// Plain textarea with code-friendly keys: Tab indents (press Escape first to
+// move focus on instead) and Ctrl/Cmd+Enter calls `onRun`.
+const CodeEditor = ({ id, value, onChange, onRun, describedBy }) => {
+  const escapedRef = useRef(false);
+
+  const handleKeyDown = (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+      e.preventDefault();
+      onRun();
+      return;
+    }
+
+    if (e.key === 'Escape') {
+      escapedRef.current = true;
+      return;
+    }
+
+    if (e.key === 'Tab' && !e.shiftKey && !escapedRef.current) {
+      e.preventDefault();
+      const { selectionStart, selectionEnd } = e.target;
+      const next = value.slice(0, selectionStart) + INDENT + value.slice(selectionEnd);
+      onChange(next);
+      // Put the caret after the inserted indent once React has re-rendered
+      requestAnimationFrame(() => {
+        e.target.selectionStart = selectionStart + INDENT.length;
+        e.target.selectionEnd = selectionStart + INDENT.length;
+      });
+      return;
+    }
+
+    escapedRef.current = false;
+  };
+
+  return (
+    <textarea
+      id={id}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      onKeyDown={handleKeyDown}
+      onBlur={() => {
+        escapedRef.current = false;
+      }}
+      rows={12}
+      spellCheck={false}
+      autoCapitalize="off"
+      autoComplete="off"
+      aria-describedby={describedBy}
+      className="input font-mono text-sm leading-5 whitespace-pre overflow-x-auto"
+    />
+  );
+};
+
+export default CodeEditor;
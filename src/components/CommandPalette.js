@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import useQuery from '../hooks/useQuery';
+import { topicsQuery, listsQuery } from '../api/queries';
+import { useI18n } from '../contexts/I18nContext';
+import { fuzzySearch } from '../utils/fuzzy';
+
+// Page names live in the locale catalogs under palette.pages
+const PAGES = [
+  { type: 'page', labelKey: 'palette.pages.dashboard', path: '/dashboard' },
+  { type: 'page', labelKey: 'palette.pages.lists', path: '/lists' },
+  { type: 'page', labelKey: 'palette.pages.groups', path: '/groups' },
+  { type: 'page', labelKey: 'palette.pages.revise', path: '/revise' },
+  { type: 'page', labelKey: 'palette.pages.interview', path: '/mock-interview' },
+  { type: 'page', labelKey: 'palette.pages.analytics', path: '/analytics' },
+  { type: 'page', labelKey: 'palette.pages.importExport', path: '/import-export' },
+  { type: 'page', labelKey: 'palette.pages.settings', path: '/settings' },
+  { type: 'page', labelKey: 'palette.pages.admin', path: '/admin', adminOnly: true }
+];
+
+const LISTBOX_ID = 'command-palette-results';
+const optionId = (index) => `command-palette-option-${index}`;
+
+const CommandPalette = ({ onClose }) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const navigate = useNavigate();
+  const inputRef = useRef(null);
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const isAdmin = Boolean(user && user.role === 'admin');
+
+  const { data: topics = [] } = useQuery(topicsQuery);
+  const { data: lists = [] } = useQuery(listsQuery);
+
+  useEffect(() => {
+    inputRef.current.focus();
+  }, []);
+
+  const items = useMemo(() => [
+    ...PAGES
+      .filter(page => isAdmin || !page.adminOnly)
+      .map(({ labelKey, ...page }) => ({ ...page, label: t(labelKey) })),
+    ...topics.map(topic => ({
+      type: 'topic',
+      label: topic.title,
+      path: `/topic/${topic._id}`
+    })),
+    ...lists.map(list => ({
+      type: 'list',
+      label: list.name,
+      path: `/lists/${list._id}`
+    })),
+    ...topics.flatMap(topic => (topic.problems || []).map(problem => ({
+      type: 'problem',
+      label: problem.title,
+      detail: topic.title,
+      path: `/topic/${topic._id}#problem-${problem._id}`
+    })))
+  ], [topics, lists, isAdmin, t]);
+
+  const results = useMemo(
+    () => (query.trim() ? fuzzySearch(items, query, item => item.label) : items.slice(0, 20)),
+    [items, query]
+  );
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query]);
+
+  const select = (item) => {
+    onClose();
+    navigate(item.path);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(index => Math.min(index + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      select(results[activeIndex]);
+    } else if (e.key === 'Escape') {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center pt-24 px-4 bg-gray-900 bg-opacity-50" onClick={onClose}>
+      <div
+        className="w-full max-w-xl bg-white dark:bg-gray-800 rounded-lg shadow-xl overflow-hidden"
+        role="dialog"
+        aria-modal="true"
+        aria-label={t('palette.title')}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <input
+          ref={inputRef}
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          className="w-full px-4 py-3 bg-transparent text-gray-900 dark:text-gray-100 border-b border-gray-200 dark:border-gray-700 focus:outline-none"
+          placeholder={t('palette.placeholder')}
+          aria-label={t('palette.search')}
+          role="combobox"
+          aria-expanded="true"
+          aria-controls={LISTBOX_ID}
+          aria-autocomplete="list"
+          aria-activedescendant={results[activeIndex] ? optionId(activeIndex) : undefined}
+        />
+        <ul id={LISTBOX_ID} className="max-h-80 overflow-y-auto custom-scrollbar" role="listbox" aria-label={t('palette.results')}>
+          {results.length === 0 && (
+            <li className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">{t('palette.empty')}</li>
+          )}
+          {results.map((item, index) => (
+            <li
+              key={`${item.type}-${item.path}`}
+              id={optionId(index)}
+              role="option"
+              aria-selected={index === activeIndex}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => select(item)}
+              className={`flex items-center justify-between px-4 py-2 cursor-pointer ${index === activeIndex ? 'bg-primary-50 dark:bg-gray-700' : ''}`}
+            >
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate">{item.label}</p>
+                {item.detail && <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{item.detail}</p>}
+              </div>
+              <span className="text-xs text-gray-400 ml-4">{t(`palette.types.${item.type}`)}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { screen, fireEvent } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import { renderPage, signInAs } from '../testUtils';
+import CommandPalette from './CommandPalette';
+
+const renderPalette = () => {
+  const onClose = jest.fn();
+  const utils = renderPage(<CommandPalette onClose={onClose} />);
+  return { ...utils, onClose };
+};
+
+beforeEach(() => {
+  signInAs('learner@example.com');
+});
+
+test('lists every page, including groups and settings', async () => {
+  const { container } = renderPalette();
+  await screen.findByRole('option', { name: 'Arrays Topic' });
+
+  expect(screen.getByRole('option', { name: /Study Groups/ })).toBeInTheDocument();
+  expect(screen.getByRole('option', { name: /Settings/ })).toBeInTheDocument();
+  expect(screen.queryByRole('option', { name: /Admin/ })).not.toBeInTheDocument();
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+test('points the search box at the highlighted option', async () => {
+  renderPalette();
+  await screen.findByRole('option', { name: 'Arrays Topic' });
+  const input = screen.getByRole('combobox', { name: 'Search topics and problems' });
+  const options = screen.getAllByRole('option');
+  expect(input).toHaveAttribute('aria-activedescendant', options[0].id);
+
+  fireEvent.keyDown(input, { key: 'ArrowDown' });
+  expect(input).toHaveAttribute('aria-activedescendant', options[1].id);
+  expect(options[1]).toHaveAttribute('aria-selected', 'true');
+
+  fireEvent.change(input, { target: { value: 'settings' } });
+  fireEvent.keyDown(input, { key: 'Enter' });
+  expect(screen.getByTestId('location')).toHaveTextContent('/settings');
+});
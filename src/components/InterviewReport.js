@@ -0,0 +1,68 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useI18n } from '../contexts/I18nContext';
+import { OUTCOMES, summarizeSession } from '../utils/mockInterview';
+import { formatDuration } from '../utils/duration';
+
+const OUTCOME_STYLES = {
+  solved: 'text-success-700 dark:text-success-400',
+  partial: 'text-warning-700 dark:text-warning-400',
+  skipped: 'text-gray-500 dark:text-gray-400'
+};
+
+// Time spent and outcome for each problem in a mock interview session
+const InterviewReport = ({ session }) => {
+  const { t, formatNumber } = useI18n();
+  const { counts, totalTime, overTime } = summarizeSession(session);
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        {OUTCOMES.map(({ key, labelKey }) => (
+          <div key={key}>
+            <p className="text-sm text-gray-600 dark:text-gray-400">{t(labelKey)}</p>
+            <p className={`text-2xl font-bold ${OUTCOME_STYLES[key]}`}>{formatNumber(counts[key])}</p>
+          </div>
+        ))}
+        <div>
+          <p className="text-sm text-gray-600 dark:text-gray-400">{t('interview.totalTime')}</p>
+          <p className="text-2xl font-bold text-gray-900 dark:text-gray-100">{formatDuration(totalTime)}</p>
+          {overTime > 0 && (
+            <p className="text-xs text-danger-700 dark:text-danger-400">{t('interview.overLimit', { count: overTime })}</p>
+          )}
+        </div>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-600 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+            <th className="py-2 font-medium">{t('interview.problem')}</th>
+            <th className="py-2 font-medium">{t('interview.outcome')}</th>
+            <th className="py-2 font-medium text-right">{t('interview.time')}</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+          {session.problems.map(problem => (
+            <tr key={problem.problemId}>
+              <td className="py-2 pr-4">
+                <Link
+                  to={`/topic/${problem.topicId}#problem-${problem.problemId}`}
+                  className="font-medium text-gray-900 dark:text-gray-100 hover:text-primary-600 dark:hover:text-primary-400"
+                >
+                  {problem.title}
+                </Link>
+                <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{t(`difficulty.${problem.difficulty}`)}</span>
+              </td>
+              <td className={`py-2 pr-4 ${OUTCOME_STYLES[problem.outcome]}`}>{t(`interview.outcomes.${problem.outcome}`)}</td>
+              <td className={`py-2 text-right ${problem.timeSpent > problem.timeLimit ? 'text-danger-700 dark:text-danger-400' : 'text-gray-700 dark:text-gray-300'}`}>
+                {formatDuration(problem.timeSpent)} / {formatDuration(problem.timeLimit)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default InterviewReport;
@@ -0,0 +1,48 @@
+import React, { useState, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts';
+import CommandPalette from './CommandPalette';
+import ShortcutsHelp from './ShortcutsHelp';
+
+// App-wide shortcuts; page-specific ones (j/k/x/o) live in TopicDetail
+const KeyboardShortcuts = () => {
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+  const [isHelpOpen, setIsHelpOpen] = useState(false);
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const closePalette = useCallback(() => setIsPaletteOpen(false), []);
+  const closeHelp = useCallback(() => setIsHelpOpen(false), []);
+
+  useKeyboardShortcuts({
+    'mod+k': () => {
+      setIsHelpOpen(false);
+      setIsPaletteOpen(open => !open);
+    },
+    '?': () => setIsHelpOpen(true),
+    '/': () => {
+      // Pages with a search box mark it; elsewhere fall back to the palette
+      const searchInput = document.querySelector('[data-shortcut="search"]');
+      if (searchInput) {
+        searchInput.focus();
+      } else {
+        setIsPaletteOpen(true);
+      }
+    },
+    'g d': () => navigate('/dashboard')
+  }, Boolean(user));
+
+  if (!user) {
+    return null;
+  }
+
+  return (
+    <>
+      {isPaletteOpen && <CommandPalette onClose={closePalette} />}
+      {isHelpOpen && <ShortcutsHelp onClose={closeHelp} />}
+    </>
+  );
+};
+
+export default KeyboardShortcuts;
@@ -0,0 +1,16 @@
+import React from 'react';
+import { useI18n } from '../contexts/I18nContext';
+
+// Full-page spinner; the hidden text lets screen readers announce the wait
+const LoadingSpinner = () => {
+  const { t } = useI18n();
+
+  return (
+    <div className="min-h-screen flex items-center justify-center" role="status">
+      <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600" aria-hidden="true"></div>
+      <span className="sr-only">{t('common.loading')}</span>
+    </div>
+  );
+};
+
+export default LoadingSpinner;
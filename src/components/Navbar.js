@@ -1,9 +1,15 @@
 import React from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, NavLink, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useSync } from '../contexts/SyncContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { useI18n } from '../contexts/I18nContext';
 
 const Navbar = () => {
   const { user, logout } = useAuth();
+  const { pendingCount, isOnline } = useSync();
+  const { theme, toggleTheme } = useTheme();
+  const { t, locale, locales, setLocale } = useI18n();
   const navigate = useNavigate();
 
   const handleLogout = () => {
@@ -12,34 +18,94 @@ const Navbar = () => {
   };
 
   return (
-    <nav className="bg-white shadow-lg border-b border-gray-200">
+    <nav aria-label={t('nav.main')} className="bg-white dark:bg-gray-800 shadow-lg border-b border-gray-200 dark:border-gray-700">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
         <div className="flex justify-between items-center h-16">
           <div className="flex items-center">
             <Link to="/dashboard" className="flex items-center space-x-2">
-              <div className="w-8 h-8 bg-primary-600 rounded-lg flex items-center justify-center">
+              <div className="w-8 h-8 bg-primary-600 rounded-lg flex items-center justify-center" aria-hidden="true">
                 <span className="text-white font-bold text-lg">D</span>
               </div>
-              <span className="text-xl font-bold text-gray-900">DSA Sheet</span>
+              <span className="text-xl font-bold text-gray-900 dark:text-gray-100">{t('nav.brand')}</span>
             </Link>
           </div>
 
           <div className="flex items-center space-x-4">
+            <select
+              value={locale}
+              onChange={(e) => setLocale(e.target.value)}
+              className="text-sm border border-gray-300 dark:border-gray-600 rounded-md py-1 pl-2 pr-7 bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              aria-label={t('nav.language')}
+              title={t('nav.language')}
+            >
+              {locales.map(({ code, name }) => (
+                <option key={code} value={code} lang={code}>{name}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={toggleTheme}
+              className="p-2 rounded-lg text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+              title={theme === 'dark' ? t('nav.lightTheme') : t('nav.darkTheme')}
+              aria-label={theme === 'dark' ? t('nav.lightTheme') : t('nav.darkTheme')}
+            >
+              {theme === 'dark' ? (
+                <svg className="w-5 h-5" aria-hidden="true" fill="currentColor" viewBox="0 0 20 20">
+                  <path fillRule="evenodd" d="M10 2a1 1 0 011 1v1a1 1 0 11-2 0V3a1 1 0 011-1zm4 8a4 4 0 11-8 0 4 4 0 018 0zm-.464 4.95l.707.707a1 1 0 001.414-1.414l-.707-.707a1 1 0 00-1.414 1.414zm2.12-10.607a1 1 0 010 1.414l-.706.707a1 1 0 11-1.414-1.414l.707-.707a1 1 0 011.414 0zM17 11a1 1 0 100-2h-1a1 1 0 100 2h1zm-7 4a1 1 0 011 1v1a1 1 0 11-2 0v-1a1 1 0 011-1zM5.05 6.464A1 1 0 106.465 5.05l-.708-.707a1 1 0 00-1.414 1.414l.707.707zm1.414 8.486l-.707.707a1 1 0 01-1.414-1.414l.707-.707a1 1 0 011.414 1.414zM4 11a1 1 0 100-2H3a1 1 0 000 2h1z" clipRule="evenodd" />
+                </svg>
+              ) : (
+                <svg className="w-5 h-5" aria-hidden="true" fill="currentColor" viewBox="0 0 20 20">
+                  <path d="M17.293 13.293A8 8 0 016.707 2.707a8.001 8.001 0 1010.586 10.586z" />
+                </svg>
+              )}
+            </button>
             {user ? (
               <>
-                <span className="text-sm text-gray-600">
-                  Welcome, <span className="font-medium">{user.name}</span>
+                <NavLink to="/lists" className="text-sm font-medium text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400">
+                  {t('nav.lists')}
+                </NavLink>
+                <NavLink to="/groups" className="text-sm font-medium text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400">
+                  {t('nav.groups')}
+                </NavLink>
+                <NavLink to="/mock-interview" className="text-sm font-medium text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400">
+                  {t('nav.interview')}
+                </NavLink>
+                <NavLink to="/revise" className="text-sm font-medium text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400">
+                  {t('nav.revise')}
+                </NavLink>
+                <NavLink to="/analytics" className="text-sm font-medium text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400">
+                  {t('nav.analytics')}
+                </NavLink>
+                <NavLink to="/settings" className="text-sm font-medium text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400">
+                  {t('nav.settings')}
+                </NavLink>
+                {user.role === 'admin' && (
+                  <NavLink to="/admin" className="text-sm font-medium text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400">
+                    {t('nav.admin')}
+                  </NavLink>
+                )}
+                {pendingCount > 0 && (
+                  <span
+                    className="flex items-center space-x-1 px-2 py-1 bg-warning-50 dark:bg-warning-900/30 border border-warning-200 dark:border-warning-700 text-warning-800 dark:text-warning-200 text-xs rounded-full"
+                    title={isOnline ? t('nav.syncing') : t('nav.offline')}
+                  >
+                    <span className={`w-2 h-2 rounded-full bg-warning-500 ${isOnline ? 'animate-pulse' : ''}`} aria-hidden="true"></span>
+                    <span>{t('nav.pendingSync', { count: pendingCount })}</span>
+                  </span>
+                )}
+                <span className="text-sm text-gray-600 dark:text-gray-400">
+                  {t('nav.welcome', { name: user.name })}
                 </span>
                 <button
                   onClick={handleLogout}
                   className="btn btn-secondary text-sm"
                 >
-                  Logout
+                  {t('nav.logout')}
                 </button>
               </>
             ) : (
               <Link to="/login" className="btn btn-primary text-sm">
-                Login
+                {t('nav.login')}
               </Link>
             )}
           </div>
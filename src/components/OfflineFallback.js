@@ -0,0 +1,30 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useI18n } from '../contexts/I18nContext';
+import { refetchActiveQueries } from '../api/queryCache';
+
+// Shown in place of a page whose data could not be fetched or read from the
+// offline cache
+const OfflineFallback = () => {
+  const { t } = useI18n();
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="text-center">
+        <svg className="mx-auto h-12 w-12 text-gray-400" aria-hidden="true" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18.364 5.636a9 9 0 010 12.728m0 0l-2.829-2.829m2.829 2.829L21 21M15.536 8.464a5 5 0 010 7.072m0 0l-2.829-2.829m-4.243 2.829a4.978 4.978 0 01-1.414-2.83m-1.414 5.658a9 9 0 01-2.167-9.238m7.824 2.167a1 1 0 111.414 1.414m-1.414-1.414L3 3m8.293 8.293l1.414 1.414" />
+        </svg>
+        <h1 className="mt-4 text-2xl font-bold text-gray-900 dark:text-gray-100">{t('offline.title')}</h1>
+        <p className="text-gray-600 dark:text-gray-400 mt-2">{t('offline.message')}</p>
+        <div className="mt-4 flex justify-center space-x-3">
+          <button type="button" onClick={() => refetchActiveQueries()} className="btn btn-primary">
+            {t('offline.retry')}
+          </button>
+          <Link to="/dashboard" className="btn btn-secondary">{t('offline.dashboard')}</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OfflineFallback;
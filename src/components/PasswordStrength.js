@@ -0,0 +1,52 @@
+import React from 'react';
+import { useI18n } from '../contexts/I18nContext';
+import { checkPassword, STRENGTH_LEVELS } from '../utils/passwordRules';
+
+const STRENGTH_STYLES = {
+  weak: { bar: 'bg-danger-500', text: 'text-danger-700 dark:text-danger-400' },
+  fair: { bar: 'bg-warning-500', text: 'text-warning-700 dark:text-warning-400' },
+  good: { bar: 'bg-primary-500', text: 'text-primary-700 dark:text-primary-400' },
+  strong: { bar: 'bg-success-600', text: 'text-success-700 dark:text-success-400' }
+};
+
+// Strength meter and rule checklist shown under a new-password field
+const PasswordStrength = ({ id, password }) => {
+  const { t } = useI18n();
+  const { rules, strength } = checkPassword(password);
+  const level = STRENGTH_LEVELS.indexOf(strength);
+
+  return (
+    <div id={id} className="mt-2">
+      <div className="flex space-x-1" aria-hidden="true">
+        {STRENGTH_LEVELS.map((key, index) => (
+          <div
+            key={key}
+            className={`h-1 flex-1 rounded-full ${password && index <= level ? STRENGTH_STYLES[strength].bar : 'bg-gray-200 dark:bg-gray-700'}`}
+          ></div>
+        ))}
+      </div>
+      {password && (
+        <p className={`mt-1 text-xs font-medium ${STRENGTH_STYLES[strength].text}`} aria-live="polite">
+          {t('password.strength', { level: t(`password.levels.${strength}`) })}
+        </p>
+      )}
+      <ul className="mt-2 space-y-1">
+        {rules.map(({ key, required, met }) => (
+          <li
+            key={key}
+            className={`flex items-center space-x-2 text-xs ${met ? 'text-success-700 dark:text-success-400' : 'text-gray-600 dark:text-gray-400'}`}
+          >
+            <span aria-hidden="true">{met ? '✓' : '○'}</span>
+            <span>
+              {t(`password.rules.${key}`)}
+              {!required && ` ${t('password.optional')}`}
+              <span className="sr-only"> – {met ? t('password.met') : t('password.notMet')}</span>
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PasswordStrength;
@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { useI18n } from '../contexts/I18nContext';
+import { DIFFICULTIES, PLATFORMS } from '../utils/problems';
+import { validateLink, validateProblem, normalizeProblem, translateError } from '../utils/sheetValidation';
+
+const EMPTY_PROBLEM = {
+  title: '',
+  description: '',
+  difficulty: 'Easy',
+  tags: [],
+  links: {}
+};
+
+const FieldError = ({ id, error }) => {
+  const { t } = useI18n();
+  return error ? <p id={id} className="mt-1 text-xs text-danger-700 dark:text-danger-400">{translateError(t, error)}</p> : null;
+};
+
+const ProblemForm = ({ problem = EMPTY_PROBLEM, onSubmit, onCancel, submitLabel }) => {
+  const { t } = useI18n();
+  const [formData, setFormData] = useState({
+    title: problem.title || '',
+    description: problem.description || '',
+    difficulty: problem.difficulty || 'Easy',
+    tags: (problem.tags || []).join(', '),
+    links: { ...problem.links }
+  });
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const idPrefix = `problem-form-${problem._id || 'new'}`;
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleLinkChange = (e) => {
+    setFormData({
+      ...formData,
+      links: { ...formData.links, [e.target.name]: e.target.value }
+    });
+  };
+
+  // Check links as soon as the field loses focus rather than waiting for submit
+  const handleLinkBlur = (e) => {
+    const { name, value } = e.target;
+    setErrors(prev => ({ ...prev, [`links.${name}`]: validateLink(name, value) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validation = validateProblem(formData);
+    setErrors(validation);
+    if (Object.keys(validation).length > 0) {
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      await onSubmit(normalizeProblem(formData));
+    } catch (error) {
+      console.error('Error saving problem:', error);
+      setError(error.response?.data?.message || t('admin.problemForm.saveError'));
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="space-y-4">
+      {error && (
+        <div className="bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="md:col-span-2">
+          <label htmlFor={`${idPrefix}-title`} className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            {t('admin.form.title')}
+          </label>
+          <input
+            id={`${idPrefix}-title`}
+            name="title"
+            type="text"
+            value={formData.title}
+            onChange={handleChange}
+            className="input mt-1"
+            aria-invalid={Boolean(errors.title)}
+            aria-describedby={errors.title ? `${idPrefix}-title-error` : undefined}
+          />
+          <FieldError id={`${idPrefix}-title-error`} error={errors.title} />
+        </div>
+        <div>
+          <label htmlFor={`${idPrefix}-difficulty`} className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            {t('admin.problemForm.difficulty')}
+          </label>
+          <select
+            id={`${idPrefix}-difficulty`}
+            name="difficulty"
+            value={formData.difficulty}
+            onChange={handleChange}
+            className="input mt-1"
+          >
+            {DIFFICULTIES.map(difficulty => (
+              <option key={difficulty} value={difficulty}>{t(`difficulty.${difficulty}`)}</option>
+            ))}
+          </select>
+          <FieldError error={errors.difficulty} />
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor={`${idPrefix}-description`} className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+          {t('admin.form.description')}
+        </label>
+        <textarea
+          id={`${idPrefix}-description`}
+          name="description"
+          rows={3}
+          value={formData.description}
+          onChange={handleChange}
+          className="input mt-1"
+        />
+      </div>
+
+      <div>
+        <label htmlFor={`${idPrefix}-tags`} className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+          {t('admin.problemForm.tags')}
+        </label>
+        <input
+          id={`${idPrefix}-tags`}
+          name="tags"
+          type="text"
+          value={formData.tags}
+          onChange={handleChange}
+          className="input mt-1"
+          placeholder="array, two-pointers"
+        />
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{t('admin.problemForm.tagsHelp')}</p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {PLATFORMS.map(({ key }) => {
+          const fieldError = errors[`links.${key}`];
+          return (
+            <div key={key}>
+              <label htmlFor={`${idPrefix}-${key}`} className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                {t('admin.problemForm.link', { platform: t(`search.platforms.${key}`) })}
+              </label>
+              <input
+                id={`${idPrefix}-${key}`}
+                name={key}
+                type="url"
+                value={formData.links[key] || ''}
+                onChange={handleLinkChange}
+                onBlur={handleLinkBlur}
+                className="input mt-1"
+                placeholder="https://"
+                aria-invalid={Boolean(fieldError)}
+                aria-describedby={fieldError ? `${idPrefix}-${key}-error` : undefined}
+              />
+              <FieldError id={`${idPrefix}-${key}-error`} error={fieldError} />
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex justify-end space-x-3">
+        {onCancel && (
+          <button type="button" onClick={onCancel} disabled={saving} className="btn btn-secondary">
+            {t('admin.form.cancel')}
+          </button>
+        )}
+        <button type="submit" disabled={saving} className="btn btn-primary disabled:opacity-50">
+          {saving ? <span className="loading-dots">{t('admin.form.saving')}</span> : submitLabel || t('admin.problemForm.save')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ProblemForm;
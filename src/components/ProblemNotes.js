@@ -0,0 +1,105 @@
+import React, { useState, useEffect, useRef } from 'react';
+import api from '../api/axios';
+import { useI18n } from '../contexts/I18nContext';
+import { updateProgressRecord } from '../api/queries';
+import { renderMarkdown } from '../utils/markdown';
+
+// Delay before edits are autosaved
+const SAVE_DELAY = 800;
+
+const STATUS_LABELS = {
+  saving: 'notes.saving',
+  saved: 'notes.saved',
+  error: 'notes.error'
+};
+
+const ProblemNotes = ({ problemId, initialNotes }) => {
+  const [notes, setNotes] = useState(initialNotes || '');
+  const [mode, setMode] = useState(initialNotes ? 'preview' : 'edit');
+  const [status, setStatus] = useState('idle');
+  const timeoutRef = useRef(null);
+  const latestRef = useRef(notes);
+  const savedRef = useRef(notes);
+  const saveRef = useRef(null);
+  const { t } = useI18n();
+
+  saveRef.current = async (value) => {
+    setStatus('saving');
+    try {
+      await api.put(`/progress/${problemId}/notes`, { notes: value });
+      savedRef.current = value;
+      setStatus('saved');
+      updateProgressRecord(problemId, { notes: value });
+    } catch (error) {
+      console.error('Error saving notes:', error);
+      setStatus('error');
+    }
+  };
+
+  // Flush unsaved edits when the panel is closed
+  useEffect(() => {
+    return () => {
+      clearTimeout(timeoutRef.current);
+      if (latestRef.current !== savedRef.current) {
+        saveRef.current(latestRef.current);
+      }
+    };
+  }, []);
+
+  const handleChange = (e) => {
+    const value = e.target.value;
+    setNotes(value);
+    latestRef.current = value;
+
+    clearTimeout(timeoutRef.current);
+    timeoutRef.current = setTimeout(() => saveRef.current(value), SAVE_DELAY);
+  };
+
+  return (
+    <div className="mt-4 border-t border-gray-200 dark:border-gray-700 pt-4">
+      <div className="flex justify-between items-center mb-2">
+        <div className="flex space-x-2">
+          <button
+            type="button"
+            onClick={() => setMode('edit')}
+            className={`text-sm px-3 py-1 rounded-lg ${mode === 'edit' ? 'bg-primary-100 dark:bg-primary-900/50 text-primary-700 dark:text-primary-300' : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+          >
+            {t('notes.write')}
+          </button>
+          <button
+            type="button"
+            onClick={() => setMode('preview')}
+            className={`text-sm px-3 py-1 rounded-lg ${mode === 'preview' ? 'bg-primary-100 dark:bg-primary-900/50 text-primary-700 dark:text-primary-300' : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+          >
+            {t('notes.preview')}
+          </button>
+        </div>
+        {STATUS_LABELS[status] && (
+          <span className={`text-xs ${status === 'error' ? 'text-danger-600 dark:text-danger-400' : 'text-gray-500 dark:text-gray-400'}`}>
+            {t(STATUS_LABELS[status])}
+          </span>
+        )}
+      </div>
+
+      {mode === 'edit' ? (
+        <textarea
+          value={notes}
+          onChange={handleChange}
+          rows={8}
+          className="input font-mono text-sm custom-scrollbar"
+          placeholder={t('notes.placeholder')}
+          aria-label={t('notes.label')}
+        />
+      ) : notes.trim() ? (
+        <div
+          className="markdown-body"
+          dangerouslySetInnerHTML={{ __html: renderMarkdown(notes) }}
+        />
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400">{t('notes.empty')}</p>
+      )}
+    </div>
+  );
+};
+
+export default ProblemNotes;
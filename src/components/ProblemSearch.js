@@ -0,0 +1,187 @@
+import React, { useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useI18n } from '../contexts/I18nContext';
+import {
+  DIFFICULTIES,
+  PLATFORMS,
+  SORT_OPTIONS,
+  flattenProblems,
+  collectTags,
+  filterProblems,
+  sortProblems
+} from '../utils/problems';
+import { STATUSES, getStatusLabel, getStatusColor } from '../utils/progressStatus';
+
+const FILTER_KEYS = ['q', 'difficulty', 'status', 'tag', 'platform'];
+const DEFAULT_SORT = 'topic';
+
+// Read the current filters from the URL so filtered views can be bookmarked
+export const useProblemFilters = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const filters = useMemo(() => ({
+    q: searchParams.get('q') || '',
+    difficulty: searchParams.get('difficulty') || '',
+    status: searchParams.get('status') || '',
+    tag: searchParams.get('tag') || '',
+    platform: searchParams.get('platform') || '',
+    sort: searchParams.get('sort') || DEFAULT_SORT
+  }), [searchParams]);
+
+  const setFilter = (key, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value && !(key === 'sort' && value === DEFAULT_SORT)) {
+      next.set(key, value);
+    } else {
+      next.delete(key);
+    }
+    setSearchParams(next, { replace: key === 'q' });
+  };
+
+  const clearFilters = () => {
+    setSearchParams(new URLSearchParams());
+  };
+
+  // A non-default sort shows the results list too, sorted across topics
+  const isActive = FILTER_KEYS.some(key => filters[key]) || filters.sort !== DEFAULT_SORT;
+
+  return { filters, setFilter, clearFilters, isActive };
+};
+
+const ProblemSearch = ({ topics }) => {
+  const { filters, setFilter, clearFilters, isActive } = useProblemFilters();
+  const { t } = useI18n();
+
+  const allProblems = useMemo(() => flattenProblems(topics), [topics]);
+  const tags = useMemo(() => collectTags(allProblems), [allProblems]);
+  const results = useMemo(
+    () => sortProblems(filterProblems(allProblems, filters), filters.sort),
+    [allProblems, filters]
+  );
+
+  return (
+    <div className="mb-8">
+      {/* Search and Filters */}
+      <div className="card">
+        <input
+          type="search"
+          value={filters.q}
+          onChange={(e) => setFilter('q', e.target.value)}
+          className="input"
+          placeholder={t('search.placeholder')}
+          aria-label={t('search.label')}
+          data-shortcut="search"
+        />
+
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mt-4">
+          <select
+            value={filters.difficulty}
+            onChange={(e) => setFilter('difficulty', e.target.value)}
+            className="input"
+            aria-label={t('search.difficultyFilter')}
+          >
+            <option value="">{t('search.allDifficulties')}</option>
+            {DIFFICULTIES.map(difficulty => (
+              <option key={difficulty} value={difficulty}>{t(`difficulty.${difficulty}`)}</option>
+            ))}
+          </select>
+
+          <select
+            value={filters.status}
+            onChange={(e) => setFilter('status', e.target.value)}
+            className="input"
+            aria-label={t('search.statusFilter')}
+          >
+            <option value="">{t('search.anyStatus')}</option>
+            <option value="completed">{t('search.completed')}</option>
+            <option value="pending">{t('search.pending')}</option>
+            {STATUSES.map(({ key, labelKey }) => (
+              <option key={key} value={key}>{t(labelKey)}</option>
+            ))}
+          </select>
+
+          <select
+            value={filters.tag}
+            onChange={(e) => setFilter('tag', e.target.value)}
+            className="input"
+            aria-label={t('search.tagFilter')}
+          >
+            <option value="">{t('search.allTags')}</option>
+            {tags.map(tag => (
+              <option key={tag} value={tag}>{tag}</option>
+            ))}
+          </select>
+
+          <select
+            value={filters.platform}
+            onChange={(e) => setFilter('platform', e.target.value)}
+            className="input"
+            aria-label={t('search.platformFilter')}
+          >
+            <option value="">{t('search.anyPlatform')}</option>
+            {PLATFORMS.map(platform => (
+              <option key={platform.key} value={platform.key}>{t(`search.platforms.${platform.key}`)}</option>
+            ))}
+          </select>
+
+          <select
+            value={filters.sort}
+            onChange={(e) => setFilter('sort', e.target.value)}
+            className="input"
+            aria-label={t('search.sortLabel')}
+          >
+            {SORT_OPTIONS.map(option => (
+              <option key={option.key} value={option.key}>{t('search.sortOption', { option: t(option.labelKey) })}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Results */}
+      {isActive && (
+        <div className="mt-6">
+          <div className="flex justify-between items-center mb-3">
+            <span className="text-sm text-gray-600 dark:text-gray-400">
+              {t('search.results', { count: results.length })}
+            </span>
+            <button onClick={clearFilters} className="text-sm text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300">
+              {t('search.clear')}
+            </button>
+          </div>
+
+          {results.length === 0 ? (
+            <div className="card text-center text-gray-600 dark:text-gray-400">{t('search.noResults')}</div>
+          ) : (
+            <ul className="card p-0 divide-y divide-gray-200 dark:divide-gray-700">
+              {results.map(problem => (
+                <li key={problem._id}>
+                  <Link
+                    to={`/topic/${problem.topicId}#problem-${problem._id}`}
+                    className="flex items-center justify-between px-6 py-3 hover:bg-gray-50 dark:hover:bg-gray-700"
+                  >
+                    <div className="flex items-center space-x-3 min-w-0">
+                      <span
+                        className={`w-2 h-2 rounded-full flex-shrink-0 ${getStatusColor(problem.status)}`}
+                        title={t(getStatusLabel(problem.status))}
+                      ></span>
+                      <span className="font-medium text-gray-900 dark:text-gray-100 truncate">{problem.title}</span>
+                      <span className="text-sm text-gray-500 dark:text-gray-400 truncate">{problem.topicTitle}</span>
+                      {problem.notes && (
+                        <span className="text-xs text-gray-400 flex-shrink-0">{t('search.hasNotes')}</span>
+                      )}
+                    </div>
+                    <span className={`difficulty-badge difficulty-${problem.difficulty.toLowerCase()}`}>
+                      {t(`difficulty.${problem.difficulty}`)}
+                    </span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProblemSearch;
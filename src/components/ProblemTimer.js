@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { useI18n } from '../contexts/I18nContext';
+import { getElapsed } from '../api/problemTimers';
+import { formatDuration } from '../utils/duration';
+
+// Start / pause / stop controls for timing an attempt at a problem
+const ProblemTimer = ({ timer, title, onStart, onPause, onStop, onDiscard }) => {
+  const [now, setNow] = useState(Date.now());
+  const { t } = useI18n();
+  const isRunning = Boolean(timer && timer.runningSince);
+
+  // Only re-render every second while this timer is actually running
+  useEffect(() => {
+    if (!isRunning) {
+      return undefined;
+    }
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isRunning]);
+
+  if (!timer) {
+    return (
+      <button
+        type="button"
+        onClick={onStart}
+        className="flex items-center space-x-1 text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 link-icon"
+        aria-label={t('timer.startFor', { title })}
+      >
+        <svg className="w-4 h-4" aria-hidden="true" focusable="false" fill="currentColor" viewBox="0 0 20 20">
+          <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clipRule="evenodd" />
+        </svg>
+        <span className="text-sm">{t('timer.start')}</span>
+      </button>
+    );
+  }
+
+  const buttonClass = 'px-2 py-0.5 text-xs rounded border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700';
+
+  return (
+    <div className="flex items-center space-x-2">
+      <span
+        className={`text-sm font-medium tabular-nums ${isRunning ? 'text-primary-700 dark:text-primary-300' : 'text-gray-600 dark:text-gray-400'}`}
+        role="timer"
+        aria-label={t('timer.timeOn', { title })}
+      >
+        {formatDuration(Math.floor(getElapsed(timer, now) / 1000))}
+      </span>
+      {isRunning ? (
+        <button type="button" onClick={onPause} className={buttonClass}>{t('timer.pause')}</button>
+      ) : (
+        <button type="button" onClick={onStart} className={buttonClass}>{t('timer.resume')}</button>
+      )}
+      <button type="button" onClick={onStop} className={buttonClass} title={t('timer.stopTitle')}>{t('timer.stop')}</button>
+      <button
+        type="button"
+        onClick={onDiscard}
+        className="text-xs text-gray-500 dark:text-gray-400 hover:text-danger-700 dark:hover:text-danger-400"
+        title={t('timer.discardTitle')}
+      >
+        {t('timer.discard')}
+      </button>
+    </div>
+  );
+};
+
+export default ProblemTimer;
@@ -0,0 +1,20 @@
+import React from 'react';
+
+// Single-colour percentage bar, for progress that has no status breakdown
+const ProgressBar = ({ percentage, label, height = 'h-2', color = 'bg-primary-600' }) => (
+  <div
+    className={`w-full bg-gray-200 dark:bg-gray-700 rounded-full ${height}`}
+    role="progressbar"
+    aria-label={label}
+    aria-valuemin={0}
+    aria-valuemax={100}
+    aria-valuenow={percentage}
+  >
+    <div
+      className={`${color} ${height} rounded-full progress-bar`}
+      style={{ width: `${percentage}%` }}
+    ></div>
+  </div>
+);
+
+export default ProgressBar;
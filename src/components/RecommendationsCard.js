@@ -0,0 +1,57 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useI18n } from '../contexts/I18nContext';
+
+// "What next" suggestions from recommendProblems, each linking to its problem
+const RecommendationsCard = ({ recommendations }) => {
+  const { t } = useI18n();
+
+  // Reasons carry the difficulty as sheet data, e.g. "Medium"
+  const translateParams = (params) =>
+    params.difficulty ? { ...params, difficulty: t(`difficulty.${params.difficulty}`) } : params;
+
+  return (
+    <section className="card mb-8" aria-labelledby="recommendations-title">
+      <h2 id="recommendations-title" className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+        {t('recommendations.title')}
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">{t('recommendations.subtitle')}</p>
+
+      {recommendations.length === 0 ? (
+        <p className="text-sm text-gray-700 dark:text-gray-300">
+          {t('recommendations.allDone')}{' '}
+          <Link to="/revise" className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300">
+            {t('nav.revise')}
+          </Link>
+        </p>
+      ) : (
+        <ol className="divide-y divide-gray-200 dark:divide-gray-700">
+          {recommendations.map(({ problem, reasons }) => (
+            <li key={problem._id} className="py-3 first:pt-0 last:pb-0">
+              <div className="flex items-center space-x-3">
+                <Link
+                  to={`/topic/${problem.topicId}#problem-${problem._id}`}
+                  className="font-medium text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300"
+                  aria-label={t('recommendations.openProblem', { title: problem.title, topic: problem.topicTitle })}
+                >
+                  {problem.title}
+                </Link>
+                <span className={`difficulty-badge difficulty-${problem.difficulty.toLowerCase()}`}>
+                  {t(`difficulty.${problem.difficulty}`)}
+                </span>
+                <span className="text-xs text-gray-500 dark:text-gray-400">{problem.topicTitle}</span>
+              </div>
+              <ul className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+                {reasons.map(({ key, params }) => (
+                  <li key={key}>{t(`recommendations.reasons.${key}`, translateParams(params))}</li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ol>
+      )}
+    </section>
+  );
+};
+
+export default RecommendationsCard;
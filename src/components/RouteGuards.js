@@ -0,0 +1,41 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from './LoadingSpinner';
+import { getSafeRedirect, locationToPath } from '../utils/redirect';
+
+// Protected Route Component
+export const ProtectedRoute = ({ children }) => {
+  const { user, loading } = useAuth();
+  const location = useLocation();
+  
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+  
+  // Remember where the user was heading so login can send them back there
+  return user ? children : <Navigate to="/login" replace state={{ from: locationToPath(location) }} />;
+};
+
+// Admin Route Component (signed-in users without the admin role go to the dashboard)
+export const AdminRoute = ({ children }) => {
+  const { user } = useAuth();
+
+  return (
+    <ProtectedRoute>
+      {user && user.role === 'admin' ? children : <Navigate to="/dashboard" replace />}
+    </ProtectedRoute>
+  );
+};
+
+// Public Route Component (redirect to the original page or dashboard if logged in)
+export const PublicRoute = ({ children }) => {
+  const { user, loading } = useAuth();
+  const location = useLocation();
+  
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+  
+  return user ? <Navigate to={getSafeRedirect(location.state?.from)} replace /> : children;
+};
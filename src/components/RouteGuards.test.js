@@ -0,0 +1,78 @@
+import React from 'react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { AuthProvider, useAuth } from '../contexts/AuthContext';
+import { I18nProvider } from '../contexts/I18nContext';
+import { signInAs, LocationDisplay } from '../testUtils';
+import { ProtectedRoute, AdminRoute, PublicRoute } from './RouteGuards';
+
+const LoginPage = () => {
+  const { login } = useAuth();
+  return (
+    <div>
+      <h1>Login page</h1>
+      <button onClick={() => login('learner@example.com', 'learner123')}>Sign in</button>
+    </div>
+  );
+};
+
+const renderRoutes = (route, state) => render(
+  <MemoryRouter initialEntries={[{ pathname: route, state }]}>
+    <I18nProvider>
+      <AuthProvider>
+        <Routes>
+          <Route path="/login" element={<PublicRoute><LoginPage /></PublicRoute>} />
+          <Route path="/dashboard" element={<ProtectedRoute><h1>Dashboard page</h1></ProtectedRoute>} />
+          <Route path="/topic/:id" element={<ProtectedRoute><h1>Topic page</h1></ProtectedRoute>} />
+          <Route path="/admin" element={<AdminRoute><h1>Admin page</h1></AdminRoute>} />
+        </Routes>
+        <LocationDisplay />
+      </AuthProvider>
+    </I18nProvider>
+  </MemoryRouter>
+);
+
+test('shows a loading state while the session is checked', async () => {
+  signInAs('learner@example.com');
+  renderRoutes('/dashboard');
+  expect(screen.getByRole('status')).toHaveTextContent('Loading');
+  expect(await screen.findByRole('heading', { name: 'Dashboard page' })).toBeInTheDocument();
+});
+
+test('sends signed-out users to login', async () => {
+  renderRoutes('/topic/t1');
+  expect(await screen.findByRole('heading', { name: 'Login page' })).toBeInTheDocument();
+  expect(screen.getByTestId('location')).toHaveTextContent('/login');
+});
+
+test('returns to the original page after signing in', async () => {
+  renderRoutes('/topic/t1');
+  fireEvent.click(await screen.findByRole('button', { name: 'Sign in' }));
+
+  expect(await screen.findByRole('heading', { name: 'Topic page' })).toBeInTheDocument();
+  expect(screen.getByTestId('location')).toHaveTextContent('/topic/t1');
+});
+
+test('sends signed-in users away from login', async () => {
+  signInAs('learner@example.com');
+  renderRoutes('/login');
+  expect(await screen.findByRole('heading', { name: 'Dashboard page' })).toBeInTheDocument();
+});
+
+test('ignores redirects to other sites', async () => {
+  signInAs('learner@example.com');
+  renderRoutes('/login', { from: '//evil.example.com' });
+  expect(await screen.findByRole('heading', { name: 'Dashboard page' })).toBeInTheDocument();
+});
+
+test('keeps non-admins out of the admin console', async () => {
+  signInAs('learner@example.com');
+  renderRoutes('/admin');
+  expect(await screen.findByRole('heading', { name: 'Dashboard page' })).toBeInTheDocument();
+});
+
+test('lets admins into the admin console', async () => {
+  signInAs('admin@example.com');
+  renderRoutes('/admin');
+  expect(await screen.findByRole('heading', { name: 'Admin page' })).toBeInTheDocument();
+});
@@ -0,0 +1,64 @@
+import React, { useEffect } from 'react';
+import { useI18n } from '../contexts/I18nContext';
+
+// Descriptions live in the locale catalogs under shortcuts.<name>
+export const SHORTCUTS = [
+  { keys: ['j'], name: 'next' },
+  { keys: ['k'], name: 'previous' },
+  { keys: ['x'], name: 'toggle' },
+  { keys: ['o'], name: 'open' },
+  { keys: ['/'], name: 'search' },
+  { keys: ['g', 'd'], name: 'dashboard' },
+  { keys: ['Ctrl', 'K'], name: 'palette' },
+  { keys: ['?'], name: 'help' }
+];
+
+const ShortcutsHelp = ({ onClose }) => {
+  const { t } = useI18n();
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center px-4 bg-gray-900 bg-opacity-50" onClick={onClose}>
+      <div
+        className="w-full max-w-md bg-white dark:bg-gray-800 rounded-lg shadow-xl p-6"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcuts-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h2 id="shortcuts-title" className="text-lg font-semibold text-gray-900 dark:text-gray-100">{t('shortcuts.title')}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300" aria-label={t('shortcuts.close')}>
+            ✕
+          </button>
+        </div>
+        <ul className="space-y-2">
+          {SHORTCUTS.map(shortcut => (
+            <li key={shortcut.name} className="flex justify-between items-center text-sm">
+              <span className="text-gray-700 dark:text-gray-300">{t(`shortcuts.${shortcut.name}`)}</span>
+              <span className="space-x-1">
+                {shortcut.keys.map(key => (
+                  <kbd key={key} className="px-2 py-0.5 bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded text-xs font-mono text-gray-800 dark:text-gray-200">
+                    {key}
+                  </kbd>
+                ))}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutsHelp;
@@ -0,0 +1,18 @@
+import React from 'react';
+import { useI18n } from '../contexts/I18nContext';
+
+// First tab stop on every page; jumps past the navbar to the page content
+const SkipLink = ({ targetId }) => {
+  const { t } = useI18n();
+
+  return (
+    <a
+      href={`#${targetId}`}
+      className="sr-only focus:not-sr-only focus:absolute focus:top-2 focus:left-2 focus:z-50 btn btn-primary"
+    >
+      {t('a11y.skipToContent')}
+    </a>
+  );
+};
+
+export default SkipLink;
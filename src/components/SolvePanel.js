@@ -0,0 +1,267 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useI18n } from '../contexts/I18nContext';
+import { useAnnouncer } from '../contexts/AnnouncerContext';
+import CodeEditor from './CodeEditor';
+import { runTestCases } from '../workers/codeRunner';
+import { LANGUAGES, emptyTestCase, loadDraft, saveDraft } from '../utils/codeDrafts';
+
+const STATUS_STYLES = {
+  passed: 'bg-success-100 dark:bg-success-900/40 text-success-800 dark:text-success-200',
+  failed: 'bg-danger-100 dark:bg-danger-900/40 text-danger-800 dark:text-danger-200',
+  error: 'bg-danger-100 dark:bg-danger-900/40 text-danger-800 dark:text-danger-200',
+  timeout: 'bg-warning-100 dark:bg-warning-900/40 text-warning-800 dark:text-warning-200',
+  invalid: 'bg-warning-100 dark:bg-warning-900/40 text-warning-800 dark:text-warning-200'
+};
+
+const fieldClass = 'input mt-1 font-mono text-sm';
+
+// Editor and local test runner for one problem. Code runs in a Web Worker
+// (see src/workers), so a slow or endless solution cannot freeze the page.
+const SolvePanel = ({ problemId, isCompleted, onSolved }) => {
+  const { user } = useAuth();
+  const userId = user._id || user.id;
+  const { t } = useI18n();
+  const { announce } = useAnnouncer();
+  const [draft, setDraft] = useState(() => loadDraft(userId, problemId));
+  const [results, setResults] = useState(null);
+  const [running, setRunning] = useState(false);
+  const unmountedRef = useRef(false);
+
+  useEffect(() => () => {
+    unmountedRef.current = true;
+  }, []);
+
+  const { language, code, tests } = draft;
+  const languageLabel = LANGUAGES.find(l => l.key === language).label;
+
+  const updateDraft = (changes) => {
+    const next = { ...draft, ...changes };
+    setDraft(next);
+    saveDraft(userId, problemId, next);
+  };
+
+  // Results describe the cases and language they ran with, so they go stale
+  // when either changes
+  const changeLanguage = (nextLanguage) => {
+    updateDraft({ language: nextLanguage });
+    setResults(null);
+  };
+
+  const updateTest = (index, changes) => {
+    updateDraft({ tests: tests.map((test, i) => (i === index ? { ...test, ...changes } : test)) });
+    setResults(null);
+  };
+
+  const addTest = () => {
+    updateDraft({ tests: [...tests, emptyTestCase()] });
+    setResults(null);
+  };
+
+  const removeTest = (index) => {
+    updateDraft({ tests: tests.filter((test, i) => i !== index) });
+    setResults(null);
+  };
+
+  const run = async () => {
+    if (running || tests.length === 0) {
+      return;
+    }
+
+    setRunning(true);
+    setResults([]);
+    const finished = await runTestCases({
+      language,
+      code: code[language],
+      tests,
+      isCancelled: () => unmountedRef.current,
+      onResult: (result, index) => {
+        if (!unmountedRef.current) {
+          setResults(prev => {
+            const next = [...prev];
+            next[index] = result;
+            return next;
+          });
+        }
+      }
+    });
+
+    if (unmountedRef.current) {
+      return;
+    }
+    setRunning(false);
+    announce(t('solve.summary', {
+      passed: finished.filter(result => result.status === 'passed').length,
+      count: finished.length
+    }));
+  };
+
+  const describeError = (result) => {
+    if (result.errorCode === 'missingSolve') {
+      return t('solve.missingSolve');
+    }
+    if (result.errorCode === 'runtimeUnavailable') {
+      return t('solve.runtimeUnavailable', { language: languageLabel });
+    }
+    return result.error;
+  };
+
+  const passedCount = results ? results.filter(result => result && result.status === 'passed').length : 0;
+  const allPassed = !running && results && results.length === tests.length && passedCount === tests.length && tests.length > 0;
+  const hintId = `solve-hint-${problemId}`;
+
+  return (
+    <div className="mt-4 border-t border-gray-200 dark:border-gray-700 pt-4 space-y-4">
+      <div className="flex items-end justify-between gap-4">
+        <div>
+          <label htmlFor={`solve-language-${problemId}`} className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            {t('solve.language')}
+          </label>
+          <select
+            id={`solve-language-${problemId}`}
+            value={language}
+            onChange={(e) => changeLanguage(e.target.value)}
+            disabled={running}
+            className="mt-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md py-1 pl-2 pr-7 bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            {LANGUAGES.map(({ key, label }) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor={`solve-code-${problemId}`} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          {t('solve.code')}
+        </label>
+        <CodeEditor
+          id={`solve-code-${problemId}`}
+          value={code[language]}
+          onChange={(value) => updateDraft({ code: { ...code, [language]: value } })}
+          onRun={run}
+          describedBy={hintId}
+        />
+        <p id={hintId} className="mt-1 text-xs text-gray-500 dark:text-gray-400">{t('solve.editorHint')}</p>
+      </div>
+
+      <fieldset className="space-y-3">
+        <legend className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">{t('solve.testCases')}</legend>
+        {tests.length === 0 && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">{t('solve.noCases')}</p>
+        )}
+        {tests.map((test, index) => {
+          const result = results && results[index];
+          const number = index + 1;
+          const inputId = `solve-input-${problemId}-${index}`;
+          const expectedId = `solve-expected-${problemId}-${index}`;
+
+          return (
+            <div key={index} className="border border-gray-200 dark:border-gray-700 rounded-lg p-3">
+              <div className="flex items-center justify-between mb-2">
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm font-medium text-gray-900 dark:text-gray-100">{t('solve.caseNumber', { number })}</span>
+                  {result && (
+                    <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_STYLES[result.status]}`}>
+                      {t(`solve.status.${result.status}`)}
+                    </span>
+                  )}
+                  {result && result.time !== undefined && result.status !== 'timeout' && (
+                    <span className="text-xs text-gray-500 dark:text-gray-400">{t('solve.time', { ms: result.time })}</span>
+                  )}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => removeTest(index)}
+                  disabled={running}
+                  className="text-xs text-gray-500 dark:text-gray-400 hover:text-danger-600 dark:hover:text-danger-400 disabled:opacity-50"
+                  aria-label={t('solve.removeCase', { number })}
+                >
+                  <span aria-hidden="true">✕</span>
+                </button>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <div>
+                  <label htmlFor={inputId} className="block text-xs font-medium text-gray-600 dark:text-gray-400">
+                    {t('solve.input')} <span className="font-normal">({t('solve.inputHint')})</span>
+                  </label>
+                  <textarea
+                    id={inputId}
+                    rows={3}
+                    spellCheck={false}
+                    value={test.input}
+                    onChange={(e) => updateTest(index, { input: e.target.value })}
+                    className={fieldClass}
+                  />
+                </div>
+                <div>
+                  <label htmlFor={expectedId} className="block text-xs font-medium text-gray-600 dark:text-gray-400">
+                    {t('solve.expected')}
+                  </label>
+                  <textarea
+                    id={expectedId}
+                    rows={3}
+                    spellCheck={false}
+                    value={test.expected}
+                    onChange={(e) => updateTest(index, { expected: e.target.value })}
+                    className={fieldClass}
+                  />
+                </div>
+              </div>
+
+              {result && result.status === 'failed' && (
+                <p className="mt-2 text-sm text-gray-700 dark:text-gray-300">
+                  {t('solve.output')}: <code className="font-mono">{result.output}</code>
+                </p>
+              )}
+              {result && result.status === 'error' && (
+                <p className="mt-2 text-sm font-mono text-danger-700 dark:text-danger-400">{describeError(result)}</p>
+              )}
+              {result && result.status === 'timeout' && (
+                <p className="mt-2 text-sm text-warning-800 dark:text-warning-300">{t('solve.timeLimit', { ms: result.time })}</p>
+              )}
+              {result && result.status === 'invalid' && (
+                <p className="mt-2 text-sm text-warning-800 dark:text-warning-300">{t('solve.invalidLine', { line: result.line })}</p>
+              )}
+              {result && result.logs && result.logs.length > 0 && (
+                <div className="mt-2">
+                  <p className="text-xs font-medium text-gray-600 dark:text-gray-400">{t('solve.logs')}</p>
+                  <pre className="mt-1 p-2 bg-gray-100 dark:bg-gray-900 rounded text-xs font-mono text-gray-800 dark:text-gray-200 overflow-x-auto">
+                    {result.logs.join('\n')}
+                  </pre>
+                </div>
+              )}
+            </div>
+          );
+        })}
+        <button type="button" onClick={addTest} disabled={running} className="btn btn-secondary text-sm disabled:opacity-50">
+          {t('solve.addCase')}
+        </button>
+      </fieldset>
+
+      <div className="flex items-center space-x-3">
+        <button type="button" onClick={run} disabled={running || tests.length === 0} className="btn btn-primary disabled:opacity-50">
+          {running ? <span className="loading-dots">{t('solve.running')}</span> : t('solve.run')}
+        </button>
+        {results && !running && (
+          <span className="text-sm text-gray-600 dark:text-gray-400">
+            {t('solve.summary', { passed: passedCount, count: results.length })}
+          </span>
+        )}
+      </div>
+
+      {allPassed && (
+        <div className="flex items-center justify-between bg-success-50 dark:bg-success-900/30 border border-success-200 dark:border-success-800 text-success-700 dark:text-success-200 px-4 py-3 rounded-lg">
+          <span>{t('solve.allPassed')}</span>
+          {!isCompleted && (
+            <button type="button" onClick={onSolved} className="btn btn-success text-sm">
+              {t('solve.markSolved')}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SolvePanel;
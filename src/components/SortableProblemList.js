@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { useI18n } from '../contexts/I18nContext';
+import { moveItem } from '../utils/sheetValidation';
+
+const defaultRenderTitle = (problem) => (
+  <p className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate">{problem.title}</p>
+);
+
+// Problems that can be reordered by dragging, or with the move buttons for
+// anyone not using a mouse. Callers add their own per-problem actions.
+const SortableProblemList = ({
+  problems,
+  onReorder,
+  renderTitle = defaultRenderTitle,
+  renderActions,
+  emptyMessage
+}) => {
+  const { t, formatNumber } = useI18n();
+  const [dragIndex, setDragIndex] = useState(null);
+  const [overIndex, setOverIndex] = useState(null);
+
+  const move = (fromIndex, toIndex) => {
+    if (toIndex < 0 || toIndex >= problems.length || fromIndex === toIndex) {
+      return;
+    }
+    onReorder(moveItem(problems, fromIndex, toIndex).map(problem => problem._id));
+  };
+
+  const handleDragStart = (e, index) => {
+    setDragIndex(index);
+    e.dataTransfer.effectAllowed = 'move';
+    // Firefox only starts a drag when some data is set
+    e.dataTransfer.setData('text/plain', problems[index]._id);
+  };
+
+  const handleDragOver = (e, index) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setOverIndex(index);
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    if (dragIndex !== null) {
+      move(dragIndex, index);
+    }
+    setDragIndex(null);
+    setOverIndex(null);
+  };
+
+  const handleDragEnd = () => {
+    setDragIndex(null);
+    setOverIndex(null);
+  };
+
+  if (problems.length === 0) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">{emptyMessage || t('problemList.empty')}</p>;
+  }
+
+  return (
+    <ol className="border border-gray-200 dark:border-gray-700 rounded-lg divide-y divide-gray-200 dark:divide-gray-700">
+      {problems.map((problem, index) => (
+        <li
+          key={problem._id}
+          draggable
+          onDragStart={(e) => handleDragStart(e, index)}
+          onDragOver={(e) => handleDragOver(e, index)}
+          onDrop={(e) => handleDrop(e, index)}
+          onDragEnd={handleDragEnd}
+          className={`flex items-center px-4 py-2 bg-white dark:bg-gray-800 ${dragIndex === index ? 'opacity-50' : ''} ${overIndex === index && dragIndex !== index ? 'ring-2 ring-inset ring-primary-500' : ''}`}
+        >
+          <span className="cursor-move text-gray-400 mr-3 select-none" aria-hidden="true">⋮⋮</span>
+          <span className="text-sm text-gray-500 dark:text-gray-400 w-8">#{formatNumber(index + 1)}</span>
+          <div className="flex-1 min-w-0">
+            {renderTitle(problem)}
+          </div>
+          <span className={`difficulty-badge difficulty-${problem.difficulty.toLowerCase()} mr-4`}>
+            {t(`difficulty.${problem.difficulty}`)}
+          </span>
+          <div className="flex items-center space-x-1">
+            <button
+              type="button"
+              onClick={() => move(index, index - 1)}
+              disabled={index === 0}
+              className="p-1 text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 disabled:opacity-30"
+              aria-label={t('problemList.moveUp', { title: problem.title })}
+            >
+              ↑
+            </button>
+            <button
+              type="button"
+              onClick={() => move(index, index + 1)}
+              disabled={index === problems.length - 1}
+              className="p-1 text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 disabled:opacity-30"
+              aria-label={t('problemList.moveDown', { title: problem.title })}
+            >
+              ↓
+            </button>
+            {renderActions && renderActions(problem)}
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default SortableProblemList;
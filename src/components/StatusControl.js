@@ -0,0 +1,52 @@
+import React from 'react';
+import { useI18n } from '../contexts/I18nContext';
+import { STATUSES, CONFIDENCE_LEVELS, getStatusColor } from '../utils/progressStatus';
+
+// Compact status picker with a 1-5 confidence rating for a problem card
+const StatusControl = ({ id, status, confidence, title, onStatusChange, onConfidenceChange }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="flex flex-col items-start space-y-2">
+      <div className="flex items-center space-x-2">
+        <span className={`w-3 h-3 rounded-full flex-shrink-0 ${getStatusColor(status)}`} aria-hidden="true"></span>
+        <select
+          value={status}
+          onChange={(e) => onStatusChange(e.target.value)}
+          className="text-sm border border-gray-300 dark:border-gray-600 rounded-md py-1 pl-2 pr-7 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-primary-500"
+          aria-label={t('status.statusOf', { title })}
+        >
+          {STATUSES.map(({ key, labelKey }) => (
+            <option key={key} value={key}>{t(labelKey)}</option>
+          ))}
+        </select>
+      </div>
+      <fieldset className="flex items-center space-x-1">
+        <legend className="sr-only">{t('status.confidenceIn', { title })}</legend>
+        <span className="text-xs text-gray-500 dark:text-gray-400 mr-1" aria-hidden="true">{t('status.confidence')}</span>
+        {CONFIDENCE_LEVELS.map(level => (
+          <label key={level} className="cursor-pointer">
+            <input
+              type="radio"
+              name={`confidence-${id}`}
+              value={level}
+              checked={confidence === level}
+              onChange={() => onConfidenceChange(level)}
+              // Clicking the current rating clears it
+              onClick={() => confidence === level && onConfidenceChange(null)}
+              className="sr-only peer"
+            />
+            <span
+              className={`flex items-center justify-center w-5 h-5 text-xs rounded ${confidence !== null && level <= confidence ? 'bg-primary-600 text-white' : 'bg-gray-200 dark:bg-gray-700 text-gray-600 dark:text-gray-300'} hover:ring-2 hover:ring-primary-300 peer-focus-visible:ring-2 peer-focus-visible:ring-primary-500`}
+            >
+              {level}
+              <span className="sr-only"> {t('status.outOf', { max: CONFIDENCE_LEVELS.length })}</span>
+            </span>
+          </label>
+        ))}
+      </fieldset>
+    </div>
+  );
+};
+
+export default StatusControl;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import { I18nProvider } from '../contexts/I18nContext';
+import StatusControl from './StatusControl';
+
+const renderControl = (props = {}) => {
+  const handlers = { onStatusChange: jest.fn(), onConfidenceChange: jest.fn() };
+  const utils = render(
+    <I18nProvider>
+      <StatusControl id="p1" title="Two Sum" status="attempted" confidence={3} {...handlers} {...props} />
+    </I18nProvider>
+  );
+  return { ...utils, ...handlers };
+};
+
+beforeEach(() => {
+  localStorage.setItem('locale', 'en');
+});
+
+test('has no axe violations', async () => {
+  const { container } = renderControl();
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+test('labels the status select and confidence group with the problem title', () => {
+  renderControl();
+  expect(screen.getByRole('combobox', { name: 'Status of Two Sum' })).toHaveValue('attempted');
+  expect(screen.getByRole('group', { name: 'Confidence in Two Sum' })).toBeInTheDocument();
+  expect(screen.getByRole('radio', { name: '3 out of 5' })).toBeChecked();
+});
+
+test('reports status and confidence changes', () => {
+  const { onStatusChange, onConfidenceChange } = renderControl();
+  fireEvent.change(screen.getByRole('combobox'), { target: { value: 'solved' } });
+  expect(onStatusChange).toHaveBeenCalledWith('solved');
+
+  fireEvent.click(screen.getByRole('radio', { name: '5 out of 5' }));
+  expect(onConfidenceChange).toHaveBeenCalledWith(5);
+});
+
+test('clears the rating when the current level is chosen again', () => {
+  const { onConfidenceChange } = renderControl();
+  fireEvent.click(screen.getByRole('radio', { name: '3 out of 5' }));
+  expect(onConfidenceChange).toHaveBeenCalledWith(null);
+});
+
+test('names the statuses in the current language', () => {
+  localStorage.setItem('locale', 'es');
+  renderControl();
+  expect(screen.getByRole('combobox', { name: 'Estado de Two Sum' })).toHaveDisplayValue('Intentado');
+  expect(screen.getByRole('option', { name: 'Resuelto con pistas' })).toBeInTheDocument();
+});
@@ -0,0 +1,51 @@
+import React from 'react';
+import { useI18n } from '../contexts/I18nContext';
+import { STATUSES, isCompletedStatus } from '../utils/progressStatus';
+
+// Progress bar with one segment per status; the empty track is "Not started".
+// Assistive technology gets the completed count plus the per-status breakdown.
+const StatusProgressBar = ({ counts, total, label, height = 'h-2', showLegend = false }) => {
+  const { t } = useI18n();
+  const segments = STATUSES.filter(({ key }) => key !== 'not_started' && counts[key] > 0);
+  const summary = STATUSES
+    .map(({ key, labelKey }) => t('status.count', { status: t(labelKey), count: counts[key] || 0 }))
+    .join(', ');
+  const completed = STATUSES
+    .filter(({ key }) => isCompletedStatus(key))
+    .reduce((sum, { key }) => sum + (counts[key] || 0), 0);
+
+  return (
+    <div>
+      <div
+        className={`w-full bg-gray-200 dark:bg-gray-700 rounded-full ${height} flex overflow-hidden`}
+        role="progressbar"
+        aria-label={label}
+        aria-valuemin={0}
+        aria-valuemax={total}
+        aria-valuenow={completed}
+        aria-valuetext={t('status.valueText', { completed, total, summary })}
+        title={summary}
+      >
+        {total > 0 && segments.map(({ key, color }) => (
+          <div
+            key={key}
+            className={`${color} ${height} progress-bar`}
+            style={{ width: `${(counts[key] / total) * 100}%` }}
+          ></div>
+        ))}
+      </div>
+      {showLegend && (
+        <ul className="flex flex-wrap gap-x-4 gap-y-1 mt-2">
+          {STATUSES.map(({ key, labelKey, color }) => (
+            <li key={key} className="flex items-center space-x-1 text-xs text-gray-600 dark:text-gray-400">
+              <span className={`w-2 h-2 rounded-full ${color}`} aria-hidden="true"></span>
+              <span>{t('status.legendItem', { status: t(labelKey), count: counts[key] || 0 })}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default StatusProgressBar;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import { I18nProvider } from '../contexts/I18nContext';
+import StatusProgressBar from './StatusProgressBar';
+
+const counts = { not_started: 4, attempted: 2, solved: 3, solved_with_hints: 1, needs_revision: 0 };
+
+const renderBar = (props) => render(
+  <I18nProvider>
+    <StatusProgressBar counts={counts} total={10} {...props} />
+  </I18nProvider>
+);
+
+beforeEach(() => {
+  localStorage.setItem('locale', 'en');
+});
+
+test('exposes completed problems as progressbar values', () => {
+  renderBar({ label: 'Arrays progress' });
+  const bar = screen.getByRole('progressbar', { name: 'Arrays progress' });
+  expect(bar).toHaveAttribute('aria-valuenow', '4');
+  expect(bar).toHaveAttribute('aria-valuemax', '10');
+  expect(bar.getAttribute('aria-valuetext')).toContain('Attempted: 2');
+});
+
+test('names statuses in the current language', () => {
+  localStorage.setItem('locale', 'es');
+  renderBar({ label: 'Progreso de Arrays', showLegend: true });
+  expect(screen.getByRole('progressbar').getAttribute('aria-valuetext')).toBe(
+    '4/10. Sin empezar: 4, Intentado: 2, Resuelto: 3, Resuelto con pistas: 1, Necesita repaso: 0'
+  );
+  expect(screen.getByText('Resuelto con pistas 1')).toBeInTheDocument();
+});
+
+test('has no axe violations with the legend shown', async () => {
+  const { container } = renderBar({ label: 'Overall Progress', showLegend: true });
+  expect(await axe(container)).toHaveNoViolations();
+});
@@ -0,0 +1,31 @@
+import React from 'react';
+import { useSync } from '../contexts/SyncContext';
+import { useI18n } from '../contexts/I18nContext';
+
+// Tells the user when the API refused a queued progress change. The change
+// has already been rolled back on screen, so without this it would just vanish.
+const SyncErrorNotice = () => {
+  const { rejectedChange, dismissRejectedChange } = useSync();
+  const { t } = useI18n();
+
+  if (!rejectedChange) {
+    return null;
+  }
+
+  return (
+    <div
+      className="fixed bottom-4 left-4 z-50 max-w-sm bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 rounded-lg shadow-lg p-4"
+      role="alert"
+    >
+      <p className="text-sm">{t('sync.rejected')}</p>
+      {rejectedChange.message && <p className="text-sm mt-1">{rejectedChange.message}</p>}
+      <div className="mt-3 flex justify-end">
+        <button type="button" onClick={dismissRejectedChange} className="btn btn-secondary">
+          {t('sync.dismiss')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SyncErrorNotice;
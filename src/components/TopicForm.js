@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { useI18n } from '../contexts/I18nContext';
+import { validateTopic, translateError } from '../utils/sheetValidation';
+
+const TopicForm = ({ topic = {}, onSubmit, onCancel, submitLabel }) => {
+  const { t } = useI18n();
+  const [formData, setFormData] = useState({
+    title: topic.title || '',
+    description: topic.description || ''
+  });
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const idPrefix = `topic-form-${topic._id || 'new'}`;
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validation = validateTopic(formData);
+    setErrors(validation);
+    if (Object.keys(validation).length > 0) {
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      await onSubmit({ title: formData.title.trim(), description: formData.description.trim() });
+    } catch (error) {
+      console.error('Error saving topic:', error);
+      setError(error.response?.data?.message || t('admin.topicForm.saveError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="space-y-4">
+      {error && (
+        <div className="bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      <div>
+        <label htmlFor={`${idPrefix}-title`} className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+          {t('admin.form.title')}
+        </label>
+        <input
+          id={`${idPrefix}-title`}
+          name="title"
+          type="text"
+          value={formData.title}
+          onChange={handleChange}
+          className="input mt-1"
+          aria-invalid={Boolean(errors.title)}
+          aria-describedby={errors.title ? `${idPrefix}-title-error` : undefined}
+        />
+        {errors.title && (
+          <p id={`${idPrefix}-title-error`} className="mt-1 text-xs text-danger-700 dark:text-danger-400">{translateError(t, errors.title)}</p>
+        )}
+      </div>
+
+      <div>
+        <label htmlFor={`${idPrefix}-description`} className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+          {t('admin.form.description')}
+        </label>
+        <textarea
+          id={`${idPrefix}-description`}
+          name="description"
+          rows={2}
+          value={formData.description}
+          onChange={handleChange}
+          className="input mt-1"
+        />
+      </div>
+
+      <div className="flex justify-end space-x-3">
+        {onCancel && (
+          <button type="button" onClick={onCancel} disabled={saving} className="btn btn-secondary">
+            {t('admin.form.cancel')}
+          </button>
+        )}
+        <button type="submit" disabled={saving} className="btn btn-primary disabled:opacity-50">
+          {saving ? <span className="loading-dots">{t('admin.form.saving')}</span> : submitLabel || t('admin.topicForm.save')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TopicForm;
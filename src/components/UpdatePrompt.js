@@ -0,0 +1,34 @@
+import React, { useState, useEffect } from 'react';
+import { useI18n } from '../contexts/I18nContext';
+import { onUpdateAvailable, applyUpdate } from '../serviceWorkerRegistration';
+
+// Offers to reload when a new build has been deployed and installed
+const UpdatePrompt = () => {
+  const { t } = useI18n();
+  const [visible, setVisible] = useState(false);
+
+  useEffect(() => onUpdateAvailable(() => setVisible(true)), []);
+
+  if (!visible) {
+    return null;
+  }
+
+  return (
+    <div
+      className="fixed bottom-4 right-4 z-50 max-w-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg p-4"
+      role="status"
+    >
+      <p className="text-sm text-gray-900 dark:text-gray-100">{t('update.available')}</p>
+      <div className="mt-3 flex justify-end space-x-2">
+        <button type="button" onClick={() => setVisible(false)} className="btn btn-secondary">
+          {t('update.later')}
+        </button>
+        <button type="button" onClick={applyUpdate} className="btn btn-primary">
+          {t('update.reload')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { I18nProvider } from '../contexts/I18nContext';
+import { onUpdateAvailable, applyUpdate } from '../serviceWorkerRegistration';
+import UpdatePrompt from './UpdatePrompt';
+
+jest.mock('../serviceWorkerRegistration', () => ({
+  onUpdateAvailable: jest.fn(),
+  applyUpdate: jest.fn()
+}));
+
+let announceUpdate;
+
+const renderPrompt = () => render(
+  <I18nProvider>
+    <UpdatePrompt />
+  </I18nProvider>
+);
+
+beforeEach(() => {
+  localStorage.setItem('locale', 'en');
+  announceUpdate = null;
+  onUpdateAvailable.mockImplementation((listener) => {
+    announceUpdate = listener;
+    return () => {};
+  });
+});
+
+test('stays hidden until a new version is waiting', () => {
+  renderPrompt();
+  expect(screen.queryByText('A new version of DSA Sheet is available.')).not.toBeInTheDocument();
+});
+
+test('reloads into the new version on request', () => {
+  renderPrompt();
+  act(() => announceUpdate());
+
+  expect(screen.getByRole('status')).toHaveTextContent('A new version of DSA Sheet is available.');
+  fireEvent.click(screen.getByRole('button', { name: 'Reload' }));
+  expect(applyUpdate).toHaveBeenCalled();
+});
+
+test('can be dismissed', () => {
+  renderPrompt();
+  act(() => announceUpdate());
+
+  fireEvent.click(screen.getByRole('button', { name: 'Later' }));
+  expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  expect(applyUpdate).not.toHaveBeenCalled();
+});
@@ -0,0 +1,54 @@
+import React from 'react';
+import { useI18n } from '../contexts/I18nContext';
+
+const HEIGHT = 140;
+const BAR_WIDTH = 24;
+const GAP = 12;
+const BOTTOM = 20;
+
+// Bar chart of completions per week; expects data from completionsPerWeek
+const WeeklyChart = ({ weeks }) => {
+  const { t, formatNumber, formatDate } = useI18n();
+  const max = Math.max(1, ...weeks.map(week => week.count));
+  const width = weeks.length * (BAR_WIDTH + GAP);
+  const chartHeight = HEIGHT - BOTTOM;
+
+  return (
+    <div className="overflow-x-auto custom-scrollbar">
+      <svg width={width} height={HEIGHT} role="img" aria-label={t('analytics.weekly.label')}>
+        {weeks.map((week, index) => {
+          const barHeight = Math.round((week.count / max) * (chartHeight - 14));
+          const x = index * (BAR_WIDTH + GAP);
+          const label = formatDate(week.weekStart, { month: 'short', day: 'numeric' });
+
+          return (
+            <g key={label}>
+              <rect
+                x={x}
+                y={chartHeight - barHeight}
+                width={BAR_WIDTH}
+                height={barHeight}
+                rx={3}
+                className="fill-primary-500"
+              >
+                <title>{t('analytics.weekly.bar', { count: week.count, week: label })}</title>
+              </rect>
+              {week.count > 0 && (
+                <text x={x + BAR_WIDTH / 2} y={chartHeight - barHeight - 4} textAnchor="middle" className="fill-gray-700 dark:fill-gray-300 text-[10px]">
+                  {formatNumber(week.count)}
+                </text>
+              )}
+              {index % 2 === 0 && (
+                <text x={x + BAR_WIDTH / 2} y={HEIGHT - 6} textAnchor="middle" className="fill-gray-500 dark:fill-gray-400 text-[10px]">
+                  {label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+};
+
+export default WeeklyChart;
@@ -0,0 +1,45 @@
+import React, { createContext, useContext, useState, useRef, useCallback, useEffect } from 'react';
+
+const AnnouncerContext = createContext();
+
+export const useAnnouncer = () => {
+  const context = useContext(AnnouncerContext);
+  if (!context) {
+    throw new Error('useAnnouncer must be used within an AnnouncerProvider');
+  }
+  return context;
+};
+
+// Visually hidden live regions for status messages that have no visible focus
+// target, such as a progress update or a failed save.
+export const AnnouncerProvider = ({ children }) => {
+  const [messages, setMessages] = useState({ polite: '', assertive: '' });
+  const timeoutRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(timeoutRef.current), []);
+
+  // Clear the region first so repeating the same message is announced again
+  const announce = useCallback((message, politeness = 'polite') => {
+    clearTimeout(timeoutRef.current);
+    setMessages({ polite: '', assertive: '' });
+    timeoutRef.current = setTimeout(() => {
+      setMessages(prev => ({ ...prev, [politeness]: message }));
+    }, 100);
+  }, []);
+
+  const value = {
+    announce
+  };
+
+  return (
+    <AnnouncerContext.Provider value={value}>
+      {children}
+      <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+        {messages.polite}
+      </div>
+      <div className="sr-only" role="alert" aria-live="assertive" aria-atomic="true">
+        {messages.assertive}
+      </div>
+    </AnnouncerContext.Provider>
+  );
+};
@@ -1,8 +1,39 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import api from '../api/axios';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api, {
+  getToken,
+  setToken,
+  onTokenChange,
+  refreshSession,
+  setSessionExpiredHandler,
+  isNetworkError
+} from '../api/axios';
+import { clearQueries } from '../api/queryCache';
+import { getTokenExpiry } from '../utils/jwt';
+import { locationToPath } from '../utils/redirect';
+
+// Refresh this long before the access token expires
+const REFRESH_MARGIN = 60 * 1000;
+// Longest delay setTimeout supports
+const MAX_TIMEOUT = 2147483647;
+// Last signed-in user, so the app can still open offline
+const USER_KEY = 'user';
+
+const readStoredUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY));
+  } catch (error) {
+    return null;
+  }
+};
 
 const AuthContext = createContext();
 
+const failure = (error, fallback) => ({
+  success: false,
+  message: error.response?.data?.message || fallback
+});
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -14,19 +45,27 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [token, setTokenState] = useState(getToken);
+  const navigate = useNavigate();
 
-  // Token is now handled by the API interceptor
+  // Token is attached by the API interceptor; track it here to schedule refreshes
+  useEffect(() => onTokenChange(setTokenState), []);
 
-  // Check if user is logged in on app start
+  // Check if user is logged in on app start. Without a connection, trust the
+  // stored session until the API can be reached again.
   useEffect(() => {
     const checkAuth = async () => {
-      const token = localStorage.getItem('token');
-      if (token) {
+      if (getToken()) {
         try {
           const response = await api.get('/auth/me');
           setUser(response.data.user);
         } catch (error) {
-          localStorage.removeItem('token');
+          const storedUser = readStoredUser();
+          if (isNetworkError(error) && storedUser) {
+            setUser(storedUser);
+          } else {
+            setToken(null);
+          }
         }
       }
       setLoading(false);
@@ -35,20 +74,26 @@ export const AuthProvider = ({ children }) => {
     checkAuth();
   }, []);
 
+  useEffect(() => {
+    if (user) {
+      localStorage.setItem(USER_KEY, JSON.stringify(user));
+    } else if (!loading) {
+      localStorage.removeItem(USER_KEY);
+    }
+  }, [user, loading]);
+
   const login = async (email, password) => {
     try {
       const response = await api.post('/auth/login', { email, password });
       const { token, user } = response.data;
       
-      localStorage.setItem('token', token);
+      clearQueries();
+      setToken(token);
       setUser(user);
       
       return { success: true };
     } catch (error) {
-      return { 
-        success: false, 
-        message: error.response?.data?.message || 'Login failed' 
-      };
+      return failure(error, 'Login failed');
     }
   };
 
@@ -57,28 +102,111 @@ export const AuthProvider = ({ children }) => {
       const response = await api.post('/auth/register', { name, email, password });
       const { token, user } = response.data;
       
-      localStorage.setItem('token', token);
+      clearQueries();
+      setToken(token);
       setUser(user);
       
       return { success: true };
     } catch (error) {
-      return { 
-        success: false, 
-        message: error.response?.data?.message || 'Registration failed' 
-      };
+      return failure(error, 'Registration failed');
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
+  // Cached data belongs to the signed-in user, so drop it with the session
+  const logout = useCallback(() => {
+    setToken(null);
     setUser(null);
+    clearQueries();
+  }, []);
+
+  // The API answers the same way whether or not the email has an account
+  const requestPasswordReset = async (email) => {
+    try {
+      await api.post('/auth/forgot-password', { email });
+      return { success: true };
+    } catch (error) {
+      return failure(error, 'Could not send the reset email');
+    }
+  };
+
+  const resetPassword = async (resetToken, password) => {
+    try {
+      await api.post('/auth/reset-password', { token: resetToken, password });
+      return { success: true };
+    } catch (error) {
+      return failure(error, 'Could not reset the password');
+    }
   };
 
+  const updateProfile = async (changes) => {
+    try {
+      const response = await api.put('/auth/me', changes);
+      setUser(response.data.user);
+      return { success: true };
+    } catch (error) {
+      return failure(error, 'Could not update your profile');
+    }
+  };
+
+  const changePassword = async (currentPassword, newPassword) => {
+    try {
+      await api.put('/auth/password', { currentPassword, newPassword });
+      return { success: true };
+    } catch (error) {
+      return failure(error, 'Could not change the password');
+    }
+  };
+
+  const deleteAccount = async (password) => {
+    try {
+      await api.delete('/auth/me', { data: { password } });
+      logout();
+      return { success: true };
+    } catch (error) {
+      return failure(error, 'Could not delete the account');
+    }
+  };
+
+  // Log out when the API could not refresh the session, remembering where the
+  // user was so they can pick up from there after signing in again
+  useEffect(() => {
+    setSessionExpiredHandler(() => {
+      logout();
+      if (window.location.pathname !== '/login') {
+        navigate('/login', { replace: true, state: { from: locationToPath(window.location) } });
+      }
+    });
+
+    return () => setSessionExpiredHandler(null);
+  }, [logout, navigate]);
+
+  // Proactively refresh shortly before the access token expires
+  useEffect(() => {
+    const expiry = getTokenExpiry(token);
+    if (!user || !expiry) {
+      return undefined;
+    }
+
+    const delay = Math.min(Math.max(expiry - Date.now() - REFRESH_MARGIN, 0), MAX_TIMEOUT);
+    const timeoutId = setTimeout(() => {
+      refreshSession().catch((error) => {
+        console.error('Error refreshing session:', error);
+      });
+    }, delay);
+
+    return () => clearTimeout(timeoutId);
+  }, [token, user]);
+
   const value = {
     user,
     login,
     register,
     logout,
+    requestPasswordReset,
+    resetPassword,
+    updateProfile,
+    changePassword,
+    deleteAccount,
     loading
   };
 
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { MemoryRouter } from 'react-router-dom';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { rest } from 'msw';
+import { server } from '../mocks/server';
+import { apiUrl, db, tokenFor } from '../mocks/handlers';
+import { getToken } from '../api/axios';
+import { setQueryData, getQueryData } from '../api/queryCache';
+import { signInAs } from '../testUtils';
+import { AuthProvider, useAuth } from './AuthContext';
+
+// Minimal consumer that drives the context the way the Login page and Navbar do
+const AuthHarness = () => {
+  const { user, loading, login, register, logout } = useAuth();
+  const [result, setResult] = useState(null);
+
+  if (loading) {
+    return <p>Checking session</p>;
+  }
+
+  return (
+    <div>
+      <p data-testid="user">{user ? `${user.name} (${user.role})` : 'Signed out'}</p>
+      {result && <p data-testid="result">{result.success ? 'ok' : result.message}</p>}
+      <button onClick={async () => setResult(await login('learner@example.com', 'learner123'))}>Good login</button>
+      <button onClick={async () => setResult(await login('learner@example.com', 'wrong'))}>Bad login</button>
+      <button onClick={async () => setResult(await register('New User', 'new@example.com', 'Secret123'))}>Register</button>
+      <button onClick={async () => setResult(await register('Again', 'admin@example.com', 'Secret123'))}>Register taken</button>
+      <button onClick={logout}>Logout</button>
+    </div>
+  );
+};
+
+const renderAuth = () => render(
+  <MemoryRouter>
+    <AuthProvider>
+      <AuthHarness />
+    </AuthProvider>
+  </MemoryRouter>
+);
+
+test('starts signed out without a stored token', async () => {
+  renderAuth();
+  expect(await screen.findByTestId('user')).toHaveTextContent('Signed out');
+});
+
+test('restores the session from /auth/me when a token is stored', async () => {
+  signInAs('admin@example.com');
+  renderAuth();
+  expect(screen.getByText('Checking session')).toBeInTheDocument();
+  expect(await screen.findByTestId('user')).toHaveTextContent('Admin (admin)');
+});
+
+test('drops a stored token the API no longer accepts', async () => {
+  localStorage.setItem('token', 'expired-token');
+  renderAuth();
+  expect(await screen.findByTestId('user')).toHaveTextContent('Signed out');
+  expect(getToken()).toBeNull();
+});
+
+test('signs out when the session check fails', async () => {
+  signInAs('learner@example.com');
+  server.use(rest.get(apiUrl('/auth/me'), (req, res, ctx) => res(ctx.status(500))));
+  renderAuth();
+  expect(await screen.findByTestId('user')).toHaveTextContent('Signed out');
+  expect(getToken()).toBeNull();
+});
+
+test('keeps the last signed-in user when the API cannot be reached on start', async () => {
+  signInAs('learner@example.com');
+  localStorage.setItem('user', JSON.stringify({ _id: 'u2', name: 'Learner', role: 'user' }));
+  server.use(rest.get(apiUrl('/auth/me'), (req, res) => res.networkError('Failed to connect')));
+  renderAuth();
+
+  expect(await screen.findByTestId('user')).toHaveTextContent('Learner (user)');
+  expect(getToken()).toBe('token-u2');
+});
+
+test('signs out offline when no user was stored', async () => {
+  signInAs('learner@example.com');
+  server.use(rest.get(apiUrl('/auth/me'), (req, res) => res.networkError('Failed to connect')));
+  renderAuth();
+
+  expect(await screen.findByTestId('user')).toHaveTextContent('Signed out');
+  expect(getToken()).toBeNull();
+});
+
+test('logs in and stores the token', async () => {
+  renderAuth();
+  fireEvent.click(await screen.findByRole('button', { name: 'Good login' }));
+
+  expect(await screen.findByTestId('result')).toHaveTextContent('ok');
+  expect(screen.getByTestId('user')).toHaveTextContent('Learner (user)');
+  expect(getToken()).toBe('token-u2');
+  expect(JSON.parse(localStorage.getItem('user'))).toMatchObject({ _id: 'u2', name: 'Learner' });
+});
+
+test('returns the API message when login fails', async () => {
+  renderAuth();
+  fireEvent.click(await screen.findByRole('button', { name: 'Bad login' }));
+
+  expect(await screen.findByTestId('result')).toHaveTextContent('Invalid email or password');
+  expect(screen.getByTestId('user')).toHaveTextContent('Signed out');
+  expect(getToken()).toBeNull();
+});
+
+test('registers a new account and signs it in', async () => {
+  renderAuth();
+  fireEvent.click(await screen.findByRole('button', { name: 'Register' }));
+
+  expect(await screen.findByTestId('result')).toHaveTextContent('ok');
+  expect(screen.getByTestId('user')).toHaveTextContent('New User (user)');
+  expect(getToken()).toBe(tokenFor(db.users.find(u => u.email === 'new@example.com')));
+});
+
+test('returns the API message when registration fails', async () => {
+  renderAuth();
+  fireEvent.click(await screen.findByRole('button', { name: 'Register taken' }));
+
+  expect(await screen.findByTestId('result')).toHaveTextContent('An account with this email already exists');
+});
+
+test('logout clears the token and cached data', async () => {
+  signInAs('learner@example.com');
+  setQueryData('topics', []);
+  renderAuth();
+  await screen.findByTestId('user');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Logout' }));
+
+  await waitFor(() => expect(screen.getByTestId('user')).toHaveTextContent('Signed out'));
+  expect(getToken()).toBeNull();
+  expect(getQueryData('topics')).toBeUndefined();
+  expect(localStorage.getItem('user')).toBeNull();
+});
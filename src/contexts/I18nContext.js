@@ -0,0 +1,89 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { LOCALES, DEFAULT_LOCALE, PSEUDO_LOCALE, catalogs } from '../locales';
+import { lookup, formatMessage, matchLocale } from '../utils/i18n';
+
+const STORAGE_KEY = 'locale';
+
+const I18nContext = createContext();
+
+export const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error('useI18n must be used within an I18nProvider');
+  }
+  return context;
+};
+
+const supportedCodes = LOCALES.map(({ code }) => code);
+
+const getInitialLocale = () => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  if (supportedCodes.includes(stored)) {
+    return stored;
+  }
+  const preferred = navigator.languages || [navigator.language || DEFAULT_LOCALE];
+  return matchLocale(preferred.filter(Boolean), supportedCodes.filter(code => code !== PSEUDO_LOCALE), DEFAULT_LOCALE);
+};
+
+// Numbers, dates and plural rules in the pseudo-locale follow English
+const getFormatLocale = (locale) => (locale === PSEUDO_LOCALE ? DEFAULT_LOCALE : locale);
+
+const warned = new Set();
+
+export const I18nProvider = ({ children }) => {
+  const [locale, setLocaleState] = useState(getInitialLocale);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const setLocale = useCallback((value) => {
+    localStorage.setItem(STORAGE_KEY, value);
+    setLocaleState(value);
+  }, []);
+
+  // Keys missing from a catalog fall back to English, then to the key itself
+  const t = useCallback((key, params = {}) => {
+    let message = lookup(catalogs[locale], key);
+    if (message === undefined) {
+      if (process.env.NODE_ENV !== 'production' && !warned.has(`${locale}:${key}`)) {
+        warned.add(`${locale}:${key}`);
+        console.warn(`Missing ${locale} translation for "${key}"`);
+      }
+      message = lookup(catalogs[DEFAULT_LOCALE], key);
+    }
+    return message === undefined ? key : formatMessage(message, params, getFormatLocale(locale));
+  }, [locale]);
+
+  const formatNumber = useCallback(
+    (value, options) => new Intl.NumberFormat(getFormatLocale(locale), options).format(value),
+    [locale]
+  );
+
+  // Percentages are stored as whole numbers (e.g. 42 for 42%)
+  const formatPercent = useCallback(
+    (value) => formatNumber(value / 100, { style: 'percent', maximumFractionDigits: 0 }),
+    [formatNumber]
+  );
+
+  const formatDate = useCallback(
+    (value, options) => new Intl.DateTimeFormat(getFormatLocale(locale), options).format(new Date(value)),
+    [locale]
+  );
+
+  const value = {
+    locale,
+    locales: LOCALES,
+    setLocale,
+    t,
+    formatNumber,
+    formatPercent,
+    formatDate
+  };
+
+  return (
+    <I18nContext.Provider value={value}>
+      {children}
+    </I18nContext.Provider>
+  );
+};
@@ -0,0 +1,131 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import {
+  getQueue,
+  subscribe,
+  subscribeRejections,
+  enqueueChange,
+  flushQueue,
+  cancelRetry,
+  applyPendingChanges
+} from '../api/progressQueue';
+import { getQueryData } from '../api/queryCache';
+import { progressQuery } from '../api/queries';
+import { getStatus, statusChanges } from '../utils/progressStatus';
+
+const SyncContext = createContext();
+
+export const useSync = () => {
+  const context = useContext(SyncContext);
+  if (!context) {
+    throw new Error('useSync must be used within a SyncProvider');
+  }
+  return context;
+};
+
+export const SyncProvider = ({ children }) => {
+  const { user } = useAuth();
+  const userId = user ? user._id || user.id : null;
+  const [pending, setPending] = useState([]);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  // The last change the API refused, until the user dismisses it
+  const [rejectedChange, setRejectedChange] = useState(null);
+
+  useEffect(() => subscribeRejections(setRejectedChange), []);
+
+  useEffect(() => {
+    setRejectedChange(null);
+  }, [userId]);
+
+  // Keep pending changes in sync with this tab and any other open tab
+  useEffect(() => {
+    if (!userId) {
+      setPending([]);
+      return undefined;
+    }
+
+    const refresh = () => setPending(getQueue(userId));
+    refresh();
+
+    const unsubscribe = subscribe(refresh);
+    window.addEventListener('storage', refresh);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', refresh);
+    };
+  }, [userId]);
+
+  // Replay the outbox whenever connectivity returns
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      if (userId) {
+        flushQueue(userId);
+      }
+    };
+
+    const handleOffline = () => {
+      setIsOnline(false);
+    };
+
+    if (userId && navigator.onLine) {
+      flushQueue(userId);
+    }
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      cancelRetry();
+    };
+  }, [userId]);
+
+  // Change status, confidence or completion. The values currently shown,
+  // including unsynced changes, are what the outbox falls back to.
+  const updateProgress = useCallback((problemId, changes) => {
+    const records = applyPendingChanges(getQueryData(progressQuery.key) || [], getQueue(userId));
+    const record = records.find(p => p.problemId && p.problemId._id === problemId);
+    const current = {
+      status: getStatus(record),
+      completed: Boolean(record && record.completed),
+      confidence: record && record.confidence !== undefined ? record.confidence : null
+    };
+
+    enqueueChange(userId, problemId, changes, current);
+    if (navigator.onLine) {
+      flushQueue(userId);
+    }
+  }, [userId]);
+
+  const toggleProgress = useCallback(
+    (problemId, completed) => updateProgress(problemId, statusChanges(completed ? 'solved' : 'not_started')),
+    [updateProgress]
+  );
+
+  const applyPending = useCallback(
+    (progress) => applyPendingChanges(progress, pending),
+    [pending]
+  );
+
+  const dismissRejectedChange = useCallback(() => setRejectedChange(null), []);
+
+  const value = {
+    pending,
+    pendingCount: pending.length,
+    isOnline,
+    rejectedChange,
+    dismissRejectedChange,
+    updateProgress,
+    toggleProgress,
+    applyPending
+  };
+
+  return (
+    <SyncContext.Provider value={value}>
+      {children}
+    </SyncContext.Provider>
+  );
+};
@@ -0,0 +1,73 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+
+const STORAGE_KEY = 'theme';
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+const ThemeContext = createContext();
+
+export const useTheme = () => {
+  const context = useContext(ThemeContext);
+  if (!context) {
+    throw new Error('useTheme must be used within a ThemeProvider');
+  }
+  return context;
+};
+
+const getStoredPreference = () => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  return stored === 'light' || stored === 'dark' ? stored : 'system';
+};
+
+const getSystemTheme = () =>
+  window.matchMedia && window.matchMedia(DARK_QUERY).matches ? 'dark' : 'light';
+
+export const ThemeProvider = ({ children }) => {
+  // 'system' follows the OS until the user picks a theme explicitly
+  const [preference, setPreference] = useState(getStoredPreference);
+  const [systemTheme, setSystemTheme] = useState(getSystemTheme);
+
+  const theme = preference === 'system' ? systemTheme : preference;
+
+  useEffect(() => {
+    if (!window.matchMedia) {
+      return undefined;
+    }
+
+    const mediaQuery = window.matchMedia(DARK_QUERY);
+    const handleChange = (e) => setSystemTheme(e.matches ? 'dark' : 'light');
+
+    mediaQuery.addEventListener('change', handleChange);
+    return () => mediaQuery.removeEventListener('change', handleChange);
+  }, []);
+
+  // Tailwind's class-based dark mode keys off the root element
+  useEffect(() => {
+    document.documentElement.classList.toggle('dark', theme === 'dark');
+  }, [theme]);
+
+  const setTheme = useCallback((value) => {
+    if (value === 'system') {
+      localStorage.removeItem(STORAGE_KEY);
+    } else {
+      localStorage.setItem(STORAGE_KEY, value);
+    }
+    setPreference(value);
+  }, []);
+
+  const toggleTheme = useCallback(() => {
+    setTheme(theme === 'dark' ? 'light' : 'dark');
+  }, [theme, setTheme]);
+
+  const value = {
+    theme,
+    preference,
+    setTheme,
+    toggleTheme
+  };
+
+  return (
+    <ThemeContext.Provider value={value}>
+      {children}
+    </ThemeContext.Provider>
+  );
+};
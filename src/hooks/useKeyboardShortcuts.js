@@ -0,0 +1,80 @@
+import { useEffect, useRef } from 'react';
+
+// How long to wait for the second key of a sequence such as "g d"
+const SEQUENCE_TIMEOUT = 1000;
+
+const MODIFIER_KEYS = ['shift', 'control', 'meta', 'alt'];
+
+const isTypingTarget = (target) =>
+  Boolean(target) &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+// The command palette and shortcuts help are modal: keys belong to them
+const isModalOpen = () => Boolean(document.querySelector('[role="dialog"][aria-modal="true"]'));
+
+// Normalise an event to a binding name, e.g. "j", "?" or "mod+k"
+const describeKey = (event) => {
+  const parts = [];
+  if (event.ctrlKey || event.metaKey) {
+    parts.push('mod');
+  }
+  if (event.altKey) {
+    parts.push('alt');
+  }
+  parts.push(event.key.toLowerCase());
+  return parts.join('+');
+};
+
+// Bind keys or two-key sequences ("g d") to handlers. Plain keys are ignored
+// while typing in form fields or while a modal dialog is open; "mod+"
+// bindings work everywhere.
+const useKeyboardShortcuts = (bindings, enabled = true) => {
+  const bindingsRef = useRef(bindings);
+
+  useEffect(() => {
+    bindingsRef.current = bindings;
+  });
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    let previousKey = null;
+    let timeoutId = null;
+
+    const handleKeyDown = (event) => {
+      if (!event.key || MODIFIER_KEYS.includes(event.key.toLowerCase())) {
+        return;
+      }
+
+      const key = describeKey(event);
+      if ((isTypingTarget(event.target) || isModalOpen()) && !key.startsWith('mod+')) {
+        return;
+      }
+
+      const current = bindingsRef.current;
+      const handler = (previousKey && current[`${previousKey} ${key}`]) || current[key];
+
+      clearTimeout(timeoutId);
+      if (handler) {
+        event.preventDefault();
+        previousKey = null;
+        handler(event);
+      } else {
+        previousKey = key;
+        timeoutId = setTimeout(() => {
+          previousKey = null;
+        }, SEQUENCE_TIMEOUT);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      clearTimeout(timeoutId);
+    };
+  }, [enabled]);
+};
+
+export default useKeyboardShortcuts;
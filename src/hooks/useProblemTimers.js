@@ -0,0 +1,51 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  getTimers,
+  subscribe,
+  startTimer,
+  pauseTimer,
+  stopTimer,
+  discardTimer
+} from '../api/problemTimers';
+
+// The signed-in user's problem timers, kept in sync with other open tabs
+const useProblemTimers = () => {
+  const { user } = useAuth();
+  const userId = user ? user._id || user.id : null;
+  const [timers, setTimers] = useState([]);
+
+  useEffect(() => {
+    if (!userId) {
+      setTimers([]);
+      return undefined;
+    }
+
+    const refresh = () => setTimers(getTimers(userId));
+    refresh();
+
+    const unsubscribe = subscribe(refresh);
+    window.addEventListener('storage', refresh);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', refresh);
+    };
+  }, [userId]);
+
+  const getTimer = useCallback(
+    (problemId) => timers.find(timer => timer.problemId === problemId) || null,
+    [timers]
+  );
+
+  return {
+    timers,
+    getTimer,
+    start: useCallback((problemId) => startTimer(userId, problemId), [userId]),
+    pause: useCallback((problemId) => pauseTimer(userId, problemId), [userId]),
+    stop: useCallback((problemId, options) => stopTimer(userId, problemId, options), [userId]),
+    discard: useCallback((problemId) => discardTimer(userId, problemId), [userId])
+  };
+};
+
+export default useProblemTimers;
@@ -0,0 +1,56 @@
+import { useEffect, useRef, useCallback, useSyncExternalStore } from 'react';
+import {
+  DEFAULT_STALE_TIME,
+  fetchQuery,
+  getQuerySnapshot,
+  subscribeQuery
+} from '../api/queryCache';
+
+// Read a query from the shared cache, fetching it when missing or stale and
+// revalidating stale data when the window regains focus. Pass enabled: false
+// to read whatever is cached without requesting it, e.g. when signed out.
+const useQuery = (query, { staleTime = DEFAULT_STALE_TIME, initialData, enabled = true } = {}) => {
+  const { key, fetcher } = query;
+  const fetcherRef = useRef(fetcher);
+
+  useEffect(() => {
+    fetcherRef.current = fetcher;
+  });
+
+  const subscribe = useCallback((listener) => subscribeQuery(key, listener), [key]);
+  const getSnapshot = useCallback(() => getQuerySnapshot(key), [key]);
+  const state = useSyncExternalStore(subscribe, getSnapshot);
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    const revalidate = () => {
+      fetchQuery(key, fetcherRef.current, { staleTime }).catch(error => {
+        console.error('Error fetching data:', error);
+      });
+    };
+
+    revalidate();
+    window.addEventListener('focus', revalidate);
+    return () => window.removeEventListener('focus', revalidate);
+  }, [key, staleTime, enabled]);
+
+  const refetch = useCallback(
+    () => fetchQuery(key, fetcherRef.current, { force: true }).catch(() => null),
+    [key]
+  );
+
+  const data = state.data !== undefined ? state.data : initialData;
+
+  return {
+    data,
+    error: state.error,
+    loading: enabled && data === undefined && !state.error,
+    isFetching: state.isFetching,
+    refetch
+  };
+};
+
+export default useQuery;
@@ -0,0 +1,31 @@
+import { useEffect, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
+
+// After client-side navigation, move focus to the new page's heading (or the
+// container while it loads) so screen readers start reading the new content
+// instead of staying on the link that was activated.
+const useRouteFocus = (containerRef) => {
+  const { pathname, hash } = useLocation();
+  const isInitialRender = useRef(true);
+
+  useEffect(() => {
+    if (isInitialRender.current) {
+      isInitialRender.current = false;
+      return;
+    }
+    // Deep links scroll to their own target
+    if (hash || !containerRef.current) {
+      return;
+    }
+
+    const heading = containerRef.current.querySelector('h1');
+    if (heading) {
+      heading.setAttribute('tabindex', '-1');
+      heading.focus();
+    } else {
+      containerRef.current.focus();
+    }
+  }, [pathname, hash, containerRef]);
+};
+
+export default useRouteFocus;
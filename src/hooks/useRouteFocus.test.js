@@ -0,0 +1,57 @@
+import React, { useRef } from 'react';
+import { MemoryRouter, Routes, Route, Link } from 'react-router-dom';
+import { render, screen, fireEvent } from '@testing-library/react';
+import useRouteFocus from './useRouteFocus';
+
+const Layout = () => {
+  const mainRef = useRef(null);
+  useRouteFocus(mainRef);
+
+  return (
+    <>
+      <nav>
+        <Link to="/second">Second</Link>
+        <Link to="/loading">Loading</Link>
+        <Link to="/second#item">Deep link</Link>
+      </nav>
+      <main ref={mainRef} tabIndex={-1} data-testid="main">
+        <Routes>
+          <Route path="/" element={<h1>First page</h1>} />
+          <Route path="/second" element={<h1>Second page</h1>} />
+          <Route path="/loading" element={<p>Loading</p>} />
+        </Routes>
+      </main>
+    </>
+  );
+};
+
+const renderLayout = () => render(
+  <MemoryRouter>
+    <Layout />
+  </MemoryRouter>
+);
+
+test('leaves focus alone on the first render', () => {
+  renderLayout();
+  expect(document.body).toHaveFocus();
+});
+
+test('focuses the new page heading after navigation', () => {
+  renderLayout();
+  fireEvent.click(screen.getByRole('link', { name: 'Second' }));
+  expect(screen.getByRole('heading', { name: 'Second page' })).toHaveFocus();
+});
+
+test('falls back to the main region when the page has no heading yet', () => {
+  renderLayout();
+  fireEvent.click(screen.getByRole('link', { name: 'Loading' }));
+  expect(screen.getByTestId('main')).toHaveFocus();
+});
+
+test('does not steal focus from deep links', () => {
+  renderLayout();
+  const link = screen.getByRole('link', { name: 'Deep link' });
+  link.focus();
+  fireEvent.click(link);
+  expect(link).toHaveFocus();
+});
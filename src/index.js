@@ -3,6 +3,7 @@ import ReactDOM from "react-dom/client";
 import { BrowserRouter } from "react-router-dom";
 import "./index.css";
 import App from "./App";
+import * as serviceWorkerRegistration from "./serviceWorkerRegistration";
 
 const root = ReactDOM.createRoot(document.getElementById("root"));
 root.render(
@@ -12,3 +13,6 @@ root.render(
     </BrowserRouter>
   </React.StrictMode>
 );
+
+// Cache the app for offline use and watch for new deploys
+serviceWorkerRegistration.register();
@@ -0,0 +1,725 @@
+const en = {
+  common: {
+    loading: 'Loading',
+    backToDashboard: '← Back to Dashboard',
+    progress: 'Progress',
+    percentCompleted: '{percent} completed',
+    progressOf: '{name} progress',
+    problemsProgress: {
+      one: '{completed}/{count} problem',
+      other: '{completed}/{count} problems'
+    }
+  },
+  a11y: {
+    skipToContent: 'Skip to main content'
+  },
+  offline: {
+    title: 'You are offline',
+    message: 'This page has not been saved for offline use yet. Topics you have opened before are still available.',
+    retry: 'Try again',
+    dashboard: 'Go to Dashboard'
+  },
+  update: {
+    available: 'A new version of DSA Sheet is available.',
+    reload: 'Reload',
+    later: 'Later'
+  },
+  sync: {
+    rejected: 'A progress change could not be saved and has been undone.',
+    dismiss: 'Dismiss'
+  },
+  nav: {
+    main: 'Main',
+    brand: 'DSA Sheet',
+    lists: 'Lists',
+    groups: 'Groups',
+    interview: 'Interview',
+    revise: 'Revise',
+    analytics: 'Analytics',
+    admin: 'Admin',
+    settings: 'Settings',
+    welcome: 'Welcome, {name}',
+    login: 'Login',
+    logout: 'Logout',
+    language: 'Language',
+    lightTheme: 'Switch to light theme',
+    darkTheme: 'Switch to dark theme',
+    syncing: 'Syncing your latest changes',
+    offline: 'You are offline. Changes will sync when you reconnect.',
+    pendingSync: {
+      one: '{count} change pending sync',
+      other: '{count} changes pending sync'
+    }
+  },
+  login: {
+    signInTitle: 'Sign in to your account',
+    signUpTitle: 'Create your account',
+    noAccount: "Don't have an account?",
+    haveAccount: 'Already have an account?',
+    signIn: 'Sign in',
+    signUp: 'Sign up',
+    fullName: 'Full Name',
+    fullNamePlaceholder: 'Enter your full name',
+    email: 'Email Address',
+    emailPlaceholder: 'Enter your email',
+    password: 'Password',
+    passwordPlaceholder: 'Enter your password',
+    confirmPassword: 'Confirm Password',
+    confirmPasswordPlaceholder: 'Re-enter your password',
+    forgotPassword: 'Forgot your password?',
+    showPassword: 'Show password',
+    hidePassword: 'Hide password',
+    genericError: 'An error occurred. Please try again.'
+  },
+  password: {
+    strength: 'Strength: {level}',
+    levels: {
+      weak: 'weak',
+      fair: 'fair',
+      good: 'good',
+      strong: 'strong'
+    },
+    rules: {
+      length: 'At least 8 characters',
+      case: 'Upper and lower case letters',
+      number: 'At least one number',
+      symbol: 'A symbol',
+      long: '12 or more characters'
+    },
+    optional: '(optional)',
+    met: 'done',
+    notMet: 'not yet',
+    mismatch: 'The passwords do not match',
+    tooWeak: 'Choose a password that meets all the requirements'
+  },
+  forgotPassword: {
+    title: 'Reset your password',
+    intro: 'Enter the email you signed up with and we will send you a link to choose a new password.',
+    submit: 'Send reset link',
+    sent: 'If an account exists for {email}, a reset link is on its way. It expires in one hour.',
+    backToLogin: 'Back to sign in'
+  },
+  resetPassword: {
+    title: 'Choose a new password',
+    newPassword: 'New Password',
+    confirmPassword: 'Confirm New Password',
+    submit: 'Reset password',
+    done: 'Your password has been reset. Sign in with your new password.',
+    missingToken: 'This reset link is incomplete. Request a new one to continue.',
+    requestNew: 'Request a new link',
+    signIn: 'Sign in'
+  },
+  settings: {
+    title: 'Account settings',
+    subtitle: 'Update your profile, change your password or delete your account',
+    profile: 'Profile',
+    name: 'Full Name',
+    email: 'Email Address',
+    saveProfile: 'Save profile',
+    profileSaved: 'Your profile has been updated.',
+    password: 'Password',
+    currentPassword: 'Current Password',
+    newPassword: 'New Password',
+    confirmPassword: 'Confirm New Password',
+    changePassword: 'Change password',
+    passwordChanged: 'Your password has been changed.',
+    deleteAccount: 'Delete account',
+    deleteWarning: 'This permanently deletes your account along with your progress, notes, study lists and interview history.',
+    deletePassword: 'Enter your password to confirm',
+    deleteButton: 'Delete my account',
+    deleteConfirm: 'Delete your account? This cannot be undone.',
+    publicProfile: 'Public profile',
+    publicProfileIntro: 'Share a read-only page with your progress by topic and difficulty. It shows your name, never your email or notes.',
+    handle: 'Handle',
+    handleHelp: '3 to 30 lowercase letters, numbers or hyphens',
+    makePublic: 'Make my profile public',
+    savePublicProfile: 'Save public profile',
+    publicProfileSaved: 'Your public profile settings have been saved.',
+    invalidHandle: 'Handles are 3 to 30 lowercase letters, numbers or hyphens, starting and ending with a letter or number',
+    handleRequired: 'Choose a handle before making your profile public',
+    viewProfile: 'View your public profile',
+    progressCard: 'Progress card',
+    progressCardHelp: 'Paste this Markdown into a README to show the card. It updates as you solve problems.',
+    progressCardAlt: 'Progress card for @{handle}',
+    copyMarkdown: 'Copy Markdown',
+    copied: 'Copied'
+  },
+  profile: {
+    label: 'Public profile',
+    notFound: 'Profile not found',
+    notFoundHelp: 'The link may be wrong, or the owner has made the profile private.',
+    goHome: 'Go to DSA Sheet',
+    overall: 'Overall progress',
+    byTopic: 'Progress by topic',
+    byDifficulty: 'By difficulty',
+    trackYourOwn: 'Track your own progress'
+  },
+  dashboard: {
+    title: 'DSA Sheet Dashboard',
+    subtitle: 'Track your progress through data structures and algorithms',
+    importExport: 'Import / Export',
+    refresh: 'Refresh',
+    refreshTitle: 'Refresh progress',
+    totalProblems: 'Total Problems',
+    completed: 'Completed',
+    remaining: 'Remaining',
+    dueToday: 'Due for review today',
+    overallProgress: 'Overall Progress',
+    averageTime: 'Average time to solve',
+    timedSolves: {
+      one: '{count} timed solve',
+      other: '{count} timed solves'
+    }
+  },
+  groups: {
+    title: 'Study Groups',
+    subtitle: 'Work through the sheet together and see how everyone is getting on',
+    create: 'New group',
+    name: 'Name',
+    namePlaceholder: 'Morning cohort',
+    description: 'Description',
+    descriptionPlaceholder: 'Optional',
+    createButton: 'Create group',
+    creating: 'Creating',
+    nameRequired: 'Give the group a name',
+    createError: 'Could not create the group',
+    join: 'Join a group',
+    inviteCode: 'Invite code',
+    inviteCodePlaceholder: 'e.g. 4F9A2C1B',
+    joinButton: 'Join',
+    joining: 'Joining',
+    codeRequired: 'Enter the invite code a teammate gave you',
+    joinError: 'Could not join the group',
+    empty: 'You are not in any groups yet. Create one, or join with an invite code from a teammate.',
+    members: {
+      one: '{count} member',
+      other: '{count} members'
+    },
+    owner: 'Owner',
+    you: 'You',
+    notFound: 'Group not found',
+    backToGroups: '← Back to Study Groups',
+    invite: 'Invite teammates',
+    inviteHelp: 'Anyone with this code can join the group.',
+    copyCode: 'Copy code',
+    copied: 'Copied',
+    newCode: 'New code',
+    newCodeConfirm: 'Replace the invite code? The current code will stop working.',
+    codeError: 'Could not change the invite code',
+    privacy: 'Your privacy',
+    shareProgress: 'Share my progress with this group',
+    shareProgressHelp: 'When this is off, other members only see your name.',
+    onLeaderboard: 'Show me on the leaderboard',
+    onLeaderboardHelp: 'Only members who opt in appear on the leaderboard. It needs your progress to be shared.',
+    privacyError: 'Could not update your settings',
+    leaderboard: 'Leaderboard',
+    leaderboardEmpty: 'No one is on the leaderboard yet. Opt in under Your privacy to take part.',
+    rank: 'Rank',
+    member: 'Member',
+    solved: 'Solved',
+    thisWeek: 'This week',
+    progress: 'Member progress',
+    hidden: '{name} keeps their progress private.',
+    onlyYou: 'Hidden from the group',
+    byTopic: 'By topic',
+    weekly: 'Solved per week',
+    leave: 'Leave group',
+    leaveConfirm: 'Leave {name}? You can rejoin later with an invite code.',
+    leaveError: 'Could not leave the group'
+  },
+  recommendations: {
+    title: 'Recommended next',
+    subtitle: 'Based on where you are in the sheet, the tags you find tricky and what you have not touched lately',
+    allDone: 'You have completed every problem. Head to Revise to keep them fresh.',
+    openProblem: 'Open {title} in {topic}',
+    reasons: {
+      nextInTopic: 'Next up in {topic}',
+      stepUp: 'You have cleared the easier {topic} problems, so try a {difficulty} one',
+      weakTag: 'Practises {tag}, a tag you have found tricky',
+      stale: {
+        one: 'You started this {count} day ago',
+        other: 'You started this {count} days ago'
+      },
+      topicOrder: 'Still open in {topic}'
+    }
+  },
+  solve: {
+    language: 'Language',
+    code: 'Code',
+    editorHint: 'Define a function named solve. Each test case passes its input lines to it as arguments. Tab indents; press Escape then Tab to leave the editor. Ctrl+Enter runs the tests.',
+    testCases: 'Test cases',
+    caseNumber: 'Case {number}',
+    input: 'Input',
+    inputHint: 'One JSON value per line',
+    expected: 'Expected output',
+    addCase: 'Add test case',
+    removeCase: 'Remove case {number}',
+    run: 'Run tests',
+    running: 'Running',
+    noCases: 'Add a test case to run your code.',
+    status: {
+      passed: 'Passed',
+      failed: 'Failed',
+      error: 'Error',
+      timeout: 'Time limit exceeded',
+      invalid: 'Invalid input'
+    },
+    time: '{ms} ms',
+    output: 'Your output',
+    logs: 'Console',
+    invalidLine: 'Line {line} of the input is not valid JSON',
+    missingSolve: 'Define a function named solve',
+    runtimeUnavailable: 'Could not load the {language} runtime. Check your connection and try again.',
+    timeLimit: 'Stopped after {ms} ms',
+    summary: {
+      one: '{passed} of {count} case passed',
+      other: '{passed} of {count} cases passed'
+    },
+    allPassed: 'All test cases pass.',
+    markSolved: 'Mark as solved'
+  },
+  status: {
+    statusOf: 'Status of {title}',
+    confidence: 'Confidence',
+    confidenceIn: 'Confidence in {title}',
+    outOf: 'out of {max}',
+    names: {
+      not_started: 'Not started',
+      attempted: 'Attempted',
+      solved: 'Solved',
+      solved_with_hints: 'Solved with hints',
+      needs_revision: 'Needs revision'
+    },
+    count: '{status}: {count}',
+    legendItem: '{status} {count}',
+    valueText: '{completed}/{total}. {summary}'
+  },
+  difficulty: {
+    Easy: 'Easy',
+    Medium: 'Medium',
+    Hard: 'Hard'
+  },
+  search: {
+    placeholder: 'Search problems by title, description, tag or notes',
+    label: 'Search problems',
+    difficultyFilter: 'Filter by difficulty',
+    allDifficulties: 'All difficulties',
+    statusFilter: 'Filter by status',
+    anyStatus: 'Any status',
+    completed: 'Completed',
+    pending: 'Not completed',
+    tagFilter: 'Filter by tag',
+    allTags: 'All tags',
+    platformFilter: 'Filter by platform',
+    anyPlatform: 'Any platform',
+    platforms: {
+      leetcode: 'LeetCode',
+      codeforces: 'Codeforces',
+      youtube: 'YouTube',
+      article: 'Article'
+    },
+    sortLabel: 'Sort problems',
+    sortOption: 'Sort: {option}',
+    sort: {
+      topic: 'Topic order',
+      title: 'Title',
+      difficulty: 'Difficulty',
+      status: 'Status'
+    },
+    results: {
+      one: '{count} problem found',
+      other: '{count} problems found'
+    },
+    clear: 'Clear filters',
+    noResults: 'No problems match these filters.',
+    hasNotes: 'Has notes'
+  },
+  timer: {
+    start: 'Start timer',
+    startFor: 'Start timer for {title}',
+    timeOn: 'Time on {title}',
+    pause: 'Pause',
+    resume: 'Resume',
+    stop: 'Stop',
+    stopTitle: 'Stop and record this attempt',
+    discard: 'Discard',
+    discardTitle: 'Discard this attempt without recording it'
+  },
+  addToList: {
+    button: 'Add to list',
+    inLists: {
+      one: 'In {count} list',
+      other: 'In {count} lists'
+    },
+    empty: 'You have no study lists yet.',
+    newName: 'New list name',
+    create: 'Add',
+    manage: 'Manage lists',
+    updateError: 'Could not update this list',
+    createError: 'Could not create the list'
+  },
+  notes: {
+    write: 'Write',
+    preview: 'Preview',
+    saving: 'Saving...',
+    saved: 'Saved',
+    error: 'Could not save notes',
+    label: 'Problem notes',
+    placeholder: 'Write your approach in Markdown. Use ```js fenced blocks for code.',
+    empty: 'No notes yet.'
+  },
+  topic: {
+    notFound: 'Topic not found',
+    backButton: 'Back to Dashboard',
+    hasNotes: 'You have notes on this problem',
+    pendingSync: 'Pending sync',
+    pendingSyncTitle: 'This change will be saved when you are back online',
+    article: 'Article',
+    notes: 'Notes',
+    hideNotes: 'Hide notes',
+    solveHere: 'Solve here',
+    hideSolver: 'Hide editor',
+    attemptSummary: {
+      one: '{count} timed attempt, last took {duration}',
+      other: '{count} timed attempts, last took {duration}'
+    },
+    attemptError: 'Could not save this attempt. Press Stop to try again.',
+    statusAnnouncement: {
+      one: '{title} marked {status}. {completed} of {count} problem completed.',
+      other: '{title} marked {status}. {completed} of {count} problems completed.'
+    }
+  },
+  shortcuts: {
+    title: 'Keyboard shortcuts',
+    close: 'Close',
+    next: 'Next problem',
+    previous: 'Previous problem',
+    toggle: 'Toggle completion of the selected problem',
+    open: 'Open the selected problem on LeetCode',
+    search: 'Focus search',
+    dashboard: 'Go to dashboard',
+    palette: 'Open command palette',
+    help: 'Show keyboard shortcuts'
+  },
+  palette: {
+    title: 'Command palette',
+    search: 'Search topics and problems',
+    placeholder: 'Search topics and problems...',
+    results: 'Results',
+    empty: 'No matches',
+    pages: {
+      dashboard: 'Dashboard',
+      lists: 'Study Lists',
+      groups: 'Study Groups',
+      revise: 'Revise',
+      interview: 'Mock Interview',
+      analytics: 'Analytics',
+      importExport: 'Import & Export',
+      settings: 'Settings',
+      admin: 'Admin'
+    },
+    types: {
+      page: 'Page',
+      topic: 'Topic',
+      list: 'List',
+      problem: 'Problem'
+    }
+  },
+  revise: {
+    title: 'Revise',
+    summary: '{due} due today · {reviewed} reviewed this session',
+    caughtUp: 'All caught up',
+    caughtUpHelp: 'Nothing is due for review today. Complete more problems or come back tomorrow.',
+    openLeetcode: 'Open on LeetCode',
+    openCodeforces: 'Open on Codeforces',
+    viewInTopic: 'View in topic',
+    prompt: 'How well did you remember the solution?',
+    saveError: 'Could not save your review. Please try again.',
+    interval: {
+      one: '{count} day',
+      other: '{count} days'
+    },
+    ratings: {
+      again: 'Again',
+      hard: 'Hard',
+      good: 'Good',
+      easy: 'Easy'
+    }
+  },
+  analytics: {
+    title: 'Analytics',
+    subtitle: 'Your pace and coverage across the sheet',
+    currentStreak: 'Current streak',
+    longestStreak: 'Longest streak',
+    solvedThisYear: 'Solved in the last year',
+    activeDays: 'Active days',
+    days: {
+      one: '{count} day',
+      other: '{count} days'
+    },
+    dailyActivity: 'Daily activity',
+    perWeek: 'Completions per week',
+    byDifficulty: 'By difficulty',
+    byDifficultyLabel: 'Solved versus total problems by difficulty',
+    byTag: 'By tag',
+    byTagLabel: 'Solved versus total problems by tag',
+    heatmap: {
+      label: 'Daily activity over the past year',
+      day: {
+        one: '{count} problem on {date}',
+        other: '{count} problems on {date}'
+      },
+      less: 'Less',
+      more: 'More',
+      days: {
+        mon: 'Mon',
+        wed: 'Wed',
+        fri: 'Fri'
+      }
+    },
+    weekly: {
+      label: 'Problems completed per week',
+      bar: '{count} completed in the week of {week}'
+    },
+    breakdown: {
+      empty: 'No problems yet.',
+      row: '{label}: {solved} of {total} solved'
+    }
+  },
+  transfer: {
+    title: 'Import & Export',
+    subtitle: 'Back up your progress or bring it over from another tracker',
+    readError: 'Could not read this file. Use a JSON or CSV export.',
+    export: {
+      title: 'Export',
+      description: {
+        one: 'Includes status, confidence, completion state, timestamps, notes, timed attempts and review schedule for {count} problem.',
+        other: 'Includes status, confidence, completion state, timestamps, notes, timed attempts and review schedule for all {count} problems.'
+      },
+      json: 'Download JSON',
+      csv: 'Download CSV'
+    },
+    import: {
+      title: 'Import',
+      description: 'Rows are matched by problem id, then by LeetCode URL, then by exact title. Status, confidence, completion state and dates, notes, timed attempts and review schedules are imported. You will see every change before anything is saved.',
+      fileLabel: 'JSON or CSV file'
+    },
+    preview: {
+      summary: '{rows} rows, {changes}, {unmatched} unmatched',
+      changes: {
+        one: '{count} change',
+        other: '{count} changes'
+      },
+      cancel: 'Cancel',
+      applying: 'Applying',
+      apply: {
+        one: 'Apply {count} change',
+        other: 'Apply {count} changes'
+      },
+      status: 'Set status to {status}',
+      confidence: 'Set confidence to {value} out of 5',
+      addNotes: 'Add notes ({count} characters)',
+      replaceNotes: 'Replace notes ({count} characters)',
+      attempts: {
+        one: 'Add {count} timed attempt',
+        other: 'Add {count} timed attempts'
+      },
+      addReview: 'Add review schedule',
+      replaceReview: 'Replace review schedule',
+      unmatched: 'Rows that did not match any problem',
+      untitled: 'Untitled row'
+    },
+    result: {
+      applied: {
+        one: 'Imported changes for {count} problem.',
+        other: 'Imported changes for {count} problems.'
+      },
+      failed: 'Failed: {titles}.'
+    }
+  },
+  admin: {
+    title: 'Admin',
+    subtitle: 'Manage the topics and problems on the sheet',
+    topics: 'Topics',
+    newTopic: 'New topic',
+    noTopics: 'No topics yet.',
+    createTopic: 'Create topic',
+    createFirst: 'Create a topic to start adding problems.',
+    editTopic: 'Edit topic',
+    deleteTopic: 'Delete topic',
+    confirmDeleteTopic: 'Delete "{title}" and all of its problems? This cannot be undone.',
+    deleteTopicError: 'Could not delete this topic',
+    problems: 'Problems ({count})',
+    addProblem: 'Add problem',
+    newProblem: 'New problem',
+    editProblem: 'Edit {title}',
+    confirmDeleteProblem: 'Delete "{title}"? Progress and notes on it will be lost.',
+    deleteProblemError: 'Could not delete this problem',
+    reorderHelp: 'Drag problems to change the order learners see them in.',
+    reorderError: 'Could not save the new order',
+    edit: 'Edit',
+    delete: 'Delete',
+    form: {
+      title: 'Title',
+      description: 'Description',
+      cancel: 'Cancel',
+      saving: 'Saving'
+    },
+    topicForm: {
+      save: 'Save topic',
+      saveError: 'Could not save this topic'
+    },
+    problemForm: {
+      save: 'Save problem',
+      saveError: 'Could not save this problem',
+      difficulty: 'Difficulty',
+      tags: 'Tags',
+      tagsHelp: 'Separate tags with commas',
+      link: '{platform} link'
+    },
+    bulk: {
+      title: 'Bulk upload',
+      description: 'Upload a JSON list of topics, each with a "problems" list using the same fields as the forms above. The whole file is checked first and nothing is saved if any entry is invalid.',
+      fileLabel: 'JSON file',
+      summary: '{topics}, {problems}',
+      topics: {
+        one: '{count} topic',
+        other: '{count} topics'
+      },
+      problems: {
+        one: '{count} problem',
+        other: '{count} problems'
+      },
+      upload: 'Upload',
+      uploading: 'Uploading',
+      uploaded: {
+        one: 'Uploaded {count} topic.',
+        other: 'Uploaded {count} topics.'
+      },
+      failed: 'Upload failed. Nothing was saved.'
+    }
+  },
+  sheet: {
+    errors: {
+      titleRequired: 'Title is required',
+      difficulty: 'Difficulty must be one of {options}',
+      fullUrl: 'Enter a full URL starting with https://',
+      protocol: 'Links must use http or https',
+      host: 'Expected a {host} link',
+      invalidJson: 'File is not valid JSON',
+      emptyList: 'Expected a non-empty list of topics',
+      topicObject: 'Topic {topic}: expected an object',
+      topicProblems: 'Topic {topic} problems: expected a list',
+      topicField: 'Topic {topic} {field}: {message}',
+      problemField: 'Topic {topic}, problem {problem} {field}: {message}'
+    }
+  },
+  problemList: {
+    empty: 'No problems in this topic yet.',
+    moveUp: 'Move {title} up',
+    moveDown: 'Move {title} down'
+  },
+  lists: {
+    title: 'Study Lists',
+    subtitle: 'Hand-picked sets of problems from across the sheet',
+    newList: 'New list',
+    name: 'Name',
+    namePlaceholder: 'Google phone screen',
+    description: 'Description',
+    optional: 'Optional',
+    create: 'Create list',
+    creating: 'Creating',
+    nameRequired: 'Give the list a name',
+    createError: 'Could not create the list',
+    empty: 'No lists yet. Create one above, or use "Add to list" on any problem in a topic.',
+    shared: 'Shared',
+    notFound: 'List not found',
+    backButton: 'Back to Study Lists',
+    backToLists: '← Back to Study Lists',
+    cancel: 'Cancel',
+    save: 'Save',
+    rename: 'Rename',
+    renameError: 'Could not rename the list',
+    delete: 'Delete list',
+    confirmDelete: 'Delete "{name}"? Your progress on its problems is kept.',
+    deleteError: 'Could not delete the list',
+    share: 'Share',
+    sharedHelp: 'Anyone with the link can view this list. They cannot change it or see your progress.',
+    shareHelp: 'Create a read-only link to this list.',
+    stopSharing: 'Stop sharing',
+    createLink: 'Create link',
+    shareLink: 'Share link',
+    shareError: 'Could not change sharing for this list',
+    copyLink: 'Copy link',
+    copied: 'Copied',
+    reorderHelp: 'Drag problems to set the order you want to work through them.',
+    reorderError: 'Could not save the new order',
+    listEmpty: 'This list is empty. Use "Add to list" on problems in any topic.',
+    markCompleted: 'Mark {title} as completed',
+    markNotCompleted: 'Mark {title} as not completed',
+    pendingSync: 'Pending sync',
+    remove: 'Remove',
+    removeError: 'Could not remove the problem',
+    sharedList: 'Shared study list',
+    sharedBy: 'Shared study list by {name}',
+    sharedNotFoundHelp: 'The link may be wrong, or the owner has stopped sharing it.',
+    goToDashboard: 'Go to Dashboard',
+    yourProgress: 'Your progress',
+    signIn: 'Sign in',
+    signInToTrack: {
+      one: 'to track your progress on this {count} problem.',
+      other: 'to track your progress on these {count} problems.'
+    },
+    completed: 'Completed'
+  },
+  interview: {
+    title: 'Mock Interview',
+    subtitle: 'Practise against the clock with randomly drawn problems',
+    progress: 'Problem {current} of {total}',
+    end: 'End interview',
+    confirmEnd: 'End the interview now? Problems you have not reached are recorded as skipped.',
+    timeUp: "Time's up. Wrap up and record how it went.",
+    timeRemaining: 'Time remaining',
+    report: 'Session report',
+    saveError: 'This session could not be saved to your history.',
+    retry: 'Retry',
+    marked: 'Solved problems were marked as completed in your progress.',
+    notMarked: {
+      one: '{count} solved problem is not marked as completed yet.',
+      other: '{count} solved problems are not marked as completed yet.'
+    },
+    markCompleted: 'Mark as completed',
+    newSession: 'New session',
+    count: 'Number of problems',
+    minutes: 'Minutes per problem',
+    difficulty: 'Difficulty',
+    anyDifficulty: 'Any difficulty',
+    tag: 'Tag',
+    anyTag: 'Any tag',
+    excludeCompleted: 'Only problems I have not completed',
+    matching: {
+      one: '{count} matching problem',
+      other: '{count} matching problems'
+    },
+    matchingShort: {
+      one: '{count} matching problem, so the session will have {count}',
+      other: '{count} matching problems, so the session will have {count}'
+    },
+    start: 'Start interview',
+    history: 'History',
+    noHistory: 'Finished sessions will appear here.',
+    solvedOf: '{solved}/{total} solved',
+    totalTime: 'Total time',
+    overLimit: '{count} over the limit',
+    problem: 'Problem',
+    outcome: 'Outcome',
+    time: 'Time',
+    outcomes: {
+      solved: 'Solved',
+      partial: 'Partially solved',
+      skipped: 'Skipped'
+    }
+  }
+};
+
+export default en;
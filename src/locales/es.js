@@ -0,0 +1,725 @@
+const es = {
+  common: {
+    loading: 'Cargando',
+    backToDashboard: '← Volver al panel',
+    progress: 'Progreso',
+    percentCompleted: '{percent} completado',
+    progressOf: 'Progreso de {name}',
+    problemsProgress: {
+      one: '{completed}/{count} problema',
+      other: '{completed}/{count} problemas'
+    }
+  },
+  a11y: {
+    skipToContent: 'Saltar al contenido principal'
+  },
+  offline: {
+    title: 'Sin conexión',
+    message: 'Esta página todavía no se ha guardado para usarla sin conexión. Los temas que ya has abierto siguen disponibles.',
+    retry: 'Reintentar',
+    dashboard: 'Ir al panel'
+  },
+  update: {
+    available: 'Hay una nueva versión de DSA Sheet disponible.',
+    reload: 'Recargar',
+    later: 'Más tarde'
+  },
+  sync: {
+    rejected: 'No se pudo guardar un cambio de progreso y se ha deshecho.',
+    dismiss: 'Cerrar'
+  },
+  nav: {
+    main: 'Principal',
+    brand: 'Hoja DSA',
+    lists: 'Listas',
+    groups: 'Grupos',
+    interview: 'Entrevista',
+    revise: 'Repasar',
+    analytics: 'Estadísticas',
+    admin: 'Administración',
+    settings: 'Ajustes',
+    welcome: 'Hola, {name}',
+    login: 'Iniciar sesión',
+    logout: 'Cerrar sesión',
+    language: 'Idioma',
+    lightTheme: 'Cambiar al tema claro',
+    darkTheme: 'Cambiar al tema oscuro',
+    syncing: 'Sincronizando tus últimos cambios',
+    offline: 'Estás sin conexión. Los cambios se sincronizarán al reconectar.',
+    pendingSync: {
+      one: '{count} cambio pendiente de sincronizar',
+      other: '{count} cambios pendientes de sincronizar'
+    }
+  },
+  login: {
+    signInTitle: 'Inicia sesión en tu cuenta',
+    signUpTitle: 'Crea tu cuenta',
+    noAccount: '¿No tienes una cuenta?',
+    haveAccount: '¿Ya tienes una cuenta?',
+    signIn: 'Iniciar sesión',
+    signUp: 'Registrarse',
+    fullName: 'Nombre completo',
+    fullNamePlaceholder: 'Escribe tu nombre completo',
+    email: 'Correo electrónico',
+    emailPlaceholder: 'Escribe tu correo electrónico',
+    password: 'Contraseña',
+    passwordPlaceholder: 'Escribe tu contraseña',
+    confirmPassword: 'Confirmar contraseña',
+    confirmPasswordPlaceholder: 'Vuelve a escribir tu contraseña',
+    forgotPassword: '¿Olvidaste tu contraseña?',
+    showPassword: 'Mostrar contraseña',
+    hidePassword: 'Ocultar contraseña',
+    genericError: 'Se produjo un error. Inténtalo de nuevo.'
+  },
+  password: {
+    strength: 'Seguridad: {level}',
+    levels: {
+      weak: 'débil',
+      fair: 'aceptable',
+      good: 'buena',
+      strong: 'fuerte'
+    },
+    rules: {
+      length: 'Al menos 8 caracteres',
+      case: 'Mayúsculas y minúsculas',
+      number: 'Al menos un número',
+      symbol: 'Un símbolo',
+      long: '12 caracteres o más'
+    },
+    optional: '(opcional)',
+    met: 'cumplido',
+    notMet: 'pendiente',
+    mismatch: 'Las contraseñas no coinciden',
+    tooWeak: 'Elige una contraseña que cumpla todos los requisitos'
+  },
+  forgotPassword: {
+    title: 'Restablece tu contraseña',
+    intro: 'Escribe el correo con el que te registraste y te enviaremos un enlace para elegir una contraseña nueva.',
+    submit: 'Enviar enlace',
+    sent: 'Si existe una cuenta para {email}, recibirás un enlace para restablecerla. Caduca en una hora.',
+    backToLogin: 'Volver a iniciar sesión'
+  },
+  resetPassword: {
+    title: 'Elige una contraseña nueva',
+    newPassword: 'Contraseña nueva',
+    confirmPassword: 'Confirmar contraseña nueva',
+    submit: 'Restablecer contraseña',
+    done: 'Tu contraseña se ha restablecido. Inicia sesión con la contraseña nueva.',
+    missingToken: 'Este enlace de restablecimiento está incompleto. Solicita uno nuevo para continuar.',
+    requestNew: 'Solicitar un enlace nuevo',
+    signIn: 'Iniciar sesión'
+  },
+  settings: {
+    title: 'Ajustes de la cuenta',
+    subtitle: 'Actualiza tu perfil, cambia la contraseña o elimina tu cuenta',
+    profile: 'Perfil',
+    name: 'Nombre completo',
+    email: 'Correo electrónico',
+    saveProfile: 'Guardar perfil',
+    profileSaved: 'Tu perfil se ha actualizado.',
+    password: 'Contraseña',
+    currentPassword: 'Contraseña actual',
+    newPassword: 'Contraseña nueva',
+    confirmPassword: 'Confirmar contraseña nueva',
+    changePassword: 'Cambiar contraseña',
+    passwordChanged: 'Tu contraseña se ha cambiado.',
+    deleteAccount: 'Eliminar cuenta',
+    deleteWarning: 'Se eliminarán para siempre tu cuenta, tu progreso, tus notas, tus listas de estudio y tu historial de entrevistas.',
+    deletePassword: 'Escribe tu contraseña para confirmar',
+    deleteButton: 'Eliminar mi cuenta',
+    deleteConfirm: '¿Eliminar tu cuenta? No se puede deshacer.',
+    publicProfile: 'Perfil público',
+    publicProfileIntro: 'Comparte una página de solo lectura con tu progreso por tema y dificultad. Muestra tu nombre, nunca tu correo ni tus notas.',
+    handle: 'Nombre de usuario',
+    handleHelp: 'De 3 a 30 letras minúsculas, números o guiones',
+    makePublic: 'Hacer público mi perfil',
+    savePublicProfile: 'Guardar perfil público',
+    publicProfileSaved: 'Se ha guardado la configuración de tu perfil público.',
+    invalidHandle: 'El nombre de usuario debe tener de 3 a 30 letras minúsculas, números o guiones, y empezar y terminar con una letra o un número',
+    handleRequired: 'Elige un nombre de usuario antes de hacer público tu perfil',
+    viewProfile: 'Ver tu perfil público',
+    progressCard: 'Tarjeta de progreso',
+    progressCardHelp: 'Pega este Markdown en un README para mostrar la tarjeta. Se actualiza a medida que resuelves problemas.',
+    progressCardAlt: 'Tarjeta de progreso de @{handle}',
+    copyMarkdown: 'Copiar Markdown',
+    copied: 'Copiado'
+  },
+  profile: {
+    label: 'Perfil público',
+    notFound: 'Perfil no encontrado',
+    notFoundHelp: 'Puede que el enlace sea incorrecto o que el perfil sea privado.',
+    goHome: 'Ir a DSA Sheet',
+    overall: 'Progreso general',
+    byTopic: 'Progreso por tema',
+    byDifficulty: 'Por dificultad',
+    trackYourOwn: 'Registra tu propio progreso'
+  },
+  dashboard: {
+    title: 'Panel de la hoja DSA',
+    subtitle: 'Sigue tu progreso en estructuras de datos y algoritmos',
+    importExport: 'Importar / Exportar',
+    refresh: 'Actualizar',
+    refreshTitle: 'Actualizar progreso',
+    totalProblems: 'Problemas totales',
+    completed: 'Completados',
+    remaining: 'Pendientes',
+    dueToday: 'Para repasar hoy',
+    overallProgress: 'Progreso general',
+    averageTime: 'Tiempo medio de resolución',
+    timedSolves: {
+      one: '{count} resolución cronometrada',
+      other: '{count} resoluciones cronometradas'
+    }
+  },
+  groups: {
+    title: 'Grupos de estudio',
+    subtitle: 'Avanzad juntos por la hoja y mirad cómo le va a cada uno',
+    create: 'Nuevo grupo',
+    name: 'Nombre',
+    namePlaceholder: 'Grupo de la mañana',
+    description: 'Descripción',
+    descriptionPlaceholder: 'Opcional',
+    createButton: 'Crear grupo',
+    creating: 'Creando',
+    nameRequired: 'Ponle un nombre al grupo',
+    createError: 'No se pudo crear el grupo',
+    join: 'Unirse a un grupo',
+    inviteCode: 'Código de invitación',
+    inviteCodePlaceholder: 'p. ej. 4F9A2C1B',
+    joinButton: 'Unirse',
+    joining: 'Uniéndote',
+    codeRequired: 'Escribe el código de invitación que te dio un compañero',
+    joinError: 'No se pudo unir al grupo',
+    empty: 'Todavía no estás en ningún grupo. Crea uno o únete con un código de invitación de un compañero.',
+    members: {
+      one: '{count} miembro',
+      other: '{count} miembros'
+    },
+    owner: 'Propietario',
+    you: 'Tú',
+    notFound: 'Grupo no encontrado',
+    backToGroups: '← Volver a Grupos de estudio',
+    invite: 'Invitar a compañeros',
+    inviteHelp: 'Cualquiera con este código puede unirse al grupo.',
+    copyCode: 'Copiar código',
+    copied: 'Copiado',
+    newCode: 'Nuevo código',
+    newCodeConfirm: '¿Sustituir el código de invitación? El código actual dejará de funcionar.',
+    codeError: 'No se pudo cambiar el código de invitación',
+    privacy: 'Tu privacidad',
+    shareProgress: 'Compartir mi progreso con este grupo',
+    shareProgressHelp: 'Si está desactivado, los demás miembros solo ven tu nombre.',
+    onLeaderboard: 'Mostrarme en la clasificación',
+    onLeaderboardHelp: 'Solo aparecen en la clasificación los miembros que lo activan. Requiere compartir tu progreso.',
+    privacyError: 'No se pudo actualizar tu configuración',
+    leaderboard: 'Clasificación',
+    leaderboardEmpty: 'Todavía no hay nadie en la clasificación. Actívala en Tu privacidad para participar.',
+    rank: 'Puesto',
+    member: 'Miembro',
+    solved: 'Resueltos',
+    thisWeek: 'Esta semana',
+    progress: 'Progreso de los miembros',
+    hidden: '{name} mantiene su progreso en privado.',
+    onlyYou: 'Oculto para el grupo',
+    byTopic: 'Por tema',
+    weekly: 'Resueltos por semana',
+    leave: 'Salir del grupo',
+    leaveConfirm: '¿Salir de {name}? Puedes volver a unirte más tarde con un código de invitación.',
+    leaveError: 'No se pudo salir del grupo'
+  },
+  recommendations: {
+    title: 'Siguientes recomendados',
+    subtitle: 'Según dónde estás en la hoja, las etiquetas que te cuestan y lo que no has tocado últimamente',
+    allDone: 'Has completado todos los problemas. Ve a Repasar para mantenerlos frescos.',
+    openProblem: 'Abrir {title} en {topic}',
+    reasons: {
+      nextInTopic: 'El siguiente en {topic}',
+      stepUp: 'Ya terminaste los problemas más fáciles de {topic}, así que prueba uno de dificultad {difficulty}',
+      weakTag: 'Practica {tag}, una etiqueta que te ha costado',
+      stale: {
+        one: 'Lo empezaste hace {count} día',
+        other: 'Lo empezaste hace {count} días'
+      },
+      topicOrder: 'Sigue pendiente en {topic}'
+    }
+  },
+  solve: {
+    language: 'Lenguaje',
+    code: 'Código',
+    editorHint: 'Define una función llamada solve. Cada caso de prueba le pasa sus líneas de entrada como argumentos. Tab sangra; pulsa Escape y luego Tab para salir del editor. Ctrl+Intro ejecuta las pruebas.',
+    testCases: 'Casos de prueba',
+    caseNumber: 'Caso {number}',
+    input: 'Entrada',
+    inputHint: 'Un valor JSON por línea',
+    expected: 'Salida esperada',
+    addCase: 'Añadir caso de prueba',
+    removeCase: 'Eliminar caso {number}',
+    run: 'Ejecutar pruebas',
+    running: 'Ejecutando',
+    noCases: 'Añade un caso de prueba para ejecutar tu código.',
+    status: {
+      passed: 'Superado',
+      failed: 'Fallido',
+      error: 'Error',
+      timeout: 'Tiempo límite superado',
+      invalid: 'Entrada no válida'
+    },
+    time: '{ms} ms',
+    output: 'Tu salida',
+    logs: 'Consola',
+    invalidLine: 'La línea {line} de la entrada no es JSON válido',
+    missingSolve: 'Define una función llamada solve',
+    runtimeUnavailable: 'No se pudo cargar el entorno de {language}. Comprueba tu conexión e inténtalo de nuevo.',
+    timeLimit: 'Detenido tras {ms} ms',
+    summary: {
+      one: '{passed} de {count} caso superado',
+      other: '{passed} de {count} casos superados'
+    },
+    allPassed: 'Todos los casos de prueba se superan.',
+    markSolved: 'Marcar como resuelto'
+  },
+  status: {
+    statusOf: 'Estado de {title}',
+    confidence: 'Confianza',
+    confidenceIn: 'Confianza en {title}',
+    outOf: 'de {max}',
+    names: {
+      not_started: 'Sin empezar',
+      attempted: 'Intentado',
+      solved: 'Resuelto',
+      solved_with_hints: 'Resuelto con pistas',
+      needs_revision: 'Necesita repaso'
+    },
+    count: '{status}: {count}',
+    legendItem: '{status} {count}',
+    valueText: '{completed}/{total}. {summary}'
+  },
+  difficulty: {
+    Easy: 'Fácil',
+    Medium: 'Media',
+    Hard: 'Difícil'
+  },
+  search: {
+    placeholder: 'Busca problemas por título, descripción, etiqueta o notas',
+    label: 'Buscar problemas',
+    difficultyFilter: 'Filtrar por dificultad',
+    allDifficulties: 'Todas las dificultades',
+    statusFilter: 'Filtrar por estado',
+    anyStatus: 'Cualquier estado',
+    completed: 'Completados',
+    pending: 'Sin completar',
+    tagFilter: 'Filtrar por etiqueta',
+    allTags: 'Todas las etiquetas',
+    platformFilter: 'Filtrar por plataforma',
+    anyPlatform: 'Cualquier plataforma',
+    platforms: {
+      leetcode: 'LeetCode',
+      codeforces: 'Codeforces',
+      youtube: 'YouTube',
+      article: 'Artículo'
+    },
+    sortLabel: 'Ordenar problemas',
+    sortOption: 'Ordenar: {option}',
+    sort: {
+      topic: 'Orden del tema',
+      title: 'Título',
+      difficulty: 'Dificultad',
+      status: 'Estado'
+    },
+    results: {
+      one: '{count} problema encontrado',
+      other: '{count} problemas encontrados'
+    },
+    clear: 'Borrar filtros',
+    noResults: 'Ningún problema coincide con estos filtros.',
+    hasNotes: 'Con notas'
+  },
+  timer: {
+    start: 'Iniciar cronómetro',
+    startFor: 'Iniciar cronómetro para {title}',
+    timeOn: 'Tiempo en {title}',
+    pause: 'Pausar',
+    resume: 'Reanudar',
+    stop: 'Detener',
+    stopTitle: 'Detener y registrar este intento',
+    discard: 'Descartar',
+    discardTitle: 'Descartar este intento sin registrarlo'
+  },
+  addToList: {
+    button: 'Añadir a una lista',
+    inLists: {
+      one: 'En {count} lista',
+      other: 'En {count} listas'
+    },
+    empty: 'Todavía no tienes listas de estudio.',
+    newName: 'Nombre de la nueva lista',
+    create: 'Añadir',
+    manage: 'Gestionar listas',
+    updateError: 'No se pudo actualizar esta lista',
+    createError: 'No se pudo crear la lista'
+  },
+  notes: {
+    write: 'Escribir',
+    preview: 'Vista previa',
+    saving: 'Guardando...',
+    saved: 'Guardado',
+    error: 'No se pudieron guardar las notas',
+    label: 'Notas del problema',
+    placeholder: 'Escribe tu enfoque en Markdown. Usa bloques ```js para el código.',
+    empty: 'Todavía no hay notas.'
+  },
+  topic: {
+    notFound: 'Tema no encontrado',
+    backButton: 'Volver al panel',
+    hasNotes: 'Tienes notas sobre este problema',
+    pendingSync: 'Pendiente de sincronizar',
+    pendingSyncTitle: 'Este cambio se guardará cuando vuelvas a tener conexión',
+    article: 'Artículo',
+    notes: 'Notas',
+    hideNotes: 'Ocultar notas',
+    solveHere: 'Resolver aquí',
+    hideSolver: 'Ocultar editor',
+    attemptSummary: {
+      one: '{count} intento cronometrado, el último duró {duration}',
+      other: '{count} intentos cronometrados, el último duró {duration}'
+    },
+    attemptError: 'No se pudo guardar este intento. Pulsa «Detener» para volver a intentarlo.',
+    statusAnnouncement: {
+      one: '{title}: {status}. {completed} de {count} problema completado.',
+      other: '{title}: {status}. {completed} de {count} problemas completados.'
+    }
+  },
+  shortcuts: {
+    title: 'Atajos de teclado',
+    close: 'Cerrar',
+    next: 'Problema siguiente',
+    previous: 'Problema anterior',
+    toggle: 'Marcar o desmarcar el problema seleccionado',
+    open: 'Abrir el problema seleccionado en LeetCode',
+    search: 'Ir a la búsqueda',
+    dashboard: 'Ir al panel',
+    palette: 'Abrir la paleta de comandos',
+    help: 'Mostrar los atajos de teclado'
+  },
+  palette: {
+    title: 'Paleta de comandos',
+    search: 'Buscar temas y problemas',
+    placeholder: 'Buscar temas y problemas...',
+    results: 'Resultados',
+    empty: 'Sin resultados',
+    pages: {
+      dashboard: 'Panel',
+      lists: 'Listas de estudio',
+      groups: 'Grupos de estudio',
+      revise: 'Repasar',
+      interview: 'Entrevista de práctica',
+      analytics: 'Estadísticas',
+      importExport: 'Importar y exportar',
+      settings: 'Ajustes',
+      admin: 'Administración'
+    },
+    types: {
+      page: 'Página',
+      topic: 'Tema',
+      list: 'Lista',
+      problem: 'Problema'
+    }
+  },
+  revise: {
+    title: 'Repasar',
+    summary: '{due} pendientes hoy · {reviewed} repasados en esta sesión',
+    caughtUp: 'Todo al día',
+    caughtUpHelp: 'No tienes nada que repasar hoy. Completa más problemas o vuelve mañana.',
+    openLeetcode: 'Abrir en LeetCode',
+    openCodeforces: 'Abrir en Codeforces',
+    viewInTopic: 'Ver en el tema',
+    prompt: '¿Qué tal recordabas la solución?',
+    saveError: 'No se pudo guardar el repaso. Inténtalo de nuevo.',
+    interval: {
+      one: '{count} día',
+      other: '{count} días'
+    },
+    ratings: {
+      again: 'Otra vez',
+      hard: 'Difícil',
+      good: 'Bien',
+      easy: 'Fácil'
+    }
+  },
+  analytics: {
+    title: 'Estadísticas',
+    subtitle: 'Tu ritmo y cobertura de la lista',
+    currentStreak: 'Racha actual',
+    longestStreak: 'Racha más larga',
+    solvedThisYear: 'Resueltos en el último año',
+    activeDays: 'Días activos',
+    days: {
+      one: '{count} día',
+      other: '{count} días'
+    },
+    dailyActivity: 'Actividad diaria',
+    perWeek: 'Completados por semana',
+    byDifficulty: 'Por dificultad',
+    byDifficultyLabel: 'Problemas resueltos frente al total por dificultad',
+    byTag: 'Por etiqueta',
+    byTagLabel: 'Problemas resueltos frente al total por etiqueta',
+    heatmap: {
+      label: 'Actividad diaria durante el último año',
+      day: {
+        one: '{count} problema el {date}',
+        other: '{count} problemas el {date}'
+      },
+      less: 'Menos',
+      more: 'Más',
+      days: {
+        mon: 'lun',
+        wed: 'mié',
+        fri: 'vie'
+      }
+    },
+    weekly: {
+      label: 'Problemas completados por semana',
+      bar: '{count} completados la semana del {week}'
+    },
+    breakdown: {
+      empty: 'Aún no hay problemas.',
+      row: '{label}: {solved} de {total} resueltos'
+    }
+  },
+  transfer: {
+    title: 'Importar y exportar',
+    subtitle: 'Guarda una copia de tu progreso o tráelo desde otra herramienta',
+    readError: 'No se pudo leer el archivo. Usa una exportación JSON o CSV.',
+    export: {
+      title: 'Exportar',
+      description: {
+        one: 'Incluye estado, confianza, finalización, fechas, notas, intentos cronometrados y calendario de repaso de {count} problema.',
+        other: 'Incluye estado, confianza, finalización, fechas, notas, intentos cronometrados y calendario de repaso de los {count} problemas.'
+      },
+      json: 'Descargar JSON',
+      csv: 'Descargar CSV'
+    },
+    import: {
+      title: 'Importar',
+      description: 'Las filas se emparejan por id del problema, después por URL de LeetCode y después por título exacto. Se importan el estado, la confianza, la finalización y sus fechas, las notas, los intentos cronometrados y los calendarios de repaso. Verás cada cambio antes de guardar nada.',
+      fileLabel: 'Archivo JSON o CSV'
+    },
+    preview: {
+      summary: '{rows} filas, {changes}, {unmatched} sin emparejar',
+      changes: {
+        one: '{count} cambio',
+        other: '{count} cambios'
+      },
+      cancel: 'Cancelar',
+      applying: 'Aplicando',
+      apply: {
+        one: 'Aplicar {count} cambio',
+        other: 'Aplicar {count} cambios'
+      },
+      status: 'Cambiar el estado a {status}',
+      confidence: 'Cambiar la confianza a {value} de 5',
+      addNotes: 'Añadir notas ({count} caracteres)',
+      replaceNotes: 'Reemplazar notas ({count} caracteres)',
+      attempts: {
+        one: 'Añadir {count} intento cronometrado',
+        other: 'Añadir {count} intentos cronometrados'
+      },
+      addReview: 'Añadir calendario de repaso',
+      replaceReview: 'Reemplazar calendario de repaso',
+      unmatched: 'Filas que no coinciden con ningún problema',
+      untitled: 'Fila sin título'
+    },
+    result: {
+      applied: {
+        one: 'Se importaron cambios de {count} problema.',
+        other: 'Se importaron cambios de {count} problemas.'
+      },
+      failed: 'Fallaron: {titles}.'
+    }
+  },
+  admin: {
+    title: 'Administración',
+    subtitle: 'Gestiona los temas y problemas de la lista',
+    topics: 'Temas',
+    newTopic: 'Nuevo tema',
+    noTopics: 'Aún no hay temas.',
+    createTopic: 'Crear tema',
+    createFirst: 'Crea un tema para empezar a añadir problemas.',
+    editTopic: 'Editar tema',
+    deleteTopic: 'Eliminar tema',
+    confirmDeleteTopic: '¿Eliminar "{title}" y todos sus problemas? Esta acción no se puede deshacer.',
+    deleteTopicError: 'No se pudo eliminar este tema',
+    problems: 'Problemas ({count})',
+    addProblem: 'Añadir problema',
+    newProblem: 'Nuevo problema',
+    editProblem: 'Editar {title}',
+    confirmDeleteProblem: '¿Eliminar "{title}"? Se perderán su progreso y sus notas.',
+    deleteProblemError: 'No se pudo eliminar este problema',
+    reorderHelp: 'Arrastra los problemas para cambiar el orden en que los ven los estudiantes.',
+    reorderError: 'No se pudo guardar el nuevo orden',
+    edit: 'Editar',
+    delete: 'Eliminar',
+    form: {
+      title: 'Título',
+      description: 'Descripción',
+      cancel: 'Cancelar',
+      saving: 'Guardando'
+    },
+    topicForm: {
+      save: 'Guardar tema',
+      saveError: 'No se pudo guardar este tema'
+    },
+    problemForm: {
+      save: 'Guardar problema',
+      saveError: 'No se pudo guardar este problema',
+      difficulty: 'Dificultad',
+      tags: 'Etiquetas',
+      tagsHelp: 'Separa las etiquetas con comas',
+      link: 'Enlace de {platform}'
+    },
+    bulk: {
+      title: 'Carga masiva',
+      description: 'Sube una lista JSON de temas, cada uno con una lista "problems" que use los mismos campos que los formularios de arriba. Primero se revisa todo el archivo y no se guarda nada si alguna entrada no es válida.',
+      fileLabel: 'Archivo JSON',
+      summary: '{topics}, {problems}',
+      topics: {
+        one: '{count} tema',
+        other: '{count} temas'
+      },
+      problems: {
+        one: '{count} problema',
+        other: '{count} problemas'
+      },
+      upload: 'Subir',
+      uploading: 'Subiendo',
+      uploaded: {
+        one: 'Se subió {count} tema.',
+        other: 'Se subieron {count} temas.'
+      },
+      failed: 'La carga falló. No se guardó nada.'
+    }
+  },
+  sheet: {
+    errors: {
+      titleRequired: 'El título es obligatorio',
+      difficulty: 'La dificultad debe ser una de {options}',
+      fullUrl: 'Introduce una URL completa que empiece por https://',
+      protocol: 'Los enlaces deben usar http o https',
+      host: 'Se esperaba un enlace de {host}',
+      invalidJson: 'El archivo no es un JSON válido',
+      emptyList: 'Se esperaba una lista de temas no vacía',
+      topicObject: 'Tema {topic}: se esperaba un objeto',
+      topicProblems: 'Tema {topic} problems: se esperaba una lista',
+      topicField: 'Tema {topic} {field}: {message}',
+      problemField: 'Tema {topic}, problema {problem} {field}: {message}'
+    }
+  },
+  problemList: {
+    empty: 'Aún no hay problemas en este tema.',
+    moveUp: 'Subir {title}',
+    moveDown: 'Bajar {title}'
+  },
+  lists: {
+    title: 'Listas de estudio',
+    subtitle: 'Selecciones de problemas de toda la lista',
+    newList: 'Nueva lista',
+    name: 'Nombre',
+    namePlaceholder: 'Entrevista telefónica de Google',
+    description: 'Descripción',
+    optional: 'Opcional',
+    create: 'Crear lista',
+    creating: 'Creando',
+    nameRequired: 'Ponle un nombre a la lista',
+    createError: 'No se pudo crear la lista',
+    empty: 'Aún no hay listas. Crea una arriba o usa "Añadir a una lista" en cualquier problema de un tema.',
+    shared: 'Compartida',
+    notFound: 'Lista no encontrada',
+    backButton: 'Volver a las listas de estudio',
+    backToLists: '← Volver a las listas de estudio',
+    cancel: 'Cancelar',
+    save: 'Guardar',
+    rename: 'Renombrar',
+    renameError: 'No se pudo renombrar la lista',
+    delete: 'Eliminar lista',
+    confirmDelete: '¿Eliminar "{name}"? Tu progreso en sus problemas se conserva.',
+    deleteError: 'No se pudo eliminar la lista',
+    share: 'Compartir',
+    sharedHelp: 'Cualquiera con el enlace puede ver esta lista. No puede modificarla ni ver tu progreso.',
+    shareHelp: 'Crea un enlace de solo lectura a esta lista.',
+    stopSharing: 'Dejar de compartir',
+    createLink: 'Crear enlace',
+    shareLink: 'Enlace para compartir',
+    shareError: 'No se pudo cambiar cómo se comparte esta lista',
+    copyLink: 'Copiar enlace',
+    copied: 'Copiado',
+    reorderHelp: 'Arrastra los problemas para fijar el orden en que quieres resolverlos.',
+    reorderError: 'No se pudo guardar el nuevo orden',
+    listEmpty: 'Esta lista está vacía. Usa "Añadir a una lista" en problemas de cualquier tema.',
+    markCompleted: 'Marcar {title} como completado',
+    markNotCompleted: 'Marcar {title} como no completado',
+    pendingSync: 'Pendiente de sincronizar',
+    remove: 'Quitar',
+    removeError: 'No se pudo quitar el problema',
+    sharedList: 'Lista de estudio compartida',
+    sharedBy: 'Lista de estudio compartida por {name}',
+    sharedNotFoundHelp: 'Puede que el enlace sea incorrecto o que el propietario haya dejado de compartirla.',
+    goToDashboard: 'Ir al panel',
+    yourProgress: 'Tu progreso',
+    signIn: 'Inicia sesión',
+    signInToTrack: {
+      one: 'para seguir tu progreso en este {count} problema.',
+      other: 'para seguir tu progreso en estos {count} problemas.'
+    },
+    completed: 'Completado'
+  },
+  interview: {
+    title: 'Entrevista simulada',
+    subtitle: 'Practica contra el reloj con problemas elegidos al azar',
+    progress: 'Problema {current} de {total}',
+    end: 'Terminar entrevista',
+    confirmEnd: '¿Terminar la entrevista ahora? Los problemas a los que no hayas llegado se registran como omitidos.',
+    timeUp: 'Se acabó el tiempo. Termina y registra cómo te fue.',
+    timeRemaining: 'Tiempo restante',
+    report: 'Informe de la sesión',
+    saveError: 'No se pudo guardar esta sesión en tu historial.',
+    retry: 'Reintentar',
+    marked: 'Los problemas resueltos se marcaron como completados en tu progreso.',
+    notMarked: {
+      one: '{count} problema resuelto aún no está marcado como completado.',
+      other: '{count} problemas resueltos aún no están marcados como completados.'
+    },
+    markCompleted: 'Marcar como completados',
+    newSession: 'Nueva sesión',
+    count: 'Número de problemas',
+    minutes: 'Minutos por problema',
+    difficulty: 'Dificultad',
+    anyDifficulty: 'Cualquier dificultad',
+    tag: 'Etiqueta',
+    anyTag: 'Cualquier etiqueta',
+    excludeCompleted: 'Solo problemas que no he completado',
+    matching: {
+      one: '{count} problema coincide',
+      other: '{count} problemas coinciden'
+    },
+    matchingShort: {
+      one: '{count} problema coincide, así que la sesión tendrá {count}',
+      other: '{count} problemas coinciden, así que la sesión tendrá {count}'
+    },
+    start: 'Empezar entrevista',
+    history: 'Historial',
+    noHistory: 'Las sesiones terminadas aparecerán aquí.',
+    solvedOf: '{solved}/{total} resueltos',
+    totalTime: 'Tiempo total',
+    overLimit: '{count} por encima del límite',
+    problem: 'Problema',
+    outcome: 'Resultado',
+    time: 'Tiempo',
+    outcomes: {
+      solved: 'Resuelto',
+      partial: 'Resuelto en parte',
+      skipped: 'Omitido'
+    }
+  }
+};
+
+export default es;
@@ -0,0 +1,21 @@
+import en from './en';
+import es from './es';
+import { pseudoLocalize } from '../utils/i18n';
+
+export const DEFAULT_LOCALE = 'en';
+
+// en-XA is the conventional pseudo-locale code; it is built from the English
+// catalog and only offered outside production builds
+export const PSEUDO_LOCALE = 'en-XA';
+
+export const LOCALES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Español' },
+  ...(process.env.NODE_ENV === 'production' ? [] : [{ code: PSEUDO_LOCALE, name: 'Pseudo' }])
+];
+
+export const catalogs = {
+  en,
+  es,
+  [PSEUDO_LOCALE]: pseudoLocalize(en)
+};
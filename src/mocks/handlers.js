@@ -0,0 +1,37 @@
+import { rest } from "msw";
+import { createApi, respond, RawResponse } from "../../mock-server/api";
+
+// The mock server's routes and sample data, served in-process. State lives in
+// `db` and is reset between tests; individual tests override routes with
+// `server.use(...)` to simulate failures.
+export const apiUrl = (path) => `${process.env.REACT_APP_API_URL || ""}${path}`;
+
+// Opaque tokens that never expire, so tests can build one for any user
+export const tokenFor = (user) => `token-${user._id}`;
+
+const readToken = (token) => (token.startsWith("token-") ? { sub: token.slice("token-".length), exp: Infinity } : null);
+
+// Tests read the issued reset token from db.resetTokens instead of an email
+const { db, reset, routes } = createApi({
+  createToken: tokenFor,
+  readToken,
+  createResetToken: (user) => `reset-${user._id}`,
+});
+
+export { db };
+
+export const resetDb = reset;
+
+export const handlers = routes.map((route) =>
+  rest[route.method.toLowerCase()](apiUrl(route.path), async (req, res, ctx) => {
+    const { status, data } = respond(route, {
+      authorization: req.headers.get("Authorization"),
+      body: await req.text(),
+      params: req.params,
+    });
+    if (data instanceof RawResponse) {
+      return res(ctx.status(status), ctx.set("Content-Type", data.contentType), ctx.body(data.body));
+    }
+    return res(ctx.status(status), ctx.json(data));
+  })
+);
@@ -0,0 +1,38 @@
+import { renderProgressCard } from "../../mock-server/progressCard";
+
+const profile = {
+  handle: "ada",
+  name: "Ada",
+  completed: 2,
+  total: 4,
+  topics: [],
+  difficulties: [
+    { difficulty: "Easy", completed: 2, total: 2 },
+    { difficulty: "Medium", completed: 0, total: 1 },
+    { difficulty: "Hard", completed: 0, total: 1 },
+  ],
+};
+
+const cardFor = (overrides) => renderProgressCard({ ...profile, ...overrides });
+
+const parse = (svg) => new DOMParser().parseFromString(svg, "image/svg+xml");
+
+test("draws the overall count and one row per difficulty", () => {
+  const card = parse(cardFor());
+
+  expect(card.querySelector("parsererror")).toBeNull();
+  expect(card.querySelector("title").textContent).toBe("Ada · DSA Sheet: 2 of 4 problems solved");
+  const text = [...card.querySelectorAll("text")].map((node) => node.textContent);
+  expect(text).toEqual(expect.arrayContaining(["@ada", "2/4", "solved · 50%", "Easy", "2/2", "Medium", "0/1", "Hard"]));
+});
+
+test("escapes the name and handle so they cannot break out of the markup", () => {
+  const name = `<script>alert("x")</script> & 'co'`;
+  const card = parse(cardFor({ name, handle: "a<b>" }));
+
+  expect(cardFor({ name })).toContain("&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &apos;co&apos;");
+  expect(card.querySelector("parsererror")).toBeNull();
+  expect(card.querySelector("script")).toBeNull();
+  expect(card.querySelector("title").textContent).toBe(`${name} · DSA Sheet: 2 of 4 problems solved`);
+  expect([...card.querySelectorAll("text")].map((node) => node.textContent)).toContain("@a<b>");
+});
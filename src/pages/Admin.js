@@ -0,0 +1,233 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useI18n } from '../contexts/I18nContext';
+import useQuery from '../hooks/useQuery';
+import { topicsQuery } from '../api/queries';
+import {
+  createTopic,
+  updateTopic,
+  deleteTopic,
+  createProblem,
+  updateProblem,
+  deleteProblem,
+  reorderProblems
+} from '../api/admin';
+import TopicForm from '../components/TopicForm';
+import ProblemForm from '../components/ProblemForm';
+import SortableProblemList from '../components/SortableProblemList';
+import BulkTopicUpload from '../components/BulkTopicUpload';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const Admin = () => {
+  const { data: topics = [], loading } = useQuery(topicsQuery);
+  const [selectedId, setSelectedId] = useState(null);
+  const [creatingTopic, setCreatingTopic] = useState(false);
+  // null, 'new', or the problem being edited
+  const [editingProblem, setEditingProblem] = useState(null);
+  const [error, setError] = useState('');
+  const { t, formatNumber } = useI18n();
+
+  const selectedTopic = creatingTopic ? null : topics.find(topic => topic._id === selectedId) || topics[0];
+
+  const selectTopic = (topicId) => {
+    setSelectedId(topicId);
+    setCreatingTopic(false);
+    setEditingProblem(null);
+    setError('');
+  };
+
+  const handleCreateTopic = async (topic) => {
+    const created = await createTopic(topic);
+    selectTopic(created._id);
+  };
+
+  const handleDeleteTopic = async () => {
+    if (!window.confirm(t('admin.confirmDeleteTopic', { title: selectedTopic.title }))) {
+      return;
+    }
+    try {
+      await deleteTopic(selectedTopic._id);
+      selectTopic(null);
+    } catch (error) {
+      console.error('Error deleting topic:', error);
+      setError(error.response?.data?.message || t('admin.deleteTopicError'));
+    }
+  };
+
+  const handleSaveProblem = async (problem) => {
+    if (editingProblem === 'new') {
+      await createProblem(selectedTopic._id, problem);
+    } else {
+      await updateProblem(selectedTopic._id, editingProblem._id, problem);
+    }
+    setEditingProblem(null);
+  };
+
+  const handleDeleteProblem = async (problem) => {
+    if (!window.confirm(t('admin.confirmDeleteProblem', { title: problem.title }))) {
+      return;
+    }
+    try {
+      await deleteProblem(selectedTopic._id, problem._id);
+    } catch (error) {
+      console.error('Error deleting problem:', error);
+      setError(error.response?.data?.message || t('admin.deleteProblemError'));
+    }
+  };
+
+  const handleReorder = async (problemIds) => {
+    setError('');
+    try {
+      await reorderProblems(selectedTopic._id, problemIds);
+    } catch (error) {
+      console.error('Error reordering problems:', error);
+      setError(error.response?.data?.message || t('admin.reorderError'));
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <Link to="/dashboard" className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 mb-4 inline-block">
+          {t('common.backToDashboard')}
+        </Link>
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-2">{t('admin.title')}</h1>
+        <p className="text-gray-600 dark:text-gray-400">{t('admin.subtitle')}</p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6 mb-8">
+        {/* Topic List */}
+        <div className="card lg:col-span-1">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">{t('admin.topics')}</h2>
+            <button onClick={() => setCreatingTopic(true)} className="btn btn-primary text-sm">
+              {t('admin.newTopic')}
+            </button>
+          </div>
+          {topics.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">{t('admin.noTopics')}</p>
+          ) : (
+            <ul className="space-y-1">
+              {topics.map(topic => (
+                <li key={topic._id}>
+                  <button
+                    onClick={() => selectTopic(topic._id)}
+                    className={`w-full text-left px-3 py-2 rounded-lg text-sm ${selectedTopic && selectedTopic._id === topic._id ? 'bg-primary-50 dark:bg-gray-700 text-primary-700 dark:text-primary-300 font-medium' : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                    aria-current={selectedTopic && selectedTopic._id === topic._id ? 'true' : undefined}
+                  >
+                    {topic.title}
+                    <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{formatNumber((topic.problems || []).length)}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Topic Editor */}
+        <div className="card lg:col-span-3">
+          {creatingTopic && (
+            <>
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">{t('admin.newTopic')}</h2>
+              <TopicForm
+                onSubmit={handleCreateTopic}
+                onCancel={() => setCreatingTopic(false)}
+                submitLabel={t('admin.createTopic')}
+              />
+            </>
+          )}
+
+          {!creatingTopic && !selectedTopic && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">{t('admin.createFirst')}</p>
+          )}
+
+          {selectedTopic && (
+            <>
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">{t('admin.editTopic')}</h2>
+                <button onClick={handleDeleteTopic} className="btn btn-danger text-sm">
+                  {t('admin.deleteTopic')}
+                </button>
+              </div>
+
+              {error && (
+                <div className="bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg mb-4">
+                  {error}
+                </div>
+              )}
+
+              <TopicForm
+                key={selectedTopic._id}
+                topic={selectedTopic}
+                onSubmit={(changes) => updateTopic(selectedTopic._id, changes)}
+              />
+
+              <div className="flex justify-between items-center mt-8 mb-4">
+                <h3 className="text-base font-semibold text-gray-900 dark:text-gray-100">
+                  {t('admin.problems', { count: (selectedTopic.problems || []).length })}
+                </h3>
+                {!editingProblem && (
+                  <button onClick={() => setEditingProblem('new')} className="btn btn-primary text-sm">
+                    {t('admin.addProblem')}
+                  </button>
+                )}
+              </div>
+
+              {editingProblem && (
+                <div className="border border-gray-200 dark:border-gray-700 rounded-lg p-4 mb-4">
+                  <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-4">
+                    {editingProblem === 'new' ? t('admin.newProblem') : t('admin.editProblem', { title: editingProblem.title })}
+                  </h4>
+                  <ProblemForm
+                    key={editingProblem === 'new' ? 'new' : editingProblem._id}
+                    problem={editingProblem === 'new' ? undefined : editingProblem}
+                    onSubmit={handleSaveProblem}
+                    onCancel={() => setEditingProblem(null)}
+                    submitLabel={editingProblem === 'new' ? t('admin.addProblem') : undefined}
+                  />
+                </div>
+              )}
+
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">{t('admin.reorderHelp')}</p>
+              <SortableProblemList
+                problems={selectedTopic.problems || []}
+                onReorder={handleReorder}
+                renderActions={(problem) => (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() => setEditingProblem(problem)}
+                      className="px-2 py-1 text-sm text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300"
+                    >
+                      {t('admin.edit')}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDeleteProblem(problem)}
+                      className="px-2 py-1 text-sm text-danger-700 dark:text-danger-400 hover:text-danger-800 dark:hover:text-danger-300"
+                    >
+                      {t('admin.delete')}
+                    </button>
+                  </>
+                )}
+              />
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Bulk Upload */}
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">{t('admin.bulk.title')}</h2>
+        <BulkTopicUpload />
+      </div>
+    </div>
+  );
+};
+
+export default Admin;
@@ -0,0 +1,100 @@
+import React, { useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { useSync } from '../contexts/SyncContext';
+import { useI18n } from '../contexts/I18nContext';
+import useQuery from '../hooks/useQuery';
+import { topicsQuery, progressQuery } from '../api/queries';
+import ActivityHeatmap from '../components/ActivityHeatmap';
+import WeeklyChart from '../components/WeeklyChart';
+import BreakdownChart from '../components/BreakdownChart';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { DIFFICULTIES, mergeProgress, flattenProblems } from '../utils/problems';
+import {
+  countCompletionsByDay,
+  computeStreaks,
+  buildHeatmap,
+  completionsPerWeek,
+  breakdownBy
+} from '../utils/analytics';
+
+const Analytics = () => {
+  const { data: topics, loading } = useQuery(topicsQuery);
+  const { data: progressData } = useQuery(progressQuery);
+  const { applyPending } = useSync();
+  const { t, formatNumber } = useI18n();
+
+  const progress = useMemo(() => applyPending(progressData || []), [applyPending, progressData]);
+  const problems = useMemo(() => flattenProblems(mergeProgress(topics || [], progress)), [topics, progress]);
+  const countsByDay = useMemo(() => countCompletionsByDay(progress), [progress]);
+  const streaks = useMemo(() => computeStreaks(countsByDay), [countsByDay]);
+  const heatmap = useMemo(() => buildHeatmap(countsByDay), [countsByDay]);
+  const weekly = useMemo(() => completionsPerWeek(countsByDay), [countsByDay]);
+  const byDifficulty = useMemo(() => breakdownBy(problems, problem => problem.difficulty, DIFFICULTIES), [problems]);
+  const byTag = useMemo(() => breakdownBy(problems, problem => problem.tags), [problems]);
+
+  // Difficulty names are translated; tags are shown as written
+  const difficultyRows = byDifficulty.map(row => ({ ...row, label: t(`difficulty.${row.label}`) }));
+  const totalActiveDays = countsByDay.size;
+  const solvedThisYear = heatmap.flat().reduce((total, day) => total + (day ? day.count : 0), 0);
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <Link to="/dashboard" className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 mb-4 inline-block">
+          {t('common.backToDashboard')}
+        </Link>
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-2">{t('analytics.title')}</h1>
+        <p className="text-gray-600 dark:text-gray-400">{t('analytics.subtitle')}</p>
+      </div>
+
+      {/* Streak Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+        <div className="card">
+          <p className="text-sm text-gray-600 dark:text-gray-400">{t('analytics.currentStreak')}</p>
+          <p className="text-2xl font-bold text-gray-900 dark:text-gray-100">{t('analytics.days', { count: streaks.current })}</p>
+        </div>
+        <div className="card">
+          <p className="text-sm text-gray-600 dark:text-gray-400">{t('analytics.longestStreak')}</p>
+          <p className="text-2xl font-bold text-gray-900 dark:text-gray-100">{t('analytics.days', { count: streaks.longest })}</p>
+        </div>
+        <div className="card">
+          <p className="text-sm text-gray-600 dark:text-gray-400">{t('analytics.solvedThisYear')}</p>
+          <p className="text-2xl font-bold text-gray-900 dark:text-gray-100">{formatNumber(solvedThisYear)}</p>
+        </div>
+        <div className="card">
+          <p className="text-sm text-gray-600 dark:text-gray-400">{t('analytics.activeDays')}</p>
+          <p className="text-2xl font-bold text-gray-900 dark:text-gray-100">{formatNumber(totalActiveDays)}</p>
+        </div>
+      </div>
+
+      {/* Heatmap */}
+      <div className="card mb-8">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">{t('analytics.dailyActivity')}</h2>
+        <ActivityHeatmap weeks={heatmap} />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">{t('analytics.perWeek')}</h2>
+          <WeeklyChart weeks={weekly} />
+        </div>
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">{t('analytics.byDifficulty')}</h2>
+          <BreakdownChart rows={difficultyRows} label={t('analytics.byDifficultyLabel')} />
+        </div>
+      </div>
+
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">{t('analytics.byTag')}</h2>
+        <BreakdownChart rows={byTag} label={t('analytics.byTagLabel')} />
+      </div>
+    </div>
+  );
+};
+
+export default Analytics;
@@ -1,99 +1,89 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useMemo } from 'react';
 import { Link } from 'react-router-dom';
-import api from '../api/axios';
+import { useSync } from '../contexts/SyncContext';
+import { useI18n } from '../contexts/I18nContext';
+import useQuery from '../hooks/useQuery';
+import { topicsQuery, progressQuery, progressStatsQuery, reviewsQuery } from '../api/queries';
+import { refetchActiveQueries } from '../api/queryCache';
+import { isNetworkError } from '../api/axios';
+import ProblemSearch, { useProblemFilters } from '../components/ProblemSearch';
+import StatusProgressBar from '../components/StatusProgressBar';
+import RecommendationsCard from '../components/RecommendationsCard';
+import LoadingSpinner from '../components/LoadingSpinner';
+import OfflineFallback from '../components/OfflineFallback';
+import { DIFFICULTIES, mergeProgress, flattenProblems, summarizeProgress } from '../utils/problems';
+import { getDueProblems } from '../utils/revision';
+import { averageTimeByDifficulty } from '../utils/analytics';
+import { recommendProblems } from '../utils/recommendations';
+import { formatDuration } from '../utils/duration';
+
+const EMPTY_STATS = { total: 0, completed: 0, remaining: 0, percentage: 0 };
 
 const Dashboard = () => {
-  const [topics, setTopics] = useState([]);
-  const [stats, setStats] = useState({
-    total: 0,
-    completed: 0,
-    remaining: 0,
-    percentage: 0
-  });
-  const [loading, setLoading] = useState(true);
-
-  const fetchData = useCallback(async () => {
-    try {
-      const [topicsResponse, statsResponse, progressResponse] = await Promise.all([
-        api.get('/topics'),
-        api.get('/progress/stats').catch(() => ({ data: { total: 0, completed: 0, remaining: 0, percentage: 0 } })),
-        api.get('/progress').catch(() => ({ data: [] }))
-      ]);
-      
-      const topicsData = topicsResponse.data;
-      const userProgress = progressResponse.data;
-      
-      // Create a map of completed problems for quick lookup
-      const completedProblems = new Set();
-      userProgress.forEach(progress => {
-        if (progress.completed) {
-          completedProblems.add(progress.problemId._id);
-        }
-      });
-      
-      // Update topics with progress information
-      const topicsWithProgress = topicsData.map(topic => ({
-        ...topic,
-        problems: topic.problems.map(problem => ({
-          ...problem,
-          completed: completedProblems.has(problem._id)
-        }))
-      }));
-      
-      setTopics(topicsWithProgress);
-      
-      // Calculate total problems from topics if stats API fails
-      const totalProblems = topicsData.reduce((total, topic) => total + (topic.problems ? topic.problems.length : 0), 0);
-      const completedCount = userProgress.filter(p => p.completed).length;
-      
-      if (statsResponse.data && statsResponse.data.total > 0) {
-        setStats(statsResponse.data);
-      } else {
-        setStats({
-          total: totalProblems,
-          completed: completedCount,
-          remaining: totalProblems - completedCount,
-          percentage: totalProblems > 0 ? Math.round((completedCount / totalProblems) * 100) : 0
-        });
-      }
-    } catch (error) {
-      console.error('Error fetching data:', error);
-      // Set default stats if there's an error
-      setStats({ total: 0, completed: 0, remaining: 0, percentage: 0 });
-    } finally {
-      setLoading(false);
-    }
-  }, []);
+  const { data: topicsData, error: topicsError, loading } = useQuery(topicsQuery);
+  const { data: progressData } = useQuery(progressQuery);
+  const { data: statsData } = useQuery(progressStatsQuery);
+  const { data: reviewsData } = useQuery(reviewsQuery);
+  const { applyPending } = useSync();
+  const { t, formatNumber, formatPercent } = useI18n();
+  const { isActive: isFiltering } = useProblemFilters();
 
-  useEffect(() => {
-    fetchData();
-  }, [fetchData]);
+  // Include changes that are queued but not yet synced
+  const userProgress = useMemo(() => applyPending(progressData || []), [applyPending, progressData]);
 
-  // Refresh data when user returns to dashboard or progress is updated
-  useEffect(() => {
-    const handleFocus = () => {
-      fetchData();
-    };
+  // Update topics with progress information
+  const topics = useMemo(() => mergeProgress(topicsData || [], userProgress), [topicsData, userProgress]);
 
-    const handleProgressUpdate = () => {
-      fetchData();
-    };
+  const dueCount = useMemo(
+    () => getDueProblems(flattenProblems(topics), reviewsData || []).length,
+    [topics, reviewsData]
+  );
+
+  const overall = useMemo(() => summarizeProgress(flattenProblems(topics)), [topics]);
+
+  const recommendations = useMemo(() => recommendProblems(topics, userProgress), [topics, userProgress]);
+
+  const solveTimes = useMemo(
+    () => averageTimeByDifficulty(flattenProblems(topics), userProgress, DIFFICULTIES),
+    [topics, userProgress]
+  );
+  const hasSolveTimes = solveTimes.some(row => row.count > 0);
+
+  const stats = useMemo(() => {
+    // Calculate total problems from topics if stats API fails
+    const totalProblems = topics.reduce((total, topic) => total + topic.problems.length, 0);
+    const completedCount = userProgress.filter(p => p.completed).length;
+    const pendingDelta = completedCount - (progressData || []).filter(p => p.completed).length;
+
+    if (statsData && statsData.total > 0) {
+      const { total } = statsData;
+      const completed = statsData.completed + pendingDelta;
+      return {
+        ...statsData,
+        completed,
+        remaining: total - completed,
+        percentage: Math.round((completed / total) * 100)
+      };
+    }
 
-    window.addEventListener('focus', handleFocus);
-    window.addEventListener('progressUpdated', handleProgressUpdate);
-    
-    return () => {
-      window.removeEventListener('focus', handleFocus);
-      window.removeEventListener('progressUpdated', handleProgressUpdate);
+    if (totalProblems === 0) {
+      return EMPTY_STATS;
+    }
+
+    return {
+      total: totalProblems,
+      completed: completedCount,
+      remaining: totalProblems - completedCount,
+      percentage: Math.round((completedCount / totalProblems) * 100)
     };
-  }, [fetchData]);
+  }, [topics, userProgress, progressData, statsData]);
 
   if (loading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
-      </div>
-    );
+    return <LoadingSpinner />;
+  }
+
+  if (!topicsData && isNetworkError(topicsError)) {
+    return <OfflineFallback />;
   }
 
   return (
@@ -102,60 +92,65 @@ const Dashboard = () => {
       <div className="mb-8">
         <div className="flex justify-between items-center">
           <div>
-            <h1 className="text-3xl font-bold text-gray-900 mb-2">DSA Sheet Dashboard</h1>
-            <p className="text-gray-600">Track your progress through data structures and algorithms</p>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-2">{t('dashboard.title')}</h1>
+            <p className="text-gray-600 dark:text-gray-400">{t('dashboard.subtitle')}</p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <Link to="/import-export" className="btn btn-secondary">
+              {t('dashboard.importExport')}
+            </Link>
+            <button
+              onClick={refetchActiveQueries}
+              className="btn btn-secondary"
+              title={t('dashboard.refreshTitle')}
+            >
+              <svg className="w-4 h-4 mr-2" aria-hidden="true" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+              </svg>
+              {t('dashboard.refresh')}
+            </button>
           </div>
-          <button
-            onClick={fetchData}
-            className="btn btn-secondary"
-            title="Refresh progress"
-          >
-            <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
-            </svg>
-            Refresh
-          </button>
         </div>
       </div>
 
       {/* Stats Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+      <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-6 mb-8">
         <div className="stats-card card text-white">
           <div className="flex items-center justify-between">
             <div>
-              <p className="text-sm opacity-90">Total Problems</p>
-              <p className="text-2xl font-bold">{stats.total}</p>
+              <p className="text-sm opacity-90">{t('dashboard.totalProblems')}</p>
+              <p className="text-2xl font-bold">{formatNumber(stats.total)}</p>
             </div>
             <div className="w-12 h-12 bg-white bg-opacity-20 rounded-lg flex items-center justify-center">
-              <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 20 20">
+              <svg className="w-6 h-6" aria-hidden="true" fill="currentColor" viewBox="0 0 20 20">
                 <path d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
             </div>
           </div>
         </div>
 
-        <div className="bg-success-600 card text-white">
+        <div className="bg-success-700 card text-white">
           <div className="flex items-center justify-between">
             <div>
-              <p className="text-sm opacity-90">Completed</p>
-              <p className="text-2xl font-bold">{stats.completed}</p>
+              <p className="text-sm opacity-90">{t('dashboard.completed')}</p>
+              <p className="text-2xl font-bold">{formatNumber(stats.completed)}</p>
             </div>
             <div className="w-12 h-12 bg-white bg-opacity-20 rounded-lg flex items-center justify-center">
-              <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 20 20">
+              <svg className="w-6 h-6" aria-hidden="true" fill="currentColor" viewBox="0 0 20 20">
                 <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
               </svg>
             </div>
           </div>
         </div>
 
-        <div className="bg-warning-600 card text-white">
+        <div className="bg-warning-700 card text-white">
           <div className="flex items-center justify-between">
             <div>
-              <p className="text-sm opacity-90">Remaining</p>
-              <p className="text-2xl font-bold">{stats.remaining}</p>
+              <p className="text-sm opacity-90">{t('dashboard.remaining')}</p>
+              <p className="text-2xl font-bold">{formatNumber(stats.remaining)}</p>
             </div>
             <div className="w-12 h-12 bg-white bg-opacity-20 rounded-lg flex items-center justify-center">
-              <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 20 20">
+              <svg className="w-6 h-6" aria-hidden="true" fill="currentColor" viewBox="0 0 20 20">
                 <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clipRule="evenodd" />
               </svg>
             </div>
@@ -165,68 +160,110 @@ const Dashboard = () => {
         <div className="bg-primary-600 card text-white">
           <div className="flex items-center justify-between">
             <div>
-              <p className="text-sm opacity-90">Progress</p>
-              <p className="text-2xl font-bold">{stats.percentage}%</p>
+              <p className="text-sm opacity-90">{t('common.progress')}</p>
+              <p className="text-2xl font-bold">{formatPercent(stats.percentage)}</p>
             </div>
             <div className="w-12 h-12 bg-white bg-opacity-20 rounded-lg flex items-center justify-center">
-              <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 20 20">
+              <svg className="w-6 h-6" aria-hidden="true" fill="currentColor" viewBox="0 0 20 20">
                 <path fillRule="evenodd" d="M3 3a1 1 0 000 2v8a2 2 0 002 2h2.586l-1.293 1.293a1 1 0 101.414 1.414L10 15.414l2.293 2.293a1 1 0 001.414-1.414L12.414 15H15a2 2 0 002-2V5a1 1 0 100-2H3zm11.707 4.707a1 1 0 00-1.414-1.414L10 9.586 8.707 8.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
               </svg>
             </div>
           </div>
         </div>
+
+        <Link to="/revise" className="bg-gray-800 dark:bg-gray-700 card text-white hover:bg-gray-900 dark:hover:bg-gray-600 transition-colors duration-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm opacity-90">{t('dashboard.dueToday')}</p>
+              <p className="text-2xl font-bold">{formatNumber(dueCount)}</p>
+            </div>
+            <div className="w-12 h-12 bg-white bg-opacity-20 rounded-lg flex items-center justify-center">
+              <svg className="w-6 h-6" aria-hidden="true" fill="currentColor" viewBox="0 0 20 20">
+                <path fillRule="evenodd" d="M4 2a1 1 0 011 1v2.101a7.002 7.002 0 0111.601 2.566 1 1 0 11-1.885.666A5.002 5.002 0 005.999 7H9a1 1 0 010 2H4a1 1 0 01-1-1V3a1 1 0 011-1zm.008 9.057a1 1 0 011.276.61A5.002 5.002 0 0014.001 13H11a1 1 0 110-2h5a1 1 0 011 1v5a1 1 0 11-2 0v-2.101a7.002 7.002 0 01-11.601-2.566 1 1 0 01.61-1.276z" clipRule="evenodd" />
+              </svg>
+            </div>
+          </div>
+        </Link>
       </div>
 
       {/* Progress Bar */}
       <div className="mb-8">
         <div className="flex justify-between items-center mb-2">
-          <span className="text-sm font-medium text-gray-700">Overall Progress</span>
-          <span className="text-sm text-gray-500">{stats.completed}/{stats.total} problems</span>
-        </div>
-        <div className="w-full bg-gray-200 rounded-full h-3">
-          <div 
-            className="bg-primary-600 h-3 rounded-full progress-bar"
-            style={{ width: `${stats.percentage}%` }}
-          ></div>
+          <span className="text-sm font-medium text-gray-700 dark:text-gray-300">{t('dashboard.overallProgress')}</span>
+          <span className="text-sm text-gray-500 dark:text-gray-400">
+            {t('common.problemsProgress', { completed: stats.completed, count: stats.total })}
+          </span>
         </div>
+        <StatusProgressBar
+          counts={overall.byStatus}
+          total={overall.total}
+          label={t('dashboard.overallProgress')}
+          height="h-3"
+          showLegend
+        />
       </div>
 
-      {/* Topics Grid */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-        {topics.map((topic) => {
-          const totalProblems = topic.problems ? topic.problems.length : 0;
-          const completedProblems = topic.problems ? topic.problems.filter(problem => problem.completed).length : 0;
-          const topicPercentage = totalProblems > 0 ? Math.round((completedProblems / totalProblems) * 100) : 0;
-
-          return (
-            <Link
-              key={topic._id}
-              to={`/topic/${topic._id}`}
-              className="card problem-card hover:shadow-lg transition-all duration-200"
-            >
-              <div className="flex items-center justify-between mb-4">
-                <h3 className="text-lg font-semibold text-gray-900">{topic.title}</h3>
-                <span className="text-sm text-gray-500">{completedProblems}/{totalProblems}</span>
+      {/* Recommended Next Problems */}
+      {overall.total > 0 && <RecommendationsCard recommendations={recommendations} />}
+
+      {/* Average Solve Time */}
+      {hasSolveTimes && (
+        <div className="card mb-8">
+          <h2 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-4">{t('dashboard.averageTime')}</h2>
+          <div className="grid grid-cols-3 gap-6">
+            {solveTimes.map(({ difficulty, average, count }) => (
+              <div key={difficulty}>
+                <span className={`difficulty-badge difficulty-${difficulty.toLowerCase()}`}>{t(`difficulty.${difficulty}`)}</span>
+                <p className="text-2xl font-bold text-gray-900 dark:text-gray-100 mt-2">
+                  {average === null ? '–' : formatDuration(average)}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {t('dashboard.timedSolves', { count })}
+                </p>
               </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <ProblemSearch topics={topics} />
+
+      {/* Topics Grid */}
+      {!isFiltering && (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {topics.map((topic) => {
+            const {
+              total: totalProblems,
+              completed: completedProblems,
+              percentage: topicPercentage,
+              byStatus
+            } = summarizeProgress(topic.problems);
+
+            return (
+              <Link
+                key={topic._id}
+                to={`/topic/${topic._id}`}
+                className="card problem-card hover:shadow-lg transition-all duration-200"
+              >
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">{topic.title}</h3>
+                  <span className="text-sm text-gray-500 dark:text-gray-400">{formatNumber(completedProblems)}/{formatNumber(totalProblems)}</span>
+                </div>
               
-              <p className="text-gray-600 text-sm mb-4">{topic.description}</p>
+                <p className="text-gray-600 dark:text-gray-400 text-sm mb-4">{topic.description}</p>
               
-              <div className="space-y-2">
-                <div className="flex justify-between items-center">
-                  <span className="text-xs text-gray-500">Progress</span>
-                  <span className="text-xs text-gray-500">{topicPercentage}%</span>
+                <div className="space-y-2">
+                  <div className="flex justify-between items-center">
+                    <span className="text-xs text-gray-500 dark:text-gray-400">{t('common.progress')}</span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">{formatPercent(topicPercentage)}</span>
+                  </div>
+                  <StatusProgressBar counts={byStatus} total={totalProblems} label={t('common.progressOf', { name: topic.title })} />
                 </div>
-                <div className="w-full bg-gray-200 rounded-full h-2">
-                  <div 
-                    className="bg-primary-600 h-2 rounded-full progress-bar"
-                    style={{ width: `${topicPercentage}%` }}
-                  ></div>
-                </div>
-              </div>
-            </Link>
-          );
-        })}
-      </div>
+              </Link>
+            );
+          })}
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,104 @@
+import React from 'react';
+import { screen, within, fireEvent } from '@testing-library/react';
+import { rest } from 'msw';
+import { axe } from 'jest-axe';
+import { server } from '../mocks/server';
+import { apiUrl } from '../mocks/handlers';
+import { renderPage, signInAs } from '../testUtils';
+import Dashboard from './Dashboard';
+
+// Stat cards render their label and value as adjacent paragraphs
+const findStat = (label, value) =>
+  screen.findAllByText((content, element) => element.tagName === 'DIV' && element.textContent === `${label}${value}`);
+
+const mockStats = (response) =>
+  server.use(rest.get(apiUrl('/progress/stats'), (req, res, ctx) => response(res, ctx)));
+
+const renderDashboard = () => renderPage(<Dashboard />, { route: '/dashboard', path: '/dashboard' });
+
+beforeEach(() => {
+  signInAs('learner@example.com');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('shows the totals reported by the stats endpoint', async () => {
+  mockStats((res, ctx) => res(ctx.json({ total: 10, completed: 5, remaining: 5, percentage: 50 })));
+  renderDashboard();
+
+  expect(await screen.findByText('5/10 problems')).toBeInTheDocument();
+  await findStat('Total Problems', '10');
+  await findStat('Completed', '5');
+  await findStat('Remaining', '5');
+  await findStat('Progress', '50%');
+});
+
+test('falls back to counting topics when the stats endpoint fails', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  mockStats((res, ctx) => res(ctx.status(500), ctx.json({ message: 'Server error' })));
+  renderDashboard();
+
+  expect(await screen.findByText('1/4 problems')).toBeInTheDocument();
+  await findStat('Total Problems', '4');
+  await findStat('Completed', '1');
+  await findStat('Remaining', '3');
+  await findStat('Progress', '25%');
+});
+
+test('falls back to counting topics when the stats endpoint reports no problems', async () => {
+  mockStats((res, ctx) => res(ctx.json({ total: 0, completed: 0, remaining: 0, percentage: 0 })));
+  renderDashboard();
+
+  expect(await screen.findByText('1/4 problems')).toBeInTheDocument();
+});
+
+test('adds changes that have not synced yet to the reported stats', async () => {
+  jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+  localStorage.setItem('progressQueue', JSON.stringify([{
+    userId: 'u2',
+    problemId: 'p2',
+    changes: { status: 'solved', completed: true },
+    previous: { status: 'not_started', completed: false },
+    queuedAt: '2024-01-02T10:00:00.000Z'
+  }]));
+  mockStats((res, ctx) => res(ctx.json({ total: 10, completed: 5, remaining: 5, percentage: 50 })));
+  renderDashboard();
+
+  expect(await screen.findByText('6/10 problems')).toBeInTheDocument();
+  await findStat('Remaining', '4');
+  await findStat('Progress', '60%');
+});
+
+test('recommends what to solve next with a link into the topic', async () => {
+  renderDashboard();
+
+  const card = await screen.findByRole('region', { name: 'Recommended next' });
+  const links = within(card).getAllByRole('link');
+  expect(links.map(link => link.textContent)).toEqual(['Container With Most Water', 'Reverse Linked List', 'Trapping Rain Water']);
+  expect(links[0]).toHaveAttribute('href', '/topic/t1#problem-p2');
+  expect(within(card).getByText('You have cleared the easier Arrays problems, so try a Medium one')).toBeInTheDocument();
+  expect(within(card).getByText('Next up in Linked Lists')).toBeInTheDocument();
+});
+
+test('lists every problem in the chosen order when only the sort is changed', async () => {
+  renderDashboard();
+  await screen.findByText('1/4 problems');
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Sort problems' }), { target: { value: 'title' } });
+
+  expect(await screen.findByText('4 problems found')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Clear filters' })).toBeInTheDocument();
+});
+
+test('has no axe violations', async () => {
+  const { container } = renderDashboard();
+  await screen.findByRole('region', { name: 'Recommended next' });
+  expect(await axe(container)).toHaveNoViolations();
+
+  // The search results list replaces the topic grid while filtering
+  fireEvent.change(screen.getByRole('combobox', { name: 'Filter by difficulty' }), { target: { value: 'Easy' } });
+  await screen.findByText(/problems? found/);
+  expect(await axe(container)).toHaveNoViolations();
+});
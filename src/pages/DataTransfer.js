@@ -0,0 +1,272 @@
+import React, { useState, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api/axios';
+import { useSync } from '../contexts/SyncContext';
+import { useI18n } from '../contexts/I18nContext';
+import useQuery from '../hooks/useQuery';
+import {
+  topicsQuery,
+  progressQuery,
+  progressStatsQuery,
+  reviewsQuery,
+  updateProgressRecord,
+  updateReview
+} from '../api/queries';
+import { invalidateQuery } from '../api/queryCache';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { mergeProgress, flattenProblems } from '../utils/problems';
+import { statusChanges, getStatusLabel } from '../utils/progressStatus';
+import {
+  buildExportRows,
+  toJSON,
+  toCSV,
+  parseImportFile,
+  matchRows,
+  diffImport
+} from '../utils/progressTransfer';
+
+const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Revoking straight away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const DataTransfer = () => {
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+  const [applying, setApplying] = useState(false);
+  const [result, setResult] = useState(null);
+  const { data: topicsData, loading } = useQuery(topicsQuery);
+  const { data: progressData } = useQuery(progressQuery);
+  const { data: reviewsData } = useQuery(reviewsQuery);
+  const { applyPending, updateProgress } = useSync();
+  const { t, formatNumber } = useI18n();
+
+  const topics = useMemo(() => topicsData || [], [topicsData]);
+  const progress = useMemo(() => applyPending(progressData || []), [applyPending, progressData]);
+  const reviews = reviewsData || [];
+
+  const problems = useMemo(() => flattenProblems(mergeProgress(topics, progress)), [topics, progress]);
+
+  const handleExport = (format) => {
+    const rows = buildExportRows(topics, progress, reviews);
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (format === 'json') {
+      downloadFile(toJSON(rows), `dsa-sheet-progress-${date}.json`, 'application/json');
+    } else {
+      downloadFile(toCSV(rows), `dsa-sheet-progress-${date}.csv`, 'text/csv');
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setError('');
+    setResult(null);
+    setPreview(null);
+
+    if (!file) {
+      return;
+    }
+
+    try {
+      const rows = parseImportFile(await file.text(), file.name);
+      setPreview({ fileName: file.name, total: rows.length, ...diffImport(matchRows(rows, problems), reviews) });
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      setError(t('transfer.readError'));
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  const applyImport = async () => {
+    setApplying(true);
+    let applied = 0;
+    const failed = [];
+
+    // Apply one problem at a time. Notes, the review schedule and timed
+    // attempts are saved first; status, completion and confidence are only queued once they have
+    // succeeded, so a failed row leaves that problem's progress as it was.
+    // Those go through the outbox, in order with any queued changes.
+    for (const change of preview.changes) {
+      const problemId = change.problem._id;
+      try {
+        if (change.notes) {
+          await api.put(`/progress/${problemId}/notes`, { notes: change.notes.to });
+          updateProgressRecord(problemId, { notes: change.notes.to });
+        }
+        if (change.review) {
+          await api.put(`/reviews/${problemId}`, change.review.to);
+          updateReview(problemId, change.review.to);
+        }
+        for (const attempt of change.attempts ? change.attempts.add : []) {
+          const response = await api.post(`/progress/${problemId}/attempts`, attempt);
+          updateProgressRecord(problemId, { attempts: response.data.attempts });
+        }
+        const progressChanges = {
+          ...(change.status && statusChanges(change.status.to)),
+          ...(change.completed && change.completed.at && { completedAt: change.completed.at }),
+          ...(change.confidence && { confidence: change.confidence.to })
+        };
+        if (Object.keys(progressChanges).length > 0) {
+          updateProgress(problemId, progressChanges);
+        }
+        applied += 1;
+      } catch (error) {
+        console.error('Error importing progress:', error);
+        failed.push(change.problem.title);
+      }
+    }
+
+    setResult({ applied, failed });
+    setPreview(null);
+    setApplying(false);
+    invalidateQuery(progressStatsQuery.key);
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <Link to="/dashboard" className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 mb-4 inline-block">
+          {t('common.backToDashboard')}
+        </Link>
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-2">{t('transfer.title')}</h1>
+        <p className="text-gray-600 dark:text-gray-400">{t('transfer.subtitle')}</p>
+      </div>
+
+      {/* Export */}
+      <div className="card mb-8">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">{t('transfer.export.title')}</h2>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+          {t('transfer.export.description', { count: problems.length })}
+        </p>
+        <div className="flex space-x-3">
+          <button onClick={() => handleExport('json')} className="btn btn-primary">{t('transfer.export.json')}</button>
+          <button onClick={() => handleExport('csv')} className="btn btn-secondary">{t('transfer.export.csv')}</button>
+        </div>
+      </div>
+
+      {/* Import */}
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">{t('transfer.import.title')}</h2>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+          {t('transfer.import.description')}
+        </p>
+        <label htmlFor="import-file" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          {t('transfer.import.fileLabel')}
+        </label>
+        <input
+          id="import-file"
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          onChange={handleFileChange}
+          disabled={applying}
+          className="block text-sm text-gray-700 dark:text-gray-300"
+        />
+
+        {error && (
+          <div className="bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg mt-4">
+            {error}
+          </div>
+        )}
+
+        {result && (
+          <div className="bg-success-50 dark:bg-success-900/30 border border-success-200 dark:border-success-800 text-success-800 dark:text-success-200 px-4 py-3 rounded-lg mt-4">
+            {t('transfer.result.applied', { count: result.applied })}
+            {result.failed.length > 0 && ` ${t('transfer.result.failed', { titles: result.failed.join(', ') })}`}
+          </div>
+        )}
+
+        {preview && (
+          <div className="mt-6">
+            <div className="flex justify-between items-center mb-3">
+              <p className="text-sm text-gray-700 dark:text-gray-300">
+                <span className="font-medium">{preview.fileName}</span>:{' '}
+                {t('transfer.preview.summary', {
+                  rows: formatNumber(preview.total),
+                  changes: t('transfer.preview.changes', { count: preview.changes.length }),
+                  unmatched: formatNumber(preview.unmatched.length)
+                })}
+              </p>
+              <div className="flex space-x-2">
+                <button onClick={() => setPreview(null)} disabled={applying} className="btn btn-secondary text-sm">
+                  {t('transfer.preview.cancel')}
+                </button>
+                <button
+                  onClick={applyImport}
+                  disabled={applying || preview.changes.length === 0}
+                  className="btn btn-primary text-sm disabled:opacity-50"
+                >
+                  {applying
+                    ? <span className="loading-dots">{t('transfer.preview.applying')}</span>
+                    : t('transfer.preview.apply', { count: preview.changes.length })}
+                </button>
+              </div>
+            </div>
+
+            {preview.changes.length > 0 && (
+              <ul className="border border-gray-200 dark:border-gray-700 rounded-lg divide-y divide-gray-200 dark:divide-gray-700 max-h-96 overflow-y-auto custom-scrollbar">
+                {preview.changes.map(change => (
+                  <li key={change.problem._id} className="px-4 py-2 text-sm">
+                    <p className="font-medium text-gray-900 dark:text-gray-100">
+                      {change.problem.title}
+                      <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">{change.problem.topicTitle}</span>
+                    </p>
+                    {change.status && (
+                      <p className="text-gray-600 dark:text-gray-400">
+                        {t('transfer.preview.status', { status: t(getStatusLabel(change.status.to)) })}
+                      </p>
+                    )}
+                    {change.confidence && (
+                      <p className="text-gray-600 dark:text-gray-400">
+                        {t('transfer.preview.confidence', { value: change.confidence.to })}
+                      </p>
+                    )}
+                    {change.notes && (
+                      <p className="text-gray-600 dark:text-gray-400">
+                        {t(change.notes.from ? 'transfer.preview.replaceNotes' : 'transfer.preview.addNotes', { count: change.notes.to.length })}
+                      </p>
+                    )}
+                    {change.attempts && (
+                      <p className="text-gray-600 dark:text-gray-400">
+                        {t('transfer.preview.attempts', { count: change.attempts.add.length })}
+                      </p>
+                    )}
+                    {change.review && (
+                      <p className="text-gray-600 dark:text-gray-400">
+                        {t(change.review.from ? 'transfer.preview.replaceReview' : 'transfer.preview.addReview')}
+                      </p>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {preview.unmatched.length > 0 && (
+              <details className="mt-4 text-sm text-gray-600 dark:text-gray-400">
+                <summary className="cursor-pointer">{t('transfer.preview.unmatched')}</summary>
+                <ul className="mt-2 list-disc pl-6">
+                  {preview.unmatched.map((row, index) => (
+                    <li key={index}>{row.title || row.leetcode || row.problemId || t('transfer.preview.untitled')}</li>
+                  ))}
+                </ul>
+              </details>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DataTransfer;
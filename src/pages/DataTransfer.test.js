@@ -0,0 +1,71 @@
+import React from 'react';
+import { screen, fireEvent } from '@testing-library/react';
+import { rest } from 'msw';
+import { server } from '../mocks/server';
+import { apiUrl, db } from '../mocks/handlers';
+import { renderPage, signInAs } from '../testUtils';
+import DataTransfer from './DataTransfer';
+
+// jsdom's File has no text(), so the file brings its own
+const uploadRows = async (rows) => {
+  const content = JSON.stringify(rows);
+  const file = Object.assign(new File([content], 'backup.json', { type: 'application/json' }), {
+    text: () => Promise.resolve(content)
+  });
+  fireEvent.change(await screen.findByLabelText('JSON or CSV file'), { target: { files: [file] } });
+};
+
+const review = { interval: 6, easeFactor: 2.6, dueDate: '2024-01-11T09:30:00.000Z' };
+
+beforeEach(() => {
+  signInAs('learner@example.com');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('imports status, confidence, notes, attempts and review schedule for a problem', async () => {
+  renderPage(<DataTransfer />, { route: '/import-export', path: '/import-export' });
+  await uploadRows([{
+    problemId: 'p2',
+    completed: true,
+    status: 'solved_with_hints',
+    confidence: 2,
+    completedAt: '2024-01-05T09:30:00.000Z',
+    notes: 'Two pointers',
+    attempts: [{ startedAt: '2024-01-05T09:00:00.000Z', endedAt: '2024-01-05T09:30:00.000Z', duration: 1800, completed: true }],
+    review
+  }]);
+
+  expect(await screen.findByText('Set status to Solved with hints')).toBeInTheDocument();
+  expect(screen.getByText('Set confidence to 2 out of 5')).toBeInTheDocument();
+  expect(screen.getByText('Add 1 timed attempt')).toBeInTheDocument();
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Apply 1 change' }));
+
+  expect(await screen.findByText(/Imported changes for 1 problem\./)).toBeInTheDocument();
+  const record = db.progress.find(r => r.userId === 'u2' && r.problemId === 'p2');
+  expect(record).toMatchObject({
+    status: 'solved_with_hints',
+    completed: true,
+    confidence: 2,
+    completedAt: '2024-01-05T09:30:00.000Z',
+    notes: 'Two pointers',
+    attempts: [{ startedAt: '2024-01-05T09:00:00.000Z', endedAt: '2024-01-05T09:30:00.000Z', duration: 1800, completed: true }]
+  });
+  expect(db.reviews).toEqual([expect.objectContaining({ userId: 'u2', problemId: 'p2', ...review })]);
+});
+
+test('leaves a problem untouched when part of its import fails', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  server.use(rest.put(apiUrl('/reviews/:problemId'), (req, res, ctx) => res(ctx.status(500))));
+  renderPage(<DataTransfer />, { route: '/import-export', path: '/import-export' });
+  await uploadRows([{ problemId: 'p2', completed: true, review }]);
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Apply 1 change' }));
+
+  expect(await screen.findByText(/Failed: Container With Most Water\./)).toBeInTheDocument();
+  expect(db.progress.some(r => r.userId === 'u2' && r.problemId === 'p2')).toBe(false);
+  expect(JSON.parse(localStorage.getItem('progressQueue') || '[]')).toEqual([]);
+});
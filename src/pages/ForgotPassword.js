@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useI18n } from '../contexts/I18nContext';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [sentTo, setSentTo] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const { requestPasswordReset } = useAuth();
+  const { t } = useI18n();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const result = await requestPasswordReset(email);
+    if (result.success) {
+      setSentTo(email);
+    } else {
+      setError(result.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h1 className="text-center text-3xl font-extrabold text-gray-900 dark:text-gray-100">
+            {t('forgotPassword.title')}
+          </h1>
+          <p className="mt-2 text-center text-sm text-gray-600 dark:text-gray-400">
+            {t('forgotPassword.intro')}
+          </p>
+        </div>
+
+        {sentTo ? (
+          <div className="bg-success-50 dark:bg-success-900/30 border border-success-200 dark:border-success-800 text-success-700 dark:text-success-200 px-4 py-3 rounded-lg" role="status">
+            {t('forgotPassword.sent', { email: sentTo })}
+          </div>
+        ) : (
+          <form className="space-y-6" onSubmit={handleSubmit}>
+            {error && (
+              <div className="bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg" role="alert">
+                {error}
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                {t('login.email')}
+              </label>
+              <input
+                id="email"
+                name="email"
+                type="email"
+                autoComplete="email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="input mt-1"
+                placeholder={t('login.emailPlaceholder')}
+              />
+            </div>
+
+            <button type="submit" disabled={loading} className="btn btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed">
+              {loading ? <span className="loading-dots">{t('common.loading')}</span> : t('forgotPassword.submit')}
+            </button>
+          </form>
+        )}
+
+        <p className="text-center text-sm">
+          <Link to="/login" className="font-medium text-primary-600 dark:text-primary-400 hover:text-primary-500 dark:hover:text-primary-300">{t('forgotPassword.backToLogin')}</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,20 +1,27 @@
 import React, { useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { useNavigate } from 'react-router-dom';
+import { useI18n } from '../contexts/I18nContext';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
+import PasswordStrength from '../components/PasswordStrength';
+import { getSafeRedirect } from '../utils/redirect';
+import { checkPassword } from '../utils/passwordRules';
 
 const Login = () => {
   const [isLogin, setIsLogin] = useState(true);
   const [formData, setFormData] = useState({
     name: '',
     email: '',
-    password: ''
+    password: '',
+    confirmPassword: ''
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [showPassword, setShowPassword] = useState(false);
 
   const { login, register } = useAuth();
+  const { t } = useI18n();
   const navigate = useNavigate();
+  const location = useLocation();
 
   const handleChange = (e) => {
     setFormData({
@@ -25,9 +32,22 @@ const Login = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    setLoading(true);
     setError('');
 
+    // New accounts need a strong enough password, typed the same way twice
+    if (!isLogin) {
+      if (!checkPassword(formData.password).isValid) {
+        setError(t('password.tooWeak'));
+        return;
+      }
+      if (formData.password !== formData.confirmPassword) {
+        setError(t('password.mismatch'));
+        return;
+      }
+    }
+
+    setLoading(true);
+
     try {
       let result;
       if (isLogin) {
@@ -37,41 +57,42 @@ const Login = () => {
       }
 
       if (result.success) {
-        navigate('/dashboard');
+        navigate(getSafeRedirect(location.state?.from), { replace: true });
       } else {
         setError(result.message);
       }
     } catch (error) {
-      setError('An error occurred. Please try again.');
+      setError(t('login.genericError'));
     } finally {
       setLoading(false);
     }
   };
 
   return (
-    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
         <div>
           <div className="mx-auto h-12 w-12 bg-primary-600 rounded-lg flex items-center justify-center">
             <span className="text-white font-bold text-xl">D</span>
           </div>
-          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
-            {isLogin ? 'Sign in to your account' : 'Create your account'}
-          </h2>
-          <p className="mt-2 text-center text-sm text-gray-600">
-            {isLogin ? "Don't have an account? " : "Already have an account? "}
+          <h1 className="mt-6 text-center text-3xl font-extrabold text-gray-900 dark:text-gray-100">
+            {isLogin ? t('login.signInTitle') : t('login.signUpTitle')}
+          </h1>
+          <p className="mt-2 text-center text-sm text-gray-600 dark:text-gray-400">
+            {isLogin ? t('login.noAccount') : t('login.haveAccount')}{' '}
             <button
+              type="button"
               onClick={() => setIsLogin(!isLogin)}
-              className="font-medium text-primary-600 hover:text-primary-500"
+              className="font-medium text-primary-600 dark:text-primary-400 hover:text-primary-500 dark:hover:text-primary-300"
             >
-              {isLogin ? 'Sign up' : 'Sign in'}
+              {isLogin ? t('login.signUp') : t('login.signIn')}
             </button>
           </p>
         </div>
         
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
           {error && (
-            <div className="bg-danger-50 border border-danger-200 text-danger-700 px-4 py-3 rounded-lg">
+            <div className="bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg" role="alert">
               {error}
             </div>
           )}
@@ -79,71 +100,108 @@ const Login = () => {
           <div className="space-y-4">
             {!isLogin && (
               <div>
-                <label htmlFor="name" className="block text-sm font-medium text-gray-700">
-                  Full Name
+                <label htmlFor="name" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                  {t('login.fullName')}
                 </label>
                 <input
                   id="name"
                   name="name"
                   type="text"
+                  autoComplete="name"
                   required={!isLogin}
                   value={formData.name}
                   onChange={handleChange}
                   className="input mt-1"
-                  placeholder="Enter your full name"
+                  placeholder={t('login.fullNamePlaceholder')}
                 />
               </div>
             )}
             
             <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
-                Email Address
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                {t('login.email')}
               </label>
               <input
                 id="email"
                 name="email"
                 type="email"
+                autoComplete="email"
                 required
                 value={formData.email}
                 onChange={handleChange}
                 className="input mt-1"
-                placeholder="Enter your email"
+                placeholder={t('login.emailPlaceholder')}
               />
             </div>
             
             <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-                Password
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                {t('login.password')}
               </label>
               <div className="relative mt-1">
                 <input
                   id="password"
                   name="password"
                   type={showPassword ? "text" : "password"}
+                  autoComplete={isLogin ? 'current-password' : 'new-password'}
                   required
                   value={formData.password}
                   onChange={handleChange}
                   className="input pr-10"
-                  placeholder="Enter your password"
+                  placeholder={t('login.passwordPlaceholder')}
+                  aria-describedby={isLogin ? undefined : 'password-strength'}
                 />
                 <button
                   type="button"
                   className="absolute inset-y-0 right-0 pr-3 flex items-center"
                   onClick={() => setShowPassword(!showPassword)}
+                  aria-label={showPassword ? t('login.hidePassword') : t('login.showPassword')}
+                  aria-controls="password"
                 >
                   {showPassword ? (
-                    <svg className="h-5 w-5 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <svg className="h-5 w-5 text-gray-400" aria-hidden="true" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.878 9.878L3 3m6.878 6.878L21 21" />
                     </svg>
                   ) : (
-                    <svg className="h-5 w-5 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <svg className="h-5 w-5 text-gray-400" aria-hidden="true" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
                     </svg>
                   )}
                 </button>
               </div>
+              {!isLogin && <PasswordStrength id="password-strength" password={formData.password} />}
             </div>
+
+            {!isLogin && (
+              <div>
+                <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                  {t('login.confirmPassword')}
+                </label>
+                <input
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  type={showPassword ? "text" : "password"}
+                  autoComplete="new-password"
+                  required
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  className="input mt-1"
+                  placeholder={t('login.confirmPasswordPlaceholder')}
+                />
+              </div>
+            )}
+
+            {isLogin && (
+              <div className="text-right">
+                <Link
+                  to="/forgot-password"
+                  className="text-sm font-medium text-primary-600 dark:text-primary-400 hover:text-primary-500 dark:hover:text-primary-300"
+                >
+                  {t('login.forgotPassword')}
+                </Link>
+              </div>
+            )}
           </div>
 
           <div>
@@ -153,9 +211,9 @@ const Login = () => {
               className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {loading ? (
-                <span className="loading-dots">Loading</span>
+                <span className="loading-dots">{t('common.loading')}</span>
               ) : (
-                isLogin ? 'Sign in' : 'Sign up'
+                isLogin ? t('login.signIn') : t('login.signUp')
               )}
             </button>
           </div>
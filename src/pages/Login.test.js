@@ -0,0 +1,75 @@
+import React from 'react';
+import { MemoryRouter } from 'react-router-dom';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import { useAuth } from '../contexts/AuthContext';
+import { I18nProvider } from '../contexts/I18nContext';
+import Login from './Login';
+
+jest.mock('../contexts/AuthContext', () => ({
+  useAuth: jest.fn()
+}));
+
+const renderLogin = () => render(
+  <MemoryRouter>
+    <I18nProvider>
+      <Login />
+    </I18nProvider>
+  </MemoryRouter>
+);
+
+beforeEach(() => {
+  localStorage.setItem('locale', 'en');
+  useAuth.mockReturnValue({
+    login: jest.fn().mockResolvedValue({ success: false, message: 'Invalid credentials' }),
+    register: jest.fn()
+  });
+});
+
+test('has no axe violations in sign in and sign up modes', async () => {
+  const { container } = renderLogin();
+  expect(await axe(container)).toHaveNoViolations();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Sign up' }));
+  expect(screen.getByLabelText('Full Name')).toBeInTheDocument();
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+test('labels the password visibility toggle', () => {
+  renderLogin();
+  const password = screen.getByLabelText('Password');
+  expect(password).toHaveAttribute('type', 'password');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Show password' }));
+  expect(password).toHaveAttribute('type', 'text');
+  expect(screen.getByRole('button', { name: 'Hide password' })).toBeInTheDocument();
+});
+
+test('announces login errors', async () => {
+  renderLogin();
+  fireEvent.change(screen.getByLabelText('Email Address'), { target: { value: 'learner@example.com' } });
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'wrong' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Sign in' }));
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('Invalid credentials');
+});
+
+test('requires a strong password, typed twice, to sign up', () => {
+  const register = jest.fn();
+  useAuth.mockReturnValue({ login: jest.fn(), register });
+  renderLogin();
+  fireEvent.click(screen.getByRole('button', { name: 'Sign up' }));
+
+  fireEvent.change(screen.getByLabelText('Full Name'), { target: { value: 'New User' } });
+  fireEvent.change(screen.getByLabelText('Email Address'), { target: { value: 'new@example.com' } });
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'password' } });
+  fireEvent.change(screen.getByLabelText('Confirm Password'), { target: { value: 'password' } });
+  expect(screen.getByText('Strength: weak')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Sign up' }));
+  expect(screen.getByRole('alert')).toHaveTextContent('Choose a password that meets all the requirements');
+
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'Password12' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Sign up' }));
+  expect(screen.getByRole('alert')).toHaveTextContent('The passwords do not match');
+  expect(register).not.toHaveBeenCalled();
+});
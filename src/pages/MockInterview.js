@@ -0,0 +1,413 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { useSync } from '../contexts/SyncContext';
+import { useI18n } from '../contexts/I18nContext';
+import useQuery from '../hooks/useQuery';
+import { topicsQuery, progressQuery, interviewsQuery } from '../api/queries';
+import { saveInterview } from '../api/interviews';
+import InterviewReport from '../components/InterviewReport';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { DIFFICULTIES, mergeProgress, flattenProblems, collectTags } from '../utils/problems';
+import {
+  OUTCOMES,
+  DEFAULT_SETTINGS,
+  matchInterviewProblems,
+  drawProblems
+} from '../utils/mockInterview';
+import { secondsBetween, formatDuration } from '../utils/duration';
+
+const MockInterview = () => {
+  const { data: topicsData, loading } = useQuery(topicsQuery);
+  const { data: progressData } = useQuery(progressQuery);
+  const { data: history = [] } = useQuery(interviewsQuery);
+  const { toggleProgress, applyPending } = useSync();
+  const { t, formatDate } = useI18n();
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  // The session being run: drawn problems, results so far and when the current problem started
+  const [session, setSession] = useState(null);
+  const [report, setReport] = useState(null);
+  const [saveError, setSaveError] = useState('');
+  const [markedCompleted, setMarkedCompleted] = useState(false);
+  const [openHistory, setOpenHistory] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  const problems = useMemo(
+    () => flattenProblems(mergeProgress(topicsData || [], applyPending(progressData || []))),
+    [topicsData, progressData, applyPending]
+  );
+  const tags = useMemo(() => collectTags(problems), [problems]);
+  const available = useMemo(
+    () => matchInterviewProblems(problems, settings).length,
+    [problems, settings]
+  );
+
+  const isRunning = Boolean(session);
+
+  // Tick once a second while a session runs; time is measured from timestamps
+  // so a throttled background tab still reports the right duration
+  useEffect(() => {
+    if (!isRunning) {
+      return undefined;
+    }
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [isRunning]);
+
+  // Warn before leaving mid-session, since the session is only saved at the end
+  useEffect(() => {
+    if (!isRunning) {
+      return undefined;
+    }
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [isRunning]);
+
+  const handleSettingChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setSettings({
+      ...settings,
+      [name]: type === 'checkbox' ? checked : type === 'number' ? Number(value) : value
+    });
+  };
+
+  const startSession = () => {
+    const startedAt = Date.now();
+    setReport(null);
+    setSaveError('');
+    setMarkedCompleted(false);
+    setNow(startedAt);
+    setSession({
+      startedAt,
+      settings,
+      problems: drawProblems(problems, settings),
+      results: [],
+      problemStartedAt: startedAt
+    });
+  };
+
+  const save = async (finished) => {
+    setSaveError('');
+    try {
+      setReport(await saveInterview(finished));
+    } catch (error) {
+      console.error('Error saving interview:', error);
+      setSaveError(t('interview.saveError'));
+    }
+  };
+
+  const finishSession = (results) => {
+    const finished = {
+      startedAt: new Date(session.startedAt).toISOString(),
+      endedAt: new Date().toISOString(),
+      settings: session.settings,
+      problems: results
+    };
+    setSession(null);
+    setReport(finished);
+    save(finished);
+  };
+
+  const recordOutcome = (outcome) => {
+    const endedAt = Date.now();
+    const problem = session.problems[session.results.length];
+    const results = [
+      ...session.results,
+      {
+        problemId: problem._id,
+        title: problem.title,
+        difficulty: problem.difficulty,
+        topicId: problem.topicId,
+        topicTitle: problem.topicTitle,
+        outcome,
+        timeSpent: secondsBetween(session.problemStartedAt, endedAt),
+        timeLimit: session.settings.minutesPerProblem * 60
+      }
+    ];
+
+    if (results.length === session.problems.length) {
+      finishSession(results);
+    } else {
+      setNow(endedAt);
+      setSession({ ...session, results, problemStartedAt: endedAt });
+    }
+  };
+
+  // Ending early records the current and remaining problems as skipped
+  const endEarly = () => {
+    if (!window.confirm(t('interview.confirmEnd'))) {
+      return;
+    }
+    const endedAt = Date.now();
+    const remaining = session.problems.slice(session.results.length).map((problem, index) => ({
+      problemId: problem._id,
+      title: problem.title,
+      difficulty: problem.difficulty,
+      topicId: problem.topicId,
+      topicTitle: problem.topicTitle,
+      outcome: 'skipped',
+      timeSpent: index === 0 ? secondsBetween(session.problemStartedAt, endedAt) : 0,
+      timeLimit: session.settings.minutesPerProblem * 60
+    }));
+    finishSession([...session.results, ...remaining]);
+  };
+
+  const completedIds = new Set(problems.filter(problem => problem.completed).map(problem => problem._id));
+  const solvedToMark = report
+    ? report.problems.filter(problem => problem.outcome === 'solved' && !completedIds.has(problem.problemId))
+    : [];
+
+  const markSolvedCompleted = () => {
+    solvedToMark.forEach(problem => toggleProgress(problem.problemId, true));
+    setMarkedCompleted(true);
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (session) {
+    const index = session.results.length;
+    const problem = session.problems[index];
+    const timeLimit = session.settings.minutesPerProblem * 60;
+    const remaining = timeLimit - secondsBetween(session.problemStartedAt, now);
+    const isOverTime = remaining < 0;
+
+    return (
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="flex justify-between items-center mb-6">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            {t('interview.progress', { current: index + 1, total: session.problems.length })}
+          </p>
+          <button onClick={endEarly} className="btn btn-secondary text-sm">{t('interview.end')}</button>
+        </div>
+
+        <div className="card">
+          <div className="text-center mb-6">
+            <p
+              className={`text-5xl font-bold tabular-nums ${isOverTime ? 'text-danger-700 dark:text-danger-400' : 'text-gray-900 dark:text-gray-100'}`}
+              role="timer"
+              aria-live="off"
+            >
+              {formatDuration(remaining)}
+            </p>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mt-1" aria-live="polite">
+              {isOverTime ? t('interview.timeUp') : t('interview.timeRemaining')}
+            </p>
+          </div>
+
+          <div className="flex items-center space-x-3 mb-2">
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">{problem.title}</h1>
+            <span className={`difficulty-badge difficulty-${problem.difficulty.toLowerCase()}`}>
+              {t(`difficulty.${problem.difficulty}`)}
+            </span>
+          </div>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">{problem.topicTitle}</p>
+          <p className="text-gray-600 dark:text-gray-400 mb-4">{problem.description}</p>
+
+          <div className="flex flex-wrap gap-4 mb-8">
+            {problem.links.leetcode && (
+              <a href={problem.links.leetcode} target="_blank" rel="noopener noreferrer" className="text-sm text-yellow-700 dark:text-yellow-400 hover:text-yellow-800 dark:hover:text-yellow-300">
+                {t('revise.openLeetcode')}
+              </a>
+            )}
+            {problem.links.codeforces && (
+              <a href={problem.links.codeforces} target="_blank" rel="noopener noreferrer" className="text-sm text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300">
+                {t('revise.openCodeforces')}
+              </a>
+            )}
+          </div>
+
+          <div className="flex justify-center space-x-3">
+            {OUTCOMES.map(({ key, labelKey }) => (
+              <button
+                key={key}
+                onClick={() => recordOutcome(key)}
+                className={`btn ${key === 'solved' ? 'btn-success' : key === 'partial' ? 'btn-warning' : 'btn-secondary'}`}
+              >
+                {t(labelKey)}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <Link to="/dashboard" className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 mb-4 inline-block">
+          {t('common.backToDashboard')}
+        </Link>
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-2">{t('interview.title')}</h1>
+        <p className="text-gray-600 dark:text-gray-400">{t('interview.subtitle')}</p>
+      </div>
+
+      {/* Latest Report */}
+      {report && (
+        <div className="card mb-8">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">{t('interview.report')}</h2>
+          {saveError && (
+            <div className="flex justify-between items-center bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg mb-4">
+              <span>{saveError}</span>
+              <button onClick={() => save(report)} className="btn btn-secondary text-sm">{t('interview.retry')}</button>
+            </div>
+          )}
+          <InterviewReport session={report} />
+          {(solvedToMark.length > 0 || markedCompleted) && (
+            <div className="flex justify-between items-center mt-6 pt-4 border-t border-gray-200 dark:border-gray-700">
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                {markedCompleted
+                  ? t('interview.marked')
+                  : t('interview.notMarked', { count: solvedToMark.length })}
+              </p>
+              {!markedCompleted && (
+                <button onClick={markSolvedCompleted} className="btn btn-primary text-sm">
+                  {t('interview.markCompleted')}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Setup */}
+      <div className="card mb-8">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">{t('interview.newSession')}</h2>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <div>
+            <label htmlFor="interview-count" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              {t('interview.count')}
+            </label>
+            <input
+              id="interview-count"
+              name="count"
+              type="number"
+              min={1}
+              max={20}
+              value={settings.count}
+              onChange={handleSettingChange}
+              className="input mt-1"
+            />
+          </div>
+          <div>
+            <label htmlFor="interview-minutes" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              {t('interview.minutes')}
+            </label>
+            <input
+              id="interview-minutes"
+              name="minutesPerProblem"
+              type="number"
+              min={1}
+              max={180}
+              value={settings.minutesPerProblem}
+              onChange={handleSettingChange}
+              className="input mt-1"
+            />
+          </div>
+          <div>
+            <label htmlFor="interview-difficulty" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              {t('interview.difficulty')}
+            </label>
+            <select
+              id="interview-difficulty"
+              name="difficulty"
+              value={settings.difficulty}
+              onChange={handleSettingChange}
+              className="input mt-1"
+            >
+              <option value="">{t('interview.anyDifficulty')}</option>
+              {DIFFICULTIES.map(difficulty => (
+                <option key={difficulty} value={difficulty}>{t(`difficulty.${difficulty}`)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="interview-tag" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              {t('interview.tag')}
+            </label>
+            <select
+              id="interview-tag"
+              name="tag"
+              value={settings.tag}
+              onChange={handleSettingChange}
+              className="input mt-1"
+            >
+              <option value="">{t('interview.anyTag')}</option>
+              {tags.map(tag => (
+                <option key={tag} value={tag}>{tag}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300 mb-6">
+          <input
+            type="checkbox"
+            name="excludeCompleted"
+            checked={settings.excludeCompleted}
+            onChange={handleSettingChange}
+          />
+          <span>{t('interview.excludeCompleted')}</span>
+        </label>
+        <div className="flex justify-between items-center">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            {available > 0 && available < settings.count
+              ? t('interview.matchingShort', { count: available })
+              : t('interview.matching', { count: available })}
+          </p>
+          <button
+            onClick={startSession}
+            disabled={available === 0 || settings.count < 1 || settings.minutesPerProblem < 1}
+            className="btn btn-primary disabled:opacity-50"
+          >
+            {t('interview.start')}
+          </button>
+        </div>
+      </div>
+
+      {/* History */}
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">{t('interview.history')}</h2>
+        {history.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">{t('interview.noHistory')}</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {history.map(past => {
+              const solved = past.problems.filter(problem => problem.outcome === 'solved').length;
+              const isOpen = openHistory === past._id;
+
+              return (
+                <li key={past._id} className="py-3">
+                  <button
+                    onClick={() => setOpenHistory(isOpen ? null : past._id)}
+                    className="w-full flex justify-between items-center text-left text-sm"
+                    aria-expanded={isOpen}
+                  >
+                    <span className="font-medium text-gray-900 dark:text-gray-100">
+                      {formatDate(past.startedAt, { dateStyle: 'medium', timeStyle: 'short' })}
+                    </span>
+                    <span className="text-gray-600 dark:text-gray-400">
+                      {t('interview.solvedOf', { solved, total: past.problems.length })}
+                    </span>
+                  </button>
+                  {isOpen && (
+                    <div className="mt-4">
+                      <InterviewReport session={past} />
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MockInterview;
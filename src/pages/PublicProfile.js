@@ -0,0 +1,110 @@
+import React, { useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useI18n } from '../contexts/I18nContext';
+import useQuery from '../hooks/useQuery';
+import { publicProfileQuery } from '../api/queries';
+import ProgressBar from '../components/ProgressBar';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { isValidHandle, normalizeHandle, summarizeProfile } from '../utils/publicProfile';
+
+const DIFFICULTY_BARS = {
+  Easy: 'bg-success-500',
+  Medium: 'bg-warning-500',
+  Hard: 'bg-danger-500'
+};
+
+// Read-only view of someone's progress, open to anyone with the link. The API
+// only returns counts, so there is nothing private to leave out here.
+const PublicProfile = () => {
+  const { handle } = useParams();
+  const { user } = useAuth();
+  const { t, formatPercent } = useI18n();
+  // A handle no profile could have is not worth a request
+  const validHandle = isValidHandle(handle);
+  const { data, error, loading } = useQuery(publicProfileQuery(normalizeHandle(handle)), { enabled: validHandle });
+
+  const profile = useMemo(() => (data ? summarizeProfile(data) : null), [data]);
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!validHandle || error || !profile) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">{t('profile.notFound')}</h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-2">{t('profile.notFoundHelp')}</p>
+          <Link to="/" className="btn btn-primary mt-4">{t('profile.goHome')}</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">{t('profile.label')}</p>
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100">{profile.name}</h1>
+        <p className="text-gray-600 dark:text-gray-400">@{profile.handle}</p>
+      </div>
+
+      <section className="card mb-6" aria-labelledby="profile-overall">
+        <div className="flex justify-between items-center mb-2">
+          <h2 id="profile-overall" className="text-lg font-semibold text-gray-900 dark:text-gray-100">{t('profile.overall')}</h2>
+          <span className="text-sm text-gray-500 dark:text-gray-400">
+            {t('common.problemsProgress', { completed: profile.completed, count: profile.total })}
+          </span>
+        </div>
+        <ProgressBar percentage={profile.percentage} label={t('common.progressOf', { name: profile.name })} height="h-3" />
+        <p className="text-sm text-gray-600 dark:text-gray-400 mt-2">{t('common.percentCompleted', { percent: formatPercent(profile.percentage) })}</p>
+      </section>
+
+      <section className="card mb-6" aria-labelledby="profile-difficulty">
+        <h2 id="profile-difficulty" className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">{t('profile.byDifficulty')}</h2>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          {profile.difficulties.map(({ difficulty, completed, total, percentage }) => (
+            <div key={difficulty}>
+              <div className="flex justify-between items-center mb-2">
+                <span className={`difficulty-badge difficulty-${difficulty.toLowerCase()}`}>{difficulty}</span>
+                <span className="text-sm text-gray-600 dark:text-gray-400">{completed}/{total}</span>
+              </div>
+              <ProgressBar
+                percentage={percentage}
+                label={t('common.progressOf', { name: difficulty })}
+                color={DIFFICULTY_BARS[difficulty] || 'bg-primary-600'}
+              />
+            </div>
+          ))}
+        </div>
+      </section>
+
+      <section className="card" aria-labelledby="profile-topics">
+        <h2 id="profile-topics" className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">{t('profile.byTopic')}</h2>
+        <ul className="space-y-4">
+          {profile.topics.map(topic => (
+            <li key={topic._id}>
+              <div className="flex justify-between text-sm mb-1">
+                <span className="font-medium text-gray-900 dark:text-gray-100">{topic.title}</span>
+                <span className="text-gray-600 dark:text-gray-400">
+                  {t('common.problemsProgress', { completed: topic.completed, count: topic.total })}
+                </span>
+              </div>
+              <ProgressBar percentage={topic.percentage} label={t('common.progressOf', { name: topic.title })} />
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      {!user && (
+        <div className="text-center mt-8">
+          <Link to="/login" className="btn btn-primary">{t('profile.trackYourOwn')}</Link>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PublicProfile;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { render, screen } from '@testing-library/react';
+import { rest } from 'msw';
+import { axe } from 'jest-axe';
+import { server } from '../mocks/server';
+import { apiUrl } from '../mocks/handlers';
+import { AppProviders } from '../testUtils';
+import PublicProfile from './PublicProfile';
+
+// No signInAs: the page must work for visitors without an account
+const renderProfile = (handle) => {
+  localStorage.setItem('locale', 'en');
+  return render(
+    <MemoryRouter initialEntries={[`/u/${handle}`]}>
+      <AppProviders>
+        <Routes>
+          <Route path="/u/:handle" element={<PublicProfile />} />
+        </Routes>
+      </AppProviders>
+    </MemoryRouter>
+  );
+};
+
+test('shows topic and difficulty progress to signed-out visitors', async () => {
+  const { container } = renderProfile('learner');
+
+  expect(await screen.findByRole('heading', { name: 'Learner' })).toBeInTheDocument();
+  expect(screen.getByText('@learner')).toBeInTheDocument();
+  expect(screen.getByRole('progressbar', { name: 'Learner progress' })).toHaveAttribute('aria-valuenow', '25');
+  expect(screen.getByRole('progressbar', { name: 'Arrays progress' })).toHaveAttribute('aria-valuenow', '33');
+  expect(screen.getByRole('progressbar', { name: 'Linked Lists progress' })).toHaveAttribute('aria-valuenow', '0');
+  expect(screen.getByRole('progressbar', { name: 'Easy progress' })).toHaveAttribute('aria-valuenow', '50');
+  expect(screen.getByRole('link', { name: 'Track your own progress' })).toHaveAttribute('href', '/login');
+
+  expect(container).not.toHaveTextContent('learner@example.com');
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+test('treats private profiles as missing', async () => {
+  renderProfile('admin');
+
+  expect(await screen.findByRole('heading', { name: 'Profile not found' })).toBeInTheDocument();
+  expect(screen.queryByText('Admin')).not.toBeInTheDocument();
+});
+
+test('matches handles regardless of case', async () => {
+  renderProfile('Learner');
+  expect(await screen.findByRole('heading', { name: 'Learner' })).toBeInTheDocument();
+});
+
+test('does not request handles no profile could have', async () => {
+  const requested = jest.fn();
+  server.use(rest.get(apiUrl('/profiles/:handle'), (req, res, ctx) => {
+    requested(req.params.handle);
+    return res(ctx.status(404));
+  }));
+  renderProfile('..%2Fauth%2Fme');
+
+  expect(await screen.findByRole('heading', { name: 'Profile not found' })).toBeInTheDocument();
+  expect(requested).not.toHaveBeenCalled();
+});
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useI18n } from '../contexts/I18nContext';
+import PasswordStrength from '../components/PasswordStrength';
+import { checkPassword } from '../utils/passwordRules';
+
+const linkClass = 'font-medium text-primary-600 dark:text-primary-400 hover:text-primary-500 dark:hover:text-primary-300';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+
+  const { resetPassword } = useAuth();
+  const { t } = useI18n();
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!checkPassword(formData.password).isValid) {
+      setError(t('password.tooWeak'));
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setError(t('password.mismatch'));
+      return;
+    }
+
+    setLoading(true);
+    const result = await resetPassword(token, formData.password);
+    if (result.success) {
+      setDone(true);
+    } else {
+      setError(result.message);
+    }
+    setLoading(false);
+  };
+
+  let content;
+  if (!token) {
+    content = (
+      <div className="space-y-4">
+        <div className="bg-warning-50 dark:bg-warning-900/30 border border-warning-200 dark:border-warning-700 text-warning-800 dark:text-warning-200 px-4 py-3 rounded-lg">
+          {t('resetPassword.missingToken')}
+        </div>
+        <p className="text-center text-sm">
+          <Link to="/forgot-password" className={linkClass}>{t('resetPassword.requestNew')}</Link>
+        </p>
+      </div>
+    );
+  } else if (done) {
+    content = (
+      <div className="space-y-4">
+        <div className="bg-success-50 dark:bg-success-900/30 border border-success-200 dark:border-success-800 text-success-700 dark:text-success-200 px-4 py-3 rounded-lg" role="status">
+          {t('resetPassword.done')}
+        </div>
+        <p className="text-center text-sm">
+          <Link to="/login" className={linkClass}>{t('resetPassword.signIn')}</Link>
+        </p>
+      </div>
+    );
+  } else {
+    content = (
+      <form className="space-y-6" onSubmit={handleSubmit}>
+        {error && (
+          <div className="bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg" role="alert">
+            {error}
+            {/* An expired or used link can only be fixed by asking for a new one */}
+            {' '}
+            <Link to="/forgot-password" className={linkClass}>{t('resetPassword.requestNew')}</Link>
+          </div>
+        )}
+
+        <div className="space-y-4">
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              {t('resetPassword.newPassword')}
+            </label>
+            <input
+              id="password"
+              name="password"
+              type="password"
+              autoComplete="new-password"
+              required
+              value={formData.password}
+              onChange={handleChange}
+              className="input mt-1"
+              aria-describedby="password-strength"
+            />
+            <PasswordStrength id="password-strength" password={formData.password} />
+          </div>
+
+          <div>
+            <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              {t('resetPassword.confirmPassword')}
+            </label>
+            <input
+              id="confirmPassword"
+              name="confirmPassword"
+              type="password"
+              autoComplete="new-password"
+              required
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              className="input mt-1"
+            />
+          </div>
+        </div>
+
+        <button type="submit" disabled={loading} className="btn btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed">
+          {loading ? <span className="loading-dots">{t('common.loading')}</span> : t('resetPassword.submit')}
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <h1 className="text-center text-3xl font-extrabold text-gray-900 dark:text-gray-100">
+          {t('resetPassword.title')}
+        </h1>
+        {content}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,73 @@
+import React from 'react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { db } from '../mocks/handlers';
+import { AppProviders } from '../testUtils';
+import ForgotPassword from './ForgotPassword';
+import ResetPassword from './ResetPassword';
+
+const renderAt = (route) => {
+  localStorage.setItem('locale', 'en');
+  return render(
+    <MemoryRouter initialEntries={[route]}>
+      <AppProviders>
+        <Routes>
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
+        </Routes>
+      </AppProviders>
+    </MemoryRouter>
+  );
+};
+
+const fillIn = (label, value) => {
+  fireEvent.change(screen.getByLabelText(label), { target: { value } });
+};
+
+test('sends a reset link without revealing whether the account exists', async () => {
+  renderAt('/forgot-password');
+  fillIn('Email Address', 'nobody@example.com');
+  fireEvent.click(screen.getByRole('button', { name: 'Send reset link' }));
+
+  expect(await screen.findByText(/If an account exists for nobody@example.com/)).toBeInTheDocument();
+  expect(db.resetTokens).toHaveLength(0);
+});
+
+test('issues a token for a known email', async () => {
+  renderAt('/forgot-password');
+  fillIn('Email Address', 'learner@example.com');
+  fireEvent.click(screen.getByRole('button', { name: 'Send reset link' }));
+
+  expect(await screen.findByText(/If an account exists for learner@example.com/)).toBeInTheDocument();
+  expect(db.resetTokens).toEqual([{ token: 'reset-u2', userId: 'u2', expiresAt: expect.any(Number) }]);
+});
+
+test('sets a new password from a reset link', async () => {
+  db.resetTokens.push({ token: 'reset-u2', userId: 'u2', expiresAt: Date.now() + 60000 });
+  renderAt('/reset-password?token=reset-u2');
+
+  fillIn('New Password', 'Fresh1234');
+  fillIn('Confirm New Password', 'Fresh1234');
+  fireEvent.click(screen.getByRole('button', { name: 'Reset password' }));
+
+  expect(await screen.findByText(/Your password has been reset/)).toBeInTheDocument();
+  expect(db.users.find(u => u._id === 'u2').password).toBe('Fresh1234');
+  expect(screen.getByRole('link', { name: 'Sign in' })).toHaveAttribute('href', '/login');
+});
+
+test('reports an expired or unknown token', async () => {
+  renderAt('/reset-password?token=stale');
+
+  fillIn('New Password', 'Fresh1234');
+  fillIn('Confirm New Password', 'Fresh1234');
+  fireEvent.click(screen.getByRole('button', { name: 'Reset password' }));
+
+  expect(await screen.findByText('This reset link is invalid or has expired')).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: 'Request a new link' })).toHaveAttribute('href', '/forgot-password');
+});
+
+test('asks for a new link when the token is missing', () => {
+  renderAt('/reset-password');
+  expect(screen.getByText(/This reset link is incomplete/)).toBeInTheDocument();
+  expect(screen.queryByLabelText('New Password')).not.toBeInTheDocument();
+});
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api/axios';
+import { useSync } from '../contexts/SyncContext';
+import { useI18n } from '../contexts/I18nContext';
+import useQuery from '../hooks/useQuery';
+import { topicsQuery, progressQuery, reviewsQuery, updateReview } from '../api/queries';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { mergeProgress, flattenProblems } from '../utils/problems';
+import { RATINGS, scheduleReview, getDueProblems } from '../utils/revision';
+
+const RATING_STYLES = {
+  again: 'btn-danger',
+  hard: 'btn-warning',
+  good: 'btn-primary',
+  easy: 'btn-success'
+};
+
+const Revise = () => {
+  const [queue, setQueue] = useState(null);
+  const [reviewedCount, setReviewedCount] = useState(0);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const { data: topics, error: topicsError } = useQuery(topicsQuery);
+  const { data: progressData, loading: progressLoading } = useQuery(progressQuery);
+  const { data: reviews, loading: reviewsLoading } = useQuery(reviewsQuery);
+  const { applyPending } = useSync();
+  const { t } = useI18n();
+
+  // Build today's queue once; after that the session works through it locally
+  useEffect(() => {
+    if (queue) {
+      return;
+    }
+    if (topicsError) {
+      setQueue([]);
+      return;
+    }
+    if (!topics || progressLoading || reviewsLoading) {
+      return;
+    }
+
+    const problems = flattenProblems(mergeProgress(topics, applyPending(progressData || [])));
+    setQueue(getDueProblems(problems, reviews || []));
+  }, [queue, topics, topicsError, progressData, progressLoading, reviews, reviewsLoading, applyPending]);
+
+  const loading = !queue;
+  const current = queue && queue[0];
+
+  const rateProblem = async (ratingKey) => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const review = scheduleReview(current.review, ratingKey);
+      await api.put(`/reviews/${current._id}`, review);
+      updateReview(current._id, review);
+
+      // Problems rated "again" come back at the end of today's session
+      setQueue(prev => {
+        const rest = prev.slice(1);
+        return ratingKey === 'again' ? [...rest, { ...current, review }] : rest;
+      });
+      setReviewedCount(count => count + 1);
+    } catch (error) {
+      console.error('Error saving review:', error);
+      setError(t('revise.saveError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <Link to="/dashboard" className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 mb-4 inline-block">
+          {t('common.backToDashboard')}
+        </Link>
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-2">{t('revise.title')}</h1>
+        <p className="text-gray-600 dark:text-gray-400">
+          {t('revise.summary', { due: queue.length, reviewed: reviewedCount })}
+        </p>
+      </div>
+
+      {!current ? (
+        <div className="card text-center">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">{t('revise.caughtUp')}</h2>
+          <p className="text-gray-600 dark:text-gray-400 mb-4">{t('revise.caughtUpHelp')}</p>
+          <Link to="/dashboard" className="btn btn-primary">{t('topic.backButton')}</Link>
+        </div>
+      ) : (
+        <div className="card">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-sm text-gray-500 dark:text-gray-400">{current.topicTitle}</span>
+            <span className={`difficulty-badge difficulty-${current.difficulty.toLowerCase()}`}>
+              {t(`difficulty.${current.difficulty}`)}
+            </span>
+          </div>
+          <h2 className="text-2xl font-semibold text-gray-900 dark:text-gray-100 mb-2">{current.title}</h2>
+          <p className="text-gray-600 dark:text-gray-400 mb-4">{current.description}</p>
+
+          <div className="flex flex-wrap gap-4 mb-6">
+            {current.links && current.links.leetcode && (
+              <a href={current.links.leetcode} target="_blank" rel="noopener noreferrer" className="text-sm text-yellow-700 dark:text-yellow-400 hover:text-yellow-800 dark:hover:text-yellow-300">
+                {t('revise.openLeetcode')}
+              </a>
+            )}
+            {current.links && current.links.codeforces && (
+              <a href={current.links.codeforces} target="_blank" rel="noopener noreferrer" className="text-sm text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300">
+                {t('revise.openCodeforces')}
+              </a>
+            )}
+            <Link to={`/topic/${current.topicId}#problem-${current._id}`} className="text-sm text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300">
+              {t('revise.viewInTopic')}
+            </Link>
+          </div>
+
+          {error && (
+            <div className="bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg mb-4">
+              {error}
+            </div>
+          )}
+
+          <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">{t('revise.prompt')}</p>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {RATINGS.map(rating => (
+              <button
+                key={rating.key}
+                onClick={() => rateProblem(rating.key)}
+                disabled={saving}
+                className={`btn ${RATING_STYLES[rating.key]} disabled:opacity-50`}
+              >
+                <span className="block">{t(rating.labelKey)}</span>
+                <span className="block text-xs opacity-90">
+                  {t('revise.interval', { count: scheduleReview(current.review, rating.key).interval })}
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Revise;
@@ -0,0 +1,345 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useI18n } from '../contexts/I18nContext';
+import PasswordStrength from '../components/PasswordStrength';
+import { checkPassword } from '../utils/passwordRules';
+import { normalizeHandle, isValidHandle, getProgressCardUrl, getCardMarkdown } from '../utils/publicProfile';
+
+const Settings = () => {
+  const { user, updateProfile, changePassword, deleteAccount } = useAuth();
+  const { t } = useI18n();
+  const navigate = useNavigate();
+
+  const [profile, setProfile] = useState({ name: user.name, email: user.email });
+  const [profileStatus, setProfileStatus] = useState({ saving: false, error: '', saved: false });
+
+  const [sharing, setSharing] = useState({ handle: user.handle || '', publicProfile: Boolean(user.publicProfile) });
+  const [sharingStatus, setSharingStatus] = useState({ saving: false, error: '', saved: false });
+  const [copied, setCopied] = useState(false);
+
+  const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [passwordStatus, setPasswordStatus] = useState({ saving: false, error: '', saved: false });
+
+  const [deletePassword, setDeletePassword] = useState('');
+  const [deleteStatus, setDeleteStatus] = useState({ saving: false, error: '' });
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    setProfileStatus({ saving: true, error: '', saved: false });
+
+    const result = await updateProfile({ name: profile.name.trim(), email: profile.email.trim() });
+    setProfileStatus({ saving: false, error: result.success ? '' : result.message, saved: result.success });
+  };
+
+  const handleSharingSubmit = async (e) => {
+    e.preventDefault();
+    const handle = normalizeHandle(sharing.handle);
+
+    if (handle && !isValidHandle(handle)) {
+      setSharingStatus({ saving: false, error: t('settings.invalidHandle'), saved: false });
+      return;
+    }
+    if (sharing.publicProfile && !handle) {
+      setSharingStatus({ saving: false, error: t('settings.handleRequired'), saved: false });
+      return;
+    }
+
+    setSharingStatus({ saving: true, error: '', saved: false });
+    setCopied(false);
+    const result = await updateProfile({ handle, publicProfile: sharing.publicProfile });
+    if (result.success) {
+      setSharing({ ...sharing, handle });
+    }
+    setSharingStatus({ saving: false, error: result.success ? '' : result.message, saved: result.success });
+  };
+
+  const copyCardMarkdown = async () => {
+    try {
+      await navigator.clipboard.writeText(getCardMarkdown(user.handle));
+      setCopied(true);
+    } catch (error) {
+      console.error('Error copying Markdown:', error);
+    }
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!checkPassword(passwords.newPassword).isValid) {
+      setPasswordStatus({ saving: false, error: t('password.tooWeak'), saved: false });
+      return;
+    }
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setPasswordStatus({ saving: false, error: t('password.mismatch'), saved: false });
+      return;
+    }
+
+    setPasswordStatus({ saving: true, error: '', saved: false });
+    const result = await changePassword(passwords.currentPassword, passwords.newPassword);
+    if (result.success) {
+      setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    }
+    setPasswordStatus({ saving: false, error: result.success ? '' : result.message, saved: result.success });
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    if (!window.confirm(t('settings.deleteConfirm'))) {
+      return;
+    }
+
+    setDeleteStatus({ saving: true, error: '' });
+    const result = await deleteAccount(deletePassword);
+    if (result.success) {
+      navigate('/login', { replace: true });
+    } else {
+      setDeleteStatus({ saving: false, error: result.message });
+    }
+  };
+
+  const handlePasswordChange = (e) => {
+    setPasswords({
+      ...passwords,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <Link to="/dashboard" className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 mb-4 inline-block">
+          {t('common.backToDashboard')}
+        </Link>
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-2">{t('settings.title')}</h1>
+        <p className="text-gray-600 dark:text-gray-400">{t('settings.subtitle')}</p>
+      </div>
+
+      <div className="space-y-6">
+        {/* Profile */}
+        <form className="card space-y-4" onSubmit={handleProfileSubmit}>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">{t('settings.profile')}</h2>
+          {profileStatus.error && (
+            <div className="bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg" role="alert">
+              {profileStatus.error}
+            </div>
+          )}
+          {profileStatus.saved && (
+            <div className="bg-success-50 dark:bg-success-900/30 border border-success-200 dark:border-success-800 text-success-700 dark:text-success-200 px-4 py-3 rounded-lg" role="status">
+              {t('settings.profileSaved')}
+            </div>
+          )}
+          <div>
+            <label htmlFor="settings-name" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              {t('settings.name')}
+            </label>
+            <input
+              id="settings-name"
+              type="text"
+              autoComplete="name"
+              required
+              value={profile.name}
+              onChange={(e) => setProfile({ ...profile, name: e.target.value })}
+              className="input mt-1"
+            />
+          </div>
+          <div>
+            <label htmlFor="settings-email" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              {t('settings.email')}
+            </label>
+            <input
+              id="settings-email"
+              type="email"
+              autoComplete="email"
+              required
+              value={profile.email}
+              onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+              className="input mt-1"
+            />
+          </div>
+          <button type="submit" disabled={profileStatus.saving} className="btn btn-primary disabled:opacity-50">
+            {t('settings.saveProfile')}
+          </button>
+        </form>
+
+        {/* Public profile */}
+        <form className="card space-y-4" onSubmit={handleSharingSubmit} noValidate>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">{t('settings.publicProfile')}</h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">{t('settings.publicProfileIntro')}</p>
+          {sharingStatus.error && (
+            <div className="bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg" role="alert">
+              {sharingStatus.error}
+            </div>
+          )}
+          {sharingStatus.saved && (
+            <div className="bg-success-50 dark:bg-success-900/30 border border-success-200 dark:border-success-800 text-success-700 dark:text-success-200 px-4 py-3 rounded-lg" role="status">
+              {t('settings.publicProfileSaved')}
+            </div>
+          )}
+          <div>
+            <label htmlFor="settings-handle" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              {t('settings.handle')}
+            </label>
+            <div className="flex items-center mt-1">
+              <span className="text-sm text-gray-500 dark:text-gray-400 mr-1" aria-hidden="true">/u/</span>
+              <input
+                id="settings-handle"
+                type="text"
+                autoComplete="off"
+                autoCapitalize="none"
+                spellCheck={false}
+                value={sharing.handle}
+                onChange={(e) => setSharing({ ...sharing, handle: e.target.value })}
+                className="input"
+                aria-describedby="settings-handle-help"
+              />
+            </div>
+            <p id="settings-handle-help" className="text-xs text-gray-500 dark:text-gray-400 mt-1">{t('settings.handleHelp')}</p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <input
+              id="settings-public"
+              type="checkbox"
+              checked={sharing.publicProfile}
+              onChange={(e) => setSharing({ ...sharing, publicProfile: e.target.checked })}
+              className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            <label htmlFor="settings-public" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+              {t('settings.makePublic')}
+            </label>
+          </div>
+          <button type="submit" disabled={sharingStatus.saving} className="btn btn-primary disabled:opacity-50">
+            {t('settings.savePublicProfile')}
+          </button>
+
+          {user.publicProfile && user.handle && (
+            <div className="border-t border-gray-200 dark:border-gray-700 pt-4 space-y-3">
+              <Link
+                to={`/u/${user.handle}`}
+                className="text-sm font-medium text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300"
+              >
+                {t('settings.viewProfile')}
+              </Link>
+              <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">{t('settings.progressCard')}</h3>
+              <img
+                src={getProgressCardUrl(user.handle)}
+                alt={t('settings.progressCardAlt', { handle: user.handle })}
+                width={420}
+                height={180}
+                className="max-w-full h-auto"
+              />
+              <p id="settings-card-help" className="text-xs text-gray-500 dark:text-gray-400">{t('settings.progressCardHelp')}</p>
+              <div className="flex items-start space-x-3">
+                <code
+                  className="flex-1 px-3 py-2 rounded-lg bg-gray-100 dark:bg-gray-900 text-xs font-mono text-gray-800 dark:text-gray-200 break-all"
+                  aria-describedby="settings-card-help"
+                >
+                  {getCardMarkdown(user.handle)}
+                </code>
+                <button type="button" onClick={copyCardMarkdown} className="btn btn-secondary">
+                  {copied ? t('settings.copied') : t('settings.copyMarkdown')}
+                </button>
+              </div>
+            </div>
+          )}
+        </form>
+
+        {/* Password */}
+        <form className="card space-y-4" onSubmit={handlePasswordSubmit}>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">{t('settings.password')}</h2>
+          {passwordStatus.error && (
+            <div className="bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg" role="alert">
+              {passwordStatus.error}
+            </div>
+          )}
+          {passwordStatus.saved && (
+            <div className="bg-success-50 dark:bg-success-900/30 border border-success-200 dark:border-success-800 text-success-700 dark:text-success-200 px-4 py-3 rounded-lg" role="status">
+              {t('settings.passwordChanged')}
+            </div>
+          )}
+          <div>
+            <label htmlFor="currentPassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              {t('settings.currentPassword')}
+            </label>
+            <input
+              id="currentPassword"
+              name="currentPassword"
+              type="password"
+              autoComplete="current-password"
+              required
+              value={passwords.currentPassword}
+              onChange={handlePasswordChange}
+              className="input mt-1"
+            />
+          </div>
+          <div>
+            <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              {t('settings.newPassword')}
+            </label>
+            <input
+              id="newPassword"
+              name="newPassword"
+              type="password"
+              autoComplete="new-password"
+              required
+              value={passwords.newPassword}
+              onChange={handlePasswordChange}
+              className="input mt-1"
+              aria-describedby="new-password-strength"
+            />
+            <PasswordStrength id="new-password-strength" password={passwords.newPassword} />
+          </div>
+          <div>
+            <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              {t('settings.confirmPassword')}
+            </label>
+            <input
+              id="confirmPassword"
+              name="confirmPassword"
+              type="password"
+              autoComplete="new-password"
+              required
+              value={passwords.confirmPassword}
+              onChange={handlePasswordChange}
+              className="input mt-1"
+            />
+          </div>
+          <button type="submit" disabled={passwordStatus.saving} className="btn btn-primary disabled:opacity-50">
+            {t('settings.changePassword')}
+          </button>
+        </form>
+
+        {/* Danger zone */}
+        <form className="card border border-danger-200 dark:border-danger-800 space-y-4" onSubmit={handleDelete}>
+          <h2 className="text-lg font-semibold text-danger-700 dark:text-danger-400">{t('settings.deleteAccount')}</h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">{t('settings.deleteWarning')}</p>
+          {deleteStatus.error && (
+            <div className="bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg" role="alert">
+              {deleteStatus.error}
+            </div>
+          )}
+          <div>
+            <label htmlFor="deletePassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              {t('settings.deletePassword')}
+            </label>
+            <input
+              id="deletePassword"
+              type="password"
+              autoComplete="current-password"
+              required
+              value={deletePassword}
+              onChange={(e) => setDeletePassword(e.target.value)}
+              className="input mt-1"
+            />
+          </div>
+          <button type="submit" disabled={deleteStatus.saving} className="btn btn-danger disabled:opacity-50">
+            {t('settings.deleteButton')}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
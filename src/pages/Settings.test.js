@@ -0,0 +1,128 @@
+import React from 'react';
+import { screen, fireEvent, waitFor } from '@testing-library/react';
+import { db, apiUrl } from '../mocks/handlers';
+import { renderPage, signInAs } from '../testUtils';
+import Settings from './Settings';
+
+const renderSettings = () => renderPage(<Settings />, { route: '/settings', path: '/settings' });
+
+const fillIn = (label, value) => {
+  fireEvent.change(screen.getByLabelText(label), { target: { value } });
+};
+
+beforeEach(() => {
+  signInAs('learner@example.com');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('updates the name and email', async () => {
+  renderSettings();
+  expect(await screen.findByLabelText('Full Name')).toHaveValue('Learner');
+
+  fillIn('Full Name', 'Ada Learner');
+  fillIn('Email Address', 'ada@example.com');
+  fireEvent.click(screen.getByRole('button', { name: 'Save profile' }));
+
+  expect(await screen.findByText('Your profile has been updated.')).toBeInTheDocument();
+  expect(db.users.find(u => u._id === 'u2')).toMatchObject({ name: 'Ada Learner', email: 'ada@example.com' });
+});
+
+test('rejects an email that belongs to another account', async () => {
+  renderSettings();
+  await screen.findByLabelText('Email Address');
+  fillIn('Email Address', 'admin@example.com');
+  fireEvent.click(screen.getByRole('button', { name: 'Save profile' }));
+
+  expect(await screen.findByText('An account with this email already exists')).toBeInTheDocument();
+});
+
+test('checks the new password before changing it', async () => {
+  renderSettings();
+  await screen.findByLabelText('Current Password');
+
+  fillIn('Current Password', 'learner123');
+  fillIn('New Password', 'short');
+  fillIn('Confirm New Password', 'short');
+  fireEvent.click(screen.getByRole('button', { name: 'Change password' }));
+  expect(screen.getByText('Choose a password that meets all the requirements')).toBeInTheDocument();
+
+  fillIn('New Password', 'Better123');
+  fillIn('Confirm New Password', 'Better124');
+  fireEvent.click(screen.getByRole('button', { name: 'Change password' }));
+  expect(screen.getByText('The passwords do not match')).toBeInTheDocument();
+
+  fillIn('Confirm New Password', 'Better123');
+  fireEvent.click(screen.getByRole('button', { name: 'Change password' }));
+  expect(await screen.findByText('Your password has been changed.')).toBeInTheDocument();
+  expect(db.users.find(u => u._id === 'u2').password).toBe('Better123');
+  expect(screen.getByLabelText('Current Password')).toHaveValue('');
+});
+
+test('deletes the account after confirmation and signs out', async () => {
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+  renderSettings();
+  await screen.findByLabelText('Enter your password to confirm');
+
+  fillIn('Enter your password to confirm', 'wrong');
+  fireEvent.click(screen.getByRole('button', { name: 'Delete my account' }));
+  expect(await screen.findByText('Your password is incorrect')).toBeInTheDocument();
+  expect(db.users.some(u => u._id === 'u2')).toBe(true);
+
+  fillIn('Enter your password to confirm', 'learner123');
+  fireEvent.click(screen.getByRole('button', { name: 'Delete my account' }));
+
+  await waitFor(() => expect(screen.getByTestId('location')).toHaveTextContent('/login'));
+  expect(db.users.some(u => u._id === 'u2')).toBe(false);
+  expect(db.progress.some(record => record.userId === 'u2')).toBe(false);
+});
+
+test('keeps the account when the confirmation is cancelled', async () => {
+  jest.spyOn(window, 'confirm').mockReturnValue(false);
+  renderSettings();
+  await screen.findByLabelText('Enter your password to confirm');
+
+  fillIn('Enter your password to confirm', 'learner123');
+  fireEvent.click(screen.getByRole('button', { name: 'Delete my account' }));
+
+  expect(window.confirm).toHaveBeenCalled();
+  expect(db.users.some(u => u._id === 'u2')).toBe(true);
+});
+
+test('makes the profile public under a handle and offers the card', async () => {
+  signInAs('admin@example.com');
+  renderSettings();
+  await screen.findByLabelText('Handle');
+  expect(screen.queryByRole('link', { name: 'View your public profile' })).not.toBeInTheDocument();
+
+  fillIn('Handle', 'Ada-L');
+  fireEvent.click(screen.getByLabelText('Make my profile public'));
+  fireEvent.click(screen.getByRole('button', { name: 'Save public profile' }));
+
+  expect(await screen.findByText('Your public profile settings have been saved.')).toBeInTheDocument();
+  expect(db.users.find(u => u._id === 'u1')).toMatchObject({ handle: 'ada-l', publicProfile: true });
+  expect(screen.getByRole('link', { name: 'View your public profile' })).toHaveAttribute('href', '/u/ada-l');
+  expect(screen.getByRole('img', { name: 'Progress card for @ada-l' })).toHaveAttribute('src', apiUrl('/profiles/ada-l/card.svg'));
+});
+
+test('checks the handle before saving the public profile', async () => {
+  signInAs('admin@example.com');
+  renderSettings();
+  await screen.findByLabelText('Handle');
+
+  fillIn('Handle', '');
+  fireEvent.click(screen.getByLabelText('Make my profile public'));
+  fireEvent.click(screen.getByRole('button', { name: 'Save public profile' }));
+  expect(screen.getByText('Choose a handle before making your profile public')).toBeInTheDocument();
+
+  fillIn('Handle', 'a_b');
+  fireEvent.click(screen.getByRole('button', { name: 'Save public profile' }));
+  expect(screen.getByText(/^Handles are 3 to 30/)).toBeInTheDocument();
+
+  fillIn('Handle', 'learner');
+  fireEvent.click(screen.getByRole('button', { name: 'Save public profile' }));
+  expect(await screen.findByText('That handle is taken')).toBeInTheDocument();
+  expect(db.users.find(u => u._id === 'u1').publicProfile).toBe(false);
+});
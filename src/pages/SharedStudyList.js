@@ -0,0 +1,135 @@
+import React, { useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useSync } from '../contexts/SyncContext';
+import { useI18n } from '../contexts/I18nContext';
+import useQuery from '../hooks/useQuery';
+import { sharedListQuery, progressQuery } from '../api/queries';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { summarizeProgress } from '../utils/problems';
+
+// Read-only view of a list someone shared. Signed-in visitors also see their
+// own progress on its problems.
+const SharedStudyList = () => {
+  const { shareId } = useParams();
+  const { user } = useAuth();
+  const { applyPending } = useSync();
+  const { t, formatNumber, formatPercent } = useI18n();
+  const { data: list, error, loading } = useQuery(sharedListQuery(shareId));
+  const { data: progressData } = useQuery(progressQuery, { enabled: Boolean(user) });
+
+  const problems = useMemo(() => {
+    const completedIds = new Set(
+      (user ? applyPending(progressData || []) : [])
+        .filter(record => record.completed && record.problemId)
+        .map(record => record.problemId._id)
+    );
+    return ((list && list.problems) || []).map(problem => ({ ...problem, completed: completedIds.has(problem._id) }));
+  }, [list, progressData, applyPending, user]);
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error || !list) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">{t('lists.notFound')}</h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-2">{t('lists.sharedNotFoundHelp')}</p>
+          <Link to="/dashboard" className="btn btn-primary mt-4">{t('lists.goToDashboard')}</Link>
+        </div>
+      </div>
+    );
+  }
+
+  const { total, completed, percentage } = summarizeProgress(problems);
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">
+          {list.ownerName ? t('lists.sharedBy', { name: list.ownerName }) : t('lists.sharedList')}
+        </p>
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-2">{list.name}</h1>
+        {list.description && <p className="text-gray-600 dark:text-gray-400 mb-4">{list.description}</p>}
+
+        {user ? (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+            <div className="flex justify-between items-center mb-2">
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">{t('lists.yourProgress')}</span>
+              <span className="text-sm text-gray-500 dark:text-gray-400">
+                {t('common.problemsProgress', { completed, count: total })}
+              </span>
+            </div>
+            <div
+              className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-3"
+              role="progressbar"
+              aria-label={t('lists.yourProgress')}
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-valuenow={percentage}
+            >
+              <div
+                className="bg-primary-600 h-3 rounded-full progress-bar"
+                style={{ width: `${percentage}%` }}
+              ></div>
+            </div>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mt-2">{t('common.percentCompleted', { percent: formatPercent(percentage) })}</p>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            <Link to="/login" className="font-medium text-primary-600 dark:text-primary-400 hover:text-primary-500 dark:hover:text-primary-300">
+              {t('lists.signIn')}
+            </Link>{' '}
+            {t('lists.signInToTrack', { count: total })}
+          </p>
+        )}
+      </div>
+
+      {/* Problems */}
+      <ol className="border border-gray-200 dark:border-gray-700 rounded-lg divide-y divide-gray-200 dark:divide-gray-700">
+        {problems.map((problem, index) => (
+          <li
+            key={problem._id}
+            className={`flex items-center px-4 py-3 ${problem.completed ? 'bg-green-50 dark:bg-green-900/30' : 'bg-white dark:bg-gray-800'}`}
+          >
+            <span className="text-sm text-gray-500 dark:text-gray-400 w-8">#{formatNumber(index + 1)}</span>
+            <div className="flex-1 min-w-0">
+              {user ? (
+                <Link
+                  to={`/topic/${problem.topicId}#problem-${problem._id}`}
+                  className="block text-sm font-medium text-gray-900 dark:text-gray-100 hover:text-primary-600 dark:hover:text-primary-400 truncate"
+                >
+                  {problem.title}
+                </Link>
+              ) : (
+                <p className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate">{problem.title}</p>
+              )}
+              <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                {problem.topicTitle}
+                {problem.completed && ` · ${t('lists.completed')}`}
+              </p>
+            </div>
+            {problem.links && problem.links.leetcode && (
+              <a
+                href={problem.links.leetcode}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-sm text-yellow-700 dark:text-yellow-400 hover:text-yellow-800 dark:hover:text-yellow-300 mr-4"
+              >
+                {t('search.platforms.leetcode')}
+              </a>
+            )}
+            <span className={`difficulty-badge difficulty-${problem.difficulty.toLowerCase()}`}>
+              {t(`difficulty.${problem.difficulty}`)}
+            </span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default SharedStudyList;
@@ -0,0 +1,289 @@
+import React, { useState, useMemo } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useI18n } from '../contexts/I18nContext';
+import useQuery from '../hooks/useQuery';
+import { topicsQuery, groupQuery } from '../api/queries';
+import { updateMembership, leaveGroup, regenerateInviteCode } from '../api/groups';
+import WeeklyChart from '../components/WeeklyChart';
+import ProgressBar from '../components/ProgressBar';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { summarizeMember, buildLeaderboard } from '../utils/studyGroups';
+
+const StudyGroup = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { t, formatNumber, formatPercent } = useI18n();
+  const { data: group, loading } = useQuery(groupQuery(id));
+  const { data: topicsData } = useQuery(topicsQuery);
+  const [copied, setCopied] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const userId = user._id || user.id;
+
+  const summaries = useMemo(() => {
+    const topics = topicsData || [];
+    return new Map((group ? group.members : []).map(member => [member._id, summarizeMember(member, topics)]));
+  }, [group, topicsData]);
+  const leaderboard = useMemo(() => (group ? buildLeaderboard(group.members, summaries) : []), [group, summaries]);
+
+  const me = group && group.members.find(member => member._id === userId);
+
+  const handleMembership = async (changes) => {
+    setError('');
+    setSaving(true);
+    try {
+      await updateMembership(id, changes);
+    } catch (error) {
+      console.error('Error updating membership:', error);
+      setError(error.response?.data?.message || t('groups.privacyError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleNewCode = async () => {
+    if (!window.confirm(t('groups.newCodeConfirm'))) {
+      return;
+    }
+    setError('');
+    setCopied(false);
+    try {
+      await regenerateInviteCode(id);
+    } catch (error) {
+      console.error('Error changing invite code:', error);
+      setError(error.response?.data?.message || t('groups.codeError'));
+    }
+  };
+
+  const copyInviteCode = async () => {
+    try {
+      await navigator.clipboard.writeText(group.inviteCode);
+      setCopied(true);
+    } catch (error) {
+      console.error('Error copying code:', error);
+    }
+  };
+
+  const handleLeave = async () => {
+    if (!window.confirm(t('groups.leaveConfirm', { name: group.name }))) {
+      return;
+    }
+    try {
+      await leaveGroup(id);
+      navigate('/groups');
+    } catch (error) {
+      console.error('Error leaving group:', error);
+      setError(error.response?.data?.message || t('groups.leaveError'));
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!group) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">{t('groups.notFound')}</h1>
+          <Link to="/groups" className="btn btn-primary mt-4">{t('groups.backToGroups')}</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <Link to="/groups" className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 mb-4 inline-block">
+          {t('groups.backToGroups')}
+        </Link>
+        <div className="flex items-start justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-2">{group.name}</h1>
+            {group.description && <p className="text-gray-600 dark:text-gray-400">{group.description}</p>}
+            <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">{t('groups.members', { count: group.memberCount })}</p>
+          </div>
+          <button type="button" onClick={handleLeave} className="btn btn-secondary">
+            {t('groups.leave')}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg mb-6" role="alert">
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+        {/* Invite */}
+        <section className="card" aria-labelledby="group-invite">
+          <h2 id="group-invite" className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">{t('groups.invite')}</h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">{t('groups.inviteHelp')}</p>
+          <div className="flex flex-wrap items-center gap-3">
+            <code className="px-3 py-2 rounded-lg bg-gray-100 dark:bg-gray-800 text-lg font-mono tracking-widest text-gray-900 dark:text-gray-100">
+              {group.inviteCode}
+            </code>
+            <button type="button" onClick={copyInviteCode} className="btn btn-secondary">
+              {copied ? t('groups.copied') : t('groups.copyCode')}
+            </button>
+            {group.isOwner && (
+              <button type="button" onClick={handleNewCode} className="btn btn-secondary">
+                {t('groups.newCode')}
+              </button>
+            )}
+          </div>
+        </section>
+
+        {/* Privacy */}
+        {me && (
+          <section className="card" aria-labelledby="group-privacy">
+            <h2 id="group-privacy" className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">{t('groups.privacy')}</h2>
+            <div className="space-y-4">
+              <div className="flex items-start space-x-3">
+                <input
+                  id="share-progress"
+                  type="checkbox"
+                  checked={me.shareProgress}
+                  disabled={saving}
+                  onChange={(e) => handleMembership({ shareProgress: e.target.checked })}
+                  className="mt-1 h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                  aria-describedby="share-progress-help"
+                />
+                <div>
+                  <label htmlFor="share-progress" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                    {t('groups.shareProgress')}
+                  </label>
+                  <p id="share-progress-help" className="text-xs text-gray-500 dark:text-gray-400">{t('groups.shareProgressHelp')}</p>
+                </div>
+              </div>
+              <div className="flex items-start space-x-3">
+                <input
+                  id="on-leaderboard"
+                  type="checkbox"
+                  checked={me.onLeaderboard}
+                  disabled={saving || !me.shareProgress}
+                  onChange={(e) => handleMembership({ onLeaderboard: e.target.checked })}
+                  className="mt-1 h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500 disabled:opacity-50"
+                  aria-describedby="on-leaderboard-help"
+                />
+                <div>
+                  <label htmlFor="on-leaderboard" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                    {t('groups.onLeaderboard')}
+                  </label>
+                  <p id="on-leaderboard-help" className="text-xs text-gray-500 dark:text-gray-400">{t('groups.onLeaderboardHelp')}</p>
+                </div>
+              </div>
+            </div>
+          </section>
+        )}
+      </div>
+
+      {/* Leaderboard */}
+      <section className="card mb-8" aria-labelledby="group-leaderboard">
+        <h2 id="group-leaderboard" className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">{t('groups.leaderboard')}</h2>
+        {leaderboard.length === 0 ? (
+          <p className="text-sm text-gray-600 dark:text-gray-400">{t('groups.leaderboardEmpty')}</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                  <th scope="col" className="py-2 pr-4 font-medium">{t('groups.rank')}</th>
+                  <th scope="col" className="py-2 pr-4 font-medium">{t('groups.member')}</th>
+                  <th scope="col" className="py-2 pr-4 font-medium text-right">{t('groups.solved')}</th>
+                  <th scope="col" className="py-2 font-medium text-right">{t('groups.thisWeek')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {leaderboard.map(({ member, summary, rank }) => (
+                  <tr
+                    key={member._id}
+                    className={`border-b border-gray-100 dark:border-gray-800 ${member._id === userId ? 'bg-primary-50 dark:bg-primary-900/20' : ''}`}
+                  >
+                    <td className="py-2 pr-4 font-semibold text-gray-900 dark:text-gray-100">{formatNumber(rank)}</td>
+                    <td className="py-2 pr-4 text-gray-900 dark:text-gray-100">
+                      {member.name}
+                      {member._id === userId && <span className="text-gray-500 dark:text-gray-400"> ({t('groups.you')})</span>}
+                    </td>
+                    <td className="py-2 pr-4 text-right text-gray-700 dark:text-gray-300">{formatNumber(summary.completed)}</td>
+                    <td className="py-2 text-right text-gray-700 dark:text-gray-300">{formatNumber(summary.thisWeek)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+
+      {/* Members */}
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-4">{t('groups.progress')}</h2>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {group.members.map(member => {
+          const summary = summaries.get(member._id);
+          const isMe = member._id === userId;
+
+          return (
+            <article key={member._id} className="card" aria-labelledby={`member-${member._id}`}>
+              <div className="flex flex-wrap items-center gap-2 mb-4">
+                <h3 id={`member-${member._id}`} className="text-lg font-semibold text-gray-900 dark:text-gray-100">{member.name}</h3>
+                {isMe && (
+                  <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300">
+                    {t('groups.you')}
+                  </span>
+                )}
+                {member.isOwner && (
+                  <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-primary-100 dark:bg-primary-900/40 text-primary-800 dark:text-primary-200">
+                    {t('groups.owner')}
+                  </span>
+                )}
+                {isMe && !member.shareProgress && (
+                  <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-warning-100 dark:bg-warning-900/40 text-warning-800 dark:text-warning-200">
+                    {t('groups.onlyYou')}
+                  </span>
+                )}
+              </div>
+
+              {summary ? (
+                <>
+                  <div className="mb-4">
+                    <div className="flex justify-between text-sm text-gray-600 dark:text-gray-400 mb-1">
+                      <span>{t('common.problemsProgress', { completed: summary.completed, count: summary.total })}</span>
+                      <span>{formatPercent(summary.percentage)}</span>
+                    </div>
+                    <ProgressBar percentage={summary.percentage} label={t('common.progressOf', { name: member.name })} height="h-3" />
+                  </div>
+
+                  <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">{t('groups.byTopic')}</h4>
+                  <ul className="space-y-2 mb-4">
+                    {summary.byTopic.map(topic => (
+                      <li key={topic.topicId}>
+                        <div className="flex justify-between text-xs text-gray-600 dark:text-gray-400 mb-1">
+                          <span>{topic.title}</span>
+                          <span>{formatNumber(topic.completed)}/{formatNumber(topic.total)}</span>
+                        </div>
+                        <ProgressBar percentage={topic.percentage} label={t('common.progressOf', { name: `${member.name}: ${topic.title}` })} />
+                      </li>
+                    ))}
+                  </ul>
+
+                  <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">{t('groups.weekly')}</h4>
+                  <WeeklyChart weeks={summary.weekly} />
+                </>
+              ) : (
+                <p className="text-sm text-gray-600 dark:text-gray-400">{t('groups.hidden', { name: member.name })}</p>
+              )}
+            </article>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default StudyGroup;
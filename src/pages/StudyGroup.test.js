@@ -0,0 +1,90 @@
+import React from 'react';
+import { screen, fireEvent, waitFor } from '@testing-library/react';
+import { db } from '../mocks/handlers';
+import { renderPage, signInAs } from '../testUtils';
+import StudyGroup from './StudyGroup';
+import StudyGroups from './StudyGroups';
+
+const renderGroup = (id = 'sg1') => renderPage(<StudyGroup />, { route: `/groups/${id}`, path: '/groups/:id' });
+
+const membership = (groupId, userId) =>
+  db.groups.find(g => g._id === groupId).members.find(m => m.userId === userId);
+
+beforeEach(() => {
+  signInAs('learner@example.com');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('shows each member\'s progress and the opt-in leaderboard', async () => {
+  renderGroup();
+
+  expect(await screen.findByRole('heading', { name: 'Morning cohort' })).toBeInTheDocument();
+  expect(screen.getByText('MORNING1')).toBeInTheDocument();
+  expect(screen.getByRole('progressbar', { name: 'Admin progress' })).toHaveAttribute('aria-valuenow', '50');
+  expect(screen.getByRole('progressbar', { name: 'Learner progress' })).toHaveAttribute('aria-valuenow', '25');
+  expect(screen.getByRole('progressbar', { name: 'Admin: Linked Lists progress' })).toHaveAttribute('aria-valuenow', '100');
+
+  // Only the admin has opted in to the leaderboard
+  const rows = screen.getAllByRole('row');
+  expect(rows).toHaveLength(2);
+  expect(rows[1]).toHaveTextContent('Admin');
+  expect(screen.queryByRole('button', { name: 'New code' })).not.toBeInTheDocument();
+});
+
+test('joining the leaderboard adds you to it', async () => {
+  renderGroup();
+  fireEvent.click(await screen.findByLabelText('Show me on the leaderboard'));
+
+  await waitFor(() => expect(screen.getAllByRole('row')).toHaveLength(3));
+  expect(membership('sg1', 'u2').onLeaderboard).toBe(true);
+});
+
+test('hiding your progress stops the group seeing it', async () => {
+  renderGroup();
+  fireEvent.click(await screen.findByLabelText('Share my progress with this group'));
+
+  expect(await screen.findByText('Hidden from the group')).toBeInTheDocument();
+  expect(screen.getByLabelText('Show me on the leaderboard')).toBeDisabled();
+  expect(membership('sg1', 'u2').shareProgress).toBe(false);
+});
+
+test('other members see only the name of someone hiding their progress', async () => {
+  membership('sg1', 'u2').shareProgress = false;
+  signInAs('admin@example.com');
+  renderGroup();
+
+  expect(await screen.findByText('Learner keeps their progress private.')).toBeInTheDocument();
+  expect(screen.queryByRole('progressbar', { name: 'Learner progress' })).not.toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'New code' })).toBeInTheDocument();
+});
+
+test('leaving a group returns to the group list', async () => {
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+  renderGroup();
+  fireEvent.click(await screen.findByRole('button', { name: 'Leave group' }));
+
+  await waitFor(() => expect(screen.getByTestId('location')).toHaveTextContent(/^\/groups$/));
+  expect(db.groups.find(g => g._id === 'sg1').members.map(m => m.userId)).toEqual(['u1']);
+});
+
+test('joins a group with an invite code', async () => {
+  renderPage(<StudyGroups />, { route: '/groups', path: '/groups' });
+
+  fireEvent.change(await screen.findByLabelText('Invite code'), { target: { value: 'evening2' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Join' }));
+
+  await waitFor(() => expect(screen.getByTestId('location')).toHaveTextContent('/groups/sg2'));
+  expect(membership('sg2', 'u2')).toMatchObject({ shareProgress: true, onLeaderboard: false });
+});
+
+test('explains when an invite code does not match a group', async () => {
+  renderPage(<StudyGroups />, { route: '/groups', path: '/groups' });
+
+  fireEvent.change(await screen.findByLabelText('Invite code'), { target: { value: 'NOPE' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Join' }));
+
+  expect(await screen.findByText('No group uses that invite code')).toBeInTheDocument();
+});
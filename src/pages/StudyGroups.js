@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useI18n } from '../contexts/I18nContext';
+import useQuery from '../hooks/useQuery';
+import { groupsQuery } from '../api/queries';
+import { createGroup, joinGroup } from '../api/groups';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const StudyGroups = () => {
+  const { data: groups = [], loading } = useQuery(groupsQuery);
+  const { t } = useI18n();
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({ name: '', description: '' });
+  const [inviteCode, setInviteCode] = useState('');
+  const [busy, setBusy] = useState('');
+  const [errors, setErrors] = useState({ create: '', join: '' });
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  // Create and join share the same flow: validate, call the API, open the group
+  const submit = async (kind, isValid, requiredMessage, request, fallback) => {
+    if (!isValid) {
+      setErrors({ ...errors, [kind]: requiredMessage });
+      return;
+    }
+
+    setBusy(kind);
+    setErrors({ create: '', join: '' });
+    try {
+      const group = await request();
+      navigate(`/groups/${group._id}`);
+    } catch (error) {
+      console.error(`Error (${kind} group):`, error);
+      setErrors({ create: '', join: '', [kind]: error.response?.data?.message || fallback });
+      setBusy('');
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    submit(
+      'create',
+      Boolean(formData.name.trim()),
+      t('groups.nameRequired'),
+      () => createGroup({ name: formData.name.trim(), description: formData.description.trim() }),
+      t('groups.createError')
+    );
+  };
+
+  const handleJoin = (e) => {
+    e.preventDefault();
+    submit('join', Boolean(inviteCode.trim()), t('groups.codeRequired'), () => joinGroup(inviteCode.trim()), t('groups.joinError'));
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <Link to="/dashboard" className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 mb-4 inline-block">
+          {t('common.backToDashboard')}
+        </Link>
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-2">{t('groups.title')}</h1>
+        <p className="text-gray-600 dark:text-gray-400">{t('groups.subtitle')}</p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
+        {/* New Group */}
+        <form onSubmit={handleCreate} className="card lg:col-span-2" noValidate>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">{t('groups.create')}</h2>
+          {errors.create && (
+            <div className="bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg mb-4" role="alert">
+              {errors.create}
+            </div>
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+            <div>
+              <label htmlFor="group-name" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                {t('groups.name')}
+              </label>
+              <input
+                id="group-name"
+                name="name"
+                type="text"
+                value={formData.name}
+                onChange={handleChange}
+                className="input mt-1"
+                placeholder={t('groups.namePlaceholder')}
+              />
+            </div>
+            <div>
+              <label htmlFor="group-description" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                {t('groups.description')}
+              </label>
+              <input
+                id="group-description"
+                name="description"
+                type="text"
+                value={formData.description}
+                onChange={handleChange}
+                className="input mt-1"
+                placeholder={t('groups.descriptionPlaceholder')}
+              />
+            </div>
+            <div>
+              <button type="submit" disabled={Boolean(busy)} className="btn btn-primary disabled:opacity-50">
+                {busy === 'create' ? <span className="loading-dots">{t('groups.creating')}</span> : t('groups.createButton')}
+              </button>
+            </div>
+          </div>
+        </form>
+
+        {/* Join Group */}
+        <form onSubmit={handleJoin} className="card" noValidate>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">{t('groups.join')}</h2>
+          {errors.join && (
+            <div className="bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg mb-4" role="alert">
+              {errors.join}
+            </div>
+          )}
+          <div className="flex items-end space-x-3">
+            <div className="flex-1">
+              <label htmlFor="invite-code" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                {t('groups.inviteCode')}
+              </label>
+              <input
+                id="invite-code"
+                type="text"
+                autoComplete="off"
+                value={inviteCode}
+                onChange={(e) => setInviteCode(e.target.value)}
+                className="input mt-1 font-mono uppercase"
+                placeholder={t('groups.inviteCodePlaceholder')}
+              />
+            </div>
+            <button type="submit" disabled={Boolean(busy)} className="btn btn-secondary disabled:opacity-50">
+              {busy === 'join' ? <span className="loading-dots">{t('groups.joining')}</span> : t('groups.joinButton')}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* Groups Grid */}
+      {groups.length === 0 ? (
+        <div className="card text-center">
+          <p className="text-gray-600 dark:text-gray-400">{t('groups.empty')}</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {groups.map(group => (
+            <Link
+              key={group._id}
+              to={`/groups/${group._id}`}
+              className="card problem-card hover:shadow-lg transition-all duration-200"
+            >
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">{group.name}</h3>
+                {group.isOwner && (
+                  <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-primary-100 dark:bg-primary-900/40 text-primary-800 dark:text-primary-200">
+                    {t('groups.owner')}
+                  </span>
+                )}
+              </div>
+              {group.description && (
+                <p className="text-gray-600 dark:text-gray-400 text-sm mb-2">{group.description}</p>
+              )}
+              <p className="text-xs text-gray-500 dark:text-gray-400">{t('groups.members', { count: group.memberCount })}</p>
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StudyGroups;
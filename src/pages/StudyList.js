@@ -0,0 +1,281 @@
+import React, { useState, useMemo } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useSync } from '../contexts/SyncContext';
+import { useI18n } from '../contexts/I18nContext';
+import useQuery from '../hooks/useQuery';
+import { topicsQuery, progressQuery, listsQuery } from '../api/queries';
+import { updateList, deleteList, setListShared } from '../api/lists';
+import SortableProblemList from '../components/SortableProblemList';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { mergeProgress, flattenProblems, summarizeProgress } from '../utils/problems';
+import { resolveListProblems, getShareUrl } from '../utils/studyLists';
+
+const StudyList = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { data: lists, loading } = useQuery(listsQuery);
+  const { data: topicsData } = useQuery(topicsQuery);
+  const { data: progressData } = useQuery(progressQuery);
+  const { pending, toggleProgress, applyPending } = useSync();
+  const [editing, setEditing] = useState(false);
+  const [formData, setFormData] = useState({ name: '', description: '' });
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+  const { t, formatPercent } = useI18n();
+
+  const list = (lists || []).find(l => l._id === id);
+
+  const problems = useMemo(
+    () => flattenProblems(mergeProgress(topicsData || [], applyPending(progressData || []))),
+    [topicsData, progressData, applyPending]
+  );
+  const listProblems = useMemo(() => (list ? resolveListProblems(list, problems) : []), [list, problems]);
+
+  const runUpdate = async (changes, message) => {
+    setError('');
+    try {
+      await updateList(id, changes);
+    } catch (error) {
+      console.error('Error updating list:', error);
+      setError(error.response?.data?.message || message);
+    }
+  };
+
+  const startEditing = () => {
+    setFormData({ name: list.name, description: list.description || '' });
+    setEditing(true);
+  };
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!formData.name.trim()) {
+      setError(t('lists.nameRequired'));
+      return;
+    }
+    setEditing(false);
+    await runUpdate({ name: formData.name.trim(), description: formData.description.trim() }, t('lists.renameError'));
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(t('lists.confirmDelete', { name: list.name }))) {
+      return;
+    }
+    try {
+      await deleteList(id);
+      navigate('/lists');
+    } catch (error) {
+      console.error('Error deleting list:', error);
+      setError(error.response?.data?.message || t('lists.deleteError'));
+    }
+  };
+
+  const handleShare = async (shared) => {
+    setError('');
+    setCopied(false);
+    try {
+      await setListShared(id, shared);
+    } catch (error) {
+      console.error('Error sharing list:', error);
+      setError(error.response?.data?.message || t('lists.shareError'));
+    }
+  };
+
+  const copyShareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(getShareUrl(list.shareId));
+      setCopied(true);
+    } catch (error) {
+      console.error('Error copying link:', error);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!list) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">{t('lists.notFound')}</h1>
+          <Link to="/lists" className="btn btn-primary mt-4">{t('lists.backButton')}</Link>
+        </div>
+      </div>
+    );
+  }
+
+  const { total, completed, percentage } = summarizeProgress(listProblems);
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <Link to="/lists" className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 mb-4 inline-block">
+          {t('lists.backToLists')}
+        </Link>
+
+        {editing ? (
+          <form onSubmit={handleSave} className="card mb-4 space-y-4" noValidate>
+            <div>
+              <label htmlFor="edit-list-name" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                {t('lists.name')}
+              </label>
+              <input
+                id="edit-list-name"
+                name="name"
+                type="text"
+                value={formData.name}
+                onChange={handleChange}
+                className="input mt-1"
+              />
+            </div>
+            <div>
+              <label htmlFor="edit-list-description" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                {t('lists.description')}
+              </label>
+              <input
+                id="edit-list-description"
+                name="description"
+                type="text"
+                value={formData.description}
+                onChange={handleChange}
+                className="input mt-1"
+              />
+            </div>
+            <div className="flex justify-end space-x-3">
+              <button type="button" onClick={() => setEditing(false)} className="btn btn-secondary">{t('lists.cancel')}</button>
+              <button type="submit" className="btn btn-primary">{t('lists.save')}</button>
+            </div>
+          </form>
+        ) : (
+          <div className="flex justify-between items-start mb-4">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-2">{list.name}</h1>
+              {list.description && <p className="text-gray-600 dark:text-gray-400">{list.description}</p>}
+            </div>
+            <div className="flex space-x-3">
+              <button onClick={startEditing} className="btn btn-secondary text-sm">{t('lists.rename')}</button>
+              <button onClick={handleDelete} className="btn btn-danger text-sm">{t('lists.delete')}</button>
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg mb-4">
+            {error}
+          </div>
+        )}
+
+        {/* Progress Bar */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+          <div className="flex justify-between items-center mb-2">
+            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">{t('common.progress')}</span>
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              {t('common.problemsProgress', { completed, count: total })}
+            </span>
+          </div>
+          <div
+            className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-3"
+            role="progressbar"
+            aria-label={t('common.progress')}
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={percentage}
+          >
+            <div
+              className="bg-primary-600 h-3 rounded-full progress-bar"
+              style={{ width: `${percentage}%` }}
+            ></div>
+          </div>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-2">{t('common.percentCompleted', { percent: formatPercent(percentage) })}</p>
+        </div>
+      </div>
+
+      {/* Sharing */}
+      <div className="card mb-8">
+        <div className="flex justify-between items-center">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">{t('lists.share')}</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {list.shareId
+                ? t('lists.sharedHelp')
+                : t('lists.shareHelp')}
+            </p>
+          </div>
+          {list.shareId ? (
+            <button onClick={() => handleShare(false)} className="btn btn-secondary text-sm">{t('lists.stopSharing')}</button>
+          ) : (
+            <button onClick={() => handleShare(true)} className="btn btn-primary text-sm">{t('lists.createLink')}</button>
+          )}
+        </div>
+        {list.shareId && (
+          <div className="flex items-center space-x-3 mt-4">
+            <input
+              type="text"
+              readOnly
+              value={getShareUrl(list.shareId)}
+              onFocus={(e) => e.target.select()}
+              className="input"
+              aria-label={t('lists.shareLink')}
+            />
+            <button onClick={copyShareLink} className="btn btn-secondary text-sm whitespace-nowrap">
+              {copied ? t('lists.copied') : t('lists.copyLink')}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Problems */}
+      <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">{t('lists.reorderHelp')}</p>
+      <SortableProblemList
+        problems={listProblems}
+        onReorder={(problemIds) => runUpdate({ problemIds }, t('lists.reorderError'))}
+        emptyMessage={t('lists.listEmpty')}
+        renderTitle={(problem) => (
+          <div className="flex items-center space-x-3 min-w-0">
+            <input
+              type="checkbox"
+              checked={problem.completed}
+              onChange={() => toggleProgress(problem._id, !problem.completed)}
+              className="checkbox-custom cursor-pointer flex-shrink-0"
+              aria-label={t(problem.completed ? 'lists.markNotCompleted' : 'lists.markCompleted', { title: problem.title })}
+            />
+            <div className="min-w-0">
+              <Link
+                to={`/topic/${problem.topicId}#problem-${problem._id}`}
+                className="block text-sm font-medium text-gray-900 dark:text-gray-100 hover:text-primary-600 dark:hover:text-primary-400 truncate"
+              >
+                {problem.title}
+              </Link>
+              <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                {problem.topicTitle}
+                {pending.some(entry => entry.problemId === problem._id) && ` · ${t('lists.pendingSync')}`}
+              </p>
+            </div>
+          </div>
+        )}
+        renderActions={(problem) => (
+          <button
+            type="button"
+            onClick={() => runUpdate(
+              { problemIds: list.problemIds.filter(problemId => problemId !== problem._id) },
+              t('lists.removeError')
+            )}
+            className="px-2 py-1 text-sm text-danger-700 dark:text-danger-400 hover:text-danger-800 dark:hover:text-danger-300"
+          >
+            {t('lists.remove')}
+          </button>
+        )}
+      />
+    </div>
+  );
+};
+
+export default StudyList;
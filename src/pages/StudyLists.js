@@ -0,0 +1,171 @@
+import React, { useState, useMemo } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useSync } from '../contexts/SyncContext';
+import { useI18n } from '../contexts/I18nContext';
+import useQuery from '../hooks/useQuery';
+import { topicsQuery, progressQuery, listsQuery } from '../api/queries';
+import { createList } from '../api/lists';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { mergeProgress, flattenProblems, summarizeProgress } from '../utils/problems';
+import { resolveListProblems } from '../utils/studyLists';
+
+const StudyLists = () => {
+  const { data: lists = [], loading } = useQuery(listsQuery);
+  const { data: topicsData } = useQuery(topicsQuery);
+  const { data: progressData } = useQuery(progressQuery);
+  const { applyPending } = useSync();
+  const [formData, setFormData] = useState({ name: '', description: '' });
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+  const navigate = useNavigate();
+  const { t, formatNumber, formatPercent } = useI18n();
+
+  const problems = useMemo(
+    () => flattenProblems(mergeProgress(topicsData || [], applyPending(progressData || []))),
+    [topicsData, progressData, applyPending]
+  );
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.name.trim()) {
+      setError(t('lists.nameRequired'));
+      return;
+    }
+
+    setCreating(true);
+    setError('');
+    try {
+      const list = await createList({ name: formData.name.trim(), description: formData.description.trim() });
+      navigate(`/lists/${list._id}`);
+    } catch (error) {
+      console.error('Error creating list:', error);
+      setError(error.response?.data?.message || t('lists.createError'));
+      setCreating(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <Link to="/dashboard" className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 mb-4 inline-block">
+          {t('common.backToDashboard')}
+        </Link>
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-2">{t('lists.title')}</h1>
+        <p className="text-gray-600 dark:text-gray-400">{t('lists.subtitle')}</p>
+      </div>
+
+      {/* New List */}
+      <form onSubmit={handleSubmit} className="card mb-8" noValidate>
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">{t('lists.newList')}</h2>
+        {error && (
+          <div className="bg-danger-50 dark:bg-danger-900/30 border border-danger-200 dark:border-danger-800 text-danger-700 dark:text-danger-200 px-4 py-3 rounded-lg mb-4">
+            {error}
+          </div>
+        )}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <div>
+            <label htmlFor="list-name" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              {t('lists.name')}
+            </label>
+            <input
+              id="list-name"
+              name="name"
+              type="text"
+              value={formData.name}
+              onChange={handleChange}
+              className="input mt-1"
+              placeholder={t('lists.namePlaceholder')}
+            />
+          </div>
+          <div>
+            <label htmlFor="list-description" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              {t('lists.description')}
+            </label>
+            <input
+              id="list-description"
+              name="description"
+              type="text"
+              value={formData.description}
+              onChange={handleChange}
+              className="input mt-1"
+              placeholder={t('lists.optional')}
+            />
+          </div>
+          <div>
+            <button type="submit" disabled={creating} className="btn btn-primary disabled:opacity-50">
+              {creating ? <span className="loading-dots">{t('lists.creating')}</span> : t('lists.create')}
+            </button>
+          </div>
+        </div>
+      </form>
+
+      {/* Lists Grid */}
+      {lists.length === 0 ? (
+        <div className="card text-center">
+          <p className="text-gray-600 dark:text-gray-400">
+            {t('lists.empty')}
+          </p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {lists.map(list => {
+            const { total, completed, percentage } = summarizeProgress(resolveListProblems(list, problems));
+
+            return (
+              <Link
+                key={list._id}
+                to={`/lists/${list._id}`}
+                className="card problem-card hover:shadow-lg transition-all duration-200"
+              >
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">{list.name}</h3>
+                  <span className="text-sm text-gray-500 dark:text-gray-400">{formatNumber(completed)}/{formatNumber(total)}</span>
+                </div>
+
+                {list.description && (
+                  <p className="text-gray-600 dark:text-gray-400 text-sm mb-4">{list.description}</p>
+                )}
+
+                <div className="space-y-2">
+                  <div className="flex justify-between items-center">
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                      {t('common.progress')}{list.shareId && ` · ${t('lists.shared')}`}
+                    </span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">{formatPercent(percentage)}</span>
+                  </div>
+                  <div
+                    className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2"
+                    role="progressbar"
+                    aria-label={t('common.progressOf', { name: list.name })}
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                    aria-valuenow={percentage}
+                  >
+                    <div
+                      className="bg-primary-600 h-2 rounded-full progress-bar"
+                      style={{ width: `${percentage}%` }}
+                    ></div>
+                  </div>
+                </div>
+              </Link>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StudyLists;
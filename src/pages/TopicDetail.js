@@ -1,108 +1,177 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { useParams, Link } from 'react-router-dom';
-import api from '../api/axios';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, useLocation, Link } from 'react-router-dom';
+import { useSync } from '../contexts/SyncContext';
+import { useI18n } from '../contexts/I18nContext';
+import { useAnnouncer } from '../contexts/AnnouncerContext';
+import useQuery from '../hooks/useQuery';
+import { topicQuery, topicsQuery, progressQuery } from '../api/queries';
+import { getQueryData } from '../api/queryCache';
+import { isNetworkError } from '../api/axios';
+import ProblemNotes from '../components/ProblemNotes';
+import SolvePanel from '../components/SolvePanel';
+import AddToListMenu from '../components/AddToListMenu';
+import ProblemTimer from '../components/ProblemTimer';
+import StatusControl from '../components/StatusControl';
+import StatusProgressBar from '../components/StatusProgressBar';
+import LoadingSpinner from '../components/LoadingSpinner';
+import OfflineFallback from '../components/OfflineFallback';
+import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts';
+import useProblemTimers from '../hooks/useProblemTimers';
+import { formatDuration } from '../utils/duration';
+import { getStatus, getStatusLabel, isCompletedStatus, statusChanges, countByStatus } from '../utils/progressStatus';
 
 const TopicDetail = () => {
   const { id } = useParams();
-  const [topic, setTopic] = useState(null);
-  const [userProgress, setUserProgress] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [updatingProblems, setUpdatingProblems] = useState(new Set());
+  const { hash } = useLocation();
+  const [openNotes, setOpenNotes] = useState(new Set());
+  const [openSolvers, setOpenSolvers] = useState(new Set());
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [timerErrors, setTimerErrors] = useState({});
+  const { pending, updateProgress, applyPending } = useSync();
+  const { getTimer, start, pause, stop, discard } = useProblemTimers();
+  const { t, formatPercent } = useI18n();
+  const { announce } = useAnnouncer();
 
-  const fetchData = useCallback(async () => {
-    try {
-      const [topicResponse, progressResponse] = await Promise.all([
-        api.get(`/topics/${id}`),
-        api.get('/progress')
-      ]);
-      
-      setTopic(topicResponse.data);
-      setUserProgress(progressResponse.data);
-    } catch (error) {
-      console.error('Error fetching data:', error);
-    } finally {
-      setLoading(false);
-    }
+  // Show the topic from the dashboard's list straight away while it revalidates
+  const { data: topic, error, loading } = useQuery(topicQuery(id), {
+    initialData: (getQueryData(topicsQuery.key) || []).find(t => t._id === id)
+  });
+  const { data: progressData } = useQuery(progressQuery);
+  const hasTopic = Boolean(topic);
+
+  // Include changes that are queued but not yet synced
+  const userProgress = useMemo(() => applyPending(progressData || []), [applyPending, progressData]);
+
+  // Start keyboard selection afresh on each topic
+  useEffect(() => {
+    setActiveIndex(-1);
   }, [id]);
 
+  // Scroll to a problem deep-linked from the dashboard search
   useEffect(() => {
-    fetchData();
-  }, [fetchData]);
+    if (hasTopic && hash) {
+      const element = document.getElementById(hash.slice(1));
+      if (element) {
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      }
+    }
+  }, [hasTopic, hash]);
 
-  const toggleProblemProgress = async (problemId, completed) => {
-    // Add to updating set to show loading state
-    setUpdatingProblems(prev => new Set(prev).add(problemId));
-    
+  const recordAttempt = async (problemId, completed) => {
+    setTimerErrors(prev => ({ ...prev, [problemId]: '' }));
     try {
-      const newCompletedState = !completed;
-      
-      // Optimistic update - update UI immediately
-      setUserProgress(prev => {
-        const existingProgress = prev.find(p => p.problemId._id === problemId);
-        
-        if (existingProgress) {
-          // Update existing progress
-          return prev.map(progress => 
-            progress.problemId._id === problemId 
-              ? { ...progress, completed: newCompletedState }
-              : progress
-          );
-        } else {
-          // Create new progress entry
-          const newProgress = {
-            problemId: { _id: problemId },
-            completed: newCompletedState,
-            _id: `temp-${problemId}-${Date.now()}` // Temporary ID
-          };
-          return [...prev, newProgress];
-        }
-      });
-      
-      // Make API call
-      await api.post(`/progress/${problemId}`, { completed: newCompletedState });
-      
-      // Notify parent component to refresh dashboard
-      window.dispatchEvent(new CustomEvent('progressUpdated'));
+      await stop(problemId, { completed });
     } catch (error) {
-      console.error('Error updating progress:', error);
-      
-      // Revert optimistic update on error
-      setUserProgress(prev => 
-        prev.map(progress => 
-          progress.problemId._id === problemId 
-            ? { ...progress, completed: completed } // Revert to original state
-            : progress
-        ).filter(progress => !progress._id.startsWith('temp-')) // Remove temporary entries
-      );
-    } finally {
-      // Remove from updating set
-      setUpdatingProblems(prev => {
-        const newSet = new Set(prev);
-        newSet.delete(problemId);
-        return newSet;
-      });
+      console.error('Error recording attempt:', error);
+      setTimerErrors(prev => ({ ...prev, [problemId]: t('topic.attemptError') }));
+      announce(t('topic.attemptError'), 'assertive');
     }
   };
 
+  // The outbox updates pending changes immediately and syncs them with the API.
+  // Completing a problem while timing it also ends and records that attempt.
+  const changeProblemStatus = (problemId, status) => {
+    const wasCompleted = isProblemCompleted(problemId);
+    const isCompleted = isCompletedStatus(status);
+    updateProgress(problemId, statusChanges(status));
+    if (!wasCompleted && isCompleted && getTimer(problemId)) {
+      recordAttempt(problemId, true);
+    }
+
+    const problem = topic.problems.find(p => p._id === problemId);
+    const completedCount = topic.problems.filter(p => isProblemCompleted(p._id)).length
+      - Number(wasCompleted) + Number(isCompleted);
+    announce(t('topic.statusAnnouncement', {
+      title: problem.title,
+      status: t(getStatusLabel(status)),
+      completed: completedCount,
+      count: topic.problems.length
+    }));
+  };
+
+  const toggleProblemProgress = (problemId, completed) => {
+    changeProblemStatus(problemId, completed ? 'not_started' : 'solved');
+  };
+
+  const togglePanel = (setOpenPanels, problemId) => {
+    setOpenPanels(prev => {
+      const newSet = new Set(prev);
+      if (newSet.has(problemId)) {
+        newSet.delete(problemId);
+      } else {
+        newSet.add(problemId);
+      }
+      return newSet;
+    });
+  };
+
+  const toggleNotes = (problemId) => togglePanel(setOpenNotes, problemId);
+
+  const toggleSolver = (problemId) => togglePanel(setOpenSolvers, problemId);
+
+  const getProblemNotes = (problemId) => {
+    const progress = userProgress.find(p => p.problemId._id === problemId);
+    return progress && progress.notes ? progress.notes : '';
+  };
+
+  const getProblemAttempts = (problemId) => {
+    const progress = userProgress.find(p => p.problemId._id === problemId);
+    return (progress && progress.attempts) || [];
+  };
+
   const isProblemCompleted = (problemId) => {
     const progress = userProgress.find(p => p.problemId._id === problemId);
     return progress ? progress.completed : false;
   };
 
+  const getProblemStatus = (problemId) => getStatus(userProgress.find(p => p.problemId._id === problemId));
+
+  const getProblemConfidence = (problemId) => {
+    const progress = userProgress.find(p => p.problemId._id === problemId);
+    return (progress && progress.confidence) || null;
+  };
+
+  const selectProblem = (index) => {
+    setActiveIndex(index);
+    const problem = topic.problems[index];
+    const element = problem && document.getElementById(`problem-${problem._id}`);
+    if (element) {
+      element.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+  };
+
+  const problemCount = topic ? topic.problems.length : 0;
+  const activeProblem = topic && activeIndex >= 0 ? topic.problems[activeIndex] : null;
+
+  useKeyboardShortcuts({
+    j: () => problemCount > 0 && selectProblem(Math.min(activeIndex + 1, problemCount - 1)),
+    k: () => problemCount > 0 && selectProblem(Math.max(activeIndex - 1, 0)),
+    x: () => {
+      if (activeProblem) {
+        toggleProblemProgress(activeProblem._id, isProblemCompleted(activeProblem._id));
+      }
+    },
+    o: () => {
+      if (activeProblem && activeProblem.links.leetcode) {
+        window.open(activeProblem.links.leetcode, '_blank', 'noopener,noreferrer');
+      }
+    }
+  });
+
   if (loading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
-      </div>
-    );
+    return <LoadingSpinner />;
+  }
+
+  if (!topic && isNetworkError(error)) {
+    return <OfflineFallback />;
   }
 
   if (!topic) {
     return (
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <div className="text-center">
-          <h1 className="text-2xl font-bold text-gray-900">Topic not found</h1>
-          <Link to="/dashboard" className="btn btn-primary mt-4">Back to Dashboard</Link>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">{t('topic.notFound')}</h1>
+          <Link to="/dashboard" className="btn btn-primary mt-4">{t('topic.backButton')}</Link>
         </div>
       </div>
     );
@@ -113,30 +182,34 @@ const TopicDetail = () => {
   ).length;
   const totalProblems = topic.problems.length;
   const percentage = totalProblems > 0 ? Math.round((completedProblems / totalProblems) * 100) : 0;
+  const statusCounts = countByStatus(topic.problems.map(problem => ({ status: getProblemStatus(problem._id) })));
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       {/* Header */}
       <div className="mb-8">
-        <Link to="/dashboard" className="text-primary-600 hover:text-primary-700 mb-4 inline-block">
-          ← Back to Dashboard
+        <Link to="/dashboard" className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 mb-4 inline-block">
+          {t('common.backToDashboard')}
         </Link>
-        <h1 className="text-3xl font-bold text-gray-900 mb-2">{topic.title}</h1>
-        <p className="text-gray-600 mb-4">{topic.description}</p>
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-2">{topic.title}</h1>
+        <p className="text-gray-600 dark:text-gray-400 mb-4">{topic.description}</p>
         
         {/* Progress Bar */}
-        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
           <div className="flex justify-between items-center mb-2">
-            <span className="text-sm font-medium text-gray-700">Progress</span>
-            <span className="text-sm text-gray-500">{completedProblems}/{totalProblems} problems</span>
-          </div>
-          <div className="w-full bg-gray-200 rounded-full h-3">
-            <div 
-              className="bg-primary-600 h-3 rounded-full progress-bar"
-              style={{ width: `${percentage}%` }}
-            ></div>
+            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">{t('common.progress')}</span>
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              {t('common.problemsProgress', { completed: completedProblems, count: totalProblems })}
+            </span>
           </div>
-          <p className="text-sm text-gray-600 mt-2">{percentage}% completed</p>
+          <StatusProgressBar
+            counts={statusCounts}
+            total={totalProblems}
+            label={t('common.progressOf', { name: topic.title })}
+            height="h-3"
+            showLegend
+          />
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-2">{t('common.percentCompleted', { percent: formatPercent(percentage) })}</p>
         </div>
       </div>
 
@@ -144,41 +217,56 @@ const TopicDetail = () => {
       <div className="space-y-4">
         {topic.problems.map((problem, index) => {
           const isCompleted = isProblemCompleted(problem._id);
-          const isUpdating = updatingProblems.has(problem._id);
+          const isPending = pending.some(entry => entry.problemId === problem._id);
+          const notes = getProblemNotes(problem._id);
+          const isNotesOpen = openNotes.has(problem._id);
+          const isSolverOpen = openSolvers.has(problem._id);
+          const attempts = getProblemAttempts(problem._id);
+          const lastAttempt = attempts[attempts.length - 1];
           
           return (
             <div
               key={problem._id}
-              className={`card problem-card ${isCompleted ? 'bg-green-50 border-green-200' : ''} ${isUpdating ? 'opacity-75' : ''}`}
+              id={`problem-${problem._id}`}
+              className={`card problem-card ${isCompleted ? 'bg-green-50 dark:bg-green-900/30 border-green-200 dark:border-green-800' : ''} ${index === activeIndex || (activeIndex === -1 && hash === `#problem-${problem._id}`) ? 'ring-2 ring-primary-500' : ''}`}
             >
               <div className="flex items-start space-x-4">
-                {/* Checkbox */}
+                {/* Status */}
                 <div className="flex-shrink-0 mt-1">
-                  <input
-                    type="checkbox"
-                    checked={isCompleted}
-                    disabled={isUpdating}
-                    onChange={() => toggleProblemProgress(problem._id, isCompleted)}
-                    className={`checkbox-custom ${isUpdating ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+                  <StatusControl
+                    id={problem._id}
+                    status={getProblemStatus(problem._id)}
+                    confidence={getProblemConfidence(problem._id)}
+                    title={problem.title}
+                    onStatusChange={(status) => changeProblemStatus(problem._id, status)}
+                    onConfidenceChange={(confidence) => updateProgress(problem._id, { confidence })}
                   />
-                  {isUpdating && (
-                    <div className="absolute -mt-1 -ml-1">
-                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-primary-600"></div>
-                    </div>
-                  )}
                 </div>
 
                 {/* Problem Info */}
                 <div className="flex-1 min-w-0">
                   <div className="flex items-center space-x-3 mb-2">
-                    <span className="text-sm text-gray-500">#{index + 1}</span>
-                    <h3 className="text-lg font-semibold text-gray-900">{problem.title}</h3>
+                    <span className="text-sm text-gray-500 dark:text-gray-400">#{index + 1}</span>
+                    <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">{problem.title}</h2>
                     <span className={`difficulty-badge difficulty-${problem.difficulty.toLowerCase()}`}>
-                      {problem.difficulty}
+                      {t(`difficulty.${problem.difficulty}`)}
                     </span>
+                    {notes && (
+                      <span className="text-gray-400" title={t('topic.hasNotes')} role="img" aria-label={t('topic.hasNotes')}>
+                        <svg className="w-4 h-4" aria-hidden="true" fill="currentColor" viewBox="0 0 20 20">
+                          <path d="M17.414 2.586a2 2 0 00-2.828 0L7 10.172V13h2.828l7.586-7.586a2 2 0 000-2.828z" />
+                          <path fillRule="evenodd" d="M2 6a2 2 0 012-2h4a1 1 0 010 2H4v10h10v-4a1 1 0 112 0v4a2 2 0 01-2 2H4a2 2 0 01-2-2V6z" clipRule="evenodd" />
+                        </svg>
+                      </span>
+                    )}
+                    {isPending && (
+                      <span className="text-xs text-warning-700 dark:text-warning-400" title={t('topic.pendingSyncTitle')}>
+                        {t('topic.pendingSync')}
+                      </span>
+                    )}
                   </div>
                   
-                  <p className="text-gray-600 mb-3">{problem.description}</p>
+                  <p className="text-gray-600 dark:text-gray-400 mb-3">{problem.description}</p>
                   
                   {/* Tags */}
                   {problem.tags && problem.tags.length > 0 && (
@@ -186,7 +274,7 @@ const TopicDetail = () => {
                       {problem.tags.map((tag, tagIndex) => (
                         <span
                           key={tagIndex}
-                          className="px-2 py-1 bg-gray-100 text-gray-700 text-xs rounded-full"
+                          className="px-2 py-1 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 text-xs rounded-full"
                         >
                           {tag}
                         </span>
@@ -201,9 +289,9 @@ const TopicDetail = () => {
                         href={problem.links.youtube}
                         target="_blank"
                         rel="noopener noreferrer"
-                        className="flex items-center space-x-1 text-red-600 hover:text-red-700 link-icon"
+                        className="flex items-center space-x-1 text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 link-icon"
                       >
-                        <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+                        <svg className="w-4 h-4" aria-hidden="true" fill="currentColor" viewBox="0 0 24 24">
                           <path d="M23.498 6.186a3.016 3.016 0 0 0-2.122-2.136C19.505 3.545 12 3.545 12 3.545s-7.505 0-9.377.505A3.017 3.017 0 0 0 .502 6.186C0 8.07 0 12 0 12s0 3.93.502 5.814a3.016 3.016 0 0 0 2.122 2.136c1.871.505 9.376.505 9.376.505s7.505 0 9.377-.505a3.015 3.015 0 0 0 2.122-2.136C24 15.93 24 12 24 12s0-3.93-.502-5.814zM9.545 15.568V8.432L15.818 12l-6.273 3.568z"/>
                         </svg>
                         <span className="text-sm">YouTube</span>
@@ -215,9 +303,9 @@ const TopicDetail = () => {
                         href={problem.links.leetcode}
                         target="_blank"
                         rel="noopener noreferrer"
-                        className="flex items-center space-x-1 text-yellow-600 hover:text-yellow-700 link-icon"
+                        className="flex items-center space-x-1 text-yellow-700 dark:text-yellow-400 hover:text-yellow-800 dark:hover:text-yellow-300 link-icon"
                       >
-                        <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+                        <svg className="w-4 h-4" aria-hidden="true" fill="currentColor" viewBox="0 0 24 24">
                           <path d="M13.483 0a1.374 1.374 0 0 0-.961.438L7.116 6.226l-3.854 4.126a5.266 5.266 0 0 0-1.209 2.104 5.35 5.35 0 0 0-.125.513 5.527 5.527 0 0 0 .062 2.362 5.83 5.83 0 0 0 .349 1.017 5.938 5.938 0 0 0 1.271 1.818l4.277 4.193.039.038c2.248 2.165 5.852 2.133 8.063-.074l2.396-2.392c.54-.54.54-1.414.003-1.955a1.378 1.378 0 0 0-1.951-.003l-2.396 2.392a3.021 3.021 0 0 1-4.205.038l-.02-.019-4.276-4.193c-.652-.64-.972-1.469-.948-2.263a2.68 2.68 0 0 1 .066-.523 2.545 2.545 0 0 1 .619-1.164L9.13 8.114c1.058-1.134 3.204-1.27 4.43-.278l2.396 2.392c.54.54.54 1.414.003 1.955a1.378 1.378 0 0 1-1.951.003l-2.396-2.392a.993.993 0 0 0-1.376.038l-.019.02-1.99 2.133a.993.993 0 0 0-.038 1.376l.02.019 1.99 2.133c.64.652 1.469.972 2.263.948a2.68 2.68 0 0 0 .523-.066 2.545 2.545 0 0 0 1.164-.619l4.277-4.193c2.248-2.165 2.248-5.675 0-7.84L13.444.439A1.374 1.374 0 0 0 13.483 0z"/>
                         </svg>
                         <span className="text-sm">LeetCode</span>
@@ -229,9 +317,9 @@ const TopicDetail = () => {
                         href={problem.links.codeforces}
                         target="_blank"
                         rel="noopener noreferrer"
-                        className="flex items-center space-x-1 text-blue-600 hover:text-blue-700 link-icon"
+                        className="flex items-center space-x-1 text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300 link-icon"
                       >
-                        <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+                        <svg className="w-4 h-4" aria-hidden="true" fill="currentColor" viewBox="0 0 24 24">
                           <path d="M4.5 7.5A1.5 1.5 0 0 1 6 9v10.5A1.5 1.5 0 0 1 4.5 21h-3A1.5 1.5 0 0 1 0 19.5V9a1.5 1.5 0 0 1 1.5-1.5h3zm9-4.5A1.5 1.5 0 0 1 15 4.5v15a1.5 1.5 0 0 1-1.5 1.5h-3A1.5 1.5 0 0 1 9 19.5v-15A1.5 1.5 0 0 1 10.5 3h3zm9 7.5A1.5 1.5 0 0 1 24 12v7.5a1.5 1.5 0 0 1-1.5 1.5h-3a1.5 1.5 0 0 1-1.5-1.5V12a1.5 1.5 0 0 1 1.5-1.5h3z"/>
                         </svg>
                         <span className="text-sm">Codeforces</span>
@@ -243,15 +331,73 @@ const TopicDetail = () => {
                         href={problem.links.article}
                         target="_blank"
                         rel="noopener noreferrer"
-                        className="flex items-center space-x-1 text-green-600 hover:text-green-700 link-icon"
+                        className="flex items-center space-x-1 text-green-700 dark:text-green-400 hover:text-green-800 dark:hover:text-green-300 link-icon"
                       >
-                        <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+                        <svg className="w-4 h-4" aria-hidden="true" fill="currentColor" viewBox="0 0 24 24">
                           <path d="M14,2H6A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2M18,20H6V4H13V9H18V20Z"/>
                         </svg>
-                        <span className="text-sm">Article</span>
+                        <span className="text-sm">{t('topic.article')}</span>
                       </a>
                     )}
+
+                    <button
+                      type="button"
+                      onClick={() => toggleNotes(problem._id)}
+                      className="flex items-center space-x-1 text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 link-icon"
+                      aria-expanded={isNotesOpen}
+                    >
+                      <svg className="w-4 h-4" aria-hidden="true" fill="currentColor" viewBox="0 0 20 20">
+                        <path d="M17.414 2.586a2 2 0 00-2.828 0L7 10.172V13h2.828l7.586-7.586a2 2 0 000-2.828z" />
+                        <path fillRule="evenodd" d="M2 6a2 2 0 012-2h4a1 1 0 010 2H4v10h10v-4a1 1 0 112 0v4a2 2 0 01-2 2H4a2 2 0 01-2-2V6z" clipRule="evenodd" />
+                      </svg>
+                      <span className="text-sm">{isNotesOpen ? t('topic.hideNotes') : t('topic.notes')}</span>
+                    </button>
+
+                    <button
+                      type="button"
+                      onClick={() => toggleSolver(problem._id)}
+                      className="flex items-center space-x-1 text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 link-icon"
+                      aria-expanded={isSolverOpen}
+                    >
+                      <svg className="w-4 h-4" aria-hidden="true" fill="currentColor" viewBox="0 0 20 20">
+                        <path fillRule="evenodd" d="M12.316 3.051a1 1 0 01.633 1.265l-4 12a1 1 0 11-1.898-.632l4-12a1 1 0 011.265-.633zM5.707 6.293a1 1 0 010 1.414L3.414 10l2.293 2.293a1 1 0 11-1.414 1.414l-3-3a1 1 0 010-1.414l3-3a1 1 0 011.414 0zm8.586 0a1 1 0 011.414 0l3 3a1 1 0 010 1.414l-3 3a1 1 0 11-1.414-1.414L16.586 10l-2.293-2.293a1 1 0 010-1.414z" clipRule="evenodd" />
+                      </svg>
+                      <span className="text-sm">{isSolverOpen ? t('topic.hideSolver') : t('topic.solveHere')}</span>
+                    </button>
+
+                    <AddToListMenu problemId={problem._id} />
+
+                    <ProblemTimer
+                      timer={getTimer(problem._id)}
+                      title={problem.title}
+                      onStart={() => start(problem._id)}
+                      onPause={() => pause(problem._id)}
+                      onStop={() => recordAttempt(problem._id, isCompleted)}
+                      onDiscard={() => discard(problem._id)}
+                    />
                   </div>
+
+                  {(timerErrors[problem._id] || lastAttempt) && (
+                    <p className={`mt-2 text-xs ${timerErrors[problem._id] ? 'text-danger-700 dark:text-danger-400' : 'text-gray-500 dark:text-gray-400'}`}>
+                      {timerErrors[problem._id] ||
+                        t('topic.attemptSummary', { count: attempts.length, duration: formatDuration(lastAttempt.duration) })}
+                    </p>
+                  )}
+
+                  {isSolverOpen && (
+                    <SolvePanel
+                      problemId={problem._id}
+                      isCompleted={isCompleted}
+                      onSolved={() => changeProblemStatus(problem._id, 'solved')}
+                    />
+                  )}
+
+                  {isNotesOpen && (
+                    <ProblemNotes
+                      problemId={problem._id}
+                      initialNotes={notes}
+                    />
+                  )}
                 </div>
               </div>
             </div>
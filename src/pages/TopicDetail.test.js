@@ -0,0 +1,200 @@
+import React from 'react';
+import { screen, fireEvent, waitFor } from '@testing-library/react';
+import { rest } from 'msw';
+import { axe } from 'jest-axe';
+import { server } from '../mocks/server';
+import { apiUrl } from '../mocks/handlers';
+import { renderPage, signInAs } from '../testUtils';
+import KeyboardShortcuts from '../components/KeyboardShortcuts';
+import SyncErrorNotice from '../components/SyncErrorNotice';
+import TopicDetail from './TopicDetail';
+
+jest.mock('../workers/createCodeWorker');
+
+const renderTopic = () => renderPage(<TopicDetail />, { route: '/topic/t1', path: '/topic/:id' });
+
+// Hold progress saves until the test releases them with the given response
+const holdProgressSaves = () => {
+  let release;
+  const gate = new Promise(resolve => {
+    release = resolve;
+  });
+  server.use(rest.post(apiUrl('/progress/:problemId'), async (req, res, ctx) => {
+    const respond = await gate;
+    return respond(res, ctx);
+  }));
+  return release;
+};
+
+const statusOf = (title) => screen.getByRole('combobox', { name: `Status of ${title}` });
+
+beforeEach(() => {
+  signInAs('learner@example.com');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('has no axe violations in the problem list', async () => {
+  const { container } = renderTopic();
+  await screen.findByText('1/3 problems');
+
+  // Open the panels a card can show so they are checked too
+  fireEvent.click(screen.getAllByRole('button', { name: 'Notes' })[0]);
+  fireEvent.click(screen.getAllByRole('button', { name: 'Add to list' })[0]);
+  fireEvent.change(statusOf('Trapping Rain Water'), { target: { value: 'attempted' } });
+
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+test('shows a status change straight away and saves it', async () => {
+  const release = holdProgressSaves();
+  renderTopic();
+  expect(await screen.findByText('1/3 problems')).toBeInTheDocument();
+
+  fireEvent.change(statusOf('Trapping Rain Water'), { target: { value: 'solved_with_hints' } });
+
+  // Applied before the API has answered
+  expect(await screen.findByText('2/3 problems')).toBeInTheDocument();
+  expect(statusOf('Trapping Rain Water')).toHaveValue('solved_with_hints');
+  expect(screen.getByText('Pending sync')).toBeInTheDocument();
+
+  release((res, ctx) => res(ctx.json({})));
+
+  await waitFor(() => expect(screen.queryByText('Pending sync')).not.toBeInTheDocument());
+  expect(statusOf('Trapping Rain Water')).toHaveValue('solved_with_hints');
+  expect(screen.getByText('2/3 problems')).toBeInTheDocument();
+});
+
+test('rolls a change back and says so when the API rejects it', async () => {
+  const release = holdProgressSaves();
+  renderPage(<><TopicDetail /><SyncErrorNotice /></>, { route: '/topic/t1', path: '/topic/:id' });
+  await screen.findByText('1/3 problems');
+
+  fireEvent.change(statusOf('Container With Most Water'), { target: { value: 'solved' } });
+  expect(await screen.findByText('2/3 problems')).toBeInTheDocument();
+
+  release((res, ctx) => res(ctx.status(400), ctx.json({ message: 'Problem not found' })));
+
+  expect(await screen.findByText('1/3 problems')).toBeInTheDocument();
+  expect(statusOf('Container With Most Water')).toHaveValue('not_started');
+  expect(screen.queryByText('Pending sync')).not.toBeInTheDocument();
+  expect(screen.getByText('A progress change could not be saved and has been undone.')).toBeInTheDocument();
+  expect(screen.getByText('Problem not found')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Dismiss' }));
+  expect(screen.queryByText('Problem not found')).not.toBeInTheDocument();
+});
+
+test('keeps a change queued when the API is unavailable', async () => {
+  const release = holdProgressSaves();
+  renderTopic();
+  await screen.findByText('1/3 problems');
+
+  fireEvent.change(statusOf('Container With Most Water'), { target: { value: 'solved' } });
+  release((res, ctx) => res(ctx.status(503)));
+
+  expect(await screen.findByText('Pending sync')).toBeInTheDocument();
+  expect(screen.getByText('2/3 problems')).toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('progressQueue'))).toHaveLength(1);
+});
+
+test('retries a queued change while the browser stays online', async () => {
+  let attempts = 0;
+  server.use(rest.post(apiUrl('/progress/:problemId'), (req, res, ctx) => {
+    attempts += 1;
+    return attempts === 1 ? res(ctx.status(503)) : res(ctx.json({}));
+  }));
+  renderTopic();
+  await screen.findByText('1/3 problems');
+
+  fireEvent.change(statusOf('Container With Most Water'), { target: { value: 'solved' } });
+  expect(await screen.findByText('Pending sync')).toBeInTheDocument();
+
+  // The first retry runs two seconds after the failure
+  await waitFor(() => expect(screen.queryByText('Pending sync')).not.toBeInTheDocument(), { timeout: 4000 });
+  expect(attempts).toBe(2);
+  expect(screen.getByText('2/3 problems')).toBeInTheDocument();
+});
+
+test('shows the offline screen when the topic is neither online nor cached', async () => {
+  server.use(rest.get(apiUrl('/topics/:id'), (req, res) => res.networkError('Failed to connect')));
+  renderTopic();
+
+  expect(await screen.findByRole('heading', { name: 'You are offline' })).toBeInTheDocument();
+  expect(screen.queryByText('Topic not found')).not.toBeInTheDocument();
+
+  // Back online, trying again loads the topic
+  server.resetHandlers();
+  fireEvent.click(screen.getByRole('button', { name: 'Try again' }));
+  expect(await screen.findByText('1/3 problems')).toBeInTheDocument();
+});
+
+test('toggles the selected problem with the x shortcut', async () => {
+  jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+  renderTopic();
+  await screen.findByText('1/3 problems');
+
+  fireEvent.keyDown(document.body, { key: 'j' });
+  fireEvent.keyDown(document.body, { key: 'x' });
+  expect(await screen.findByText('0/3 problems')).toBeInTheDocument();
+  expect(statusOf('Two Sum')).toHaveValue('not_started');
+
+  fireEvent.keyDown(document.body, { key: 'x' });
+  expect(await screen.findByText('1/3 problems')).toBeInTheDocument();
+  expect(statusOf('Two Sum')).toHaveValue('solved');
+});
+
+test('ignores page shortcuts while a dialog is open', async () => {
+  jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+  renderPage(<><TopicDetail /><KeyboardShortcuts /></>, { route: '/topic/t1', path: '/topic/:id' });
+  await screen.findByText('1/3 problems');
+
+  fireEvent.keyDown(document.body, { key: '?' });
+  expect(screen.getByRole('dialog', { name: 'Keyboard shortcuts' })).toBeInTheDocument();
+  fireEvent.keyDown(document.body, { key: 'j' });
+  fireEvent.keyDown(document.body, { key: 'x' });
+  expect(screen.getByText('1/3 problems')).toBeInTheDocument();
+
+  fireEvent.keyDown(document.body, { key: 'Escape' });
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  fireEvent.keyDown(document.body, { key: 'j' });
+  fireEvent.keyDown(document.body, { key: 'x' });
+  expect(await screen.findByText('0/3 problems')).toBeInTheDocument();
+});
+
+test('runs a solution against its test cases and offers to mark it solved', async () => {
+  renderTopic();
+  await screen.findByText('1/3 problems');
+
+  fireEvent.click(screen.getAllByRole('button', { name: 'Solve here' })[1]);
+  fireEvent.change(screen.getByLabelText('Code'), { target: { value: 'function solve(a, b) { return a + b; }' } });
+  fireEvent.change(screen.getByLabelText(/^Input/), { target: { value: '2\n3' } });
+  fireEvent.change(screen.getByLabelText('Expected output'), { target: { value: '6' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Run tests' }));
+
+  expect(await screen.findByText('0 of 1 case passed')).toBeInTheDocument();
+  expect(screen.getByText('Failed')).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Mark as solved' })).not.toBeInTheDocument();
+
+  // Editing a case drops the results it no longer matches
+  fireEvent.change(screen.getByLabelText('Expected output'), { target: { value: '5' } });
+  expect(screen.queryByText('0 of 1 case passed')).not.toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Run tests' }));
+  expect(await screen.findByText('1 of 1 case passed')).toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('codeDrafts'))['u2:p2'].tests).toEqual([{ input: '2\n3', expected: '5' }]);
+
+  // So does switching language, which would run different code
+  fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'python' } });
+  expect(screen.queryByText('1 of 1 case passed')).not.toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Mark as solved' })).not.toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'javascript' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Run tests' }));
+  expect(await screen.findByText('1 of 1 case passed')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Mark as solved' }));
+  expect(await screen.findByText('2/3 problems')).toBeInTheDocument();
+  expect(statusOf('Container With Most Water')).toHaveValue('solved');
+  expect(screen.queryByRole('button', { name: 'Mark as solved' })).not.toBeInTheDocument();
+});
@@ -0,0 +1,65 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker for production builds. react-scripts compiles it and injects
+// the list of build files into self.__WB_MANIFEST. The build is precached so
+// the app opens offline, and topic data is cached network-first. A new build
+// waits until the page asks it to take over (see serviceWorkerRegistration.js).
+import { clientsClaim } from 'workbox-core';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { googleFontsCache } from 'workbox-recipes';
+import { registerRoute, NavigationRoute } from 'workbox-routing';
+import { NetworkFirst } from 'workbox-strategies';
+
+const TOPICS_CACHE = 'api-topics';
+
+// Fall back to the cache when the API takes longer than this
+const NETWORK_TIMEOUT_SECONDS = 5;
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Any path without a file extension is an app route. Paths starting with /_
+// are left to the server.
+const FILE_EXTENSION = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  new NavigationRoute(createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`), {
+    denylist: [/^\/_/, FILE_EXTENSION]
+  })
+);
+
+const API_URL = new URL(process.env.REACT_APP_API_URL || self.location.origin);
+// The API's base path without a trailing slash, e.g. '' or '/api'
+const API_PATH = API_URL.pathname.replace(/\/+$/, '');
+
+// GET /topics and GET /topics/:id. The sheet is the same for every user, so
+// one cached copy serves whoever is signed in. Other API responses hold
+// per-user data and are not cached. Matched on the path, so query strings and
+// a trailing slash on REACT_APP_API_URL do not bypass the cache.
+const isTopicsRequest = ({ url, request }) =>
+  request.method === 'GET' &&
+  url.origin === API_URL.origin &&
+  (url.pathname === `${API_PATH}/topics` || url.pathname.startsWith(`${API_PATH}/topics/`));
+
+registerRoute(
+  isTopicsRequest,
+  new NetworkFirst({
+    cacheName: TOPICS_CACHE,
+    networkTimeoutSeconds: NETWORK_TIMEOUT_SECONDS,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: 200, maxAgeSeconds: 30 * 24 * 60 * 60 })
+    ]
+  })
+);
+
+// The Inter web font, so the offline app looks the same
+googleFontsCache();
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
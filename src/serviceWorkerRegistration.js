@@ -0,0 +1,67 @@
+// Registers src/service-worker.js in production builds and reports when a new
+// build has been installed and is waiting to take over.
+
+// Long-lived tabs check for a new deploy this often
+const UPDATE_INTERVAL = 60 * 60 * 1000;
+
+const listeners = new Set();
+let waitingWorker = null;
+
+const setWaitingWorker = (worker) => {
+  waitingWorker = worker;
+  listeners.forEach((listener) => listener(worker));
+};
+
+// Calls `listener` once an update is waiting, straight away if one already is
+export const onUpdateAvailable = (listener) => {
+  listeners.add(listener);
+  if (waitingWorker) {
+    listener(waitingWorker);
+  }
+  return () => listeners.delete(listener);
+};
+
+// Let the waiting worker take over, then reload so the page runs the new build
+export const applyUpdate = () => {
+  if (!waitingWorker) {
+    return;
+  }
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+};
+
+// A worker that installs while another controls the page is an update. The
+// very first install has nothing to replace.
+const watchForUpdates = (registration) => {
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    setWaitingWorker(registration.waiting);
+  }
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        setWaitingWorker(worker);
+      }
+    });
+  });
+
+  setInterval(() => {
+    registration.update().catch(() => {});
+  }, UPDATE_INTERVAL);
+};
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+      watchForUpdates(registration);
+    } catch (error) {
+      console.error('Error registering service worker:', error);
+    }
+  });
+};
@@ -0,0 +1,24 @@
+// jest-dom adds custom jest matchers for asserting on DOM nodes,
+// and jest-axe adds toHaveNoViolations for automated accessibility checks.
+import '@testing-library/jest-dom';
+import { toHaveNoViolations } from 'jest-axe';
+import { server } from './mocks/server';
+import { resetDb } from './mocks/handlers';
+import { clearQueries } from './api/queryCache';
+
+expect.extend(toHaveNoViolations);
+
+// jsdom does not implement scrolling
+window.HTMLElement.prototype.scrollIntoView = () => {};
+
+// Every API call in tests goes to the in-process mock server
+beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+
+afterEach(() => {
+  server.resetHandlers();
+  resetDb();
+  clearQueries();
+  localStorage.clear();
+});
+
+afterAll(() => server.close());
@@ -0,0 +1,52 @@
+import React from 'react';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
+import { render } from '@testing-library/react';
+import { AuthProvider } from './contexts/AuthContext';
+import { SyncProvider } from './contexts/SyncContext';
+import { I18nProvider } from './contexts/I18nContext';
+import { AnnouncerProvider } from './contexts/AnnouncerContext';
+import { ProtectedRoute } from './components/RouteGuards';
+import { setToken } from './api/axios';
+import { db, tokenFor } from './mocks/handlers';
+
+// Store a session for one of the sample users, as if they had signed in earlier
+export const signInAs = (email) => {
+  const user = db.users.find(u => u.email === email);
+  setToken(tokenFor(user));
+  return user;
+};
+
+// Shows the current path so tests can assert on redirects
+export const LocationDisplay = () => {
+  const location = useLocation();
+  return <div data-testid="location">{location.pathname}</div>;
+};
+
+export const AppProviders = ({ children }) => (
+  <I18nProvider>
+    <AuthProvider>
+      <SyncProvider>
+        <AnnouncerProvider>
+          {children}
+        </AnnouncerProvider>
+      </SyncProvider>
+    </AuthProvider>
+  </I18nProvider>
+);
+
+// Render a protected page inside the app's providers at `route`, matched
+// against `path`. Call signInAs first, or the page redirects to /login.
+export const renderPage = (ui, { route = '/', path = '/' } = {}) => {
+  localStorage.setItem('locale', 'en');
+  return render(
+    <MemoryRouter initialEntries={[route]}>
+      <AppProviders>
+        <Routes>
+          <Route path={path} element={<ProtectedRoute>{ui}</ProtectedRoute>} />
+          <Route path="/login" element={<p>Login page</p>} />
+        </Routes>
+        <LocationDisplay />
+      </AppProviders>
+    </MemoryRouter>
+  );
+};
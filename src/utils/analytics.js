@@ -0,0 +1,132 @@
+// Pace and breakdown statistics computed from timestamped progress records
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const startOfDay = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+// Local calendar day, so a late-night completion counts for the day it was made
+export const toDateKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+export const getCompletionDate = (record) => record.completedAt || record.updatedAt || null;
+
+export const countCompletionsByDay = (progress) => {
+  const counts = new Map();
+  progress.forEach(record => {
+    const date = record.completed && getCompletionDate(record);
+    if (date) {
+      const key = toDateKey(date);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  });
+  return counts;
+};
+
+export const computeStreaks = (countsByDay, today = new Date()) => {
+  const days = [...countsByDay.keys()].sort();
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  days.forEach(key => {
+    const date = new Date(`${key}T00:00:00`);
+    run = previous && Math.round((date - previous) / DAY) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = date;
+  });
+
+  // The current streak is still alive if nothing has been solved yet today
+  let cursor = startOfDay(today);
+  if (!countsByDay.has(toDateKey(cursor))) {
+    cursor = addDays(cursor, -1);
+  }
+
+  let current = 0;
+  while (countsByDay.has(toDateKey(cursor))) {
+    current += 1;
+    cursor = addDays(cursor, -1);
+  }
+
+  return { current, longest };
+};
+
+// Columns of seven days (Sunday first) ending with the current week
+export const buildHeatmap = (countsByDay, weeks = 53, today = new Date()) => {
+  const end = startOfDay(today);
+  const start = addDays(end, -(weeks - 1) * 7 - end.getDay());
+
+  return Array.from({ length: weeks }, (_, week) =>
+    Array.from({ length: 7 }, (_, day) => {
+      const date = addDays(start, week * 7 + day);
+      if (date > end) {
+        return null;
+      }
+      return { date, count: countsByDay.get(toDateKey(date)) || 0 };
+    })
+  );
+};
+
+export const completionsPerWeek = (countsByDay, weeks = 12, today = new Date()) =>
+  buildHeatmap(countsByDay, weeks, today).map(days => ({
+    weekStart: days[0].date,
+    count: days.reduce((total, day) => total + (day ? day.count : 0), 0)
+  }));
+
+// Solved vs. total grouped by a key; problems with several keys count towards each
+export const breakdownBy = (problems, getKeys, order = []) => {
+  const groups = new Map();
+
+  problems.forEach(problem => {
+    [].concat(getKeys(problem) || []).forEach(key => {
+      const group = groups.get(key) || { label: key, solved: 0, total: 0 };
+      group.total += 1;
+      if (problem.completed) {
+        group.solved += 1;
+      }
+      groups.set(key, group);
+    });
+  });
+
+  const rank = (label) => (order.includes(label) ? order.indexOf(label) : order.length);
+  return [...groups.values()].sort((a, b) => rank(a.label) - rank(b.label) || b.total - a.total || a.label.localeCompare(b.label));
+};
+
+// Mean duration in seconds of timed attempts that ended in a completion,
+// grouped by the problem's difficulty
+export const averageTimeByDifficulty = (problems, progress, difficulties) => {
+  const difficultyById = new Map(problems.map(problem => [problem._id, problem.difficulty]));
+  const totals = new Map(difficulties.map(difficulty => [difficulty, { total: 0, count: 0 }]));
+
+  progress.forEach(record => {
+    const difficulty = record.problemId && difficultyById.get(record.problemId._id);
+    const bucket = totals.get(difficulty);
+    if (!bucket) {
+      return;
+    }
+    (record.attempts || [])
+      .filter(attempt => attempt.completed)
+      .forEach(attempt => {
+        bucket.total += attempt.duration;
+        bucket.count += 1;
+      });
+  });
+
+  return difficulties.map(difficulty => {
+    const { total, count } = totals.get(difficulty);
+    return { difficulty, count, average: count > 0 ? Math.round(total / count) : null };
+  });
+};
@@ -0,0 +1,49 @@
+// Code and test cases typed into the "Solve here" panel, kept per user and
+// problem in localStorage so they survive reloads. Nothing is sent to the API.
+const STORAGE_KEY = 'codeDrafts';
+
+export const LANGUAGES = [
+  {
+    key: 'javascript',
+    label: 'JavaScript',
+    template: 'function solve(nums, target) {\n  // Return the answer for one test case\n}\n'
+  },
+  {
+    key: 'python',
+    label: 'Python',
+    template: 'def solve(nums, target):\n    # Return the answer for one test case\n    pass\n'
+  }
+];
+
+export const emptyTestCase = () => ({ input: '', expected: '' });
+
+const defaultDraft = () => ({
+  language: LANGUAGES[0].key,
+  code: Object.fromEntries(LANGUAGES.map(({ key, template }) => [key, template])),
+  tests: [emptyTestCase()]
+});
+
+const readDrafts = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const draftKey = (userId, problemId) => `${userId}:${problemId}`;
+
+export const loadDraft = (userId, problemId) => {
+  const stored = readDrafts()[draftKey(userId, problemId)];
+  const draft = defaultDraft();
+  return stored ? { ...draft, ...stored, code: { ...draft.code, ...stored.code } } : draft;
+};
+
+export const saveDraft = (userId, problemId, draft) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...readDrafts(), [draftKey(userId, problemId)]: draft }));
+  } catch (error) {
+    console.error('Error saving code draft:', error);
+  }
+};
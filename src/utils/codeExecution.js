@@ -0,0 +1,75 @@
+// Helpers shared by the code runner worker and the "Solve here" panel.
+// Solutions define a `solve` function; each test case lists its arguments as
+// one JSON value per line and the expected return value as JSON.
+
+export const ENTRY_POINT = 'solve';
+
+// Worker globals that submitted JavaScript should not reach
+const BLOCKED_GLOBALS = ['self', 'globalThis', 'postMessage', 'importScripts', 'fetch', 'XMLHttpRequest', 'WebSocket', 'indexedDB', 'caches'];
+
+export class InputError extends Error {
+  constructor(line) {
+    super(`Line ${line} is not valid JSON`);
+    this.line = line;
+  }
+}
+
+// "[2,7,11,15]\n9" -> [[2, 7, 11, 15], 9]
+export const parseArguments = (input) =>
+  input
+    .split('\n')
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, number }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new InputError(number);
+      }
+    });
+
+// Serialise a return value for display and comparison
+export const toJson = (value) => {
+  try {
+    const json = JSON.stringify(value === undefined ? null : value);
+    return json === undefined ? String(value) : json;
+  } catch (error) {
+    return String(value);
+  }
+};
+
+// Compare as JSON where possible, so spacing and quoting around plain strings
+// do not matter: `[1, 2]` matches `[1,2]` and `hello` matches `"hello"`
+const normalise = (text) => {
+  const trimmed = text.trim();
+  try {
+    const value = JSON.parse(trimmed);
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  } catch (error) {
+    return trimmed;
+  }
+};
+
+export const outputsMatch = (actual, expected) => normalise(actual) === normalise(expected);
+
+const formatLogValue = (value) => (typeof value === 'string' ? value : toJson(value));
+
+// Run JavaScript source and call its `solve` with `args`. Returns the JSON
+// output, or an error, along with anything written to the console.
+export const runJavaScript = (code, args) => {
+  const logs = [];
+  const capture = (...values) => logs.push(values.map(formatLogValue).join(' '));
+  const sandboxConsole = { log: capture, info: capture, warn: capture, error: capture, debug: capture };
+
+  try {
+    // eslint-disable-next-line no-new-func
+    const load = new Function('console', ...BLOCKED_GLOBALS, `"use strict";\n${code}\nreturn typeof ${ENTRY_POINT} === "function" ? ${ENTRY_POINT} : undefined;`);
+    const solve = load(sandboxConsole);
+    if (!solve) {
+      return { errorCode: 'missingSolve', logs };
+    }
+    return { output: toJson(solve(...args)), logs };
+  } catch (error) {
+    return { error: `${error.name}: ${error.message}`, logs };
+  }
+};
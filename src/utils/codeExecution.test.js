@@ -0,0 +1,37 @@
+import { parseArguments, outputsMatch, runJavaScript, InputError } from './codeExecution';
+
+test('reads one JSON argument per line, skipping blank lines', () => {
+  expect(parseArguments('[2,7,11,15]\n\n9\n')).toEqual([[2, 7, 11, 15], 9]);
+  expect(parseArguments('')).toEqual([]);
+});
+
+test('points at the input line that is not JSON', () => {
+  expect(() => parseArguments('[1, 2]\n{oops')).toThrow(InputError);
+  expect(() => parseArguments('[1, 2]\n{oops')).toThrow('Line 2 is not valid JSON');
+});
+
+test('compares outputs as JSON, ignoring spacing and string quotes', () => {
+  expect(outputsMatch('[0,1]', '[0, 1]')).toBe(true);
+  expect(outputsMatch('"abc"', 'abc')).toBe(true);
+  expect(outputsMatch('true', ' true ')).toBe(true);
+  expect(outputsMatch('[1,0]', '[0, 1]')).toBe(false);
+  expect(outputsMatch('null', '')).toBe(false);
+});
+
+test('calls solve with the arguments and serialises the result', () => {
+  const code = 'function solve(nums, target) {\n  console.log("checking", nums.length);\n  return nums.indexOf(target);\n}';
+  expect(runJavaScript(code, [[4, 5, 6], 5])).toEqual({ output: '1', logs: ['checking 3'] });
+});
+
+test('reports a missing solve function and thrown errors', () => {
+  expect(runJavaScript('const answer = 42;', [])).toEqual({ errorCode: 'missingSolve', logs: [] });
+  expect(runJavaScript('function solve() { return undefinedName; }', [])).toEqual({
+    error: 'ReferenceError: undefinedName is not defined',
+    logs: []
+  });
+});
+
+test('keeps worker globals out of reach of submitted code', () => {
+  const code = 'function solve() { return [typeof self, typeof postMessage, typeof fetch]; }';
+  expect(runJavaScript(code, []).output).toBe('["undefined","undefined","undefined"]');
+});
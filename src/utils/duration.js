@@ -0,0 +1,16 @@
+// Formatting for timers and time spent on problems
+
+export const secondsBetween = (start, end) => Math.max(0, Math.floor((end - start) / 1000));
+
+// 75 -> "1:15", -75 -> "-1:15", 3725 -> "1:02:05"
+export const formatDuration = (totalSeconds) => {
+  const sign = totalSeconds < 0 ? '-' : '';
+  const seconds = Math.abs(Math.round(totalSeconds));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${sign}${hours}:${String(minutes).padStart(2, '0')}:${rest}`
+    : `${sign}${minutes}:${rest}`;
+};
@@ -0,0 +1,40 @@
+// Subsequence fuzzy matching: every query character must appear in order.
+// Consecutive characters and matches at word starts score higher.
+export const fuzzyScore = (query, text) => {
+  const needle = query.trim().toLowerCase();
+  const haystack = (text || '').toLowerCase();
+
+  if (!needle) {
+    return 0;
+  }
+
+  let score = 0;
+  let position = 0;
+  let previous = -2;
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, position);
+    if (index === -1) {
+      return null;
+    }
+
+    score += index === previous + 1 ? 5 : 1;
+    if (index === 0 || /[\s\-_/]/.test(haystack[index - 1])) {
+      score += 3;
+    }
+
+    previous = index;
+    position = index + 1;
+  }
+
+  // Prefer shorter texts when scores tie
+  return score - haystack.length * 0.01;
+};
+
+export const fuzzySearch = (items, query, getText, limit = 20) =>
+  items
+    .map(item => ({ item, score: fuzzyScore(query, getText(item)) }))
+    .filter(result => result.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(result => result.item);
@@ -0,0 +1,66 @@
+// Message lookup, interpolation and plural selection for the locale catalogs
+
+const ACCENTED = {
+  a: 'å', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'î', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+  n: 'ñ', o: 'ö', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'û', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+  A: 'Å', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Î', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+  N: 'Ñ', O: 'Ö', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Û', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž'
+};
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+// A plural message is an object of Intl.PluralRules categories with at least 'other'
+const isPluralMessage = (message) =>
+  Boolean(message) && typeof message === 'object' && typeof message.other === 'string';
+
+export const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+export const interpolate = (message, params, formatValue) =>
+  message.replace(PLACEHOLDER, (match, name) =>
+    params[name] === undefined ? match : formatValue(params[name])
+  );
+
+// Resolve a message, picking the plural form from params.count when the message has several
+export const formatMessage = (message, params, locale) => {
+  const numberFormat = new Intl.NumberFormat(locale);
+  const formatValue = (value) => (typeof value === 'number' ? numberFormat.format(value) : String(value));
+
+  if (isPluralMessage(message)) {
+    const category = new Intl.PluralRules(locale).select(Number(params.count) || 0);
+    return interpolate(message[category] || message.other, params, formatValue);
+  }
+  return interpolate(message, params, formatValue);
+};
+
+// Accent every letter, pad by about a third and bracket the result, so text that
+// skipped the catalog stands out and layouts get tested with longer strings.
+// Placeholders are left alone so they still interpolate.
+const pseudoLocalizeString = (message) => {
+  const accented = message
+    .split(PLACEHOLDER)
+    .map((part, index) => (index % 2 === 1 ? `{${part}}` : part.replace(/[a-zA-Z]/g, c => ACCENTED[c])))
+    .join('');
+  const padding = '~'.repeat(Math.ceil(message.length * 0.3));
+  return `[${accented}${padding}]`;
+};
+
+export const pseudoLocalize = (catalog) =>
+  typeof catalog === 'string'
+    ? pseudoLocalizeString(catalog)
+    : Object.fromEntries(Object.entries(catalog).map(([key, value]) => [key, pseudoLocalize(value)]));
+
+// First supported locale matching the browser's preferred languages
+export const matchLocale = (preferred, supported, fallback) => {
+  for (const language of preferred) {
+    const exact = supported.find(code => code.toLowerCase() === language.toLowerCase());
+    if (exact) {
+      return exact;
+    }
+    const base = supported.find(code => code === language.split('-')[0]);
+    if (base) {
+      return base;
+    }
+  }
+  return fallback;
+};
@@ -0,0 +1,18 @@
+// Decode the payload of a JWT without verifying it. The server remains the
+// source of truth; this is only used to schedule refreshes.
+export const decodeJwt = (token) => {
+  try {
+    const payload = token.split('.')[1];
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=');
+    return JSON.parse(atob(padded));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Expiry time of the token in milliseconds, or null if it has no exp claim
+export const getTokenExpiry = (token) => {
+  const payload = token ? decodeJwt(token) : null;
+  return payload && typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+};
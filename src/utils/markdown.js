@@ -0,0 +1,19 @@
+import { marked } from 'marked';
+import hljs from 'highlight.js/lib/common';
+import DOMPurify from 'dompurify';
+import 'highlight.js/styles/github.css';
+
+marked.setOptions({
+  gfm: true,
+  breaks: true,
+  highlight: (code, language) => {
+    if (language && hljs.getLanguage(language)) {
+      return hljs.highlight(code, { language }).value;
+    }
+    return hljs.highlightAuto(code).value;
+  },
+  langPrefix: 'hljs language-'
+});
+
+// Render user-written Markdown to sanitized HTML
+export const renderMarkdown = (text) => DOMPurify.sanitize(marked.parse(text || ''));
@@ -0,0 +1,49 @@
+// Timed mock interviews: drawing problems, timing them and summarising the session
+
+export const OUTCOMES = [
+  { key: 'solved', labelKey: 'interview.outcomes.solved' },
+  { key: 'partial', labelKey: 'interview.outcomes.partial' },
+  { key: 'skipped', labelKey: 'interview.outcomes.skipped' }
+];
+
+export const DEFAULT_SETTINGS = {
+  count: 3,
+  minutesPerProblem: 30,
+  difficulty: '',
+  tag: '',
+  excludeCompleted: true
+};
+
+export const matchInterviewProblems = (problems, { difficulty, tag, excludeCompleted }) =>
+  problems.filter(problem =>
+    (!difficulty || problem.difficulty === difficulty) &&
+    (!tag || (problem.tags || []).includes(tag)) &&
+    (!excludeCompleted || !problem.completed)
+  );
+
+// Draw up to `count` random problems matching the chosen filters
+export const drawProblems = (problems, settings, random = Math.random) => {
+  const pool = matchInterviewProblems(problems, settings);
+
+  // Fisher-Yates shuffle, stopping once enough problems have been picked
+  const picked = [...pool];
+  const size = Math.min(settings.count, picked.length);
+  for (let i = 0; i < size; i += 1) {
+    const j = i + Math.floor(random() * (picked.length - i));
+    [picked[i], picked[j]] = [picked[j], picked[i]];
+  }
+  return picked.slice(0, size);
+};
+
+export const summarizeSession = (session) => {
+  const counts = OUTCOMES.reduce((result, { key }) => ({ ...result, [key]: 0 }), {});
+  session.problems.forEach(problem => {
+    counts[problem.outcome] = (counts[problem.outcome] || 0) + 1;
+  });
+
+  return {
+    counts,
+    totalTime: session.problems.reduce((total, problem) => total + problem.timeSpent, 0),
+    overTime: session.problems.filter(problem => problem.timeSpent > problem.timeLimit).length
+  };
+};
@@ -0,0 +1,29 @@
+// Password requirements for new passwords (sign-up, reset and change). The
+// mock API applies the same rules; sign-in accepts whatever was set before.
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+// `required` rules must all pass; the rest only raise the strength score
+export const PASSWORD_RULES = [
+  { key: 'length', required: true, test: (password) => password.length >= MIN_PASSWORD_LENGTH },
+  { key: 'case', required: true, test: (password) => /[a-z]/.test(password) && /[A-Z]/.test(password) },
+  { key: 'number', required: true, test: (password) => /\d/.test(password) },
+  { key: 'symbol', required: false, test: (password) => /[^A-Za-z0-9]/.test(password) },
+  { key: 'long', required: false, test: (password) => password.length >= 12 }
+];
+
+export const STRENGTH_LEVELS = ['weak', 'fair', 'good', 'strong'];
+
+// Which rules pass, whether the password is acceptable, and a strength level
+export const checkPassword = (password = '') => {
+  const rules = PASSWORD_RULES.map(({ key, required, test }) => ({ key, required, met: test(password) }));
+  const isValid = rules.every(rule => !rule.required || rule.met);
+  const score = rules.filter(rule => rule.met).length;
+
+  let strength = 'weak';
+  if (isValid) {
+    strength = STRENGTH_LEVELS[Math.min(score - 2, STRENGTH_LEVELS.length - 1)];
+  }
+
+  return { rules, isValid, score, strength };
+};
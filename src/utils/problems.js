@@ -0,0 +1,116 @@
+import { getStatus, countByStatus } from './progressStatus';
+
+// Helpers for working with problems across every loaded topic
+
+export const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+export const PLATFORMS = [
+  { key: 'leetcode', label: 'LeetCode' },
+  { key: 'codeforces', label: 'Codeforces' },
+  { key: 'youtube', label: 'YouTube' },
+  { key: 'article', label: 'Article' }
+];
+
+// Labels are locale catalog keys
+export const SORT_OPTIONS = [
+  { key: 'topic', labelKey: 'search.sort.topic' },
+  { key: 'title', labelKey: 'search.sort.title' },
+  { key: 'difficulty', labelKey: 'search.sort.difficulty' },
+  { key: 'status', labelKey: 'search.sort.status' }
+];
+
+// Attach completion state, status, confidence and notes from progress records to each problem
+export const mergeProgress = (topics, progress) => {
+  const progressByProblem = new Map();
+  progress.forEach(record => {
+    if (record.problemId) {
+      progressByProblem.set(record.problemId._id, record);
+    }
+  });
+
+  return topics.map(topic => ({
+    ...topic,
+    problems: (topic.problems || []).map(problem => {
+      const record = progressByProblem.get(problem._id);
+      return {
+        ...problem,
+        completed: Boolean(record && record.completed),
+        status: getStatus(record),
+        confidence: (record && record.confidence) || null,
+        notes: (record && record.notes) || '',
+        attempts: (record && record.attempts) || []
+      };
+    })
+  }));
+};
+
+// Flatten topics into a single list, keeping a reference to each problem's topic
+export const flattenProblems = (topics) =>
+  topics.flatMap((topic, topicIndex) =>
+    (topic.problems || []).map((problem, index) => ({
+      ...problem,
+      topicId: topic._id,
+      topicTitle: topic.title,
+      order: topicIndex * 10000 + index
+    }))
+  );
+
+export const collectTags = (problems) =>
+  [...new Set(problems.flatMap(problem => problem.tags || []))].sort((a, b) => a.localeCompare(b));
+
+const matchesQuery = (problem, query) => {
+  if (!query) {
+    return true;
+  }
+
+  const needle = query.trim().toLowerCase();
+  const haystack = [problem.title, problem.description, problem.notes, ...(problem.tags || [])]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+
+  return haystack.includes(needle);
+};
+
+// 'completed' and 'pending' group statuses; anything else is a single status
+const matchesStatus = (problem, status) => {
+  if (!status) {
+    return true;
+  }
+  if (status === 'completed' || status === 'pending') {
+    return (status === 'completed') === Boolean(problem.completed);
+  }
+  return problem.status === status;
+};
+
+export const filterProblems = (problems, { q, difficulty, status, tag, platform }) =>
+  problems.filter(problem =>
+    matchesQuery(problem, q) &&
+    (!difficulty || problem.difficulty === difficulty) &&
+    matchesStatus(problem, status) &&
+    (!tag || (problem.tags || []).includes(tag)) &&
+    (!platform || Boolean(problem.links && problem.links[platform]))
+  );
+
+const comparators = {
+  topic: (a, b) => a.order - b.order,
+  title: (a, b) => a.title.localeCompare(b.title),
+  difficulty: (a, b) => DIFFICULTIES.indexOf(a.difficulty) - DIFFICULTIES.indexOf(b.difficulty) || a.order - b.order,
+  status: (a, b) => Number(a.completed) - Number(b.completed) || a.order - b.order
+};
+
+export const sortProblems = (problems, sort) =>
+  [...problems].sort(comparators[sort] || comparators.topic);
+
+// Completed count, percentage and per-status counts for a group of problems,
+// such as a topic or study list
+export const summarizeProgress = (problems = []) => {
+  const total = problems.length;
+  const completed = problems.filter(problem => problem.completed).length;
+  return {
+    total,
+    completed,
+    percentage: total > 0 ? Math.round((completed / total) * 100) : 0,
+    byStatus: countByStatus(problems)
+  };
+};
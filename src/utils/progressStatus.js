@@ -0,0 +1,49 @@
+// Status and confidence for a problem, on top of the original completed flag.
+// Status names live in the locale catalogs under status.names.
+
+export const STATUSES = [
+  { key: 'not_started', labelKey: 'status.names.not_started', color: 'bg-gray-300 dark:bg-gray-600' },
+  { key: 'attempted', labelKey: 'status.names.attempted', color: 'bg-warning-400' },
+  { key: 'solved', labelKey: 'status.names.solved', color: 'bg-success-600' },
+  { key: 'solved_with_hints', labelKey: 'status.names.solved_with_hints', color: 'bg-primary-500' },
+  { key: 'needs_revision', labelKey: 'status.names.needs_revision', color: 'bg-danger-500' }
+];
+
+// Statuses that count as done for progress totals. A problem that needs
+// revision was still solved once.
+export const COMPLETED_STATUSES = ['solved', 'solved_with_hints', 'needs_revision'];
+
+export const CONFIDENCE_LEVELS = [1, 2, 3, 4, 5];
+
+export const isCompletedStatus = (status) => COMPLETED_STATUSES.includes(status);
+
+// Records saved before statuses existed only have the completed flag
+export const getStatus = (record) => {
+  if (!record) {
+    return 'not_started';
+  }
+  if (record.status) {
+    return record.status;
+  }
+  return record.completed ? 'solved' : 'not_started';
+};
+
+const findStatus = (status) => STATUSES.find(s => s.key === status) || STATUSES[0];
+
+// Catalog key for the status name, to be rendered with t()
+export const getStatusLabel = (status) => findStatus(status).labelKey;
+
+export const getStatusColor = (status) => findStatus(status).color;
+
+// Changes for a new status, keeping the completed flag in step with it
+export const statusChanges = (status) => ({ status, completed: isCompletedStatus(status) });
+
+// Number of problems in each status, in STATUSES order
+export const countByStatus = (problems) => {
+  const counts = STATUSES.reduce((result, { key }) => ({ ...result, [key]: 0 }), {});
+  problems.forEach(problem => {
+    const status = getStatus(problem);
+    counts[status] = (counts[status] || 0) + 1;
+  });
+  return counts;
+};
@@ -0,0 +1,334 @@
+import { reviewProblemId } from './revision';
+import { STATUSES, CONFIDENCE_LEVELS, getStatus, isCompletedStatus } from './progressStatus';
+
+// Export and import of personal progress as JSON or CSV
+
+export const EXPORT_VERSION = 1;
+
+const CSV_COLUMNS = [
+  'problemId',
+  'title',
+  'topic',
+  'difficulty',
+  'leetcode',
+  'completed',
+  'status',
+  'confidence',
+  'completedAt',
+  'updatedAt',
+  'notes',
+  'attempts',
+  'reviewInterval',
+  'reviewEaseFactor',
+  'reviewDueDate'
+];
+
+// One row per problem, combining the sheet with the user's progress and reviews
+export const buildExportRows = (topics, progress, reviews = []) => {
+  const progressByProblem = new Map(
+    progress.filter(record => record.problemId).map(record => [record.problemId._id, record])
+  );
+  const reviewsByProblem = new Map(reviews.map(review => [reviewProblemId(review), review]));
+
+  return topics.flatMap(topic =>
+    (topic.problems || []).map(problem => {
+      const record = progressByProblem.get(problem._id) || {};
+      const review = reviewsByProblem.get(problem._id);
+
+      return {
+        problemId: problem._id,
+        title: problem.title,
+        topic: topic.title,
+        difficulty: problem.difficulty,
+        leetcode: (problem.links && problem.links.leetcode) || '',
+        completed: Boolean(record.completed),
+        status: getStatus(record),
+        confidence: record.confidence || null,
+        completedAt: record.completedAt || '',
+        updatedAt: record.updatedAt || '',
+        notes: record.notes || '',
+        attempts: (record.attempts || []).map(({ startedAt, endedAt, duration, completed }) => ({
+          startedAt,
+          endedAt,
+          duration,
+          completed: Boolean(completed)
+        })),
+        review: review
+          ? { interval: review.interval, easeFactor: review.easeFactor, dueDate: review.dueDate }
+          : null
+      };
+    })
+  );
+};
+
+export const toJSON = (rows) =>
+  JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), problems: rows }, null, 2);
+
+const escapeCSV = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSV = (rows) => {
+  const lines = rows.map(row => {
+    const flat = {
+      ...row,
+      attempts: row.attempts.length > 0 ? JSON.stringify(row.attempts) : '',
+      reviewInterval: row.review ? row.review.interval : '',
+      reviewEaseFactor: row.review ? row.review.easeFactor : '',
+      reviewDueDate: row.review ? row.review.dueDate : ''
+    };
+    return CSV_COLUMNS.map(column => escapeCSV(flat[column])).join(',');
+  });
+  return [CSV_COLUMNS.join(','), ...lines].join('\r\n');
+};
+
+// RFC 4180 parser: quoted fields may contain commas, quotes and newlines
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(cells => cells.some(cell => cell.trim()));
+  const columns = header.map(column => column.trim());
+
+  return body.map(cells =>
+    columns.reduce((record, column, index) => ({ ...record, [column]: cells[index] || '' }), {})
+  );
+};
+
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = String(value || '').trim().toLowerCase();
+  if (['true', 'yes', 'y', '1', 'x', 'done', 'completed'].includes(text)) {
+    return true;
+  }
+  if (['false', 'no', 'n', '0', 'todo'].includes(text)) {
+    return false;
+  }
+  return null;
+};
+
+const parseDate = (value) => {
+  const text = typeof value === 'string' ? value.trim() : '';
+  return text && !Number.isNaN(Date.parse(text)) ? new Date(text).toISOString() : null;
+};
+
+const parseNumber = (value) => {
+  const text = value === null || value === undefined ? '' : String(value).trim();
+  return text && Number.isFinite(Number(text)) ? Number(text) : null;
+};
+
+const parseStatus = (value) => {
+  const text = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return STATUSES.some(status => status.key === text) ? text : null;
+};
+
+const parseConfidence = (value) => {
+  const level = parseNumber(value);
+  return CONFIDENCE_LEVELS.includes(level) ? level : null;
+};
+
+// Timed attempts are a list in JSON exports and a JSON string in a CSV
+// column. Entries that cannot be read are skipped.
+const parseAttempts = (value) => {
+  let attempts = value;
+  if (typeof value === 'string') {
+    try {
+      attempts = value.trim() ? JSON.parse(value) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+  if (!Array.isArray(attempts)) {
+    return [];
+  }
+  return attempts
+    .filter(attempt => attempt && typeof attempt === 'object')
+    .map(attempt => ({
+      startedAt: parseDate(attempt.startedAt),
+      endedAt: parseDate(attempt.endedAt),
+      duration: parseNumber(attempt.duration),
+      completed: parseBoolean(attempt.completed) === true
+    }))
+    .filter(attempt => attempt.startedAt && attempt.endedAt && attempt.duration !== null && attempt.duration >= 0);
+};
+
+// JSON exports nest the review schedule; CSV exports flatten it into columns
+const parseReview = (row) => {
+  const source = row.review && typeof row.review === 'object'
+    ? row.review
+    : { interval: row.reviewInterval, easeFactor: row.reviewEaseFactor, dueDate: row.reviewDueDate };
+  const review = {
+    interval: parseNumber(source.interval),
+    easeFactor: parseNumber(source.easeFactor),
+    dueDate: parseDate(source.dueDate)
+  };
+  return Object.values(review).every(value => value !== null) ? review : null;
+};
+
+// Accepts our own JSON export, a bare array of rows, or CSV
+export const parseImportFile = (text, fileName = '') => {
+  const trimmed = text.trim();
+  const isJSON = fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('{') || trimmed.startsWith('[');
+
+  let rows;
+  if (isJSON) {
+    const data = JSON.parse(trimmed);
+    rows = Array.isArray(data) ? data : data.problems;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON file must contain a list of problems');
+    }
+  } else {
+    rows = parseCSV(text);
+  }
+
+  return rows.map(row => ({
+    problemId: row.problemId || row.id || '',
+    title: (row.title || '').trim(),
+    leetcode: (row.leetcode || row.url || '').trim(),
+    completed: parseBoolean(row.completed),
+    status: parseStatus(row.status),
+    confidence: parseConfidence(row.confidence),
+    completedAt: parseDate(row.completedAt),
+    // Blank notes leave existing notes alone rather than wiping them
+    notes: typeof row.notes === 'string' && row.notes.trim() ? row.notes : null,
+    attempts: parseAttempts(row.attempts),
+    review: parseReview(row)
+  }));
+};
+
+const normalizeUrl = (url) => url.trim().toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/\/+$/, '');
+
+// Match rows by id first, then LeetCode URL, then exact title
+export const matchRows = (rows, problems) => {
+  const byId = new Map(problems.map(problem => [problem._id, problem]));
+  const byUrl = new Map(
+    problems
+      .filter(problem => problem.links && problem.links.leetcode)
+      .map(problem => [normalizeUrl(problem.links.leetcode), problem])
+  );
+  const byTitle = new Map(problems.map(problem => [problem.title, problem]));
+
+  return rows.map(row => ({
+    row,
+    problem:
+      byId.get(row.problemId) ||
+      (row.leetcode && byUrl.get(normalizeUrl(row.leetcode))) ||
+      (row.title && byTitle.get(row.title)) ||
+      null
+  }));
+};
+
+// The same attempt exported twice starts at the same moment and lasts as long
+const sameAttempt = (a, b) => Date.parse(a.startedAt) === Date.parse(b.startedAt) && a.duration === b.duration;
+
+const sameReview = (a, b) =>
+  Boolean(a && b) &&
+  a.interval === b.interval &&
+  a.easeFactor === b.easeFactor &&
+  Date.parse(a.dueDate) === Date.parse(b.dueDate);
+
+// The status a row asks for. Files from other trackers only say whether a
+// problem is done, which keeps the current status when it already agrees.
+const importedStatus = (row, currentStatus) => {
+  if (row.status) {
+    return row.status;
+  }
+  if (row.completed === null || row.completed === isCompletedStatus(currentStatus)) {
+    return currentStatus;
+  }
+  return row.completed ? 'solved' : 'not_started';
+};
+
+// Dry run: what would change if the matched rows were applied. Completions
+// keep the date from the file so history and charts stay accurate.
+export const diffImport = (matches, reviews = []) => {
+  const changes = [];
+  const unmatched = [];
+  const seen = new Set();
+  const reviewsByProblem = new Map(reviews.map(review => [reviewProblemId(review), review]));
+
+  matches.forEach(({ row, problem }) => {
+    if (!problem) {
+      unmatched.push(row);
+      return;
+    }
+    if (seen.has(problem._id)) {
+      return;
+    }
+    seen.add(problem._id);
+
+    const change = { problem, status: null, completed: null, confidence: null, notes: null, attempts: null, review: null };
+    const currentStatus = getStatus(problem);
+    const status = importedStatus(row, currentStatus);
+    if (status !== currentStatus) {
+      change.status = { from: currentStatus, to: status };
+    }
+    if (isCompletedStatus(status) !== Boolean(problem.completed)) {
+      change.completed = {
+        from: Boolean(problem.completed),
+        to: isCompletedStatus(status),
+        at: isCompletedStatus(status) ? row.completedAt : null
+      };
+    }
+    if (row.confidence !== null && row.confidence !== (problem.confidence || null)) {
+      change.confidence = { from: problem.confidence || null, to: row.confidence };
+    }
+    if (row.notes !== null && row.notes !== (problem.notes || '')) {
+      change.notes = { from: problem.notes || '', to: row.notes };
+    }
+    // Attempts are only ever added; ones already recorded are skipped
+    const newAttempts = row.attempts.filter(attempt => !(problem.attempts || []).some(existing => sameAttempt(attempt, existing)));
+    if (newAttempts.length > 0) {
+      change.attempts = { add: newAttempts };
+    }
+    const review = reviewsByProblem.get(problem._id) || null;
+    if (row.review && !sameReview(row.review, review)) {
+      change.review = { from: review, to: row.review };
+    }
+    if (change.status || change.completed || change.confidence || change.notes || change.attempts || change.review) {
+      changes.push(change);
+    }
+  });
+
+  return { changes, unmatched };
+};
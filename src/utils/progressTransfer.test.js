@@ -0,0 +1,97 @@
+import { buildExportRows, toJSON, toCSV, parseImportFile, matchRows, diffImport } from './progressTransfer';
+
+const topics = [
+  {
+    _id: 't1',
+    title: 'Arrays',
+    problems: [
+      { _id: 'p1', title: 'Two Sum', difficulty: 'Easy', links: { leetcode: 'https://leetcode.com/problems/two-sum/' } },
+      { _id: 'p2', title: 'Trapping Rain Water', difficulty: 'Hard', links: {} }
+    ]
+  }
+];
+
+const progress = [{
+  problemId: { _id: 'p1' },
+  completed: true,
+  status: 'solved_with_hints',
+  confidence: 4,
+  completedAt: '2024-01-05T09:30:00.000Z',
+  updatedAt: '2024-01-05T09:30:00.000Z',
+  notes: 'Hash map, one pass',
+  attempts: [{ startedAt: '2024-01-05T09:00:00.000Z', endedAt: '2024-01-05T09:30:00.000Z', duration: 1800, completed: true }]
+}];
+
+const reviews = [{ problemId: 'p1', interval: 6, easeFactor: 2.6, dueDate: '2024-01-11T09:30:00.000Z' }];
+
+const rows = buildExportRows(topics, progress, reviews);
+
+// Problems as the import page sees them: nothing completed yet
+const freshProblems = topics[0].problems.map(problem => ({ ...problem, completed: false, notes: '' }));
+
+test.each([
+  ['JSON', () => parseImportFile(toJSON(rows), 'backup.json')],
+  ['CSV', () => parseImportFile(toCSV(rows), 'backup.csv')]
+])('reads completion dates and review schedules back from a %s export', (format, parse) => {
+  const [twoSum, rainWater] = parse();
+
+  expect(twoSum).toMatchObject({
+    problemId: 'p1',
+    completed: true,
+    status: 'solved_with_hints',
+    confidence: 4,
+    completedAt: '2024-01-05T09:30:00.000Z',
+    attempts: progress[0].attempts,
+    review: { interval: 6, easeFactor: 2.6, dueDate: '2024-01-11T09:30:00.000Z' }
+  });
+  expect(rainWater).toMatchObject({ completed: false, status: 'not_started', confidence: null, completedAt: null, attempts: [], review: null });
+});
+
+test('ignores completion dates, review schedules and attempts that cannot be read', () => {
+  const [row] = parseImportFile(JSON.stringify([{
+    problemId: 'p1',
+    completed: true,
+    completedAt: 'last week',
+    review: { interval: 'soon', easeFactor: 2.5, dueDate: '2024-01-11' },
+    attempts: [{ startedAt: '2024-01-05T09:00:00.000Z', duration: 60 }, 'quick']
+  }]));
+
+  expect(row.completedAt).toBeNull();
+  expect(row.review).toBeNull();
+  expect(row.attempts).toEqual([]);
+});
+
+test('carries the original completion date and review into the dry run', () => {
+  const { changes } = diffImport(matchRows(parseImportFile(toJSON(rows)), freshProblems));
+
+  expect(changes).toHaveLength(1);
+  expect(changes[0].status).toEqual({ from: 'not_started', to: 'solved_with_hints' });
+  expect(changes[0].completed).toEqual({ from: false, to: true, at: '2024-01-05T09:30:00.000Z' });
+  expect(changes[0].confidence).toEqual({ from: null, to: 4 });
+  expect(changes[0].attempts).toEqual({ add: progress[0].attempts });
+  expect(changes[0].review).toEqual({ from: null, to: { interval: 6, easeFactor: 2.6, dueDate: '2024-01-11T09:30:00.000Z' } });
+});
+
+test('leaves review schedules and attempts alone when they already match', () => {
+  const problems = freshProblems.map(problem => (problem._id === 'p1'
+    ? { ...problem, completed: true, status: 'solved_with_hints', confidence: 4, notes: 'Hash map, one pass', attempts: progress[0].attempts }
+    : problem));
+  const { changes } = diffImport(matchRows(parseImportFile(toCSV(rows), 'backup.csv'), problems), reviews);
+
+  expect(changes).toEqual([]);
+});
+
+test('keeps a status that already agrees with a bare completed flag', () => {
+  const problems = [{ _id: 'p1', title: 'Two Sum', completed: true, status: 'needs_revision', notes: '' }];
+  const { changes } = diffImport(matchRows(parseImportFile('title,completed\r\nTwo Sum,yes', 'other.csv'), problems));
+
+  expect(changes).toEqual([]);
+});
+
+test('imports a status that is not done as not completed', () => {
+  const problems = [{ _id: 'p1', title: 'Two Sum', completed: true, status: 'solved', notes: '' }];
+  const { changes } = diffImport(matchRows(parseImportFile(JSON.stringify([{ problemId: 'p1', completed: true, status: 'attempted' }])), problems));
+
+  expect(changes[0].status).toEqual({ from: 'solved', to: 'attempted' });
+  expect(changes[0].completed).toEqual({ from: true, to: false, at: null });
+});
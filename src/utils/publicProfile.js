@@ -0,0 +1,31 @@
+// Handles name a user's public profile at /u/:handle. The mock API applies
+// the same rules.
+export const HANDLE_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,28}[a-z0-9])$/;
+
+export const normalizeHandle = (handle = '') => handle.trim().toLowerCase();
+
+export const isValidHandle = (handle) => HANDLE_PATTERN.test(normalizeHandle(handle));
+
+// The handle as it appears in URLs, in the form the API looks it up by
+const handlePath = (handle) => encodeURIComponent(normalizeHandle(handle));
+
+export const getProfileUrl = (handle) => `${window.location.origin}/u/${handlePath(handle)}`;
+
+// The card is served by the API so it can be embedded anywhere images are allowed
+export const getProgressCardUrl = (handle) =>
+  `${process.env.REACT_APP_API_URL || window.location.origin}/profiles/${handlePath(handle)}/card.svg`;
+
+// Markdown for a README: the card, linking back to the profile
+export const getCardMarkdown = (handle) =>
+  `[![DSA Sheet progress](${getProgressCardUrl(handle)})](${getProfileUrl(handle)})`;
+
+const percent = (completed, total) => (total > 0 ? Math.round((completed / total) * 100) : 0);
+
+// Adds percentages to the counts the API returns for a public profile. A
+// sheet without topics yet comes back without the breakdowns.
+export const summarizeProfile = ({ topics = [], difficulties = [], ...profile }) => ({
+  ...profile,
+  percentage: percent(profile.completed, profile.total),
+  topics: topics.map(topic => ({ ...topic, percentage: percent(topic.completed, topic.total) })),
+  difficulties: difficulties.map(entry => ({ ...entry, percentage: percent(entry.completed, entry.total) }))
+});
@@ -0,0 +1,46 @@
+import { apiUrl } from '../mocks/handlers';
+import { isValidHandle, normalizeHandle, summarizeProfile, getCardMarkdown, getProgressCardUrl } from './publicProfile';
+
+test('accepts short lowercase handles with inner hyphens', () => {
+  expect(isValidHandle('ada')).toBe(true);
+  expect(isValidHandle('ada-lovelace-99')).toBe(true);
+  expect(isValidHandle(' Ada-L ')).toBe(true);
+  expect(normalizeHandle(' Ada-L ')).toBe('ada-l');
+
+  expect(isValidHandle('ab')).toBe(false);
+  expect(isValidHandle('-ada')).toBe(false);
+  expect(isValidHandle('ada-')).toBe(false);
+  expect(isValidHandle('ada_l')).toBe(false);
+  expect(isValidHandle('a'.repeat(31))).toBe(false);
+});
+
+test('adds percentages to the profile counts', () => {
+  const profile = summarizeProfile({
+    handle: 'ada',
+    name: 'Ada',
+    completed: 1,
+    total: 3,
+    topics: [{ _id: 't1', title: 'Arrays', completed: 1, total: 2 }, { _id: 't2', title: 'Empty', completed: 0, total: 0 }],
+    difficulties: [{ difficulty: 'Easy', completed: 1, total: 1 }]
+  });
+
+  expect(profile.percentage).toBe(33);
+  expect(profile.topics.map(topic => topic.percentage)).toEqual([50, 0]);
+  expect(profile.difficulties[0].percentage).toBe(100);
+});
+
+test('summarizes a profile that has no topics yet', () => {
+  const profile = summarizeProfile({ handle: 'ada', name: 'Ada', completed: 0, total: 0 });
+
+  expect(profile).toMatchObject({ percentage: 0, topics: [], difficulties: [] });
+});
+
+test('builds README Markdown that links the card to the profile', () => {
+  expect(getCardMarkdown('ada')).toBe(
+    `[![DSA Sheet progress](${apiUrl('/profiles/ada/card.svg')})](http://localhost/u/ada)`
+  );
+  expect(getCardMarkdown(' Ada-L ')).toBe(
+    `[![DSA Sheet progress](${apiUrl('/profiles/ada-l/card.svg')})](http://localhost/u/ada-l)`
+  );
+  expect(getProgressCardUrl('a/b')).toBe(apiUrl('/profiles/a%2Fb/card.svg'));
+});
@@ -0,0 +1,170 @@
+import { DIFFICULTIES, flattenProblems } from './problems';
+
+// Suggests what to solve next from the problems that are still open. Each
+// suggestion is scored on where it sits in the sheet, whether it is the next
+// step up in difficulty within its topic, whether it practises a tag the user
+// struggles with, and how long ago it was last touched.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const RECOMMENDATION_COUNT = 5;
+
+// Keep one topic from filling the whole card
+const MAX_PER_TOPIC = 2;
+
+// Attempted problems left alone this long are worth picking back up
+const STALE_AFTER_DAYS = 7;
+
+// Statuses and ratings that suggest a tag needs more practice
+const WEAK_STATUSES = ['attempted', 'solved_with_hints', 'needs_revision'];
+const LOW_CONFIDENCE = 2;
+
+// Used to order a suggestion's reasons, most telling first
+const REASON_WEIGHTS = {
+  weakTag: 3,
+  stale: 2,
+  stepUp: 2,
+  nextInTopic: 1,
+  topicOrder: 0
+};
+
+const isWeak = (problem) =>
+  WEAK_STATUSES.includes(problem.status) || (problem.confidence !== null && problem.confidence <= LOW_CONFIDENCE);
+
+// Tags where at least half of the problems the user has touched went badly,
+// weakest first
+export const findWeakTags = (problems) => {
+  const byTag = new Map();
+  problems
+    .filter(problem => problem.status !== 'not_started')
+    .forEach(problem => {
+      (problem.tags || []).forEach(tag => {
+        const entry = byTag.get(tag) || { tag, touched: 0, weak: 0 };
+        entry.touched += 1;
+        entry.weak += Number(isWeak(problem));
+        byTag.set(tag, entry);
+      });
+    });
+
+  return [...byTag.values()]
+    .filter(entry => entry.weak > 0 && entry.weak / entry.touched >= 0.5)
+    .sort((a, b) => b.weak / b.touched - a.weak / a.touched || b.weak - a.weak || a.tag.localeCompare(b.tag))
+    .map(entry => entry.tag);
+};
+
+// Latest save or timed attempt for each problem, in milliseconds
+const lastTouchedByProblem = (progress) => {
+  const touched = new Map();
+  progress.forEach(record => {
+    if (!record.problemId) {
+      return;
+    }
+    const times = [record.updatedAt, ...(record.attempts || []).map(attempt => attempt.endedAt)]
+      .filter(Boolean)
+      .map(date => new Date(date).getTime());
+    if (times.length > 0) {
+      touched.set(record.problemId._id, Math.max(...times));
+    }
+  });
+  return touched;
+};
+
+const reason = (key, params = {}) => ({ key, params });
+
+// Up to `count` open problems with the reasons each was picked, best first.
+// `topics` should already carry progress (see mergeProgress).
+export const recommendProblems = (topics, progress = [], { now = new Date(), count = RECOMMENDATION_COUNT } = {}) => {
+  const problems = flattenProblems(topics);
+  const open = problems.filter(problem => !problem.completed);
+  if (open.length === 0) {
+    return [];
+  }
+
+  const topicIndex = new Map(topics.map((topic, index) => [topic._id, index]));
+  const currentTopic = topicIndex.get(open[0].topicId);
+  const weakTags = findWeakTags(problems);
+  const lastTouched = lastTouchedByProblem(progress);
+
+  // The easiest difficulty still open in each topic, and its first open problem
+  const easiestOpen = new Map();
+  const firstOpen = new Map();
+  open.forEach(problem => {
+    const level = DIFFICULTIES.indexOf(problem.difficulty);
+    if (!easiestOpen.has(problem.topicId) || level < easiestOpen.get(problem.topicId)) {
+      easiestOpen.set(problem.topicId, level);
+    }
+    if (!firstOpen.has(problem.topicId)) {
+      firstOpen.set(problem.topicId, problem._id);
+    }
+  });
+
+  const scored = open.map(problem => {
+    const reasons = [];
+    let score = 0;
+
+    // Stay on the current topic, then move through the sheet in order
+    const distance = topicIndex.get(problem.topicId) - currentTopic;
+    score += Math.max(0, 3 - distance);
+
+    // Work up from Easy to Hard within a topic
+    const level = DIFFICULTIES.indexOf(problem.difficulty);
+    const gap = level - easiestOpen.get(problem.topicId);
+    score -= gap * 2;
+    const clearedEasier = gap === 0 && problems.some(p =>
+      p.topicId === problem.topicId && DIFFICULTIES.indexOf(p.difficulty) < level
+    );
+    if (clearedEasier) {
+      score += 1;
+      reasons.push(reason('stepUp', { topic: problem.topicTitle, difficulty: problem.difficulty }));
+    } else if (firstOpen.get(problem.topicId) === problem._id) {
+      reasons.push(reason('nextInTopic', { topic: problem.topicTitle }));
+    }
+
+    const matchedTags = weakTags.filter(tag => (problem.tags || []).includes(tag));
+    if (matchedTags.length > 0) {
+      score += 2 * Math.min(matchedTags.length, 2);
+      reasons.push(reason('weakTag', { tag: matchedTags[0] }));
+    }
+
+    // Pick stale attempts back up, and let anything touched today rest
+    const touchedAt = lastTouched.get(problem._id);
+    if (touchedAt) {
+      const days = Math.floor((now.getTime() - touchedAt) / DAY);
+      if (problem.status === 'attempted' && days >= STALE_AFTER_DAYS) {
+        score += 2;
+        reasons.push(reason('stale', { count: days }));
+      } else if (days < 1) {
+        score -= 2;
+      }
+    }
+
+    if (reasons.length === 0) {
+      reasons.push(reason('topicOrder', { topic: problem.topicTitle }));
+    }
+    reasons.sort((a, b) => REASON_WEIGHTS[b.key] - REASON_WEIGHTS[a.key]);
+
+    return { problem, score, reasons };
+  });
+
+  const byScore = (a, b) => b.score - a.score || a.problem.order - b.problem.order;
+  scored.sort(byScore);
+
+  const picked = [];
+  const perTopic = new Map();
+  scored.forEach(entry => {
+    const topicCount = perTopic.get(entry.problem.topicId) || 0;
+    if (picked.length < count && topicCount < MAX_PER_TOPIC) {
+      picked.push(entry);
+      perTopic.set(entry.problem.topicId, topicCount + 1);
+    }
+  });
+
+  // Fall back to more from the same topics if the sheet has few topics left
+  scored.forEach(entry => {
+    if (picked.length < count && !picked.includes(entry)) {
+      picked.push(entry);
+    }
+  });
+
+  return picked.sort(byScore);
+};
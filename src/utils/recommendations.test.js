@@ -0,0 +1,91 @@
+import { findWeakTags, recommendProblems } from './recommendations';
+import { mergeProgress } from './problems';
+
+const NOW = new Date('2024-03-20T12:00:00Z');
+
+const problem = (_id, difficulty, tags = []) => ({ _id, title: `Problem ${_id}`, difficulty, tags });
+
+const topics = [
+  {
+    _id: 'arrays',
+    title: 'Arrays',
+    problems: [problem('a1', 'Easy', ['array']), problem('a2', 'Easy', ['array']), problem('a3', 'Medium', ['array', 'two-pointers']), problem('a4', 'Hard', ['array'])]
+  },
+  {
+    _id: 'graphs',
+    title: 'Graphs',
+    problems: [problem('g1', 'Easy', ['bfs']), problem('g2', 'Medium', ['dfs']), problem('g3', 'Hard', ['bfs'])]
+  },
+  {
+    _id: 'dp',
+    title: 'Dynamic Programming',
+    problems: [problem('d1', 'Medium', ['dp'])]
+  }
+];
+
+const record = (problemId, changes) => ({
+  problemId: { _id: problemId },
+  completed: false,
+  status: 'not_started',
+  confidence: null,
+  attempts: [],
+  updatedAt: '2024-01-01T00:00:00Z',
+  ...changes
+});
+
+const solved = (problemId, changes) => record(problemId, { completed: true, status: 'solved', ...changes });
+
+const recommend = (progress, options) =>
+  recommendProblems(mergeProgress(topics, progress), progress, { now: NOW, ...options });
+
+const ids = (recommendations) => recommendations.map(({ problem }) => problem._id);
+
+test('starts at the top of the sheet, easiest first, and spreads across topics', () => {
+  const recommendations = recommend([]);
+  expect(ids(recommendations)).toEqual(['a1', 'a2', 'g1', 'd1', 'g2']);
+  expect(recommendations[0].reasons).toEqual([{ key: 'nextInTopic', params: { topic: 'Arrays' } }]);
+  expect(recommendations[1].reasons).toEqual([{ key: 'topicOrder', params: { topic: 'Arrays' } }]);
+});
+
+test('steps up a difficulty once the easier problems in a topic are done', () => {
+  const recommendations = recommend([solved('a1'), solved('a2')], { count: 3 });
+  expect(recommendations[0].problem._id).toBe('a3');
+  expect(recommendations[0].reasons).toEqual([{ key: 'stepUp', params: { topic: 'Arrays', difficulty: 'Medium' } }]);
+});
+
+test('finds tags where most touched problems went badly', () => {
+  const problems = mergeProgress(topics, [
+    solved('a1', { status: 'solved_with_hints' }),
+    solved('a2'),
+    solved('g1', { confidence: 1 }),
+    record('g2', { status: 'attempted' })
+  ]).flatMap(topic => topic.problems);
+
+  expect(findWeakTags(problems)).toEqual(['bfs', 'dfs', 'array']);
+});
+
+test('favours problems on weak tags', () => {
+  const recommendations = recommend([solved('a1'), solved('a2'), solved('g1', { status: 'needs_revision' })]);
+  const hardGraph = recommendations.find(({ problem }) => problem._id === 'g3');
+  expect(hardGraph.reasons[0]).toEqual({ key: 'weakTag', params: { tag: 'bfs' } });
+  expect(ids(recommendations).indexOf('g3')).toBeLessThan(ids(recommendations).indexOf('a4'));
+});
+
+test('brings back stale attempts', () => {
+  const recommendations = recommend([record('a2', { status: 'attempted', updatedAt: '2024-03-06T09:00:00Z' })]);
+
+  expect(recommendations[0].problem._id).toBe('a2');
+  expect(recommendations[0].reasons).toContainEqual({ key: 'stale', params: { count: 14 } });
+});
+
+test('lets problems touched today rest', () => {
+  const scoreOf = (updatedAt) => recommend([record('a1', { updatedAt })])
+    .find(({ problem }) => problem._id === 'a1').score;
+
+  expect(scoreOf('2024-03-20T09:00:00Z')).toBe(scoreOf('2024-03-17T09:00:00Z') - 2);
+});
+
+test('returns nothing once every problem is complete', () => {
+  const everything = topics.flatMap(topic => topic.problems).map(p => solved(p._id));
+  expect(recommend(everything)).toEqual([]);
+});
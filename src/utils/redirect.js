@@ -0,0 +1,23 @@
+const DEFAULT_REDIRECT = '/dashboard';
+
+export const locationToPath = ({ pathname = '', search = '', hash = '' }) => `${pathname}${search}${hash}`;
+
+// Resolve where to send the user after signing in. Only same-origin, in-app
+// paths are accepted so a crafted link cannot redirect to another site.
+export const getSafeRedirect = (from, fallback = DEFAULT_REDIRECT) => {
+  const path = from && typeof from === 'object' ? locationToPath(from) : from;
+
+  if (typeof path !== 'string' || !path.startsWith('/') || path.startsWith('//') || path.startsWith('/\\')) {
+    return fallback;
+  }
+
+  try {
+    const url = new URL(path, window.location.origin);
+    if (url.origin !== window.location.origin || url.pathname === '/login') {
+      return fallback;
+    }
+    return locationToPath(url);
+  } catch (error) {
+    return fallback;
+  }
+};
@@ -0,0 +1,80 @@
+// SM-2 style spaced repetition for completed problems
+
+// Rating names live in the locale catalogs under revise.ratings
+export const RATINGS = [
+  { key: 'again', labelKey: 'revise.ratings.again', quality: 1 },
+  { key: 'hard', labelKey: 'revise.ratings.hard', quality: 3 },
+  { key: 'good', labelKey: 'revise.ratings.good', quality: 4 },
+  { key: 'easy', labelKey: 'revise.ratings.easy', quality: 5 }
+];
+
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const DAY = 24 * 60 * 60 * 1000;
+
+const endOfDay = (date) => {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+// Compute the next review state for a problem after it has been rated
+export const scheduleReview = (review, ratingKey, now = new Date()) => {
+  const rating = RATINGS.find(r => r.key === ratingKey);
+  if (!rating) {
+    throw new Error(`Unknown rating: ${ratingKey}`);
+  }
+
+  const previous = review || {};
+  const quality = rating.quality;
+  const easeFactor = Math.max(
+    MIN_EASE,
+    (previous.easeFactor || DEFAULT_EASE) + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  let repetitions;
+  let interval;
+
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions = (previous.repetitions || 0) + 1;
+    if (repetitions === 1) {
+      interval = 1;
+    } else if (repetitions === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round((previous.interval || 1) * easeFactor);
+    }
+  }
+
+  return {
+    repetitions,
+    interval,
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    lastReviewedAt: now.toISOString(),
+    dueDate: new Date(now.getTime() + interval * DAY).toISOString()
+  };
+};
+
+// Completed problems that have never been reviewed are due straight away
+export const isDue = (review, now = new Date()) =>
+  !review || !review.dueDate || new Date(review.dueDate) <= endOfDay(now);
+
+// The API may return problemId populated, like progress records
+export const reviewProblemId = (review) =>
+  review.problemId && typeof review.problemId === 'object' ? review.problemId._id : review.problemId;
+
+export const getDueProblems = (problems, reviews, now = new Date()) => {
+  const reviewsByProblem = new Map(reviews.map(review => [reviewProblemId(review), review]));
+
+  return problems
+    .filter(problem => problem.completed && isDue(reviewsByProblem.get(problem._id), now))
+    .map(problem => ({ ...problem, review: reviewsByProblem.get(problem._id) || null }))
+    .sort((a, b) => {
+      const aDue = a.review ? new Date(a.review.dueDate).getTime() : 0;
+      const bDue = b.review ? new Date(b.review.dueDate).getTime() : 0;
+      return aDue - bDue;
+    });
+};
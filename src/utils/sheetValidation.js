@@ -0,0 +1,140 @@
+import { DIFFICULTIES, PLATFORMS } from './problems';
+
+// Validation for topics and problems edited in the admin console. Errors are
+// { key, params } pairs for the locale catalogs; see translateError.
+
+// Hosts each platform link is expected to point at; article links may point anywhere
+const PLATFORM_HOSTS = {
+  youtube: ['youtube.com', 'youtu.be'],
+  leetcode: ['leetcode.com', 'leetcode.cn'],
+  codeforces: ['codeforces.com']
+};
+
+const matchesHost = (hostname, host) => hostname === host || hostname.endsWith(`.${host}`);
+
+// Returns an error, or null when the link is valid or blank
+export const validateLink = (platform, value) => {
+  const text = (value || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(text);
+  } catch (error) {
+    return { key: 'sheet.errors.fullUrl' };
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return { key: 'sheet.errors.protocol' };
+  }
+
+  const hosts = PLATFORM_HOSTS[platform];
+  if (hosts && !hosts.some(host => matchesHost(url.hostname, host))) {
+    return { key: 'sheet.errors.host', params: { host: hosts[0] } };
+  }
+
+  return null;
+};
+
+export const validateTopic = (topic) => {
+  const errors = {};
+  if (!(topic.title || '').trim()) {
+    errors.title = { key: 'sheet.errors.titleRequired' };
+  }
+  return errors;
+};
+
+export const validateProblem = (problem) => {
+  const errors = {};
+  if (!(problem.title || '').trim()) {
+    errors.title = { key: 'sheet.errors.titleRequired' };
+  }
+  if (!DIFFICULTIES.includes(problem.difficulty)) {
+    errors.difficulty = { key: 'sheet.errors.difficulty', params: { options: DIFFICULTIES.join(', ') } };
+  }
+  PLATFORMS.forEach(({ key }) => {
+    const error = validateLink(key, problem.links && problem.links[key]);
+    if (error) {
+      errors[`links.${key}`] = error;
+    }
+  });
+  return errors;
+};
+
+// Tags are edited as a comma separated string
+export const parseTags = (text) =>
+  [...new Set((text || '').split(',').map(tag => tag.trim()).filter(Boolean))];
+
+// Trim fields and drop blank links so the API only receives what was entered
+export const normalizeProblem = (problem) => ({
+  title: (problem.title || '').trim(),
+  description: (problem.description || '').trim(),
+  difficulty: problem.difficulty,
+  tags: Array.isArray(problem.tags) ? parseTags(problem.tags.join(',')) : parseTags(problem.tags),
+  links: PLATFORMS.reduce((links, { key }) => {
+    const link = ((problem.links && problem.links[key]) || '').trim();
+    return link ? { ...links, [key]: link } : links;
+  }, {})
+});
+
+// Bulk upload errors wrap a field error as `detail`, which is passed in as {message}
+export const translateError = (t, error) =>
+  t(error.key, error.detail ? { ...error.params, message: translateError(t, error.detail) } : error.params);
+
+const describeErrors = (errors, key, params) =>
+  Object.entries(errors).map(([field, detail]) => ({ key, params: { ...params, field }, detail }));
+
+// Parse a bulk upload: a list of topics, each with a list of problems, either
+// bare or wrapped as { topics: [...] }. Nothing is uploaded if any entry is invalid.
+export const parseBulkTopics = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { topics: [], errors: [{ key: 'sheet.errors.invalidJson' }] };
+  }
+
+  const list = Array.isArray(data) ? data : data && data.topics;
+  if (!Array.isArray(list) || list.length === 0) {
+    return { topics: [], errors: [{ key: 'sheet.errors.emptyList' }] };
+  }
+
+  const errors = [];
+  const topics = list.map((topic, topicIndex) => {
+    const params = { topic: topicIndex + 1 };
+    if (!topic || typeof topic !== 'object') {
+      errors.push({ key: 'sheet.errors.topicObject', params });
+      return null;
+    }
+
+    errors.push(...describeErrors(validateTopic(topic), 'sheet.errors.topicField', params));
+
+    const problems = topic.problems || [];
+    if (!Array.isArray(problems)) {
+      errors.push({ key: 'sheet.errors.topicProblems', params });
+      return null;
+    }
+
+    return {
+      title: (topic.title || '').trim(),
+      description: (topic.description || '').trim(),
+      problems: problems.map((problem, problemIndex) => {
+        const problemParams = { ...params, problem: problemIndex + 1 };
+        errors.push(...describeErrors(validateProblem(problem || {}), 'sheet.errors.problemField', problemParams));
+        return normalizeProblem(problem || {});
+      })
+    };
+  });
+
+  return errors.length > 0 ? { topics: [], errors } : { topics, errors };
+};
+
+// Move an item within a list, as when dragging a problem to a new position
+export const moveItem = (items, fromIndex, toIndex) => {
+  const next = [...items];
+  const [item] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, item);
+  return next;
+};
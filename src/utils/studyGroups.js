@@ -0,0 +1,64 @@
+import { countCompletionsByDay, completionsPerWeek } from './analytics';
+
+// Progress figures for study group members, from the completions the API
+// returns for each member who shares their progress
+
+export const WEEKS_SHOWN = 8;
+
+const percent = (completed, total) => (total > 0 ? Math.round((completed / total) * 100) : 0);
+
+// Overall, per-topic and weekly numbers for one member, or null when the
+// member keeps their progress private. Problems no longer in the sheet are ignored.
+export const summarizeMember = (member, topics, today = new Date()) => {
+  if (!member.completions) {
+    return null;
+  }
+
+  const topicByProblem = new Map();
+  topics.forEach(topic => {
+    (topic.problems || []).forEach(problem => topicByProblem.set(problem._id, topic._id));
+  });
+
+  const completions = member.completions.filter(completion => topicByProblem.has(completion.problemId));
+  const byTopic = topics.map(topic => {
+    const total = (topic.problems || []).length;
+    const completed = completions.filter(completion => topicByProblem.get(completion.problemId) === topic._id).length;
+    return { topicId: topic._id, title: topic.title, completed, total, percentage: percent(completed, total) };
+  });
+
+  const countsByDay = countCompletionsByDay(
+    completions.map(({ completedAt }) => ({ completed: true, completedAt }))
+  );
+  const weekly = completionsPerWeek(countsByDay, WEEKS_SHOWN, today);
+
+  return {
+    completed: completions.length,
+    total: topicByProblem.size,
+    percentage: percent(completions.length, topicByProblem.size),
+    byTopic,
+    weekly,
+    thisWeek: weekly[weekly.length - 1].count
+  };
+};
+
+// Members who opted in to the leaderboard, most problems solved first and
+// then most solved this week. Tied members share a rank.
+export const buildLeaderboard = (members, summaries) => {
+  const entries = members
+    .filter(member => member.onLeaderboard && summaries.get(member._id))
+    .map(member => ({ member, summary: summaries.get(member._id) }))
+    .sort((a, b) =>
+      b.summary.completed - a.summary.completed ||
+      b.summary.thisWeek - a.summary.thisWeek ||
+      a.member.name.localeCompare(b.member.name)
+    );
+
+  return entries.map((entry, index) => {
+    const previous = entries[index - 1];
+    const tied = previous &&
+      previous.summary.completed === entry.summary.completed &&
+      previous.summary.thisWeek === entry.summary.thisWeek;
+    entry.rank = tied ? previous.rank : index + 1;
+    return entry;
+  });
+};
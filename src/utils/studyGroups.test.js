@@ -0,0 +1,59 @@
+import { summarizeMember, buildLeaderboard, WEEKS_SHOWN } from './studyGroups';
+
+const TODAY = new Date(2024, 2, 20, 12);
+
+const topics = [
+  { _id: 'arrays', title: 'Arrays', problems: [{ _id: 'a1' }, { _id: 'a2' }, { _id: 'a3' }] },
+  { _id: 'graphs', title: 'Graphs', problems: [{ _id: 'g1' }] }
+];
+
+const completion = (problemId, daysAgo) => {
+  const date = new Date(TODAY);
+  date.setDate(date.getDate() - daysAgo);
+  return { problemId, completedAt: date.toISOString() };
+};
+
+const member = (_id, completions, changes = {}) => ({
+  _id,
+  name: `Member ${_id}`,
+  shareProgress: true,
+  onLeaderboard: true,
+  completions,
+  ...changes
+});
+
+test('summarizes overall, per-topic and weekly progress', () => {
+  const summary = summarizeMember(
+    member('m1', [completion('a1', 0), completion('a2', 10), completion('g1', 1), completion('removed', 0)]),
+    topics,
+    TODAY
+  );
+
+  expect(summary).toMatchObject({ completed: 3, total: 4, percentage: 75 });
+  expect(summary.byTopic).toEqual([
+    { topicId: 'arrays', title: 'Arrays', completed: 2, total: 3, percentage: 67 },
+    { topicId: 'graphs', title: 'Graphs', completed: 1, total: 1, percentage: 100 }
+  ]);
+  expect(summary.weekly).toHaveLength(WEEKS_SHOWN);
+  expect(summary.weekly.reduce((sum, week) => sum + week.count, 0)).toBe(3);
+  expect(summary.thisWeek).toBe(summary.weekly[WEEKS_SHOWN - 1].count);
+});
+
+test('returns null for members who keep their progress private', () => {
+  expect(summarizeMember(member('m1', null, { shareProgress: false }), topics, TODAY)).toBeNull();
+});
+
+test('ranks opted-in members by problems solved and shares ranks on ties', () => {
+  const members = [
+    member('m1', [completion('a1', 0)]),
+    member('m2', [completion('a1', 0), completion('a2', 0)]),
+    member('m3', [completion('g1', 0)]),
+    member('m4', [completion('a1', 0), completion('a2', 0), completion('a3', 0)], { onLeaderboard: false }),
+    member('m5', null, { shareProgress: false, onLeaderboard: false })
+  ];
+  const summaries = new Map(members.map(m => [m._id, summarizeMember(m, topics, TODAY)]));
+
+  const leaderboard = buildLeaderboard(members, summaries);
+
+  expect(leaderboard.map(entry => [entry.member._id, entry.rank])).toEqual([['m2', 1], ['m1', 2], ['m3', 2]]);
+});
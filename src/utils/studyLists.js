@@ -0,0 +1,16 @@
+// Helpers for study lists, which store problem ids in the order the user chose
+
+// Problems in list order, skipping any that have since been removed from the sheet
+export const resolveListProblems = (list, problems) => {
+  const byId = new Map(problems.map(problem => [problem._id, problem]));
+  return (list.problemIds || []).map(id => byId.get(id)).filter(Boolean);
+};
+
+export const listHasProblem = (list, problemId) => (list.problemIds || []).includes(problemId);
+
+export const toggleListProblem = (list, problemId) =>
+  listHasProblem(list, problemId)
+    ? list.problemIds.filter(id => id !== problemId)
+    : [...(list.problemIds || []), problemId];
+
+export const getShareUrl = (shareId) => `${window.location.origin}/lists/shared/${shareId}`;
@@ -0,0 +1,106 @@
+import createCodeWorker from './createCodeWorker';
+import { parseArguments, outputsMatch, InputError } from '../utils/codeExecution';
+
+// Per-case limit on running time, and a separate allowance for loading a
+// language runtime (Pyodide downloads several megabytes the first time)
+export const TIME_LIMIT = 2000;
+export const LOAD_TIMEOUT = 60000;
+
+class TimeoutError extends Error {}
+class RuntimeUnavailableError extends Error {}
+
+const request = (worker, message, timeout) =>
+  new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => reject(new TimeoutError()), timeout);
+    worker.onmessage = ({ data }) => {
+      clearTimeout(timeoutId);
+      resolve(data);
+    };
+    worker.onerror = (event) => {
+      clearTimeout(timeoutId);
+      reject(new Error(event.message || 'The code runner stopped unexpectedly'));
+    };
+    worker.postMessage(message);
+  });
+
+const startWorker = async (language) => {
+  const worker = createCodeWorker();
+  try {
+    const response = await request(worker, { type: 'prepare', language }, LOAD_TIMEOUT);
+    if (response.type === 'failed') {
+      throw new Error(response.error);
+    }
+    return worker;
+  } catch (error) {
+    worker.terminate();
+    throw new RuntimeUnavailableError(error.message);
+  }
+};
+
+const checkResult = (response, expected) => {
+  const { output, error, errorCode, logs, time } = response;
+  if (error || errorCode) {
+    return { status: 'error', error, errorCode, logs, time };
+  }
+  return { status: outputsMatch(output, expected) ? 'passed' : 'failed', output, logs, time };
+};
+
+// Run each test case in turn, calling `onResult` as results come in. A case
+// that runs past the time limit has its worker terminated and the next case
+// starts in a fresh one. `isCancelled` is checked between cases.
+export const runTestCases = async ({ language, code, tests, timeLimit = TIME_LIMIT, isCancelled = () => false, onResult = () => {} }) => {
+  const results = [];
+  let worker = null;
+
+  const report = (result) => {
+    results.push(result);
+    onResult(result, results.length - 1);
+  };
+
+  try {
+    for (const test of tests) {
+      if (isCancelled()) {
+        break;
+      }
+
+      let args;
+      try {
+        args = parseArguments(test.input);
+      } catch (error) {
+        if (!(error instanceof InputError)) {
+          throw error;
+        }
+        report({ status: 'invalid', line: error.line });
+        continue;
+      }
+
+      try {
+        worker = worker || await startWorker(language);
+        const response = await request(worker, { type: 'run', language, code, args }, timeLimit);
+        report(checkResult(response, test.expected));
+      } catch (error) {
+        if (worker) {
+          worker.terminate();
+          worker = null;
+        }
+        if (error instanceof TimeoutError) {
+          report({ status: 'timeout', time: timeLimit });
+        } else if (error instanceof RuntimeUnavailableError) {
+          // No point trying the remaining cases without a runtime
+          while (results.length < tests.length) {
+            report({ status: 'error', errorCode: 'runtimeUnavailable', error: error.message });
+          }
+          break;
+        } else {
+          report({ status: 'error', error: error.message });
+        }
+      }
+    }
+  } finally {
+    if (worker) {
+      worker.terminate();
+    }
+  }
+
+  return results;
+};
@@ -0,0 +1,66 @@
+import { runTestCases } from './codeRunner';
+import { workers } from './createCodeWorker';
+
+jest.mock('./createCodeWorker');
+
+const DOUBLE = 'function solve(n) { return n * 2; }';
+
+afterEach(() => {
+  workers.length = 0;
+});
+
+test('checks each case against its expected output', async () => {
+  const onResult = jest.fn();
+  const results = await runTestCases({
+    language: 'javascript',
+    code: DOUBLE,
+    tests: [{ input: '2', expected: '4' }, { input: '3', expected: '7' }],
+    onResult
+  });
+
+  expect(results).toEqual([
+    { status: 'passed', output: '4', logs: [], time: 1 },
+    { status: 'failed', output: '6', logs: [], time: 1 }
+  ]);
+  expect(onResult).toHaveBeenCalledTimes(2);
+  expect(workers).toHaveLength(1);
+  expect(workers[0].terminated).toBe(true);
+});
+
+test('stops each case at the time limit and starts the next in a fresh worker', async () => {
+  const results = await runTestCases({
+    language: 'javascript',
+    code: 'function solve() { while (true) {} }',
+    tests: [{ input: '1', expected: '1' }, { input: '2', expected: '2' }],
+    timeLimit: 50
+  });
+
+  expect(results).toEqual([{ status: 'timeout', time: 50 }, { status: 'timeout', time: 50 }]);
+  expect(workers).toHaveLength(2);
+  expect(workers.every(worker => worker.terminated)).toBe(true);
+});
+
+test('flags invalid input without running the code', async () => {
+  const results = await runTestCases({
+    language: 'javascript',
+    code: DOUBLE,
+    tests: [{ input: '[1,', expected: '2' }]
+  });
+
+  expect(results).toEqual([{ status: 'invalid', line: 1 }]);
+  expect(workers).toHaveLength(0);
+});
+
+test('fails every case when the runtime cannot load', async () => {
+  const results = await runTestCases({
+    language: 'python',
+    code: 'def solve(n):\n    return n',
+    tests: [{ input: '1', expected: '1' }, { input: '2', expected: '2' }]
+  });
+
+  expect(results).toEqual([
+    { status: 'error', errorCode: 'runtimeUnavailable', error: 'Runtime not available in tests' },
+    { status: 'error', errorCode: 'runtimeUnavailable', error: 'Runtime not available in tests' }
+  ]);
+  expect(workers).toHaveLength(1);
+});
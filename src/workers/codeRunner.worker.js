@@ -0,0 +1,71 @@
+/* eslint-env worker */
+/* eslint-disable no-restricted-globals */
+import { runJavaScript, ENTRY_POINT } from '../utils/codeExecution';
+
+// Runs submitted solutions off the main thread. The page creates a fresh
+// worker for each run and terminates it when a case goes over the time limit.
+//
+//   { type: 'prepare', language }         -> { type: 'ready' }
+//   { type: 'run', language, code, args } -> { type: 'result', output | error | errorCode, logs, time }
+
+const PYODIDE_URL = 'https://cdn.jsdelivr.net/pyodide/v0.26.4/full/';
+
+let pyodide = null;
+
+const loadPython = async () => {
+  if (!pyodide) {
+    importScripts(`${PYODIDE_URL}pyodide.js`);
+    pyodide = await self.loadPyodide({ indexURL: PYODIDE_URL });
+  }
+  return pyodide;
+};
+
+// Once the runtime is loaded nothing else needs the network
+const disableNetwork = () => {
+  ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts'].forEach(name => {
+    self[name] = undefined;
+  });
+};
+
+// Python tracebacks end with the line that matters, e.g. "ZeroDivisionError: division by zero"
+const lastLine = (message) => message.trim().split('\n').pop();
+
+const runPython = (code, args) => {
+  const logs = [];
+  pyodide.setStdout({ batched: line => logs.push(line) });
+  pyodide.setStderr({ batched: line => logs.push(line) });
+  const namespace = pyodide.globals.get('dict')();
+
+  try {
+    pyodide.runPython(code, { globals: namespace });
+    if (!namespace.has(ENTRY_POINT)) {
+      return { errorCode: 'missingSolve', logs };
+    }
+    namespace.set('__args', JSON.stringify(args));
+    const output = pyodide.runPython(`__import__("json").dumps(${ENTRY_POINT}(*__import__("json").loads(__args)))`, { globals: namespace });
+    return { output, logs };
+  } catch (error) {
+    return { error: lastLine(error.message), logs };
+  } finally {
+    namespace.destroy();
+  }
+};
+
+self.onmessage = async ({ data }) => {
+  if (data.type === 'prepare') {
+    try {
+      if (data.language === 'python') {
+        await loadPython();
+      }
+      disableNetwork();
+      self.postMessage({ type: 'ready' });
+    } catch (error) {
+      self.postMessage({ type: 'failed', error: error.message });
+    }
+    return;
+  }
+
+  const startedAt = performance.now();
+  const result = data.language === 'python' ? runPython(data.code, data.args) : runJavaScript(data.code, data.args);
+  self.postMessage({ type: 'result', ...result, time: Math.round(performance.now() - startedAt) });
+};
@@ -0,0 +1,4 @@
+// Kept in its own module so tests can swap the worker for an in-process fake
+const createCodeWorker = () => new Worker(new URL('./codeRunner.worker.js', import.meta.url));
+
+export default createCodeWorker;
@@ -1,6 +1,9 @@
 /** @type {import('tailwindcss').Config} */
 module.exports = {
   content: ["./src/**/*.{js,jsx,ts,tsx}"],
+  darkMode: "class",
+  // Difficulty badge classes are built at runtime from the problem's difficulty
+  safelist: ["difficulty-easy", "difficulty-medium", "difficulty-hard"],
   theme: {
     extend: {
       colors: {